@@ -0,0 +1,171 @@
+/**
+ * ============================================
+ * ACHIEVEMENTS - Long-Term Goals
+ * Listens to simulation events during live runs and
+ * unlocks achievements into the player profile
+ * ============================================
+ */
+
+/**
+ * Achievement list. Each one unlocks when a stat reaches its target:
+ * run stats count within a single run, `lifetime: true` adds the profile
+ * totals of earlier runs (only kills, bombs, powerups and runs have those).
+ *
+ * Run stats: kills, aceKills, bosses, bombs, bombKills (most enemies caught
+ * by one bomb), powerups, blackHoles, whiteHoles, area (Area reached),
+ * cleanAreas (Areas left through a portal to the next one without taking damage),
+ * time (ms survived), runs (1 during a run)
+ */
+const ACHIEVEMENTS = [
+    { id: 'first-blood', icon: '🎯', name: 'First Blood', description: 'Destroy an enemy', stat: 'kills', target: 1 },
+    { id: 'centurion', icon: '💯', name: 'Centurion', description: 'Destroy 100 enemies in one run', stat: 'kills', target: 100 },
+    { id: 'exterminator', icon: '☠️', name: 'Exterminator', description: 'Destroy 1000 enemies in total', stat: 'kills', target: 1000, lifetime: true },
+    { id: 'ace-hunter', icon: '🦅', name: 'Ace Hunter', description: 'Destroy 10 aces in one run', stat: 'aceKills', target: 10 },
+    { id: 'giant-slayer', icon: '👑', name: 'Giant Slayer', description: 'Defeat a boss', stat: 'bosses', target: 1 },
+    { id: 'carpet-bomber', icon: '💣', name: 'Carpet Bomber', description: 'Catch 8 enemies in a single bomb', stat: 'bombKills', target: 8 },
+    { id: 'demolition', icon: '🧨', name: 'Demolition Expert', description: 'Use 50 bombs in total', stat: 'bombs', target: 50, lifetime: true },
+    { id: 'event-horizon', icon: '⚫', name: 'Event Horizon', description: 'Enter a Black Hole', stat: 'blackHoles', target: 1 },
+    { id: 'deep-space', icon: '🌌', name: 'Deep Space', description: 'Reach Area 5', stat: 'area', target: 5 },
+    { id: 'clean-slate', icon: '⚪', name: 'Clean Slate', description: 'Enter a White Hole', stat: 'whiteHoles', target: 1 },
+    { id: 'untouchable', icon: '🛡️', name: 'Untouchable', description: 'Clear an Area without taking damage', stat: 'cleanAreas', target: 1 },
+    { id: 'flawless', icon: '✨', name: 'Flawless', description: 'Clear 3 Areas in one run without taking damage', stat: 'cleanAreas', target: 3 },
+    { id: 'collector', icon: '🎁', name: 'Collector', description: 'Collect 10 power-ups in one run', stat: 'powerups', target: 10 },
+    { id: 'hoarder', icon: '📦', name: 'Hoarder', description: 'Collect 250 power-ups in total', stat: 'powerups', target: 250, lifetime: true },
+    { id: 'survivor', icon: '⏱️', name: 'Survivor', description: 'Survive for 3 minutes', stat: 'time', target: 3 * 60 * 1000 },
+    { id: 'marathon', icon: '🏃', name: 'Marathon', description: 'Survive for 10 minutes', stat: 'time', target: 10 * 60 * 1000 },
+    { id: 'veteran', icon: '🎖️', name: 'Veteran', description: 'Play 50 runs', stat: 'runs', target: 50, lifetime: true },
+];
+
+/**
+ * Stats of a run as the tracker counts them
+ */
+function createAchievementStats() {
+    return {
+        kills: 0, aceKills: 0, bosses: 0, bombs: 0, bombKills: 0, powerups: 0,
+        blackHoles: 0, whiteHoles: 0, area: 1, cleanAreas: 0, time: 0, runs: 1,
+    };
+}
+
+/**
+ * Watches live runs and unlocks achievements into a PlayerProfile
+ * onUnlock(achievement) is called once for each new unlock.
+ */
+class AchievementTracker {
+    constructor(profile, { achievements = ACHIEVEMENTS, onUnlock = () => {} } = {}) {
+        this.profile = profile;
+        this.achievements = achievements;
+        this.onUnlock = onUnlock;
+
+        this.stats = null; // null outside live runs (menus, replays)
+        this.damagedThisArea = false;
+    }
+
+    /**
+     * Subscribe to a simulation's events
+     */
+    listen(sim) {
+        const count = (stat, amount = 1) => {
+            if (!this.stats) return;
+            this.stats[stat] += amount;
+            this.check();
+        };
+
+        sim
+            .on('enemyDestroyed', ({ enemy }) => {
+                if (enemy.type === 'ace') count('aceKills');
+                count('kills');
+            })
+            .on('bossDefeated', () => count('bosses'))
+            .on('bomb', ({ enemies }) => {
+                if (this.stats) this.stats.bombKills = Math.max(this.stats.bombKills, enemies);
+                count('bombs');
+            })
+            .on('powerupCollected', () => count('powerups'))
+            .on('playerDamaged', () => { this.damagedThisArea = true; })
+            .on('blackHoleEntered', () => {
+                if (!this.damagedThisArea) count('cleanAreas');
+                count('blackHoles');
+            })
+            .on('whiteHoleEntered', ({ sector }) => {
+                // On the Area map the White Hole also leaves the Area
+                if (sector && !this.damagedThisArea) count('cleanAreas');
+                count('whiteHoles');
+            })
+            .on('levelChanged', ({ level }) => {
+                this.damagedThisArea = false;
+                if (this.stats) this.stats.area = level;
+                this.check();
+            });
+        return this;
+    }
+
+    /**
+     * Start counting a live run
+     */
+    startRun() {
+        this.stats = createAchievementStats();
+        this.damagedThisArea = false;
+        this.check();
+    }
+
+    /**
+     * Stop counting (the run ended, or a replay starts)
+     */
+    endRun() {
+        this.stats = null;
+    }
+
+    /**
+     * Follow the time survived (game clock ms)
+     */
+    update(now) {
+        if (!this.stats) return;
+        this.stats.time = now;
+        this.check();
+    }
+
+    /**
+     * Value of a stat for an achievement, with profile totals for lifetime ones
+     */
+    getProgress(achievement) {
+        const run = this.stats ? this.stats[achievement.stat] : 0;
+        if (!achievement.lifetime) return run;
+
+        const profile = this.profile.stats;
+        const totals = {
+            kills: this.profile.getTotalEnemies(),
+            bombs: profile.bombs,
+            powerups: Object.values(profile.powerups).reduce((total, count) => total + count, 0),
+            runs: profile.runs,
+        };
+        return (totals[achievement.stat] || 0) + run;
+    }
+
+    isUnlocked(id) {
+        return id in this.profile.stats.achievements;
+    }
+
+    /**
+     * Unlock every achievement whose target has been reached
+     */
+    check() {
+        if (!this.stats) return;
+
+        for (const achievement of this.achievements) {
+            if (this.isUnlocked(achievement.id)) continue;
+            if (this.getProgress(achievement) < achievement.target) continue;
+
+            this.profile.unlockAchievement(achievement.id);
+            this.onUnlock(achievement);
+        }
+    }
+}
+
+// Node (tests) loads the achievements as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACHIEVEMENTS,
+        createAchievementStats,
+        AchievementTracker,
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Area Map
+ * The sectors a run flies through. Every sector's
+ * portals lead on: the Black Hole along the main line,
+ * the White Hole into a side branch (or back). Sectors
+ * are plain data (see Simulation.getSector):
+ *   name       shown on the map and when entering
+ *   script     name of the wave script to play, or null
+ *              for the endless random spawner
+ *   theme      sky of the renderer (see SKY_THEMES)
+ *   enemyMix   odds of each enemy type from the random
+ *              spawner once the wave script is done
+ *   modifiers  enemyHealth, scoreMultiplier, powerupChance
+ *              (factors; missing ones count as 1)
+ *   next       { blackHole, whiteHole } sector ids, or
+ *              null where the map ends. There only the
+ *              Black Hole opens, and Areas go on as endless
+ *              Areas without a map.
+ * ============================================
+ */
+
+const AREA_MAP = {
+    start: 'open-skies',
+    sectors: {
+        // Area 1
+        // A gentle start: softer enemies and more power-ups
+        'open-skies': {
+            name: 'Open Skies',
+            script: 'Open Skies',
+            theme: 'dusk',
+            enemyMix: { fighter: 0.7, ace: 0.2, bomber: 0.1 },
+            modifiers: { enemyHealth: 0.9, powerupChance: 1.2 },
+            next: { blackHole: 'crosswinds', whiteHole: 'cloud-sea' },
+        },
+
+        // Area 2
+        // More aces, and kills pay a little more
+        'crosswinds': {
+            name: 'Crosswinds',
+            script: 'Crosswinds',
+            theme: 'sunset',
+            enemyMix: { fighter: 0.6, ace: 0.3, bomber: 0.1 },
+            modifiers: { scoreMultiplier: 1.1 },
+            next: { blackHole: 'iron-front', whiteHole: 'ember-fields' },
+        },
+        // Calm and rich in power-ups, but kills are worth less
+        'cloud-sea': {
+            name: 'Cloud Sea',
+            script: null,
+            theme: 'aurora',
+            enemyMix: { fighter: 0.8, ace: 0.15, bomber: 0.05 },
+            modifiers: { enemyHealth: 0.8, scoreMultiplier: 0.75, powerupChance: 1.5 },
+            next: { blackHole: 'iron-front', whiteHole: 'ember-fields' },
+        },
+
+        // Area 3
+        // Bombers move in and everything takes more hits
+        'iron-front': {
+            name: 'Iron Front',
+            script: 'Iron Front',
+            theme: 'deep-space',
+            enemyMix: { fighter: 0.5, ace: 0.2, bomber: 0.3 },
+            modifiers: { enemyHealth: 1.1, scoreMultiplier: 1.2 },
+            next: { blackHole: 'storm-front', whiteHole: 'nebula-drift' },
+        },
+        // Bomber country: tough and well paid
+        'ember-fields': {
+            name: 'Ember Fields',
+            script: null,
+            theme: 'ember',
+            enemyMix: { fighter: 0.3, ace: 0.2, bomber: 0.5 },
+            modifiers: { enemyHealth: 1.3, scoreMultiplier: 1.5 },
+            next: { blackHole: 'storm-front', whiteHole: 'nebula-drift' },
+        },
+
+        // Area 4
+        // Tougher still, with fewer power-ups to go around
+        'storm-front': {
+            name: 'Storm Front',
+            script: 'Storm Front',
+            theme: 'alien',
+            enemyMix: { fighter: 0.4, ace: 0.35, bomber: 0.25 },
+            modifiers: { enemyHealth: 1.15, scoreMultiplier: 1.25, powerupChance: 0.9 },
+            next: { blackHole: 'warlords-reach', whiteHole: 'ace-gauntlet' },
+        },
+        // Power-ups everywhere to stock up before the end
+        'nebula-drift': {
+            name: 'Nebula Drift',
+            script: null,
+            theme: 'nebula',
+            enemyMix: { fighter: 0.5, ace: 0.3, bomber: 0.2 },
+            modifiers: { powerupChance: 2 },
+            next: { blackHole: 'ace-gauntlet', whiteHole: 'warlords-reach' },
+        },
+
+        // Area 5
+        // The main line's last stand: hard, scarce and well paid
+        'warlords-reach': {
+            name: 'Warlord\'s Reach',
+            script: 'Warlord\'s Reach',
+            theme: 'warzone',
+            enemyMix: { fighter: 0.4, ace: 0.3, bomber: 0.3 },
+            modifiers: { enemyHealth: 1.25, scoreMultiplier: 1.5, powerupChance: 0.8 },
+            next: null,
+        },
+        // Aces only, double score and few power-ups
+        'ace-gauntlet': {
+            name: 'Ace Gauntlet',
+            script: null,
+            theme: 'gauntlet',
+            enemyMix: { fighter: 0.1, ace: 0.8, bomber: 0.1 },
+            modifiers: { enemyHealth: 1.2, scoreMultiplier: 2, powerupChance: 0.75 },
+            next: null,
+        },
+    },
+};
+
+// Icons of the sector modifiers on the map
+const SECTOR_MODIFIER_ICONS = {
+    enemyHealth: '🛡️',
+    scoreMultiplier: '⭐',
+    powerupChance: '🎁',
+};
+
+/**
+ * Short label of a sector's modifiers, e.g. "🛡️x1.3 ⭐x1.5"; '' without any
+ */
+function formatSectorModifiers(sector) {
+    return Object.entries(SECTOR_MODIFIER_ICONS)
+        .filter(([name]) => sector.modifiers[name] !== undefined)
+        .map(([name, icon]) => `${icon}x${sector.modifiers[name]}`)
+        .join(' ');
+}
+
+/**
+ * Sector ids grouped by Area (how many portals away from the start),
+ * in map order - the columns of the map screen
+ */
+function getSectorColumns(map = AREA_MAP) {
+    const columns = [[map.start]];
+    const seen = new Set(columns[0]);
+
+    while (true) {
+        const column = [];
+        for (const id of columns[columns.length - 1]) {
+            const { next } = map.sectors[id];
+            if (!next) continue;
+            for (const nextId of [next.blackHole, next.whiteHole]) {
+                if (seen.has(nextId)) continue;
+                seen.add(nextId);
+                column.push(nextId);
+            }
+        }
+        if (column.length === 0) return columns;
+        columns.push(column);
+    }
+}
+
+// Node (tests) loads the map as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AREA_MAP, formatSectorModifiers, getSectorColumns };
+}
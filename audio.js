@@ -10,6 +10,8 @@ class AudioManager {
         this.audioContext = null;
         this.masterGain = null;
         this.muted = false;
+        this.silenced = false; // Temporary silence that leaves the mute setting alone
+        this.chargeSound = null; // Held charge-up tone
         this.initialized = false;
     }
 
@@ -55,6 +57,13 @@ class AudioManager {
         return this.muted;
     }
 
+    /**
+     * Temporarily silence all effects (e.g. while fast-forwarding a replay)
+     */
+    setSilenced(silenced) {
+        this.silenced = silenced;
+    }
+
     /**
      * Set volume (0 to 1)
      */
@@ -136,7 +145,7 @@ class AudioManager {
      * Player shoot sound - machine gun burst
      */
     playShoot() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -162,11 +171,138 @@ class AudioManager {
         this.createNoise(now, 0.04, 0.08);
     }
 
+    /**
+     * Laser pulse sound - short and quiet, it repeats quickly
+     */
+    playLaser() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        this.createOscillator('sawtooth', 1400 + Math.random() * 200, now, 0.05, 0.05);
+    }
+
+    /**
+     * Missile launch sound - whoosh
+     */
+    playMissile() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        const osc = this.createOscillator('triangle', 300, now, 0.25, 0.12);
+        if (osc) osc.frequency.exponentialRampToValueAtTime(900, now + 0.25);
+        this.createNoise(now, 0.2, 0.1);
+    }
+
+    /**
+     * Wave cannon sound - deep pulse
+     */
+    playWaveCannon() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        const osc = this.createOscillator('sine', 220, now, 0.3, 0.25);
+        if (osc) osc.frequency.exponentialRampToValueAtTime(70, now + 0.3);
+        this.createOscillator('square', 110, now, 0.12, 0.06);
+    }
+
+    /**
+     * Weapon level lost sound - descending blips
+     */
+    playWeaponDown() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        [660, 440, 330].forEach((freq, i) => {
+            this.createOscillator('square', freq, now + i * 0.06, 0.08, 0.1);
+        });
+    }
+
+    /**
+     * Charge-up sound - rising tone held until stopCharge (duration in seconds)
+     */
+    startCharge(duration) {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+        this.stopCharge();
+
+        const now = this.audioContext.currentTime;
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(180, now);
+        osc.frequency.exponentialRampToValueAtTime(900, now + duration);
+
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(0.06, now + 0.05);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain);
+        osc.start(now);
+
+        this.chargeSound = { osc, gain };
+    }
+
+    /**
+     * Stop the charge-up sound if it is playing
+     */
+    stopCharge() {
+        if (!this.chargeSound) return;
+
+        const now = this.audioContext.currentTime;
+        this.chargeSound.gain.gain.setValueAtTime(0.06, now);
+        this.chargeSound.gain.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+        this.chargeSound.osc.stop(now + 0.05);
+        this.chargeSound = null;
+    }
+
+    /**
+     * Fully charged sound - bright ping
+     */
+    playChargeFull() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        this.createOscillator('sine', 1568, now, 0.15, 0.15); // G6
+        this.createOscillator('sine', 2093, now + 0.05, 0.15, 0.1); // C7
+    }
+
+    /**
+     * Charge shot release sound - bigger with more charge (0-1)
+     */
+    playChargeShot(charge) {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        const osc = this.createOscillator('square', 500 + charge * 300, now, 0.3, 0.12 + charge * 0.1);
+        if (osc) osc.frequency.exponentialRampToValueAtTime(60, now + 0.3);
+        this.createNoise(now, 0.2 + charge * 0.2, 0.1 + charge * 0.15);
+    }
+
+    /**
+     * Score multiplier up sound - pitch climbs with the multiplier
+     */
+    playMultiplierUp(multiplier) {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        const base = 440 * Math.pow(2, (multiplier - 2) / 6);
+        this.createOscillator('square', base, now, 0.08, 0.12);
+        this.createOscillator('square', base * 1.5, now + 0.06, 0.12, 0.12);
+    }
+
     /**
      * Enemy shoot sound - different pitch
      */
     playEnemyShoot() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -192,7 +328,7 @@ class AudioManager {
      * Hit sound - impact
      */
     playHit() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -206,7 +342,7 @@ class AudioManager {
      * Explosion sound - plane destroyed
      */
     playExplosion() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -236,7 +372,7 @@ class AudioManager {
      * Big explosion for bomb
      */
     playBombExplosion() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -270,7 +406,7 @@ class AudioManager {
      * Power-up pickup sound
      */
     playPowerup() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -287,7 +423,7 @@ class AudioManager {
      * Extra life sound
      */
     playExtraLife() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -300,11 +436,26 @@ class AudioManager {
         });
     }
 
+    /**
+     * Achievement unlocked chime
+     */
+    playAchievement() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+
+        // Two bright bell notes
+        this.createOscillator('triangle', 1319, now, 0.2, 0.2); // E6
+        this.createOscillator('triangle', 1760, now + 0.1, 0.35, 0.2); // A6
+        this.createOscillator('sine', 880, now + 0.1, 0.35, 0.1);
+    }
+
     /**
      * Player damage sound
      */
     playDamage() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -318,7 +469,7 @@ class AudioManager {
      * Game over sound
      */
     playGameOver() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -337,7 +488,7 @@ class AudioManager {
      * Button click sound
      */
     playClick() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -349,7 +500,7 @@ class AudioManager {
      * Shield activate sound
      */
     playShieldActivate() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -364,7 +515,7 @@ class AudioManager {
      * Shield deactivate sound
      */
     playShieldDeactivate() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -379,7 +530,7 @@ class AudioManager {
      * Portal spawn sound - mysterious appearance
      */
     playPortalSpawn() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -398,7 +549,7 @@ class AudioManager {
      * Black hole enter sound - deep warping
      */
     playBlackHoleEnter() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -432,7 +583,7 @@ class AudioManager {
      * White hole enter sound - bright reset chime
      */
     playWhiteHoleEnter() {
-        if (!this.initialized) return;
+        if (!this.initialized || this.silenced) return;
         this.resume();
 
         const now = this.audioContext.currentTime;
@@ -451,6 +602,44 @@ class AudioManager {
         this.createOscillator('sine', 440, now, 0.5, 0.15);
         this.createOscillator('sine', 660, now + 0.05, 0.4, 0.12);
     }
+
+    /**
+     * Boss warning sound - two-tone siren
+     */
+    playBossWarning() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+
+        // Alternating alarm tones
+        for (let i = 0; i < 4; i++) {
+            this.createOscillator('square', i % 2 === 0 ? 440 : 330, now + i * 0.25, 0.22, 0.12);
+        }
+
+        // Low engine drone
+        this.createOscillator('sawtooth', 55, now, 1.0, 0.2);
+    }
+
+    /**
+     * Boss defeated sound - long blast and victory fanfare
+     */
+    playBossDefeated() {
+        if (!this.initialized || this.silenced) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+
+        // Rolling explosions
+        this.createNoise(now, 1.0, 0.6);
+        this.createNoise(now + 0.3, 0.8, 0.4);
+
+        // Rising fanfare
+        const notes = [392, 523, 659, 784];
+        notes.forEach((freq, i) => {
+            this.createOscillator('triangle', freq, now + 0.4 + i * 0.12, 0.3, 0.2);
+        });
+    }
 }
 
 // Create global audio manager instance
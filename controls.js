@@ -0,0 +1,376 @@
+/**
+ * ============================================
+ * CONTROLS - Key and Button Bindings
+ * Maps keyboard keys (KeyboardEvent.code) and gamepad
+ * buttons (standard mapping index) to game actions,
+ * saved in localStorage
+ * ============================================
+ */
+
+const BINDINGS_KEY = 'skyFighterBindings';
+const BINDING_SLOTS = 2; // Bindings per action and device
+const BINDING_DEVICES = ['keyboard', 'gamepad', 'keyboard2']; // keyboard2: player 2's keys in co-op
+// Both keyboard layouts share one keyboard: in co-op a key on both flies player 2
+const SHARED_KEYBOARDS = { keyboard: 'keyboard2', keyboard2: 'keyboard' };
+
+// Actions in settings order; `input` is the Player.input flag they drive
+const CONTROL_ACTIONS = [
+    { id: 'up', label: 'Move Up', input: 'up' },
+    { id: 'down', label: 'Move Down', input: 'down' },
+    { id: 'left', label: 'Move Left', input: 'left' },
+    { id: 'right', label: 'Move Right', input: 'right' },
+    { id: 'fire', label: 'Fire', input: 'shooting' },
+    { id: 'bomb', label: 'Bomb', input: 'bomb' },
+    { id: 'pause', label: 'Pause', input: null },
+];
+
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        up: ['KeyW', 'ArrowUp'],
+        down: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+        fire: ['Space', null],
+        bomb: ['KeyB', null],
+        pause: ['Escape', 'KeyP'],
+    },
+    // Standard gamepad layout: 0 A, 1 B, 9 Start, 12-15 D-pad
+    gamepad: {
+        up: [12, null],
+        down: [13, null],
+        left: [14, null],
+        right: [15, null],
+        fire: [0, 7],
+        bomb: [1, null],
+        pause: [9, null],
+    },
+    // Co-op: player 2 takes the arrows and the keys around them; these win
+    // over player 1's bindings of the same keys (reported as shared keys)
+    keyboard2: {
+        up: ['ArrowUp', null],
+        down: ['ArrowDown', null],
+        left: ['ArrowLeft', null],
+        right: ['ArrowRight', null],
+        fire: ['Enter', 'Numpad0'],
+        bomb: ['ShiftRight', null],
+        pause: [null, null],
+    },
+};
+
+// Analog stick of the gamepad (standard mapping: left stick is axes 0 and 1)
+const GAMEPAD_STICK = {
+    axisX: 0,
+    axisY: 1,
+    deadzone: 0.2, // Stick travel (0-1) ignored around the center
+};
+
+// Rumble effects (magnitudes 0-1, duration in ms)
+const GAMEPAD_RUMBLE = {
+    damage: { strongMagnitude: 0.6, weakMagnitude: 0.3, duration: 200 },
+    bomb: { strongMagnitude: 1, weakMagnitude: 0.8, duration: 450 },
+};
+
+// On-screen touch joystick (saved separately from the bindings)
+const JOYSTICK_SETTINGS_KEY = 'skyFighterJoystick';
+const DEFAULT_JOYSTICK = {
+    floating: false, // Center the stick wherever the thumb lands in the joystick zone
+    size: 120, // Base diameter in px
+    deadzone: 0.15, // Stick travel (0-1) ignored around the center
+    opacity: 0.9,
+};
+// [min, max] of the numeric joystick settings
+const JOYSTICK_LIMITS = {
+    size: [80, 180],
+    deadzone: [0, 0.5],
+    opacity: [0.2, 1],
+};
+
+// Pointer steering: the plane flies toward the mouse, or follows a drag on touch screens
+const STEERING_SETTINGS_KEY = 'skyFighterSteering';
+const CONTROL_SCHEMES = ['buttons', 'pointer']; // Keyboard and joystick, or mouse and touch drag
+const DEFAULT_STEERING = {
+    scheme: 'buttons',
+    maxSpeed: 1, // Fraction of the plane's full speed
+    smoothing: 0.5, // 0 turns at once; closer to 1 eases into new directions
+    autoFire: false, // Keep firing while steering with the pointer
+};
+// Allowed values of the steering settings ([min, max] for numbers)
+const STEERING_LIMITS = {
+    scheme: CONTROL_SCHEMES,
+    maxSpeed: [0.3, 1],
+    smoothing: [0, 0.9],
+};
+const STEERING_ARRIVAL = 60; // px from the target where the plane starts slowing down
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START',
+    'L3', 'R3', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME',
+];
+
+const KEY_NAMES = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    Space: 'SPACE', Escape: 'ESC', Enter: 'ENTER', Tab: 'TAB',
+    ShiftLeft: 'L-SHIFT', ShiftRight: 'R-SHIFT', ControlLeft: 'L-CTRL', ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT', AltRight: 'R-ALT',
+};
+
+/**
+ * Short label of a key code, e.g. KeyW -> W, Digit1 -> 1
+ */
+function formatKey(code) {
+    if (code === null) return '-';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'NUM ').toUpperCase();
+}
+
+/**
+ * Short label of a gamepad button index
+ */
+function formatButton(index) {
+    if (index === null) return '-';
+    return GAMEPAD_BUTTON_NAMES[index] || `BUTTON ${index}`;
+}
+
+/**
+ * Radial deadzone: ignore the stick inside a circle around the center and
+ * rescale the rest so movement starts from zero at its edge. Returns the
+ * stick position with a length of at most 1.
+ */
+function applyRadialDeadzone(x, y, deadzone) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length <= deadzone) return { x: 0, y: 0 };
+
+    const scaled = Math.min(1, (length - deadzone) / (1 - deadzone));
+    return { x: x / length * scaled, y: y / length * scaled };
+}
+
+/**
+ * Movement vector flying the plane toward a point dx, dy px away: full
+ * speed (capped at maxSpeed) until close, then slowing down to arrive.
+ * The previous vector eases toward it by the smoothing setting.
+ */
+function steerToward(dx, dy, previous, { maxSpeed, smoothing }, deltaTime) {
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const speed = Math.min(maxSpeed, distance / STEERING_ARRIVAL);
+    const targetX = distance > 0 ? dx / distance * speed : 0;
+    const targetY = distance > 0 ? dy / distance * speed : 0;
+
+    const blend = 1 - Math.pow(smoothing, deltaTime * 60);
+    return {
+        x: previous.x + (targetX - previous.x) * blend,
+        y: previous.y + (targetY - previous.y) * blend,
+    };
+}
+
+/**
+ * Read saved settings over their defaults. Booleans must stay booleans,
+ * numbers are clamped to their [min, max] and strings must be listed in limits.
+ */
+function loadSettings(storage, key, defaults, limits) {
+    const settings = { ...defaults };
+
+    let saved = null;
+    try {
+        saved = JSON.parse(storage.getItem(key));
+    } catch (error) {
+        console.warn(`Saved settings "${key}" are corrupt, using the defaults`);
+    }
+    if (!saved) return settings;
+
+    for (const [name, value] of Object.entries(defaults)) {
+        if (typeof value === 'boolean' && typeof saved[name] === 'boolean') {
+            settings[name] = saved[name];
+        } else if (typeof value === 'number' && Number.isFinite(saved[name])) {
+            const [min, max] = limits[name];
+            settings[name] = Math.max(min, Math.min(max, saved[name]));
+        } else if (typeof value === 'string' && limits[name].includes(saved[name])) {
+            settings[name] = saved[name];
+        }
+    }
+    return settings;
+}
+
+/**
+ * Touch joystick settings, clamping anything out of range
+ */
+function loadJoystickSettings(storage) {
+    return loadSettings(storage, JOYSTICK_SETTINGS_KEY, DEFAULT_JOYSTICK, JOYSTICK_LIMITS);
+}
+
+function saveJoystickSettings(storage, settings) {
+    storage.setItem(JOYSTICK_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Control scheme and pointer steering settings
+ */
+function loadSteeringSettings(storage) {
+    return loadSettings(storage, STEERING_SETTINGS_KEY, DEFAULT_STEERING, STEERING_LIMITS);
+}
+
+function saveSteeringSettings(storage, settings) {
+    storage.setItem(STEERING_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Copy of the default bindings
+ */
+function createDefaultBindings() {
+    return JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+}
+
+/**
+ * The player's bindings for every action and device
+ */
+class ControlBindings {
+    constructor(storage) {
+        this.storage = storage;
+        this.bindings = this.load();
+    }
+
+    /**
+     * Read the saved bindings; actions missing or unreadable keep their defaults
+     */
+    load() {
+        const bindings = createDefaultBindings();
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(BINDINGS_KEY));
+        } catch (error) {
+            console.warn('Saved key bindings are corrupt, using the defaults');
+        }
+        if (!saved) return bindings;
+
+        const isKey = value => value === null || typeof value === 'string';
+        const isValid = {
+            keyboard: isKey,
+            gamepad: value => value === null || (Number.isInteger(value) && value >= 0),
+            keyboard2: isKey,
+        };
+        for (const device of BINDING_DEVICES) {
+            for (const { id } of CONTROL_ACTIONS) {
+                const slots = saved[device] && saved[device][id];
+                if (Array.isArray(slots) && slots.length === BINDING_SLOTS && slots.every(isValid[device])) {
+                    bindings[device][id] = slots;
+                }
+            }
+        }
+        return bindings;
+    }
+
+    save() {
+        this.storage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Action bound to a key code or button index, or null
+     */
+    getAction(device, code) {
+        const actions = this.bindings[device];
+        for (const { id } of CONTROL_ACTIONS) {
+            if (actions[id].includes(code)) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Bound keys or buttons of one action (null for empty slots)
+     */
+    getBindings(device, action) {
+        return this.bindings[device][action];
+    }
+
+    /**
+     * Another action already using a key or button, or null
+     */
+    findConflict(device, code, action) {
+        const other = this.getAction(device, code);
+        return other === action ? null : other;
+    }
+
+    /**
+     * Action the other player's keyboard layout binds a key to, or null
+     * (gamepads are not shared)
+     */
+    findSharedAction(device, code) {
+        const other = SHARED_KEYBOARDS[device];
+        return other && code !== null ? this.getAction(other, code) : null;
+    }
+
+    /**
+     * Player 1 keys also bound for player 2, which fly player 2 in co-op
+     */
+    getSharedKeys() {
+        const keys = [];
+        for (const { id } of CONTROL_ACTIONS) {
+            for (const code of this.bindings.keyboard[id]) {
+                if (this.findSharedAction('keyboard', code)) keys.push(code);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Bind a key or button (null clears the slot). A key taken from another
+     * action is swapped: that action gets this slot's old key. Returns the
+     * other action, or null when there was no conflict.
+     */
+    bind(device, action, slot, code) {
+        const slots = this.bindings[device][action];
+        const conflict = code === null ? null : this.findConflict(device, code, action);
+
+        if (conflict) {
+            const otherSlots = this.bindings[device][conflict];
+            otherSlots[otherSlots.indexOf(code)] = slots[slot];
+        }
+
+        // The same key twice on one action is pointless
+        const duplicate = slots.indexOf(code);
+        if (code !== null && duplicate !== -1 && duplicate !== slot) {
+            slots[duplicate] = slots[slot];
+        }
+
+        slots[slot] = code;
+        this.save();
+        return conflict;
+    }
+
+    /**
+     * Go back to the default bindings
+     */
+    reset() {
+        this.bindings = createDefaultBindings();
+        this.save();
+    }
+}
+
+// Node (tests) loads the bindings as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BINDINGS_KEY,
+        BINDING_SLOTS,
+        BINDING_DEVICES,
+        SHARED_KEYBOARDS,
+        CONTROL_ACTIONS,
+        DEFAULT_BINDINGS,
+        GAMEPAD_STICK,
+        GAMEPAD_RUMBLE,
+        JOYSTICK_SETTINGS_KEY,
+        DEFAULT_JOYSTICK,
+        JOYSTICK_LIMITS,
+        STEERING_SETTINGS_KEY,
+        CONTROL_SCHEMES,
+        DEFAULT_STEERING,
+        STEERING_ARRIVAL,
+        applyRadialDeadzone,
+        steerToward,
+        loadJoystickSettings,
+        saveJoystickSettings,
+        loadSteeringSettings,
+        saveSteeringSettings,
+        formatKey,
+        formatButton,
+        ControlBindings,
+    };
+}
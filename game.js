@@ -2,1036 +2,30 @@
  * ============================================
  * SKY FIGHTER - 2D Plane Shooting Game
  * A complete arcade-style shooting game
+ * Browser front end: wires input, HUD, audio and the
+ * renderer to the simulation in simulation.js
  * ============================================
  */
 
-// ============================================
-// GAME CONFIGURATION
-// ============================================
-const CONFIG = {
-    // Player settings
-    player: {
-        speed: 6,
-        size: 25,
-        maxHealth: 100,
-        shootCooldown: 200, // ms between shots
-        invincibilityDuration: 1500, // ms after taking damage
-        startBombs: 1, // Starting bomb count
-    },
-
-    // Bullet settings
-    bullet: {
-        speed: 14,
-        size: 5,
-        damage: 30,
-        lifetime: 2000, // ms
-    },
-
-    // Enemy bullet settings
-    enemyBullet: {
-        speed: 6,
-        size: 4,
-        damage: 15,
-    },
-
-    // Enemy settings
-    enemies: {
-        spawnRate: 1800, // ms between spawns
-        minSpawnRate: 600, // minimum spawn rate at high difficulty
-        shootCooldown: 2000, // ms between enemy shots
-        types: {
-            fighter: { speed: 2.5, health: 60, size: 20, color: '#ff4444', score: 15, shootChance: 0.4 },
-            bomber: { speed: 1.5, health: 120, size: 28, color: '#8844ff', score: 25, shootChance: 0.6 },
-            ace: { speed: 4, health: 40, size: 16, color: '#ff8800', score: 20, shootChance: 0.3 },
-        }
-    },
-
-    // Power-up settings
-    powerups: {
-        dropChance: 0.18, // 18% chance to drop
-        types: {
-            rapid: { duration: 6000, color: '#ff6b00', icon: '⚡', multiplier: 3 },
-            shield: { duration: 5000, color: '#00e5ff', icon: '🛡️' },
-            damage: { duration: 8000, color: '#ff3333', icon: '💥', multiplier: 2 },
-            bomb: { duration: 0, color: '#ff00ff', icon: '💣' }, // Instant: adds bomb
-            life: { duration: 0, color: '#00ff88', icon: '💚', heal: 40 }, // Instant: heals
-        },
-        size: 16,
-        floatSpeed: 1.5,
-    },
-
-    // Visual settings
-    particles: {
-        explosionCount: 18,
-        lifetime: 600,
-    },
-
-    // Difficulty scaling
-    difficulty: {
-        scoreThreshold: 150, // Score needed to increase difficulty
-        spawnRateReduction: 120, // ms reduction per difficulty level
-    },
-
-    // Sky/clouds
-    clouds: {
-        count: 8,
-        minSpeed: 0.5,
-        maxSpeed: 2,
-    }
-};
-
 // ============================================
 // GAME STATE
 // ============================================
 const gameState = {
     isRunning: false,
     isPaused: false,
-    score: 0,
-    highScore: parseInt(localStorage.getItem('skyFighterHighScore')) || 0,
-    enemiesDefeated: 0,
-    startTime: 0,
-    lastUpdate: 0,
-    difficultyLevel: 1,
-    bombs: CONFIG.player.startBombs,
-    // Portal and level system
-    currentLevel: 1,
-    portalsSpawned: false,
-    inTransition: false,
-    gameMessage: null,
-    gameMessageEndTime: 0,
+    highScore: 0, // Best score on the leaderboard
+    seed: 0,
+    seedMode: 'random', // 'random', 'daily' or 'custom'
+    chargeShot: localStorage.getItem('skyFighterChargeShot') === 'on',
+    coop: localStorage.getItem('skyFighterCoop') === 'on', // Two planes on one screen
+    coopScore: localStorage.getItem('skyFighterCoopScore') === 'split' ? 'split' : 'shared',
 };
 
-// ============================================
-// ENTITY CLASSES
-// ============================================
-
-/**
- * Base class for all game entities
- */
-class Entity {
-    constructor(x, y, size) {
-        this.x = x;
-        this.y = y;
-        this.size = size;
-        this.active = true;
-    }
-
-    /**
-     * Check collision with another entity (circle collision)
-     */
-    collidesWith(other) {
-        const dx = this.x - other.x;
-        const dy = this.y - other.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        return distance < this.size + other.size;
-    }
-}
-
-/**
- * Player Plane class
- */
-class Player extends Entity {
-    constructor(x, y) {
-        super(x, y, CONFIG.player.size);
-        this.health = CONFIG.player.maxHealth;
-        this.velocityX = 0;
-        this.velocityY = 0;
-        this.lastShot = 0;
-        this.isInvincible = false;
-        this.invincibleUntil = 0;
-        this.flashState = false;
-
-        // Power-up states
-        this.powerups = {
-            rapid: { active: false, endTime: 0 },
-            shield: { active: false, endTime: 0 },
-            damage: { active: false, endTime: 0 },
-        };
-
-        // Input state
-        this.input = {
-            up: false,
-            down: false,
-            left: false,
-            right: false,
-            shooting: false,
-        };
-
-        // Animation
-        this.bankAngle = 0; // For tilting when moving left/right
-        this.engineFlicker = 0;
-    }
-
-    /**
-     * Update player state
-     */
-    update(deltaTime, canvasWidth, canvasHeight) {
-        // Calculate velocity from input
-        this.velocityX = 0;
-        this.velocityY = 0;
-
-        if (this.input.left) this.velocityX -= 1;
-        if (this.input.right) this.velocityX += 1;
-        if (this.input.up) this.velocityY -= 1;
-        if (this.input.down) this.velocityY += 1;
-
-        // Normalize diagonal movement
-        if (this.velocityX !== 0 && this.velocityY !== 0) {
-            const length = Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY);
-            this.velocityX /= length;
-            this.velocityY /= length;
-        }
-
-        // Apply speed
-        this.x += this.velocityX * CONFIG.player.speed;
-        this.y += this.velocityY * CONFIG.player.speed;
-
-        // Keep player in bounds
-        this.x = Math.max(this.size, Math.min(canvasWidth - this.size, this.x));
-        this.y = Math.max(this.size + 60, Math.min(canvasHeight - this.size, this.y)); // Keep below UI
-
-        // Update bank angle for visual effect
-        const targetBank = this.velocityX * 0.3;
-        this.bankAngle += (targetBank - this.bankAngle) * 0.15;
-
-        // Engine flicker
-        this.engineFlicker = Math.random();
-
-        // Update invincibility
-        const now = Date.now();
-        if (this.isInvincible && now >= this.invincibleUntil) {
-            this.isInvincible = false;
-        }
-
-        // Update flash state for visual feedback
-        if (this.isInvincible && !this.powerups.shield.active) {
-            this.flashState = Math.floor(now / 80) % 2 === 0;
-        } else {
-            this.flashState = false;
-        }
-
-        // Update power-ups
-        this.updatePowerups(now);
-
-        // Shield provides invincibility
-        if (this.powerups.shield.active) {
-            this.isInvincible = true;
-        }
-    }
-
-    /**
-     * Update power-up timers
-     */
-    updatePowerups(now) {
-        for (const [type, state] of Object.entries(this.powerups)) {
-            if (state.active && now >= state.endTime) {
-                state.active = false;
-
-                if (type === 'shield') {
-                    audioManager.playShieldDeactivate();
-                }
-            }
-        }
-    }
-
-    /**
-     * Attempt to shoot
-     */
-    canShoot() {
-        const now = Date.now();
-        let cooldown = CONFIG.player.shootCooldown;
-
-        // Rapid fire reduces cooldown
-        if (this.powerups.rapid.active) {
-            cooldown /= CONFIG.powerups.types.rapid.multiplier;
-        }
-
-        if (now - this.lastShot >= cooldown) {
-            this.lastShot = now;
-            return true;
-        }
-        return false;
-    }
-
-    /**
-     * Take damage
-     */
-    takeDamage(amount) {
-        if (this.isInvincible || this.powerups.shield.active) return;
-
-        this.health -= amount;
-        this.isInvincible = true;
-        this.invincibleUntil = Date.now() + CONFIG.player.invincibilityDuration;
-
-        audioManager.playDamage();
-
-        // Screen shake
-        document.body.classList.add('screen-shake');
-        setTimeout(() => document.body.classList.remove('screen-shake'), 300);
-
-        if (this.health <= 0) {
-            this.health = 0;
-            this.active = false;
-        }
-    }
-
-    /**
-     * Heal player
-     */
-    heal(amount) {
-        this.health = Math.min(CONFIG.player.maxHealth, this.health + amount);
-        audioManager.playExtraLife();
-    }
-
-    /**
-     * Activate a power-up
-     */
-    activatePowerup(type) {
-        const powerupConfig = CONFIG.powerups.types[type];
-        if (!powerupConfig) return;
-
-        // Handle instant power-ups
-        if (type === 'bomb') {
-            gameState.bombs++;
-            audioManager.playPowerup();
-            return;
-        }
-
-        if (type === 'life') {
-            this.heal(powerupConfig.heal);
-            return;
-        }
-
-        // Duration-based power-ups
-        this.powerups[type].active = true;
-        this.powerups[type].endTime = Date.now() + powerupConfig.duration;
-
-        if (type === 'shield') {
-            audioManager.playShieldActivate();
-        } else {
-            audioManager.playPowerup();
-        }
-    }
-
-    /**
-     * Get remaining time for a power-up
-     */
-    getPowerupTimeRemaining(type) {
-        if (!this.powerups[type] || !this.powerups[type].active) return 0;
-        return Math.max(0, this.powerups[type].endTime - Date.now());
-    }
-
-    /**
-     * Draw player plane
-     */
-    draw(ctx) {
-        if (this.flashState) return; // Skip drawing during flash
-
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.bankAngle);
-
-        // Shield effect
-        if (this.powerups.shield.active) {
-            ctx.beginPath();
-            ctx.arc(0, 0, this.size + 12, 0, Math.PI * 2);
-            ctx.strokeStyle = 'rgba(0, 229, 255, 0.7)';
-            ctx.lineWidth = 3;
-            ctx.stroke();
-
-            // Inner glow
-            const gradient = ctx.createRadialGradient(0, 0, this.size, 0, 0, this.size + 18);
-            gradient.addColorStop(0, 'rgba(0, 229, 255, 0.25)');
-            gradient.addColorStop(1, 'rgba(0, 229, 255, 0)');
-            ctx.fillStyle = gradient;
-            ctx.fill();
-        }
-
-        // Engine flames
-        const flameLength = 12 + this.engineFlicker * 8;
-        ctx.beginPath();
-        ctx.moveTo(-6, this.size * 0.6);
-        ctx.lineTo(-3, this.size * 0.6 + flameLength);
-        ctx.lineTo(0, this.size * 0.6 + flameLength * 0.7);
-        ctx.lineTo(3, this.size * 0.6 + flameLength);
-        ctx.lineTo(6, this.size * 0.6);
-        ctx.closePath();
-        const flameGradient = ctx.createLinearGradient(0, this.size * 0.6, 0, this.size * 0.6 + flameLength);
-        flameGradient.addColorStop(0, '#ffff00');
-        flameGradient.addColorStop(0.5, '#ff6600');
-        flameGradient.addColorStop(1, '#ff0000');
-        ctx.fillStyle = flameGradient;
-        ctx.fill();
-
-        // Plane body (fighter jet shape)
-        ctx.beginPath();
-        // Nose
-        ctx.moveTo(0, -this.size);
-        // Right side
-        ctx.lineTo(5, -this.size * 0.5);
-        ctx.lineTo(8, -this.size * 0.2);
-        // Right wing
-        ctx.lineTo(this.size * 1.2, this.size * 0.3);
-        ctx.lineTo(this.size * 1.1, this.size * 0.5);
-        ctx.lineTo(10, this.size * 0.3);
-        // Tail right
-        ctx.lineTo(8, this.size * 0.6);
-        ctx.lineTo(12, this.size * 0.9);
-        ctx.lineTo(6, this.size * 0.7);
-        // Center tail
-        ctx.lineTo(0, this.size * 0.5);
-        // Left tail
-        ctx.lineTo(-6, this.size * 0.7);
-        ctx.lineTo(-12, this.size * 0.9);
-        ctx.lineTo(-8, this.size * 0.6);
-        // Left wing
-        ctx.lineTo(-10, this.size * 0.3);
-        ctx.lineTo(-this.size * 1.1, this.size * 0.5);
-        ctx.lineTo(-this.size * 1.2, this.size * 0.3);
-        ctx.lineTo(-8, -this.size * 0.2);
-        ctx.lineTo(-5, -this.size * 0.5);
-        ctx.closePath();
-
-        // Plane gradient fill
-        const bodyGradient = ctx.createLinearGradient(0, -this.size, 0, this.size);
-        bodyGradient.addColorStop(0, '#4488ff');
-        bodyGradient.addColorStop(0.5, '#2266dd');
-        bodyGradient.addColorStop(1, '#1144aa');
-        ctx.fillStyle = bodyGradient;
-        ctx.shadowColor = '#4488ff';
-        ctx.shadowBlur = 15;
-        ctx.fill();
-
-        // Outline
-        ctx.strokeStyle = '#66aaff';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-
-        // Cockpit
-        ctx.beginPath();
-        ctx.ellipse(0, -this.size * 0.3, 4, 8, 0, 0, Math.PI * 2);
-        ctx.fillStyle = '#00ffff';
-        ctx.shadowColor = '#00ffff';
-        ctx.shadowBlur = 8;
-        ctx.fill();
-
-        ctx.restore();
-    }
-}
-
-/**
- * Bullet class (for both player and enemy)
- */
-class Bullet extends Entity {
-    constructor(x, y, angle, speed, damage, isEnemy = false) {
-        super(x, y, isEnemy ? CONFIG.enemyBullet.size : CONFIG.bullet.size);
-        this.angle = angle;
-        this.speed = speed;
-        this.damage = damage;
-        this.isEnemy = isEnemy;
-        this.createdAt = Date.now();
-        this.lifetime = CONFIG.bullet.lifetime;
-
-        // Trail positions
-        this.trail = [];
-    }
-
-    update() {
-        // Store trail position
-        this.trail.push({ x: this.x, y: this.y });
-        if (this.trail.length > 4) this.trail.shift();
-
-        // Move bullet
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed;
-
-        // Check lifetime
-        if (Date.now() - this.createdAt > this.lifetime) {
-            this.active = false;
-        }
-    }
-
-    isOutOfBounds(canvasWidth, canvasHeight) {
-        return this.x < -this.size || this.x > canvasWidth + this.size ||
-            this.y < -this.size || this.y > canvasHeight + this.size;
-    }
-
-    draw(ctx) {
-        const color = this.isEnemy ? '#ff4444' : '#ffdd00';
-        const glowColor = this.isEnemy ? '#ff0000' : '#ffff00';
-
-        // Draw trail
-        for (let i = 0; i < this.trail.length; i++) {
-            const pos = this.trail[i];
-            const alpha = (i + 1) / this.trail.length * 0.4;
-            const size = this.size * (i + 1) / this.trail.length;
-
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, size, 0, Math.PI * 2);
-            ctx.fillStyle = this.isEnemy ? `rgba(255, 68, 68, ${alpha})` : `rgba(255, 221, 0, ${alpha})`;
-            ctx.fill();
-        }
-
-        // Draw bullet
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fillStyle = color;
-        ctx.shadowColor = glowColor;
-        ctx.shadowBlur = 10;
-        ctx.fill();
-    }
-}
-
-/**
- * Enemy Plane class
- */
-class Enemy extends Entity {
-    constructor(x, y, type) {
-        const config = CONFIG.enemies.types[type];
-        super(x, y, config.size);
-
-        this.type = type;
-        this.speed = config.speed;
-        this.maxHealth = config.health;
-        this.health = config.health;
-        this.color = config.color;
-        this.score = config.score;
-        this.shootChance = config.shootChance;
-        this.damage = 25; // Collision damage
-        this.lastShot = Date.now() - Math.random() * CONFIG.enemies.shootCooldown; // Stagger initial shots
-
-        // Movement pattern
-        this.wobblePhase = Math.random() * Math.PI * 2;
-        this.wobbleSpeed = 0.03 + Math.random() * 0.02;
-        this.wobbleAmount = 1 + Math.random() * 1.5;
-
-        // Animation
-        this.pulsePhase = Math.random() * Math.PI * 2;
-    }
-
-    update(playerX, playerY, canvasWidth) {
-        // Move downward with wobble
-        this.wobblePhase += this.wobbleSpeed;
-        this.x += Math.sin(this.wobblePhase) * this.wobbleAmount;
-        this.y += this.speed;
-
-        // Keep in horizontal bounds
-        this.x = Math.max(this.size, Math.min(canvasWidth - this.size, this.x));
-
-        // Update pulse animation
-        this.pulsePhase += 0.08;
-    }
-
-    /**
-     * Check if enemy can shoot
-     */
-    canShoot() {
-        const now = Date.now();
-        if (now - this.lastShot >= CONFIG.enemies.shootCooldown) {
-            if (Math.random() < this.shootChance) {
-                this.lastShot = now;
-                return true;
-            }
-            this.lastShot = now; // Reset even if not shooting
-        }
-        return false;
-    }
-
-    /**
-     * Calculate angle to player for shooting
-     */
-    getAngleToPlayer(playerX, playerY) {
-        return Math.atan2(playerY - this.y, playerX - this.x);
-    }
-
-    takeDamage(amount) {
-        this.health -= amount;
-        audioManager.playHit();
-
-        if (this.health <= 0) {
-            this.active = false;
-            return true; // Enemy died
-        }
-        return false;
-    }
-
-    isOutOfBounds(canvasHeight) {
-        return this.y > canvasHeight + this.size * 2;
-    }
-
-    draw(ctx) {
-        const pulse = 1 + Math.sin(this.pulsePhase) * 0.05;
-        const displaySize = this.size * pulse;
-
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        // Enemies face downward (rotated 180 degrees)
-        ctx.rotate(Math.PI);
-
-        // Different plane designs based on type
-        if (this.type === 'bomber') {
-            this.drawBomber(ctx, displaySize);
-        } else if (this.type === 'ace') {
-            this.drawAce(ctx, displaySize);
-        } else {
-            this.drawFighter(ctx, displaySize);
-        }
-
-        ctx.restore();
-
-        // Health bar (not rotated)
-        const healthPercent = this.health / this.maxHealth;
-        const barWidth = displaySize * 2;
-        const barHeight = 4;
-        const barY = this.y - displaySize - 12;
-
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        ctx.fillRect(this.x - barWidth / 2, barY, barWidth, barHeight);
-
-        ctx.fillStyle = healthPercent > 0.3 ? '#00ff00' : '#ff0000';
-        ctx.fillRect(this.x - barWidth / 2, barY, barWidth * healthPercent, barHeight);
-    }
-
-    drawFighter(ctx, size) {
-        ctx.beginPath();
-        ctx.moveTo(0, -size);
-        ctx.lineTo(size * 0.8, size * 0.3);
-        ctx.lineTo(size * 0.3, size * 0.5);
-        ctx.lineTo(0, size * 0.8);
-        ctx.lineTo(-size * 0.3, size * 0.5);
-        ctx.lineTo(-size * 0.8, size * 0.3);
-        ctx.closePath();
-
-        ctx.fillStyle = this.color;
-        ctx.shadowColor = this.color;
-        ctx.shadowBlur = 12;
-        ctx.fill();
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
-    }
-
-    drawBomber(ctx, size) {
-        // Larger, bulkier shape
-        ctx.beginPath();
-        ctx.moveTo(0, -size * 0.7);
-        ctx.lineTo(size * 0.5, -size * 0.3);
-        ctx.lineTo(size, size * 0.2);
-        ctx.lineTo(size * 0.8, size * 0.6);
-        ctx.lineTo(size * 0.3, size * 0.8);
-        ctx.lineTo(0, size);
-        ctx.lineTo(-size * 0.3, size * 0.8);
-        ctx.lineTo(-size * 0.8, size * 0.6);
-        ctx.lineTo(-size, size * 0.2);
-        ctx.lineTo(-size * 0.5, -size * 0.3);
-        ctx.closePath();
-
-        ctx.fillStyle = this.color;
-        ctx.shadowColor = this.color;
-        ctx.shadowBlur = 15;
-        ctx.fill();
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-    }
-
-    drawAce(ctx, size) {
-        // Sleek, fast design
-        ctx.beginPath();
-        ctx.moveTo(0, -size * 1.1);
-        ctx.lineTo(size * 0.4, -size * 0.2);
-        ctx.lineTo(size * 1.1, size * 0.3);
-        ctx.lineTo(size * 0.3, size * 0.4);
-        ctx.lineTo(size * 0.4, size * 0.8);
-        ctx.lineTo(0, size * 0.5);
-        ctx.lineTo(-size * 0.4, size * 0.8);
-        ctx.lineTo(-size * 0.3, size * 0.4);
-        ctx.lineTo(-size * 1.1, size * 0.3);
-        ctx.lineTo(-size * 0.4, -size * 0.2);
-        ctx.closePath();
-
-        ctx.fillStyle = this.color;
-        ctx.shadowColor = this.color;
-        ctx.shadowBlur = 10;
-        ctx.fill();
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-    }
-}
-
-/**
- * Power-up class
- */
-class PowerUp extends Entity {
-    constructor(x, y, type) {
-        super(x, y, CONFIG.powerups.size);
-        this.type = type;
-        this.config = CONFIG.powerups.types[type];
-        this.floatPhase = Math.random() * Math.PI * 2;
-        this.createdAt = Date.now();
-        this.lifetime = 12000; // 12 seconds to collect
-        this.baseY = y;
-    }
-
-    update() {
-        // Float down slowly
-        this.y += 0.8;
-
-        // Horizontal float animation
-        this.floatPhase += 0.06;
-        this.x += Math.sin(this.floatPhase) * 0.5;
-
-        // Check lifetime
-        if (Date.now() - this.createdAt > this.lifetime) {
-            this.active = false;
-        }
-    }
-
-    isOutOfBounds(canvasHeight) {
-        return this.y > canvasHeight + this.size;
-    }
-
-    draw(ctx) {
-        const pulse = 1 + Math.sin(this.floatPhase * 2) * 0.15;
-        const displaySize = this.size * pulse;
-
-        // Fading effect when about to expire
-        const timeLeft = this.lifetime - (Date.now() - this.createdAt);
-        const alpha = timeLeft < 3000 ? 0.3 + (timeLeft / 3000) * 0.7 : 1;
-
-        ctx.save();
-        ctx.globalAlpha = alpha;
-        ctx.translate(this.x, this.y);
-
-        // Outer glow
-        ctx.beginPath();
-        ctx.arc(0, 0, displaySize + 8, 0, Math.PI * 2);
-        const glowGradient = ctx.createRadialGradient(0, 0, displaySize, 0, 0, displaySize + 12);
-        glowGradient.addColorStop(0, this.config.color);
-        glowGradient.addColorStop(1, 'transparent');
-        ctx.fillStyle = glowGradient;
-        ctx.fill();
-
-        // Inner circle
-        ctx.beginPath();
-        ctx.arc(0, 0, displaySize, 0, Math.PI * 2);
-        ctx.fillStyle = this.config.color;
-        ctx.shadowColor = this.config.color;
-        ctx.shadowBlur = 20;
-        ctx.fill();
-
-        // Icon
-        ctx.fillStyle = '#000000';
-        ctx.font = `bold ${displaySize}px Arial`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.shadowBlur = 0;
-        ctx.fillText(this.config.icon, 0, 2);
-
-        ctx.restore();
-    }
-}
-
-/**
- * BlackHole class - Portal that transitions to a new level
- * Dark rotating spiral with gravitational visual effects
- */
-class BlackHole extends Entity {
-    constructor(x, y) {
-        super(x, y, 40);
-        this.rotationAngle = 0;
-        this.pulsePhase = 0;
-        this.createdAt = Date.now();
-        this.particles = [];
-
-        // Generate initial accretion disk particles
-        for (let i = 0; i < 20; i++) {
-            this.particles.push({
-                angle: Math.random() * Math.PI * 2,
-                distance: 25 + Math.random() * 25,
-                speed: 0.02 + Math.random() * 0.03,
-                size: 2 + Math.random() * 3,
-                color: Math.random() > 0.5 ? '#ff4400' : '#ff8800'
-            });
-        }
-    }
-
-    update() {
-        this.rotationAngle += 0.03;
-        this.pulsePhase += 0.08;
-
-        // Update accretion disk particles
-        this.particles.forEach(p => {
-            p.angle += p.speed;
-            // Spiral inward slowly
-            p.distance -= 0.05;
-            if (p.distance < 15) {
-                p.distance = 25 + Math.random() * 25;
-            }
-        });
-    }
-
-    draw(ctx) {
-        ctx.save();
-        ctx.translate(this.x, this.y);
-
-        const pulse = 1 + Math.sin(this.pulsePhase) * 0.1;
-
-        // Outer gravitational distortion effect (dark purple halo)
-        const outerGlow = ctx.createRadialGradient(0, 0, this.size * 0.5, 0, 0, this.size * 2);
-        outerGlow.addColorStop(0, 'rgba(50, 0, 80, 0.6)');
-        outerGlow.addColorStop(0.5, 'rgba(30, 0, 50, 0.3)');
-        outerGlow.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 2 * pulse, 0, Math.PI * 2);
-        ctx.fillStyle = outerGlow;
-        ctx.fill();
-
-        // Accretion disk particles (rotating around the hole)
-        ctx.save();
-        ctx.rotate(this.rotationAngle);
-        this.particles.forEach(p => {
-            const px = Math.cos(p.angle) * p.distance;
-            const py = Math.sin(p.angle) * p.distance * 0.4; // Elliptical orbit
-            ctx.beginPath();
-            ctx.arc(px, py, p.size, 0, Math.PI * 2);
-            ctx.fillStyle = p.color;
-            ctx.shadowColor = p.color;
-            ctx.shadowBlur = 8;
-            ctx.fill();
-        });
-        ctx.restore();
-
-        // Event horizon ring (orange-red glow)
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 0.8 * pulse, 0, Math.PI * 2);
-        ctx.strokeStyle = '#ff4400';
-        ctx.lineWidth = 3;
-        ctx.shadowColor = '#ff6600';
-        ctx.shadowBlur = 20;
-        ctx.stroke();
-
-        // Inner black core with gradient
-        const coreGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.size * 0.7);
-        coreGradient.addColorStop(0, '#000000');
-        coreGradient.addColorStop(0.7, '#0a0015');
-        coreGradient.addColorStop(1, '#1a0030');
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 0.7, 0, Math.PI * 2);
-        ctx.fillStyle = coreGradient;
-        ctx.shadowColor = '#000000';
-        ctx.shadowBlur = 30;
-        ctx.fill();
-
-        // Rotating spiral lines
-        ctx.save();
-        ctx.rotate(this.rotationAngle * 2);
-        for (let i = 0; i < 6; i++) {
-            ctx.rotate(Math.PI / 3);
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.quadraticCurveTo(
-                this.size * 0.3, this.size * 0.2,
-                this.size * 0.5, 0
-            );
-            ctx.strokeStyle = 'rgba(100, 50, 150, 0.4)';
-            ctx.lineWidth = 2;
-            ctx.shadowBlur = 0;
-            ctx.stroke();
-        }
-        ctx.restore();
-
-        ctx.restore();
-    }
-}
-
-/**
- * WhiteHole class - Portal that resets the score
- * Bright glowing portal with light rays
- */
-class WhiteHole extends Entity {
-    constructor(x, y) {
-        super(x, y, 40);
-        this.glowPhase = 0;
-        this.rayRotation = 0;
-        this.createdAt = Date.now();
-        this.sparkles = [];
-
-        // Generate sparkle particles
-        for (let i = 0; i < 15; i++) {
-            this.sparkles.push({
-                angle: Math.random() * Math.PI * 2,
-                distance: 30 + Math.random() * 30,
-                size: 1 + Math.random() * 3,
-                speed: 0.01 + Math.random() * 0.02,
-                phase: Math.random() * Math.PI * 2,
-            });
-        }
-    }
-
-    update() {
-        this.glowPhase += 0.06;
-        this.rayRotation += 0.015;
-
-        // Update sparkles
-        this.sparkles.forEach(s => {
-            s.phase += 0.1;
-            s.angle += s.speed;
-        });
-    }
-
-    draw(ctx) {
-        ctx.save();
-        ctx.translate(this.x, this.y);
-
-        const glowIntensity = 0.7 + Math.sin(this.glowPhase) * 0.3;
-        const pulse = 1 + Math.sin(this.glowPhase * 0.5) * 0.1;
-
-        // Outer glow aura
-        const outerGlow = ctx.createRadialGradient(0, 0, this.size * 0.3, 0, 0, this.size * 2.5);
-        outerGlow.addColorStop(0, `rgba(255, 255, 255, ${0.4 * glowIntensity})`);
-        outerGlow.addColorStop(0.3, `rgba(200, 230, 255, ${0.25 * glowIntensity})`);
-        outerGlow.addColorStop(0.6, `rgba(150, 200, 255, ${0.1 * glowIntensity})`);
-        outerGlow.addColorStop(1, 'rgba(100, 150, 255, 0)');
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 2.5 * pulse, 0, Math.PI * 2);
-        ctx.fillStyle = outerGlow;
-        ctx.fill();
-
-        // Light rays emanating outward
-        ctx.save();
-        ctx.rotate(this.rayRotation);
-        for (let i = 0; i < 12; i++) {
-            ctx.rotate(Math.PI / 6);
-            ctx.beginPath();
-            ctx.moveTo(this.size * 0.5, 0);
-            ctx.lineTo(this.size * 1.8, 0);
-            ctx.strokeStyle = `rgba(255, 255, 255, ${0.3 * glowIntensity})`;
-            ctx.lineWidth = 2;
-            ctx.stroke();
-        }
-        ctx.restore();
-
-        // Sparkle particles
-        this.sparkles.forEach(s => {
-            const sparkleAlpha = 0.3 + Math.sin(s.phase) * 0.4;
-            const sx = Math.cos(s.angle) * s.distance;
-            const sy = Math.sin(s.angle) * s.distance;
-
-            ctx.beginPath();
-            ctx.arc(sx, sy, s.size * (0.5 + Math.sin(s.phase) * 0.5), 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(255, 255, 255, ${Math.max(0, sparkleAlpha)})`;
-            ctx.shadowColor = '#ffffff';
-            ctx.shadowBlur = 10;
-            ctx.fill();
-        });
-
-        // Middle ring
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 0.7 * pulse, 0, Math.PI * 2);
-        ctx.strokeStyle = `rgba(200, 230, 255, ${0.8 * glowIntensity})`;
-        ctx.lineWidth = 3;
-        ctx.shadowColor = '#88ccff';
-        ctx.shadowBlur = 25;
-        ctx.stroke();
-
-        // Bright white core
-        const coreGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.size * 0.6);
-        coreGradient.addColorStop(0, '#ffffff');
-        coreGradient.addColorStop(0.5, '#eeffff');
-        coreGradient.addColorStop(1, '#aaddff');
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * 0.5 * pulse, 0, Math.PI * 2);
-        ctx.fillStyle = coreGradient;
-        ctx.shadowColor = '#ffffff';
-        ctx.shadowBlur = 40;
-        ctx.fill();
-
-        ctx.restore();
-    }
-}
-
 /**
- * Particle class for explosions
+ * Gamepad state of one player at the last poll
  */
-class Particle {
-    constructor(x, y, color, isBig = false) {
-        this.x = x;
-        this.y = y;
-        this.color = color;
-        this.size = isBig ? Math.random() * 8 + 4 : Math.random() * 5 + 2;
-
-        const angle = Math.random() * Math.PI * 2;
-        const speed = isBig ? Math.random() * 8 + 4 : Math.random() * 6 + 2;
-        this.vx = Math.cos(angle) * speed;
-        this.vy = Math.sin(angle) * speed;
-
-        this.life = 1;
-        this.decay = isBig ? 0.015 : 0.02 + Math.random() * 0.02;
-        this.gravity = 0.1;
-    }
-
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.vy += this.gravity;
-        this.vx *= 0.98;
-        this.life -= this.decay;
-    }
-
-    draw(ctx) {
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size * this.life, 0, Math.PI * 2);
-        ctx.fillStyle = this.color;
-        ctx.globalAlpha = this.life;
-        ctx.shadowColor = this.color;
-        ctx.shadowBlur = 5;
-        ctx.fill();
-        ctx.globalAlpha = 1;
-        ctx.shadowBlur = 0;
-    }
-
-    isDead() {
-        return this.life <= 0;
-    }
-}
-
-/**
- * Cloud class for background
- */
-class Cloud {
-    constructor(canvasWidth, canvasHeight, startAtTop = false) {
-        this.x = Math.random() * canvasWidth;
-        this.y = startAtTop ? -50 : Math.random() * canvasHeight;
-        this.width = 60 + Math.random() * 100;
-        this.height = 30 + Math.random() * 40;
-        this.speed = CONFIG.clouds.minSpeed + Math.random() * (CONFIG.clouds.maxSpeed - CONFIG.clouds.minSpeed);
-        this.opacity = 0.1 + Math.random() * 0.15;
-    }
-
-    update(canvasHeight) {
-        this.y += this.speed;
-        if (this.y > canvasHeight + this.height) {
-            return false; // Remove cloud
-        }
-        return true;
-    }
-
-    draw(ctx) {
-        ctx.save();
-        ctx.globalAlpha = this.opacity;
-        ctx.fillStyle = '#ffffff';
-
-        // Simple cloud shape
-        ctx.beginPath();
-        ctx.ellipse(this.x, this.y, this.width * 0.5, this.height * 0.5, 0, 0, Math.PI * 2);
-        ctx.ellipse(this.x - this.width * 0.3, this.y + 5, this.width * 0.35, this.height * 0.4, 0, 0, Math.PI * 2);
-        ctx.ellipse(this.x + this.width * 0.3, this.y + 5, this.width * 0.35, this.height * 0.4, 0, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.restore();
-    }
+function createPadState() {
+    return { index: null, buttons: [], moveX: 0, moveY: 0 };
 }
 
 // ============================================
@@ -1041,50 +35,145 @@ class Game {
     constructor() {
         // Canvas setup
         this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.renderer = new Renderer(this.canvas);
+
+        // Gameplay runs in the simulation; this class only presents it
+        this.sim = new Simulation(this.canvas.width, this.canvas.height, WAVE_SCRIPTS, AREA_MAP);
+        this.clock = this.sim.clock;
 
-        // Entity arrays
+        // Player of the current run (null on the menus)
         this.player = null;
-        this.bullets = [];
-        this.enemyBullets = [];
-        this.enemies = [];
-        this.powerups = [];
-        this.particles = [];
-        this.clouds = [];
 
-        // Portal objects
-        this.blackHole = null;
-        this.whiteHole = null;
+        // Seed requested through the URL (?seed=123), for shared runs
+        const params = new URLSearchParams(window.location.search);
+        const urlSeed = parseInt(params.get('seed'), 10);
+        this.customSeed = Number.isNaN(urlSeed) ? null : urlSeed >>> 0;
 
-        // Background gradient
-        this.skyGradient = null;
+        // Online leaderboard server, set through ?leaderboard=<url> and remembered
+        // (an empty value switches it off again)
+        if (params.get('leaderboard') !== null) {
+            localStorage.setItem(ONLINE_LEADERBOARD.endpointKey, params.get('leaderboard'));
+        }
+        this.online = new OnlineLeaderboard({
+            endpoint: localStorage.getItem(ONLINE_LEADERBOARD.endpointKey) || ONLINE_LEADERBOARD.endpoint,
+            storage: localStorage,
+        });
 
-        // Level transition effect
-        this.transitionAlpha = 0;
-        this.transitionDirection = 0; // 0 = none, 1 = fade out, -1 = fade in
+        // Online co-op relay server, set through ?netplay=<url> and remembered the same way
+        if (params.get('netplay') !== null) {
+            localStorage.setItem(NETPLAY.endpointKey, params.get('netplay'));
+        }
+        this.netplayEndpoint = localStorage.getItem(NETPLAY.endpointKey) || NETPLAY.endpoint;
+        this.netConnection = null; // Link to the partner, from the lobby to the end of the run
+        this.netplay = null; // LockstepSession of an online run
+        this.netplayWaitStart = null; // When the partner's input got late (performance.now() ms)
+        this.netRoundTrips = []; // Round trips to the partner timed by the host in the lobby (ms)
 
         // Timers
-        this.lastEnemySpawn = 0;
         this.lastFrameTime = 0;
+        this.animationFrame = null;
+
+        // Local top 10 (replaces the single stored high score)
+        this.leaderboard = new Leaderboard(localStorage);
+        gameState.highScore = this.leaderboard.getHighScore();
+        this.pendingEntry = null; // Finished run waiting for initials
+        this.pendingSubmission = null; // Same for the online leaderboard
+        this.leaderboardMode = 'random';
+        this.leaderboardScope = 'local'; // 'local' or 'global'
+        this.leaderboardRequest = 0;
+        this.leaderboardReturnScreen = null;
+
+        // Lifetime statistics, and the counters of the live run being played
+        this.profile = new PlayerProfile(localStorage);
+        this.runStats = null;
+        // Key and button bindings; `capture` is the settings slot waiting for a new one
+        this.controls = new ControlBindings(localStorage);
+        this.capture = null;
+        this.captureFrame = null;
+
+        // Gamepad of each player: buttons held and stick position at the last poll
+        this.gamepads = [createPadState(), createPadState()];
+
+        this.achievements = new AchievementTracker(this.profile, {
+            onUnlock: achievement => this.announceAchievement(achievement),
+        });
+
+        // Replay recording (live runs) and playback
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.replayReturnScreen = null;
 
         // UI Elements
         this.ui = {
             healthFill: document.getElementById('health-fill'),
             healthText: document.getElementById('health-text'),
             scoreValue: document.getElementById('score-value'),
+            comboDisplay: document.getElementById('combo-display'),
+            comboMultiplier: document.getElementById('combo-multiplier'),
+            comboChain: document.getElementById('combo-chain'),
+            comboTimerFill: document.getElementById('combo-timer-fill'),
             startScreen: document.getElementById('start-screen'),
             gameoverScreen: document.getElementById('gameover-screen'),
+            pauseScreen: document.getElementById('pause-screen'),
+            pauseButton: document.getElementById('pause-button'),
             finalScore: document.getElementById('final-score-value'),
             highScore: document.getElementById('high-score-value'),
+            initialsForm: document.getElementById('initials-form'),
+            initialsLabel: document.getElementById('initials-label'),
+            initialsInput: document.getElementById('initials-input'),
+            leaderboardScreen: document.getElementById('leaderboard-screen'),
+            leaderboardBody: document.getElementById('leaderboard-body'),
+            leaderboardScopes: document.getElementById('leaderboard-scopes'),
+            leaderboardStatus: document.getElementById('leaderboard-status'),
+            statsScreen: document.getElementById('stats-screen'),
+            statsBody: document.getElementById('stats-body'),
+            controlsGrid: document.getElementById('controls-grid'),
+            gamepadStatus: document.getElementById('gamepad-status'),
+            settingsScreen: document.getElementById('settings-screen'),
+            settingsBody: document.getElementById('settings-body'),
+            settingsStatus: document.getElementById('settings-status'),
+            achievementsScreen: document.getElementById('achievements-screen'),
+            achievementsList: document.getElementById('achievements-list'),
+            achievementsCount: document.getElementById('achievements-count'),
+            profileFileInput: document.getElementById('profile-file-input'),
             enemiesDefeated: document.getElementById('enemies-defeated'),
+            maxCombo: document.getElementById('max-combo'),
             timeSurvived: document.getElementById('time-survived'),
+            runSeed: document.getElementById('run-seed'),
             soundToggle: document.getElementById('sound-toggle'),
+            powerupWeapon: document.getElementById('powerup-weapon'),
+            powerupCharge: document.getElementById('powerup-charge'),
+            chargeToggle: document.getElementById('charge-toggle'),
+            coopToggle: document.getElementById('coop-toggle'),
+            coopScoreToggle: document.getElementById('coop-score-toggle'),
+            playerScore: document.getElementById('player-score'),
+            netplayButton: document.getElementById('netplay-button'),
+            netplayScreen: document.getElementById('netplay-screen'),
+            netplayStatus: document.getElementById('netplay-status'),
+            netplayCode: document.getElementById('netplay-code'),
+            netplayWaiting: document.getElementById('netplay-waiting'),
+            partnerHud: document.getElementById('partner-hud'),
+            partnerHealthFill: document.getElementById('partner-health-fill'),
+            partnerHealthText: document.getElementById('partner-health-text'),
+            partnerBombs: document.getElementById('partner-bombs'),
+            partnerScore: document.getElementById('partner-score'),
+            coopResult: document.getElementById('coop-result'),
+            routeResult: document.getElementById('route-result'),
             powerupRapid: document.getElementById('powerup-rapid'),
             powerupShield: document.getElementById('powerup-shield'),
             powerupDamage: document.getElementById('powerup-damage'),
             powerupBomb: document.getElementById('powerup-bomb'),
             powerupLife: document.getElementById('powerup-life'),
             levelValue: document.getElementById('level-value'),
+            bossBar: document.getElementById('boss-bar'),
+            bossName: document.getElementById('boss-name'),
+            bossHealthFill: document.getElementById('boss-health-fill'),
+            replayControls: document.getElementById('replay-controls'),
+            replayPlay: document.getElementById('replay-play'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTick: document.getElementById('replay-tick'),
+            replayFileInput: document.getElementById('replay-file-input'),
         };
 
         // Bind methods
@@ -1101,6 +190,22 @@ class Game {
             startX: 0,
             startY: 0,
         };
+        this.joystickSettings = loadJoystickSettings(localStorage);
+
+        // Pointer steering (mouse position, or a touch drag relative to where it started)
+        this.steeringSettings = loadSteeringSettings(localStorage);
+        this.pointer = {
+            active: false,
+            touchId: null,
+            targetX: 0,
+            targetY: 0,
+            dragX: 0, // Where the drag started, and the plane then
+            dragY: 0,
+            originX: 0,
+            originY: 0,
+            moveX: 0, // Last vector steered
+            moveY: 0,
+        };
 
         // Initialize
         this.init();
@@ -1111,71 +216,145 @@ class Game {
      */
     init() {
         this.resizeCanvas();
-        this.createSkyGradient();
-        this.generateClouds();
+        this.renderer.generateClouds();
+        this.bindSimulationEvents();
+        this.achievements.listen(this.sim);
         this.setupEventListeners();
         this.updateHighScoreDisplay();
+        this.updateChargeToggle();
+        this.updateCoopToggles();
+        this.ui.netplayButton.classList.toggle('hidden', !this.netplayEndpoint);
+        this.renderControlsHelp();
+        this.applyJoystickSettings();
+        this.applySteeringSettings();
+
+        // Send online scores left over from earlier sessions
+        this.online.flush();
 
         // Start render loop (for start screen background)
-        this.renderBackground();
+        this.startBackgroundLoop();
+    }
+
+    /**
+     * Start the start-screen background loop
+     */
+    startBackgroundLoop() {
+        cancelAnimationFrame(this.animationFrame);
+        this.lastFrameTime = performance.now();
+        this.renderBackground(this.lastFrameTime);
     }
 
     /**
      * Resize canvas to fill window
      */
     resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        this.setPlayArea(window.innerWidth, window.innerHeight);
     }
 
     /**
-     * Create sky gradient based on current level
+     * Resize both the canvas and the simulated play area
      */
-    createSkyGradient() {
-        this.skyGradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
-
-        // Different themes based on level
-        const level = gameState.currentLevel || 1;
-
-        switch (level) {
-            case 1: // Default purple sky
-                this.skyGradient.addColorStop(0, '#1a1a3a');
-                this.skyGradient.addColorStop(0.5, '#2a2a5a');
-                this.skyGradient.addColorStop(1, '#4a2a6a');
-                break;
-            case 2: // Sunset orange-red
-                this.skyGradient.addColorStop(0, '#1a0a2a');
-                this.skyGradient.addColorStop(0.3, '#4a1a3a');
-                this.skyGradient.addColorStop(0.6, '#8a3030');
-                this.skyGradient.addColorStop(1, '#cc5522');
-                break;
-            case 3: // Deep space blue-black with stars effect
-                this.skyGradient.addColorStop(0, '#000010');
-                this.skyGradient.addColorStop(0.5, '#0a1030');
-                this.skyGradient.addColorStop(1, '#102050');
-                break;
-            case 4: // Alien green nebula
-                this.skyGradient.addColorStop(0, '#0a1a0a');
-                this.skyGradient.addColorStop(0.4, '#1a3a2a');
-                this.skyGradient.addColorStop(0.7, '#2a4a3a');
-                this.skyGradient.addColorStop(1, '#1a5a4a');
-                break;
-            default: // Intense warzone red for high levels
-                const intensity = Math.min((level - 4) * 0.1, 0.5);
-                this.skyGradient.addColorStop(0, `rgb(${30 + intensity * 50}, 10, 20)`);
-                this.skyGradient.addColorStop(0.5, `rgb(${50 + intensity * 80}, 20, 40)`);
-                this.skyGradient.addColorStop(1, `rgb(${80 + intensity * 100}, 30, 50)`);
-        }
+    setPlayArea(width, height) {
+        this.renderer.resize(width, height);
+        this.sim.resize(width, height);
     }
 
     /**
-     * Generate initial clouds
+     * Present simulation events through audio, DOM effects and the renderer
      */
-    generateClouds() {
-        this.clouds = [];
-        for (let i = 0; i < CONFIG.clouds.count; i++) {
-            this.clouds.push(new Cloud(this.canvas.width, this.canvas.height, false));
-        }
+    bindSimulationEvents() {
+        const flash = (className) => {
+            document.body.classList.add(className);
+            setTimeout(() => document.body.classList.remove(className), 300);
+        };
+
+        this.sim
+            .on('playerShoot', ({ weapon }) => {
+                if (weapon === 'laser') {
+                    audioManager.playLaser();
+                } else if (weapon === 'missile') {
+                    audioManager.playMissile();
+                } else if (weapon === 'wave') {
+                    audioManager.playWaveCannon();
+                } else {
+                    audioManager.playShoot();
+                }
+            })
+            .on('weaponChanged', ({ reason }) => {
+                if (reason === 'damage') audioManager.playWeaponDown();
+            })
+            .on('multiplierChanged', ({ multiplier }) => {
+                if (multiplier === 1) return;
+                this.ui.comboDisplay.classList.add('bump');
+                setTimeout(() => this.ui.comboDisplay.classList.remove('bump'), 300);
+                audioManager.playMultiplierUp(multiplier);
+            })
+            .on('chargeStarted', () => audioManager.startCharge(CONFIG.chargeShot.chargeTime / 1000))
+            .on('chargeFull', () => audioManager.playChargeFull())
+            .on('chargeShot', ({ charge }) => {
+                audioManager.stopCharge();
+                audioManager.playChargeShot(charge);
+            })
+            .on('enemyShoot', () => audioManager.playEnemyShoot())
+            .on('enemyHit', () => audioManager.playHit())
+            .on('enemyDestroyed', ({ enemy, cause }) => {
+                this.countRunStat('enemies', enemy.type);
+                // Bomb kills share the single bomb blast sound
+                if (cause !== 'bomb') audioManager.playExplosion();
+            })
+            .on('explosion', ({ x, y, color, isBig }) => this.renderer.createExplosion(x, y, color, isBig))
+            .on('playerDamaged', ({ player }) => {
+                this.rumble(GAMEPAD_RUMBLE.damage, player);
+                audioManager.playDamage();
+                flash('screen-shake');
+            })
+            .on('powerupCollected', ({ type }) => {
+                this.countRunStat('powerups', type);
+                if (type === 'shield') {
+                    audioManager.playShieldActivate();
+                } else if (type === 'life') {
+                    audioManager.playExtraLife();
+                } else {
+                    audioManager.playPowerup();
+                }
+            })
+            .on('powerupExpired', ({ type }) => {
+                if (type === 'shield') audioManager.playShieldDeactivate();
+            })
+            .on('bomb', ({ player }) => {
+                this.countRunStat('bombs');
+                this.rumble(GAMEPAD_RUMBLE.bomb, player);
+                audioManager.playBombExplosion();
+                flash('bomb-flash');
+            })
+            .on('bossSpawned', () => audioManager.playBossWarning())
+            .on('bossHit', () => audioManager.playHit())
+            .on('bossAttack', () => audioManager.playEnemyShoot())
+            .on('bossPhase', () => flash('screen-shake'))
+            .on('bossDefeated', () => {
+                audioManager.playBossDefeated();
+                flash('bomb-flash');
+            })
+            .on('portalsSpawned', () => audioManager.playPortalSpawn())
+            .on('blackHoleEntered', () => {
+                this.countRunStat('blackHoles');
+                audioManager.playBlackHoleEnter();
+            })
+            .on('whiteHoleEntered', () => {
+                this.countRunStat('whiteHoles');
+                audioManager.playWhiteHoleEnter();
+                flash('whitehole-flash');
+            })
+            .on('levelChanged', ({ level, theme }) => this.renderer.createSkyGradient(level, theme))
+            .on('sectorEntered', ({ sector }) => this.countRunStat('sectors', sector))
+            .on('message', ({ text, duration }) => this.renderer.showMessage(text, this.clock.now() + duration))
+            .on('gameOver', () => this.endGame())
+            .on('playerDowned', ({ player }) => {
+                if (!this.sim.settings.coop || this.sim.state.gameOver) return;
+                this.renderer.createExplosion(player.x, player.y, '#4488ff', true);
+                this.renderer.showToast(`💀 P${player.index + 1} DOWN! FLY CLOSE TO REVIVE`, this.sim.clock.now());
+            })
+            .on('playerRevived', () => audioManager.playExtraLife());
     }
 
     /**
@@ -1184,24 +363,141 @@ class Game {
     setupEventListeners() {
         // Window resize
         window.addEventListener('resize', () => {
+            // Replays keep the recorded canvas size (CSS stretches it to fit),
+            // online runs the host's, which both games simulate
+            if (this.replayPlayer || this.netplay) return;
+
             this.resizeCanvas();
-            this.createSkyGradient();
+
+            // The canvas size affects gameplay, so live runs record it
+            if (this.recorder && gameState.isRunning) {
+                this.recorder.recordResize(this.sim.tick, this.canvas.width, this.canvas.height);
+            }
         });
 
         // Keyboard
         window.addEventListener('keydown', this.handleKeyDown);
         window.addEventListener('keyup', this.handleKeyUp);
 
+        // Gamepads (polled every frame, see pollGamepad)
+        window.addEventListener('gamepadconnected', (e) => this.handleGamepadConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.handleGamepadDisconnected(e.gamepad));
+
         // Mouse
         this.canvas.addEventListener('mousedown', this.handleMouseDown);
         this.canvas.addEventListener('mouseup', this.handleMouseUp);
+        this.canvas.addEventListener('mousemove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('mouseleave', () => { this.pointer.active = false; });
 
         // Touch controls for mobile
         this.setupMobileControls();
 
         // Buttons
-        document.getElementById('start-button').addEventListener('click', () => this.startGame());
+        document.getElementById('start-button').addEventListener('click', () => this.startGame(this.customSeed === null ? 'random' : 'custom'));
+        document.getElementById('daily-button').addEventListener('click', () => this.startGame('daily'));
+        this.ui.chargeToggle.addEventListener('click', () => this.toggleChargeShot());
+        this.ui.coopToggle.addEventListener('click', () => this.toggleCoop());
+        this.ui.coopScoreToggle.addEventListener('click', () => this.toggleCoopScore());
         document.getElementById('restart-button').addEventListener('click', () => this.startGame());
+        document.getElementById('resume-button').addEventListener('click', () => this.resumeGame());
+        document.getElementById('pause-restart-button').addEventListener('click', () => this.startGame());
+        document.getElementById('quit-button').addEventListener('click', () => this.quitToTitle());
+        this.ui.pauseButton.addEventListener('click', () => this.togglePause());
+
+        // Replays
+        document.getElementById('watch-replay-button').addEventListener('click', () => {
+            this.watchReplay(this.lastReplay, this.ui.gameoverScreen);
+        });
+        document.getElementById('export-replay-button').addEventListener('click', () => this.exportReplay());
+
+        // Leaderboard
+        document.getElementById('leaderboard-button').addEventListener('click', () => {
+            this.showLeaderboard(this.ui.startScreen);
+        });
+        document.getElementById('gameover-leaderboard-button').addEventListener('click', () => {
+            this.showLeaderboard(this.ui.gameoverScreen, gameState.seedMode);
+        });
+        document.getElementById('leaderboard-back').addEventListener('click', () => this.hideLeaderboard());
+        document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.renderLeaderboard(tab.dataset.mode));
+        });
+        document.querySelectorAll('.leaderboard-scope').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.leaderboardScope = tab.dataset.scope;
+                this.renderLeaderboard(this.leaderboardMode);
+            });
+        });
+        window.addEventListener('online', () => this.online.flush());
+
+        // Lifetime statistics
+        document.getElementById('stats-button').addEventListener('click', () => this.showStats());
+        document.getElementById('achievements-button').addEventListener('click', () => this.showAchievements());
+        document.getElementById('settings-button').addEventListener('click', () => this.showSettings());
+        document.getElementById('settings-back').addEventListener('click', () => this.hideSettings());
+        document.getElementById('joystick-floating').addEventListener('change', () => this.updateJoystickSettings());
+        ['joystick-size', 'joystick-deadzone', 'joystick-opacity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateJoystickSettings());
+        });
+        ['control-scheme', 'steering-autofire'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateSteeringSettings());
+        });
+        ['steering-speed', 'steering-smoothing'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateSteeringSettings());
+        });
+        document.getElementById('settings-reset').addEventListener('click', () => {
+            audioManager.playClick();
+            this.cancelCapture();
+            this.controls.reset();
+            this.joystickSettings = { ...DEFAULT_JOYSTICK };
+            this.steeringSettings = { ...DEFAULT_STEERING };
+            saveJoystickSettings(localStorage, this.joystickSettings);
+            saveSteeringSettings(localStorage, this.steeringSettings);
+            this.applyJoystickSettings();
+            this.applySteeringSettings();
+            this.ui.settingsStatus.textContent = '↩️ Default controls restored';
+            this.renderSettings();
+            this.renderControlsHelp();
+        });
+        document.getElementById('achievements-back').addEventListener('click', () => this.hideAchievements());
+        document.getElementById('stats-back').addEventListener('click', () => this.hideStats());
+        document.getElementById('stats-export').addEventListener('click', () => this.exportProfile());
+        document.getElementById('stats-import').addEventListener('click', () => this.ui.profileFileInput.click());
+        this.ui.profileFileInput.addEventListener('change', () => {
+            const file = this.ui.profileFileInput.files[0];
+            this.ui.profileFileInput.value = '';
+            if (file) this.importProfile(file);
+        });
+        this.ui.initialsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLeaderboardEntry(this.ui.initialsInput.value);
+        });
+        // Online co-op lobby
+        this.ui.netplayButton.addEventListener('click', () => this.showNetplay());
+        document.getElementById('netplay-host').addEventListener('click', () => this.hostNetplay());
+        document.getElementById('netplay-join-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.joinNetplay(this.ui.netplayCode.value);
+        });
+        document.getElementById('netplay-back').addEventListener('click', () => this.hideNetplay());
+
+        document.getElementById('import-replay-button').addEventListener('click', () => this.ui.replayFileInput.click());
+        this.ui.replayFileInput.addEventListener('change', () => {
+            const file = this.ui.replayFileInput.files[0];
+            this.ui.replayFileInput.value = '';
+            if (file) this.importReplay(file);
+        });
+        this.ui.replayPlay.addEventListener('click', () => this.setReplayPaused(!this.clock.frozen));
+        this.ui.replaySeek.addEventListener('input', () => this.seekReplay(parseInt(this.ui.replaySeek.value, 10)));
+        document.getElementById('replay-exit').addEventListener('click', () => this.exitReplay());
+        document.querySelectorAll('.replay-speed').forEach(button => {
+            button.addEventListener('click', () => this.setReplaySpeed(parseFloat(button.dataset.speed)));
+        });
+
+        // Auto-pause when the tab is hidden or the window loses focus
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pauseGame();
+        });
+        window.addEventListener('blur', () => this.pauseGame());
 
         // Sound toggle
         this.ui.soundToggle.addEventListener('click', () => {
@@ -1223,7 +519,7 @@ class Game {
                 e.preventDefault();
                 e.stopPropagation();
                 audioManager.init(); // Initialize audio on first touch
-                if (this.player && gameState.isRunning) {
+                if (this.acceptsInput()) {
                     this.player.input.shooting = true;
                 }
             }, { passive: false });
@@ -1250,7 +546,9 @@ class Game {
                 e.preventDefault();
                 e.stopPropagation();
                 audioManager.init();
-                this.useBomb();
+                if (this.acceptsInput()) {
+                    this.player.input.bomb = true;
+                }
             }, { passive: false });
         }
 
@@ -1275,11 +573,16 @@ class Game {
         // Prevent default touch behaviors on canvas to avoid scrolling/zooming
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
+            this.handleDragStart(e);
         }, { passive: false });
 
         this.canvas.addEventListener('touchmove', (e) => {
             e.preventDefault();
+            this.handleDragMove(e);
         }, { passive: false });
+
+        this.canvas.addEventListener('touchend', (e) => this.handleDragEnd(e));
+        this.canvas.addEventListener('touchcancel', (e) => this.handleDragEnd(e));
     }
 
 
@@ -1287,68 +590,200 @@ class Game {
     // INPUT HANDLERS
     // ============================================
 
+    /**
+     * Whether live input should reach the player (not while paused or replaying)
+     */
+    acceptsInput() {
+        return this.player !== null && gameState.isRunning && !gameState.isPaused && !this.replayPlayer;
+    }
+
     handleKeyDown(e) {
-        // Prevent default for game keys
-        if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyB'].includes(e.code)) {
+        // Typing initials is not game input
+        if (e.target === this.ui.initialsInput) return;
+
+        // A settings slot waiting for a key takes this one (ESC cancels, DEL clears)
+        if (this.capture) {
             e.preventDefault();
+            if (e.code === 'Escape') {
+                this.cancelCapture();
+            } else if (e.code === 'Delete' || e.code === 'Backspace') {
+                this.finishCapture(null);
+            } else if (this.capture.device !== 'gamepad') {
+                this.finishCapture(e.code);
+            }
+            return;
         }
 
+        // Prevent default for game keys
+        const { action, player } = this.getKeyAction(e.code);
+        if (!action) return;
+        e.preventDefault();
+
         if (!this.player || !gameState.isRunning) return;
 
-        switch (e.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.player.input.up = true;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.player.input.down = true;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.player.input.left = true;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.player.input.right = true;
-                break;
-            case 'Space':
-                this.player.input.shooting = true;
-                break;
-            case 'KeyB':
-                this.useBomb();
-                break;
+        // Pause toggle
+        if (action === 'pause') {
+            if (!e.repeat) this.togglePause();
+            return;
         }
+
+        if (!this.acceptsInput()) return;
+        this.setActionInput(action, true, player);
     }
 
     handleKeyUp(e) {
         if (!this.player) return;
 
-        switch (e.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.player.input.up = false;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.player.input.down = false;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.player.input.left = false;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.player.input.right = false;
-                break;
-            case 'Space':
-                this.player.input.shooting = false;
-                break;
+        // Bomb presses are used up by the simulation
+        const { action, player } = this.getKeyAction(e.code);
+        if (action && action !== 'bomb') this.setActionInput(action, false, player);
+    }
+
+    /**
+     * Action of a key and the plane it drives: in co-op player 2's keys
+     * come first, every other key drives player 1
+     */
+    getKeyAction(code) {
+        const partner = this.isLocalCoop() ? this.sim.players[1] : null;
+        const partnerAction = partner ? this.controls.getAction('keyboard2', code) : null;
+        if (partnerAction) return { action: partnerAction, player: partner };
+
+        return { action: this.controls.getAction('keyboard', code), player: this.player };
+    }
+
+    // ============================================
+    // GAMEPAD
+    // ============================================
+
+    /**
+     * The gamepad of a player (0 or 1). Alone, that is the last one connected,
+     * else any connected one. In co-op the pads go to the players in order,
+     * and a single pad goes to player 2 so player 1 keeps the keyboard.
+     */
+    getGamepad(playerIndex = 0) {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+        const state = this.gamepads[playerIndex];
+        let pad;
+        if (this.isLocalCoop() && gameState.isRunning) {
+            pad = pads[pads.length === 1 ? playerIndex - 1 : playerIndex] || null;
+        } else {
+            pad = playerIndex === 0 ? pads.find(candidate => candidate.index === state.index) || pads[0] || null : null;
+        }
+        state.index = pad ? pad.index : null;
+        return pad;
+    }
+
+    /**
+     * Read each player's gamepad into their input, like key presses
+     * (browsers only report gamepad state when asked)
+     */
+    pollGamepad() {
+        // Online the pad flies this machine's plane
+        const players = this.netplay ? [this.player] : this.sim.players;
+        players.forEach((player, index) => {
+            const pad = this.getGamepad(index);
+            if (pad) this.pollPlayerGamepad(pad, this.gamepads[index], player);
+        });
+    }
+
+    pollPlayerGamepad(pad, state, player) {
+        // Buttons act on press and release through their bindings
+        const buttons = pad.buttons.map(button => button.pressed);
+        buttons.forEach((pressed, index) => {
+            if (pressed === Boolean(state.buttons[index])) return;
+            const action = this.controls.getAction('gamepad', index);
+            if (action) this.handleGamepadButton(action, pressed, player);
+        });
+        state.buttons = buttons;
+
+        // Stick positions are rounded to what replays record
+        const stick = applyRadialDeadzone(pad.axes[GAMEPAD_STICK.axisX] || 0, pad.axes[GAMEPAD_STICK.axisY] || 0, GAMEPAD_STICK.deadzone);
+        const moveX = quantizeAxis(stick.x);
+        const moveY = quantizeAxis(stick.y);
+        const moved = moveX !== state.moveX || moveY !== state.moveY;
+        state.moveX = moveX;
+        state.moveY = moveY;
+
+        // A centered stick leaves the input to the other controls
+        if (this.acceptsInput() && (moved || moveX !== 0 || moveY !== 0)) {
+            player.input.moveX = moveX;
+            player.input.moveY = moveY;
         }
     }
 
+    /**
+     * Gamepad button counterpart of handleKeyDown / handleKeyUp
+     */
+    handleGamepadButton(action, pressed, player = this.player) {
+        if (!this.player) return;
+
+        if (!pressed) {
+            if (action !== 'bomb' && action !== 'pause') this.setActionInput(action, false, player);
+            return;
+        }
+
+        if (!gameState.isRunning) return;
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+        if (this.acceptsInput()) this.setActionInput(action, true, player);
+    }
+
+    handleGamepadConnected(pad) {
+        // Pads may change hands in co-op, so every held button starts over
+        this.gamepads.forEach(state => { state.buttons = []; });
+        this.gamepads[0].index = pad.index;
+        this.updateGamepadStatus(pad);
+        if (gameState.isRunning) {
+            this.renderer.showToast('🎮 GAMEPAD CONNECTED', this.sim.clock.now());
+        }
+    }
+
+    handleGamepadDisconnected(pad) {
+        if (!this.gamepads.some(state => state.index === pad.index)) return;
+
+        // Another pad may still be connected
+        this.gamepads = [createPadState(), createPadState()];
+        this.updateGamepadStatus(this.getGamepad());
+
+        // Pausing also lets go of everything the pad was holding
+        this.pauseGame();
+    }
+
+    /**
+     * Show the connected gamepad on the start screen
+     */
+    updateGamepadStatus(pad) {
+        this.ui.gamepadStatus.textContent = pad ? `🎮 ${pad.id.split('(')[0].trim() || 'Gamepad'} ready` : '';
+    }
+
+    /**
+     * Rumble a player's gamepad, where the browser supports it (live runs only)
+     */
+    rumble(effect, player = this.player) {
+        if (this.replayPlayer) return;
+        if (this.netplay && player !== this.player) return;
+
+        const pad = this.getGamepad(this.netplay ? 0 : player.index);
+        const actuator = pad && pad.vibrationActuator;
+        if (!actuator || typeof actuator.playEffect !== 'function') return;
+
+        actuator.playEffect('dual-rumble', { startDelay: 0, ...effect }).catch(() => {});
+    }
+
+    /**
+     * Press or release the Player.input flag an action drives
+     */
+    setActionInput(action, pressed, player = this.player) {
+        const { input } = CONTROL_ACTIONS.find(control => control.id === action);
+        if (input) player.input[input] = pressed;
+    }
+
     handleMouseDown(e) {
-        if (!this.player || !gameState.isRunning) return;
+        if (!this.acceptsInput()) return;
         if (e.button === 0) {
             this.player.input.shooting = true;
         }
@@ -1379,6 +814,15 @@ class Game {
         this.joystick.startX = rect.left + rect.width / 2;
         this.joystick.startY = rect.top + rect.height / 2;
 
+        // A floating stick moves its center to where the thumb landed
+        if (this.joystickSettings.floating) {
+            const offsetX = touch.clientX - this.joystick.startX;
+            const offsetY = touch.clientY - this.joystick.startY;
+            document.getElementById('joystick-container').style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+            this.joystick.startX = touch.clientX;
+            this.joystick.startY = touch.clientY;
+        }
+
         // Immediately process this touch as a move
         this.processJoystickTouch(touch);
     }
@@ -1410,7 +854,7 @@ class Game {
     processJoystickTouch(touch) {
         const dx = touch.clientX - this.joystick.startX;
         const dy = touch.clientY - this.joystick.startY;
-        const maxOffset = 45;
+        const maxOffset = this.joystickSettings.size * 0.375; // Stick travel in px
 
         // Clamp to max offset
         const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1426,16 +870,11 @@ class Game {
             stick.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
         }
 
-        // Update player input based on normalized distance
-        if (this.player && gameState.isRunning) {
-            const threshold = 12;
-            const normalizedDistance = distance / maxOffset;
-
-            // Use cardinal directions with some dead zone
-            this.player.input.left = dx < -threshold;
-            this.player.input.right = dx > threshold;
-            this.player.input.up = dy < -threshold;
-            this.player.input.down = dy > threshold;
+        // The stick's travel sets direction and speed (rounded to what replays record)
+        if (this.acceptsInput()) {
+            const move = applyRadialDeadzone(dx / maxOffset, dy / maxOffset, this.joystickSettings.deadzone);
+            this.player.input.moveX = quantizeAxis(move.x);
+            this.player.input.moveY = quantizeAxis(move.y);
         }
     }
 
@@ -1462,12 +901,11 @@ class Game {
             if (stick) {
                 stick.style.transform = 'translate(0, 0)';
             }
+            document.getElementById('joystick-container').style.transform = '';
 
             if (this.player) {
-                this.player.input.left = false;
-                this.player.input.right = false;
-                this.player.input.up = false;
-                this.player.input.down = false;
+                this.player.input.moveX = 0;
+                this.player.input.moveY = 0;
             }
         }
     }
@@ -1477,629 +915,1457 @@ class Game {
     // GAME CONTROL
     // ============================================
 
+    /**
+     * Pick the seed for the next run
+     * Daily and custom runs replay the same seed on restart; random runs get a new one.
+     */
+    getRunSeed(mode) {
+        switch (mode) {
+            case 'daily':
+                return getDailySeed();
+            case 'custom':
+                return this.customSeed;
+            default:
+                return createRandomSeed();
+        }
+    }
+
     /**
      * Start a new game
+     * seedMode is 'random', 'daily' or 'custom'; restarts keep the previous mode.
+     * Passing a replay plays that recorded run back instead.
      */
-    startGame() {
+    startGame(seedMode = gameState.seedMode, replay = null) {
         // Initialize audio on first interaction
         audioManager.init();
         audioManager.playClick();
 
+        // Restarting mid-run still counts the run left behind
+        this.saveRunStats();
+
+        // Seed the gameplay random stream (a replay brings its own seed)
+        gameState.seedMode = replay ? replay.seedMode : seedMode;
+        gameState.seed = replay ? replay.seed : this.getRunSeed(seedMode);
+
+        // An online run is the one the host started
+        const netRun = this.netplay ? this.netplay.start : null;
+        if (netRun) gameState.seed = netRun.seed;
+
+        // Gameplay settings are part of the run (a replay or the host brings its own)
+        const settings = replay ? replay.settings : netRun ? netRun.settings : {
+            chargeShot: gameState.chargeShot,
+            coop: gameState.coop,
+            coopScore: gameState.coopScore,
+        };
+
+        // Replays run on the recorded canvas size and online runs on the host's;
+        // live runs record their input
+        if (replay) {
+            this.replayPlayer = new ReplayPlayer(replay);
+            this.recorder = null;
+            this.setPlayArea(replay.width, replay.height);
+        } else {
+            this.replayPlayer = null;
+            if (netRun) {
+                this.setPlayArea(netRun.width, netRun.height);
+            } else {
+                this.resizeCanvas();
+            }
+            this.clock.setScale(1);
+            this.recorder = new ReplayRecorder(gameState.seed, gameState.seedMode, this.canvas.width, this.canvas.height, settings);
+        }
+
+        // Only live runs count towards the profile and achievements
+        this.runStats = replay ? null : createRunStats();
+        this.ui.replayControls.classList.toggle('hidden', !replay);
+        document.body.classList.toggle('replaying', replay !== null);
+
         // Reset game state
         gameState.isRunning = true;
         gameState.isPaused = false;
-        gameState.score = 0;
-        gameState.enemiesDefeated = 0;
-        gameState.startTime = Date.now();
-        gameState.difficultyLevel = 1;
-        gameState.bombs = CONFIG.player.startBombs;
-
-        // Reset portal and level state
-        gameState.currentLevel = 1;
-        gameState.portalsSpawned = false;
-        gameState.inTransition = false;
-        gameState.gameMessage = null;
-        gameState.gameMessageEndTime = 0;
-
-        // Create player at center bottom
-        this.player = new Player(
-            this.canvas.width / 2,
-            this.canvas.height - 100
-        );
-
-        // Clear entities
-        this.bullets = [];
-        this.enemyBullets = [];
-        this.enemies = [];
-        this.powerups = [];
-        this.particles = [];
-
-        // Clear portals
-        this.blackHole = null;
-        this.whiteHole = null;
-        this.transitionAlpha = 0;
-        this.transitionDirection = 0;
-
-        // Reset clouds and background
-        this.generateClouds();
-        this.createSkyGradient();
+
+        // Restart the simulation (game time, entities, level) from the seed
+        this.renderer.clearEffects();
+        this.sim.reset(gameState.seed, settings);
+        this.clock.unfreeze();
+        if (this.runStats) this.achievements.startRun();
+        this.player = netRun ? this.sim.players[this.netplay.localIndex] : this.sim.player;
+        this.netplayWaitStart = null;
+
+        // Reset clouds
+        this.renderer.generateClouds();
+
+        // Keys bound for both players fly player 2; say so before they seem broken
+        const sharedKeys = this.controls.getSharedKeys();
+        if (!replay && this.isLocalCoop() && sharedKeys.length > 0) {
+            this.renderer.showToast(`⚠️ ${sharedKeys.map(formatKey).join(' ')} FLY PLAYER 2 IN CO-OP`, this.sim.clock.now(), 4000);
+        }
 
         // Reset timers
-        this.lastEnemySpawn = Date.now();
-        this.lastFrameTime = Date.now();
+        this.lastFrameTime = performance.now();
+
+        // A new run gives up a leaderboard place left without initials
+        // (watching the replay first keeps it)
+        if (!replay) {
+            this.submitOnline(localStorage.getItem('skyFighterInitials'));
+            this.pendingEntry = null;
+            this.ui.initialsForm.classList.add('hidden');
+        }
 
         // Hide screens
+        this.ui.leaderboardScreen.classList.add('hidden');
         this.ui.startScreen.classList.add('hidden');
+        this.ui.netplayScreen.classList.add('hidden');
         this.ui.gameoverScreen.classList.add('hidden');
+        this.ui.pauseScreen.classList.add('hidden');
+
+        // Start game loop (replacing any loop still running)
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Pause the running game
+     */
+    pauseGame() {
+        if (!gameState.isRunning || gameState.isPaused) return;
+
+        // Online runs go on: the partner's game would stall waiting for this one
+        if (this.netplay) return;
+
+        // Replays have their own play/pause control
+        if (this.replayPlayer) {
+            this.setReplayPaused(true);
+            return;
+        }
+
+        gameState.isPaused = true;
+        this.clock.freeze();
+
+        // Release held inputs so nothing keeps firing after resume
+        for (const { input } of this.sim.players) {
+            for (const key of Object.keys(input)) {
+                input[key] = typeof input[key] === 'number' ? 0 : false;
+            }
+        }
+        audioManager.stopCharge();
+
+        this.ui.pauseScreen.classList.remove('hidden');
+        this.ui.pauseButton.textContent = '▶️';
+    }
+
+    /**
+     * Resume a paused game
+     */
+    resumeGame() {
+        if (!gameState.isPaused) return;
+
+        audioManager.playClick();
+
+        gameState.isPaused = false;
+        this.clock.unfreeze();
+
+        this.ui.pauseScreen.classList.add('hidden');
+        this.ui.pauseButton.textContent = '⏸️';
+    }
+
+    /**
+     * Toggle pause
+     */
+    togglePause() {
+        if (this.replayPlayer) {
+            this.setReplayPaused(!this.clock.frozen);
+        } else if (gameState.isPaused) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
 
-        // Start game loop
-        requestAnimationFrame(this.gameLoop);
+    /**
+     * Switch the charge shot mode for the next runs and remember the choice
+     */
+    toggleChargeShot() {
+        audioManager.playClick();
+        gameState.chargeShot = !gameState.chargeShot;
+        localStorage.setItem('skyFighterChargeShot', gameState.chargeShot ? 'on' : 'off');
+        this.updateChargeToggle();
+    }
+
+    /**
+     * Show the charge shot mode on its start screen button
+     */
+    updateChargeToggle() {
+        this.ui.chargeToggle.textContent = `🔋 CHARGE SHOT: ${gameState.chargeShot ? 'ON' : 'OFF'}`;
+        this.ui.chargeToggle.classList.toggle('active', gameState.chargeShot);
+    }
+
+    /**
+     * Switch co-op for the next runs and remember the choice
+     */
+    toggleCoop() {
+        audioManager.playClick();
+        gameState.coop = !gameState.coop;
+        localStorage.setItem('skyFighterCoop', gameState.coop ? 'on' : 'off');
+        this.updateCoopToggles();
+        this.renderControlsHelp();
+    }
+
+    /**
+     * Switch co-op between one team score and a score per plane
+     */
+    toggleCoopScore() {
+        audioManager.playClick();
+        gameState.coopScore = gameState.coopScore === 'shared' ? 'split' : 'shared';
+        localStorage.setItem('skyFighterCoopScore', gameState.coopScore);
+        this.updateCoopToggles();
+    }
+
+    /**
+     * Show the co-op choices on their start screen buttons
+     */
+    updateCoopToggles() {
+        this.ui.coopToggle.textContent = `👥 CO-OP: ${gameState.coop ? 'ON' : 'OFF'}`;
+        this.ui.coopToggle.classList.toggle('active', gameState.coop);
+        this.ui.coopScoreToggle.textContent = `🤝 SCORE: ${gameState.coopScore.toUpperCase()}`;
+        this.ui.coopScoreToggle.classList.toggle('hidden', !gameState.coop);
+    }
+
+    /**
+     * Abandon the current run and return to the start screen
+     */
+    quitToTitle() {
+        audioManager.playClick();
+        this.leaveRun(this.ui.startScreen);
+    }
+
+    /**
+     * Stop the current run and show a menu screen over the background
+     */
+    leaveRun(screen) {
+        this.saveRunStats();
+        this.leaveNetplay();
+        gameState.isRunning = false;
+        gameState.isPaused = false;
+        this.clock.unfreeze();
+
+        this.player = null;
+        this.renderer.clearEffects();
+        audioManager.stopCharge();
+
+        this.ui.pauseScreen.classList.add('hidden');
+        this.ui.pauseButton.textContent = '⏸️';
+        this.ui.bossBar.classList.add('hidden');
+        screen.classList.remove('hidden');
+
+        this.startBackgroundLoop();
+    }
+
+    // ============================================
+    // ONLINE CO-OP
+    // ============================================
+
+    /**
+     * Two planes on one screen; online each machine flies one of them
+     */
+    isLocalCoop() {
+        return this.sim.settings.coop && !this.netplay;
+    }
+
+    /**
+     * Open the online co-op lobby from the start screen
+     */
+    showNetplay() {
+        audioManager.playClick();
+        this.ui.startScreen.classList.add('hidden');
+        this.ui.netplayScreen.classList.remove('hidden');
+        this.ui.netplayStatus.textContent = 'Host a room and share its code, or join your partner\'s room.';
+    }
+
+    hideNetplay() {
+        audioManager.playClick();
+        this.leaveNetplay();
+        this.ui.netplayScreen.classList.add('hidden');
+        this.ui.startScreen.classList.remove('hidden');
+    }
+
+    /**
+     * Open a room on the relay and wait for the partner to join
+     */
+    hostNetplay() {
+        audioManager.playClick();
+        const connection = this.connectNetplay();
+        this.ui.netplayStatus.textContent = '📡 Opening a room...';
+        connection.host()
+            .then(room => {
+                this.ui.netplayStatus.textContent = `🔑 ROOM ${room}: waiting for your partner to join`;
+            })
+            .catch(error => this.failNetplay(connection, error.message));
+    }
+
+    /**
+     * Join the partner's room and wait for them to start the run
+     */
+    joinNetplay(code) {
+        audioManager.playClick();
+        const connection = this.connectNetplay();
+        this.ui.netplayStatus.textContent = '🔗 Joining...';
+        connection.join(code)
+            .then(room => {
+                this.ui.netplayStatus.textContent = `🔗 ROOM ${room}: waiting for the host to start`;
+                connection.send({ type: 'hello' });
+            })
+            .catch(error => this.failNetplay(connection, error.message));
+    }
+
+    /**
+     * A fresh relay connection (dropping any earlier one)
+     */
+    connectNetplay() {
+        this.leaveNetplay();
+        const connection = new RelayConnection({ endpoint: this.netplayEndpoint });
+        connection.onMessage(message => this.receiveNetplay(message));
+        connection.onClose(reason => this.failNetplay(connection, reason));
+        this.netConnection = connection;
+        return connection;
+    }
+
+    /**
+     * Messages from the partner: the lobby handshake, then the run's inputs and hashes
+     */
+    receiveNetplay(message) {
+        if (message.type === 'hello' && !this.netplay) {
+            // The host times a few round trips to the partner before starting
+            this.ui.netplayStatus.textContent = '📶 Partner joined: timing the connection...';
+            this.netRoundTrips = [];
+            this.netConnection.send({ type: 'ping', sent: performance.now() });
+        } else if (message.type === 'ping') {
+            this.netConnection.send({ type: 'pong', sent: message.sent });
+        } else if (message.type === 'pong' && !this.netplay) {
+            this.netRoundTrips.push(performance.now() - message.sent);
+            if (this.netRoundTrips.length < NETPLAY.pings) {
+                this.netConnection.send({ type: 'ping', sent: performance.now() });
+            } else {
+                this.hostNetplayRun();
+            }
+        } else if (message.type === 'start' && !this.netplay) {
+            this.startNetplayRun(message, 1, this.netConnection);
+        } else if (message.type === 'gameOver' && !this.netplay) {
+            // Both runs are over: nothing more to wait for
+            this.leaveNetplay();
+        } else if (this.netplay) {
+            this.netplay.receive(message);
+        }
+    }
+
+    /**
+     * The host picks the run: its seed, settings and play area, and an input
+     * delay covering the slowest round trip it timed
+     */
+    hostNetplayRun() {
+        const start = {
+            type: 'start',
+            seed: this.getRunSeed('random'),
+            settings: { chargeShot: gameState.chargeShot, coop: true, coopScore: gameState.coopScore },
+            width: window.innerWidth,
+            height: window.innerHeight,
+            inputDelay: chooseInputDelay(Math.max(...this.netRoundTrips), FIXED_STEP * 1000),
+        };
+        this.netConnection.send(start);
+        this.startNetplayRun(start, 0, this.netConnection);
+    }
+
+    /**
+     * Play an online run as plane localIndex, exchanging inputs over the connection
+     */
+    startNetplayRun(start, localIndex, connection) {
+        this.netConnection = connection;
+        this.netplay = new LockstepSession({
+            localIndex,
+            start,
+            inputDelay: start.inputDelay || NETPLAY.inputDelay,
+            send: message => connection.send(message),
+            onDesync: tick => this.endNetplay(`⚠️ The games went out of sync at tick ${tick}`),
+        });
+        this.startGame('random');
+    }
+
+    /**
+     * One lockstep tick: send this machine's input, then step once both
+     * planes' input for the tick is in (the run stalls until then)
+     */
+    tickNetplay() {
+        const tick = this.sim.tick;
+        const session = this.netplay;
+
+        // A bomb press goes out once, like the simulation using it up
+        if (session.submit(tick, this.player.input)) {
+            this.player.input.bomb = false;
+        }
+
+        const waiting = !session.isReady(tick);
+        this.ui.netplayWaiting.classList.toggle('hidden', !waiting);
+        if (waiting) {
+            const now = performance.now();
+            if (this.netplayWaitStart === null) this.netplayWaitStart = now;
+            if (now - this.netplayWaitStart > NETPLAY.timeout) {
+                this.endNetplay('📡 Your partner stopped answering');
+            }
+            return;
+        }
+        this.netplayWaitStart = null;
+
+        // The planes fly the confirmed inputs; the keys held here stay for the next read
+        const held = { ...this.player.input };
+        session.applyTick(tick, this.sim.players);
+        this.recorder.recordTick(this.sim.players[0].input, this.sim.players[1].input);
+        this.sim.step();
+        Object.assign(this.player.input, held);
+
+        this.achievements.update(this.sim.clock.now());
+        if (!this.netplay) return;
+
+        // The partner's run ended on a tick this one got past
+        if (session.partnerOverTick !== null && this.sim.tick >= session.partnerOverTick) {
+            this.endNetplay(`⚠️ The games went out of sync at tick ${session.partnerOverTick}`);
+            return;
+        }
+        session.checkHash(this.sim.tick, () => hashSimulation(this.sim));
+    }
+
+    /**
+     * Stop an online run early and say why in the lobby
+     */
+    endNetplay(reason) {
+        if (gameState.isRunning) this.leaveRun(this.ui.netplayScreen);
+        this.ui.netplayStatus.textContent = reason;
+    }
+
+    /**
+     * The online run is over here: tell the partner, but keep the connection
+     * until their run is over too - they may still be waiting for this game's
+     * last inputs - or for NETPLAY.timeout at most
+     */
+    finishNetplay() {
+        const session = this.netplay;
+        const connection = this.netConnection;
+        if (!session || !connection) {
+            this.leaveNetplay();
+            return;
+        }
+
+        this.netplay = null;
+        this.ui.netplayWaiting.classList.add('hidden');
+        connection.send({ type: 'gameOver', tick: this.sim.tick });
+        if (session.partnerOverTick !== null) {
+            this.leaveNetplay();
+        } else {
+            setTimeout(() => {
+                if (this.netConnection === connection) this.leaveNetplay();
+            }, NETPLAY.timeout);
+        }
+    }
+
+    /**
+     * The relay could not be reached, or the room closed
+     */
+    failNetplay(connection, reason) {
+        if (connection !== this.netConnection) return;
+        if (this.netplay && gameState.isRunning) {
+            this.endNetplay(`👋 Your partner left (${reason})`);
+        } else {
+            this.leaveNetplay();
+            this.ui.netplayStatus.textContent = `❌ ${reason}`;
+        }
+    }
+
+    /**
+     * Close the connection to the partner, if any
+     */
+    leaveNetplay() {
+        if (this.netConnection) this.netConnection.close();
+        this.netConnection = null;
+        this.netplay = null;
+        this.ui.netplayWaiting.classList.add('hidden');
+    }
+
+    // ============================================
+    // REPLAYS
+    // ============================================
+
+    /**
+     * Play a recorded run back, returning to the given screen on exit
+     */
+    watchReplay(replay, returnScreen) {
+        if (!replay) return;
+
+        this.replayReturnScreen = returnScreen;
+        this.startGame(undefined, replay);
+        this.setReplaySpeed(1);
+        this.setReplayPaused(false);
+        this.ui.replaySeek.max = replay.ticks;
+    }
+
+    /**
+     * Pause or resume replay playback
+     */
+    setReplayPaused(paused) {
+        if (paused) {
+            this.clock.freeze();
+        } else {
+            this.clock.unfreeze();
+        }
+        this.ui.replayPlay.textContent = paused ? '▶️' : '⏸️';
+    }
+
+    /**
+     * Set the playback speed (1x, 2x, 4x)
+     */
+    setReplaySpeed(speed) {
+        this.clock.setScale(speed);
+        document.querySelectorAll('.replay-speed').forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * Jump playback to a tick by re-simulating the run up to it
+     */
+    seekReplay(tick) {
+        if (!this.replayPlayer) return;
+
+        const target = Math.max(0, Math.min(tick, this.replayPlayer.totalTicks - 1));
+        const { scale, frozen } = this.clock;
+
+        // Ticks cannot run backwards, so rewinding restarts the replay from its first tick
+        if (target < this.sim.tick) {
+            this.startGame(undefined, this.replayPlayer.replay);
+        }
+
+        audioManager.setSilenced(true);
+        while (this.sim.tick < target && gameState.isRunning) {
+            this.tick();
+        }
+        audioManager.setSilenced(false);
+
+        // Keep the playback speed and pause state (unless the run ended on the way)
+        if (this.replayPlayer) {
+            this.clock.setScale(scale);
+            if (frozen) this.clock.freeze();
+            this.updateReplayControls();
+        }
+    }
+
+    /**
+     * Leave replay mode (playback reached its end or was exited)
+     */
+    finishReplayPlayback() {
+        this.replayPlayer = null;
+        this.clock.setScale(1);
+        this.clock.unfreeze();
+        this.ui.replayControls.classList.add('hidden');
+        document.body.classList.remove('replaying');
+    }
+
+    /**
+     * Stop watching and go back to where the replay was started from
+     */
+    exitReplay() {
+        audioManager.playClick();
+        this.finishReplayPlayback();
+        this.resizeCanvas();
+        this.leaveRun(this.replayReturnScreen);
     }
 
     /**
-     * Use bomb - destroy all enemies
+     * Sync the seek bar and tick counter with playback
      */
-    useBomb() {
-        if (!gameState.isRunning || gameState.bombs <= 0) return;
+    updateReplayControls() {
+        if (!this.replayPlayer) return;
+
+        this.ui.replaySeek.value = this.sim.tick;
+        this.ui.replayTick.textContent = `${this.sim.tick} / ${this.replayPlayer.totalTicks}`;
+    }
 
-        gameState.bombs--;
-        audioManager.playBombExplosion();
+    /**
+     * Download the last replay as a JSON file
+     */
+    exportReplay() {
+        if (!this.lastReplay) return;
 
-        // Flash effect
-        document.body.classList.add('bomb-flash');
-        setTimeout(() => document.body.classList.remove('bomb-flash'), 300);
+        const blob = new Blob([serializeReplay(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sky-fighter-replay-${this.lastReplay.seed}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
-        // Destroy all enemies and enemy bullets
-        for (const enemy of this.enemies) {
-            gameState.score += enemy.score;
-            gameState.enemiesDefeated++;
-            this.createExplosion(enemy.x, enemy.y, enemy.color, true);
-        }
-        this.enemies = [];
-        this.enemyBullets = [];
+    /**
+     * Load a replay file and start watching it
+     */
+    importReplay(file) {
+        file.text()
+            .then(text => {
+                this.lastReplay = parseReplay(text);
+                this.watchReplay(this.lastReplay, this.ui.startScreen);
+            })
+            .catch(error => {
+                alert(`Could not load replay: ${error.message}`);
+            });
     }
 
     /**
      * End the game
      */
     endGame() {
+        const { score, enemiesDefeated, maxCombo, currentLevel } = this.sim.state;
+        const timeSurvivedMs = this.clock.now();
         gameState.isRunning = false;
 
+        audioManager.stopCharge();
         audioManager.playGameOver();
+        this.ui.bossBar.classList.add('hidden');
 
-        // Create big explosion for player
-        this.createExplosion(this.player.x, this.player.y, '#4488ff', true);
+        // Both games end an online run on the same tick, though not at the same moment
+        this.finishNetplay();
 
-        // Update high score
-        if (gameState.score > gameState.highScore) {
-            gameState.highScore = gameState.score;
-            localStorage.setItem('skyFighterHighScore', gameState.highScore);
-        }
+        if (this.replayPlayer) {
+            // Playback reached the end of the recorded run
+            this.finishReplayPlayback();
+        } else {
+            // Keep the run for "Watch Replay"
+            this.lastReplay = this.recorder.finish(score);
+            this.saveRunStats();
+
+            // Runs that make the local top 10, and every run when online,
+            // ask for initials before they are saved
+            gameState.highScore = Math.max(gameState.highScore, score);
+            const entry = {
+                score,
+                level: currentLevel,
+                enemies: enemiesDefeated,
+                time: timeSurvivedMs,
+                date: new Date().toISOString().slice(0, 10),
+                seed: gameState.seed,
+                mode: gameState.seedMode,
+            };
+            if (this.leaderboard.qualifies(entry.mode, score)) {
+                this.pendingEntry = entry;
+            }
+            if (this.online.isEnabled()) {
+                // The replay lets the server check the score
+                this.pendingSubmission = { ...entry, replay: this.lastReplay, replayHash: hashReplay(this.lastReplay) };
+            }
 
-        // Calculate time survived
-        const timeSurvivedMs = Date.now() - gameState.startTime;
-        const minutes = Math.floor(timeSurvivedMs / 60000);
-        const seconds = Math.floor((timeSurvivedMs % 60000) / 1000);
+            if (this.pendingEntry || this.pendingSubmission) {
+                this.ui.initialsLabel.textContent = this.pendingEntry ?
+                    '🏆 NEW TOP 10! ENTER YOUR INITIALS' : '🌍 ENTER YOUR INITIALS FOR THE GLOBAL BOARD';
+                this.ui.initialsInput.value = localStorage.getItem('skyFighterInitials') || '';
+                this.ui.initialsForm.classList.remove('hidden');
+            }
+        }
 
         // Update game over screen
-        this.ui.finalScore.textContent = gameState.score;
+        this.ui.finalScore.textContent = score;
         this.ui.highScore.textContent = gameState.highScore;
-        this.ui.enemiesDefeated.textContent = gameState.enemiesDefeated;
-        this.ui.timeSurvived.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        this.ui.enemiesDefeated.textContent = enemiesDefeated;
+        this.ui.maxCombo.textContent = maxCombo;
+        this.ui.timeSurvived.textContent = this.formatTime(timeSurvivedMs);
+        this.ui.runSeed.textContent = gameState.seedMode === 'daily' ? `${gameState.seed} (daily)` : gameState.seed;
+
+        // Split co-op scores show what each plane scored
+        const split = this.sim.settings.coop && this.sim.settings.coopScore === 'split';
+        this.ui.coopResult.classList.toggle('hidden', !split);
+        this.ui.coopResult.textContent = split ? this.sim.players.map(player => `P${player.index + 1}: ${player.score}`).join('  ·  ') : '';
+
+        // The sectors flown on the Area map (runs without the map have no route)
+        const { route } = this.sim.state;
+        this.ui.routeResult.classList.toggle('hidden', route.length === 0);
+        this.ui.routeResult.textContent = route.length > 0
+            ? `🗺️ Route: ${route.map(id => AREA_MAP.sectors[id].name).join(' → ')}` : '';
 
         // Show game over screen after short delay
         setTimeout(() => {
             this.ui.gameoverScreen.classList.remove('hidden');
+            if (this.pendingEntry || this.pendingSubmission) this.ui.initialsInput.focus();
         }, 500);
     }
 
     /**
-     * Update high score display
+     * Format a duration in ms as m:ss
      */
-    updateHighScoreDisplay() {
-        this.ui.highScore.textContent = gameState.highScore;
+    formatTime(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
     // ============================================
-    // GAME LOOP
+    // SETTINGS
     // ============================================
 
     /**
-     * Main game loop
+     * Open the settings from the start screen
      */
-    gameLoop(timestamp) {
-        if (!gameState.isRunning) {
-            // Continue rendering particles after game over
-            this.renderGameOver();
-            return;
+    showSettings() {
+        audioManager.playClick();
+        this.ui.startScreen.classList.add('hidden');
+        this.ui.settingsScreen.classList.remove('hidden');
+        this.ui.settingsStatus.textContent = 'Click a slot, then press a key or button. ESC cancels, DEL clears.';
+        if (this.controls.getSharedKeys().length > 0) {
+            this.ui.settingsStatus.textContent += ' ⚠️ Orange keys are bound for both players: in co-op they fly player 2.';
         }
+        this.renderSettings();
+    }
 
-        const deltaTime = timestamp - this.lastFrameTime;
-        this.lastFrameTime = timestamp;
-
-        // Update
-        this.update(deltaTime);
+    hideSettings() {
+        audioManager.playClick();
+        this.cancelCapture();
+        this.ui.settingsScreen.classList.add('hidden');
+        this.ui.startScreen.classList.remove('hidden');
+    }
 
-        // Render
-        this.render();
+    /**
+     * Fill the bindings table: per action, its keyboard and gamepad slots
+     */
+    renderSettings() {
+        const rows = CONTROL_ACTIONS.map(({ id, label }) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            row.appendChild(name);
+
+            for (const device of BINDING_DEVICES) {
+                const format = device === 'gamepad' ? formatButton : formatKey;
+                this.controls.getBindings(device, id).forEach((code, slot) => {
+                    const cell = document.createElement('td');
+                    const button = document.createElement('button');
+                    const capturing = this.capture !== null && this.capture.device === device &&
+                        this.capture.action === id && this.capture.slot === slot;
+
+                    const shared = this.controls.findSharedAction(device, code);
+                    button.className = capturing ? 'binding-button capturing' : shared ? 'binding-button shared' : 'binding-button';
+                    button.textContent = capturing ? (device === 'gamepad' ? 'PRESS BUTTON' : 'PRESS KEY') : format(code);
+                    if (shared && !capturing) button.title = 'Bound for both players - in co-op it flies player 2';
+                    button.addEventListener('click', () => this.startCapture(device, id, slot));
+                    cell.appendChild(button);
+                    row.appendChild(cell);
+                });
+            }
+            return row;
+        });
 
-        // Continue loop
-        requestAnimationFrame(this.gameLoop);
+        this.ui.settingsBody.replaceChildren(...rows);
     }
 
     /**
-     * Render after game over (for particles)
+     * Wait for the next key or gamepad button for a binding slot
      */
-    renderGameOver() {
-        // Update and render remaining particles
-        this.particles = this.particles.filter(p => {
-            p.update();
-            return !p.isDead();
-        });
+    startCapture(device, action, slot) {
+        audioManager.playClick();
+        this.cancelCapture();
+        this.capture = { device, action, slot, held: this.getPressedButtons() };
+        this.renderSettings();
 
-        if (this.particles.length > 0) {
-            this.render();
-            requestAnimationFrame(() => this.renderGameOver());
+        if (device === 'gamepad') {
+            this.captureFrame = requestAnimationFrame(() => this.pollCapture());
         }
     }
 
     /**
-     * Update game state
+     * Look for a gamepad button pressed since the capture started
      */
-    update(deltaTime) {
-        const now = Date.now();
-
-        // Update clouds
-        this.updateClouds();
+    pollCapture() {
+        if (!this.capture || this.capture.device !== 'gamepad') return;
 
-        // Update player (skip if in transition)
-        if (!gameState.inTransition) {
-            this.player.update(deltaTime, this.canvas.width, this.canvas.height);
+        // Buttons already down when the capture began count once released
+        const pressed = this.getPressedButtons();
+        this.capture.held = this.capture.held.filter(button => pressed.includes(button));
+        const button = pressed.find(index => !this.capture.held.includes(index));
 
-            // Handle shooting
-            if (this.player.input.shooting && this.player.canShoot()) {
-                this.shoot();
-            }
+        if (button !== undefined) {
+            this.finishCapture(button);
+        } else {
+            this.captureFrame = requestAnimationFrame(() => this.pollCapture());
         }
+    }
 
-        // Spawn enemies
-        this.spawnEnemies(now);
+    /**
+     * Indices of the buttons held on any connected gamepad
+     */
+    getPressedButtons() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+
+        const pressed = [];
+        for (const pad of Array.from(navigator.getGamepads())) {
+            if (!pad) continue;
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed && !pressed.includes(index)) pressed.push(index);
+            });
+        }
+        return pressed;
+    }
 
-        // Spawn portals when score threshold reached
-        this.spawnPortals();
+    /**
+     * Bind the captured key or button (null clears the slot)
+     */
+    finishCapture(code) {
+        const { device, action, slot } = this.capture;
+        this.cancelCapture();
+        audioManager.playClick();
 
-        // Update portals
-        if (this.blackHole) {
-            this.blackHole.update();
+        const conflict = this.controls.bind(device, action, slot, code);
+        const shared = this.controls.findSharedAction(device, code);
+        const label = id => CONTROL_ACTIONS.find(control => control.id === id).label;
+        const format = device === 'gamepad' ? formatButton : formatKey;
+        if (conflict) {
+            this.ui.settingsStatus.textContent = `⚠️ ${format(code)} was bound to ${label(conflict)} - the two were swapped`;
+        } else {
+            this.ui.settingsStatus.textContent = `✅ ${label(action)}: ${format(code)}`;
         }
-        if (this.whiteHole) {
-            this.whiteHole.update();
+
+        // The other player's layout keeps the key: in co-op player 2 gets it
+        if (shared) {
+            const other = device === 'keyboard' ? 'player 2' : 'player 1';
+            this.ui.settingsStatus.textContent += ` ⚠️ ${format(code)} is also ${other}'s ${label(shared)} - in co-op it flies player 2`;
         }
 
-        // Update player bullets
-        this.bullets = this.bullets.filter(bullet => {
-            bullet.update();
-            return bullet.active && !bullet.isOutOfBounds(this.canvas.width, this.canvas.height);
-        });
+        this.renderSettings();
+        this.renderControlsHelp();
+    }
 
-        // Update enemy bullets
-        this.enemyBullets = this.enemyBullets.filter(bullet => {
-            bullet.update();
-            return bullet.active && !bullet.isOutOfBounds(this.canvas.width, this.canvas.height);
-        });
+    cancelCapture() {
+        if (!this.capture) return;
 
-        // Update enemies
-        this.enemies.forEach(enemy => {
-            enemy.update(this.player.x, this.player.y, this.canvas.width);
+        cancelAnimationFrame(this.captureFrame);
+        this.capture = null;
+        this.renderSettings();
+    }
 
-            // Enemy shooting
-            if (enemy.canShoot() && enemy.y > 50 && enemy.y < this.canvas.height * 0.7) {
-                this.enemyShoot(enemy);
-            }
-        });
+    /**
+     * Read the touch joystick controls of the settings screen
+     */
+    updateJoystickSettings() {
+        this.joystickSettings = {
+            floating: document.getElementById('joystick-floating').checked,
+            size: parseFloat(document.getElementById('joystick-size').value),
+            deadzone: parseFloat(document.getElementById('joystick-deadzone').value),
+            opacity: parseFloat(document.getElementById('joystick-opacity').value),
+        };
+        saveJoystickSettings(localStorage, this.joystickSettings);
+        this.applyJoystickSettings();
+    }
 
-        // Remove enemies that went off screen
-        this.enemies = this.enemies.filter(e => !e.isOutOfBounds(this.canvas.height));
+    /**
+     * Read the control scheme and steering controls of the settings screen
+     */
+    updateSteeringSettings() {
+        this.steeringSettings = {
+            scheme: document.getElementById('control-scheme').value,
+            maxSpeed: parseFloat(document.getElementById('steering-speed').value),
+            smoothing: parseFloat(document.getElementById('steering-smoothing').value),
+            autoFire: document.getElementById('steering-autofire').checked,
+        };
+        saveSteeringSettings(localStorage, this.steeringSettings);
+        this.applySteeringSettings();
+    }
 
-        // Update power-ups
-        this.powerups = this.powerups.filter(powerup => {
-            powerup.update();
-            return powerup.active && !powerup.isOutOfBounds(this.canvas.height);
-        });
+    /**
+     * Switch the touch controls to the scheme in use, and show the settings
+     */
+    applySteeringSettings() {
+        const { scheme, maxSpeed, smoothing, autoFire } = this.steeringSettings;
+        document.body.classList.toggle('pointer-steering', scheme === 'pointer');
+        this.pointer.active = false;
+        this.pointer.touchId = null;
 
-        // Update particles
-        this.particles = this.particles.filter(particle => {
-            particle.update();
-            return !particle.isDead();
-        });
+        document.getElementById('control-scheme').value = scheme;
+        document.getElementById('steering-speed').value = maxSpeed;
+        document.getElementById('steering-smoothing').value = smoothing;
+        document.getElementById('steering-autofire').checked = autoFire;
+    }
 
-        // Check collisions
-        this.checkCollisions();
+    /**
+     * Size and fade the on-screen joystick, and show the settings in the controls
+     */
+    applyJoystickSettings() {
+        const { floating, size, deadzone, opacity } = this.joystickSettings;
+        const base = document.getElementById('joystick-base');
+        const stick = document.getElementById('joystick-stick');
+        base.style.width = `${size}px`;
+        base.style.height = `${size}px`;
+        stick.style.width = `${Math.round(size * 0.42)}px`;
+        stick.style.height = `${Math.round(size * 0.42)}px`;
+        document.getElementById('joystick-container').style.opacity = opacity;
 
-        // Check portal collisions (only if not in transition)
-        if (!gameState.inTransition) {
-            this.checkPortalCollisions();
-        }
+        document.getElementById('joystick-floating').checked = floating;
+        document.getElementById('joystick-size').value = size;
+        document.getElementById('joystick-deadzone').value = deadzone;
+        document.getElementById('joystick-opacity').value = opacity;
+    }
 
-        // Handle level transition animation
-        this.updateTransition();
+    /**
+     * Rebuild the start screen controls help from the keyboard bindings
+     */
+    renderControlsHelp() {
+        const key = action => formatKey(this.controls.getBindings('keyboard', action).find(code => code !== null) || null);
+        const keys = action => this.controls.getBindings('keyboard', action).filter(code => code !== null).map(formatKey).join(' / ') || '-';
+        const items = [
+            [['up', 'left', 'down', 'right'].map(key).join(' '), 'Move'],
+            [key('fire'), 'Shoot'],
+            [key('bomb'), 'Bomb'],
+            [`HOLD ${key('fire')}`, 'Charge Shot'],
+            [keys('pause'), 'Pause'],
+        ];
+        if (gameState.coop) {
+            const partnerKey = action => formatKey(this.controls.getBindings('keyboard2', action).find(code => code !== null) || null);
+            items.push([['up', 'left', 'down', 'right', 'fire'].map(partnerKey).join(' '), 'Player 2']);
+        }
+
+        const elements = items.map(([keyText, description]) => {
+            const item = document.createElement('div');
+            const keyLabel = document.createElement('span');
+            const descriptionLabel = document.createElement('span');
+            item.className = 'control-item';
+            keyLabel.className = 'control-key';
+            keyLabel.textContent = keyText;
+            descriptionLabel.className = 'control-desc';
+            descriptionLabel.textContent = description;
+            item.appendChild(keyLabel);
+            item.appendChild(descriptionLabel);
+            return item;
+        });
 
-        // Update game message
-        if (gameState.gameMessage && now > gameState.gameMessageEndTime) {
-            gameState.gameMessage = null;
-        }
+        this.ui.controlsGrid.replaceChildren(...elements);
+    }
 
-        // Update difficulty
-        this.updateDifficulty();
+    // ============================================
+    // PROFILE
+    // ============================================
 
-        // Update UI
-        this.updateUI();
+    /**
+     * Count one event of the live run (per type when a type is given)
+     */
+    countRunStat(stat, type = null) {
+        if (!this.runStats) return;
 
-        // Check game over
-        if (!this.player.active) {
-            this.endGame();
+        if (type === null) {
+            this.runStats[stat]++;
+        } else {
+            this.runStats[stat][type] = (this.runStats[stat][type] || 0) + 1;
         }
     }
 
     /**
-     * Update clouds
+     * Add the live run to the lifetime statistics
      */
-    updateClouds() {
-        // Update existing clouds
-        this.clouds = this.clouds.filter(cloud => cloud.update(this.canvas.height));
+    saveRunStats() {
+        if (!this.runStats) return;
 
-        // Add new clouds
-        if (Math.random() < 0.02 && this.clouds.length < CONFIG.clouds.count * 1.5) {
-            this.clouds.push(new Cloud(this.canvas.width, this.canvas.height, true));
-        }
+        this.profile.recordRun({
+            ...this.runStats,
+            time: this.clock.now(),
+            area: this.sim.state.currentLevel,
+        });
+        this.runStats = null;
+        this.achievements.endRun();
     }
 
     /**
-     * Spawn portals when score threshold is reached
-     * Portals spawn only once per level/area
+     * Toast a new achievement over the game
      */
-    spawnPortals() {
-        // Spawn portals when score reaches threshold and not already spawned
-        const spawnThreshold = 50 + (gameState.currentLevel - 1) * 100; // Increases each level
-
-        if (gameState.score >= spawnThreshold && !gameState.portalsSpawned && !gameState.inTransition) {
-            gameState.portalsSpawned = true;
-
-            // Calculate spawn positions (upper portion of screen, away from edges)
-            const margin = 100;
-            const minDistance = 150; // Minimum distance between portals
+    announceAchievement(achievement) {
+        audioManager.playAchievement();
+        this.renderer.showToast(`🏅 ${achievement.icon} ${achievement.name}`, this.sim.clock.now());
+    }
 
-            // Random position for Black Hole
-            const blackHoleX = margin + Math.random() * (this.canvas.width - margin * 2);
-            const blackHoleY = 120 + Math.random() * (this.canvas.height * 0.3);
+    /**
+     * Open the achievements gallery from the start screen
+     */
+    showAchievements() {
+        audioManager.playClick();
+        this.ui.startScreen.classList.add('hidden');
+        this.ui.achievementsScreen.classList.remove('hidden');
+        this.renderAchievements();
+    }
 
-            // Random position for White Hole (ensure distance from Black Hole)
-            let whiteHoleX, whiteHoleY;
-            let attempts = 0;
-            do {
-                whiteHoleX = margin + Math.random() * (this.canvas.width - margin * 2);
-                whiteHoleY = 120 + Math.random() * (this.canvas.height * 0.3);
-                attempts++;
-            } while (
-                Math.sqrt(Math.pow(whiteHoleX - blackHoleX, 2) + Math.pow(whiteHoleY - blackHoleY, 2)) < minDistance
-                && attempts < 20
-            );
+    hideAchievements() {
+        audioManager.playClick();
+        this.ui.achievementsScreen.classList.add('hidden');
+        this.ui.startScreen.classList.remove('hidden');
+    }
 
-            this.blackHole = new BlackHole(blackHoleX, blackHoleY);
-            this.whiteHole = new WhiteHole(whiteHoleX, whiteHoleY);
+    /**
+     * Fill the gallery with every achievement, locked ones greyed out
+     */
+    renderAchievements() {
+        const unlocked = this.profile.stats.achievements;
+        const cards = ACHIEVEMENTS.map(achievement => {
+            const card = document.createElement('li');
+            const icon = document.createElement('span');
+            const name = document.createElement('strong');
+            const description = document.createElement('span');
+            const date = unlocked[achievement.id];
+
+            card.className = date ? 'achievement unlocked' : 'achievement locked';
+            icon.className = 'achievement-icon';
+            icon.textContent = date ? achievement.icon : '🔒';
+            name.textContent = achievement.name;
+            description.textContent = date ? `${achievement.description} - ${date}` : achievement.description;
+
+            card.appendChild(icon);
+            card.appendChild(name);
+            card.appendChild(description);
+            return card;
+        });
 
-            audioManager.playPortalSpawn();
-        }
+        const count = ACHIEVEMENTS.filter(achievement => unlocked[achievement.id]).length;
+        this.ui.achievementsCount.textContent = `${count} / ${ACHIEVEMENTS.length} unlocked`;
+        this.ui.achievementsList.replaceChildren(...cards);
     }
 
     /**
-     * Check collisions between player and portals
+     * Open the lifetime statistics from the start screen
      */
-    checkPortalCollisions() {
-        if (!this.player || !this.player.active) return;
-
-        // Check Black Hole collision
-        if (this.blackHole && this.player.collidesWith(this.blackHole)) {
-            this.enterBlackHole();
-            return;
-        }
+    showStats() {
+        audioManager.playClick();
+        this.ui.startScreen.classList.add('hidden');
+        this.ui.statsScreen.classList.remove('hidden');
+        this.renderStats();
+    }
 
-        // Check White Hole collision
-        if (this.whiteHole && this.player.collidesWith(this.whiteHole)) {
-            this.enterWhiteHole();
-            return;
-        }
+    hideStats() {
+        audioManager.playClick();
+        this.ui.statsScreen.classList.add('hidden');
+        this.ui.startScreen.classList.remove('hidden');
     }
 
     /**
-     * Handle entering Black Hole - transition to new level
+     * Fill the statistics table, one [label, value] row per counter
      */
-    enterBlackHole() {
-        if (gameState.inTransition) return;
+    renderStats() {
+        const stats = this.profile.stats;
+        const lines = [
+            ['🎮 Runs Played', stats.runs],
+            ['⏱️ Total Play Time', this.formatPlayTime(stats.playTime)],
+            ['🌌 Deepest Area', stats.deepestArea || '-'],
+            ['✈️ Enemies Destroyed', this.profile.getTotalEnemies()],
+            ...Object.entries(CONFIG.enemies.types).map(([type, config]) => [
+                `${type.charAt(0).toUpperCase()}${type.slice(1)}s`, stats.enemies[type] || 0, config.color,
+            ]),
+            ['💣 Bombs Used', stats.bombs],
+            ...Object.entries(CONFIG.powerups.types).map(([type, config]) => [
+                `${config.icon} ${type.charAt(0).toUpperCase()}${type.slice(1)} Power-ups`, stats.powerups[type] || 0,
+            ]),
+            ['⚫ Black Holes Entered', stats.blackHoles],
+            ['⚪ White Holes Entered', stats.whiteHoles],
+            ['🗺️ Sectors Explored', `${Object.keys(stats.sectors).length} / ${Object.keys(AREA_MAP.sectors).length}`],
+        ];
+
+        const rows = lines.map(([label, value, color]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            const count = document.createElement('td');
+            name.textContent = label;
+            count.textContent = value;
+            // Enemy types are listed under the total in their own color
+            if (color) {
+                row.className = 'sub';
+                name.style.color = color;
+            }
+            row.appendChild(name);
+            row.appendChild(count);
+            return row;
+        });
 
-        gameState.inTransition = true;
-        this.transitionDirection = 1; // Start fade out
+        this.ui.statsBody.replaceChildren(...rows);
+    }
 
-        audioManager.playBlackHoleEnter();
+    /**
+     * Long durations as h:mm:ss
+     */
+    formatPlayTime(ms) {
+        const hours = Math.floor(ms / 3600000);
+        if (hours === 0) return this.formatTime(ms);
+        return `${hours}:${this.formatTime(ms % 3600000).padStart(5, '0')}`;
+    }
 
-        // Remove both portals
-        this.blackHole = null;
-        this.whiteHole = null;
+    /**
+     * Download the profile to move it to another device
+     */
+    exportProfile() {
+        audioManager.playClick();
+        const blob = new Blob([this.profile.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'sky-fighter-profile.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     /**
-     * Handle entering White Hole - reset score
+     * Replace the profile with an exported file
      */
-    enterWhiteHole() {
-        // Reset score to 0
-        gameState.score = 0;
+    importProfile(file) {
+        file.text()
+            .then(text => {
+                if (!confirm('Replace your statistics with the ones in this file?')) return;
+                this.profile.importJSON(text);
+                this.renderStats();
+            })
+            .catch(error => {
+                alert(`Could not load profile: ${error.message}`);
+            });
+    }
+
+    // ============================================
+    // LEADERBOARD
+    // ============================================
 
-        audioManager.playWhiteHoleEnter();
+    /**
+     * Sign the finished run with initials and show where it placed
+     */
+    saveLeaderboardEntry(initials) {
+        if (!this.pendingEntry && !this.pendingSubmission) return;
 
-        // Show message
-        this.showGameMessage('⚪ SCORE RESET', 2000);
+        audioManager.playClick();
+        const name = normalizeInitials(initials);
+        localStorage.setItem('skyFighterInitials', name);
 
-        // Remove only the White Hole (Black Hole stays if exists)
-        this.whiteHole = null;
+        const rank = this.pendingEntry ? this.leaderboard.add({ ...this.pendingEntry, name }) : 0;
+        this.pendingEntry = null;
+        this.submitOnline(name);
+        this.ui.initialsForm.classList.add('hidden');
 
-        // Flash effect
-        document.body.classList.add('whitehole-flash');
-        setTimeout(() => document.body.classList.remove('whitehole-flash'), 300);
+        this.leaderboardScope = 'local';
+        this.showLeaderboard(this.ui.gameoverScreen, gameState.seedMode, rank);
     }
 
     /**
-     * Update level transition animation
+     * Send the finished run to the online leaderboard, if one is waiting
      */
-    updateTransition() {
-        if (this.transitionDirection === 0) return;
+    submitOnline(name) {
+        if (!this.pendingSubmission) return;
 
-        const fadeSpeed = 0.02;
+        this.online.submit({ ...this.pendingSubmission, name: normalizeInitials(name) });
+        this.pendingSubmission = null;
+    }
 
-        if (this.transitionDirection === 1) {
-            // Fade out
-            this.transitionAlpha += fadeSpeed;
-            if (this.transitionAlpha >= 1) {
-                this.transitionAlpha = 1;
-                this.completeTransition();
-            }
-        } else if (this.transitionDirection === -1) {
-            // Fade in
-            this.transitionAlpha -= fadeSpeed;
-            if (this.transitionAlpha <= 0) {
-                this.transitionAlpha = 0;
-                this.transitionDirection = 0;
-                gameState.inTransition = false;
-            }
-        }
+    /**
+     * Open the leaderboard over a menu screen, optionally highlighting a rank
+     */
+    showLeaderboard(returnScreen, mode = this.leaderboardMode, highlight = 0) {
+        audioManager.playClick();
+        this.leaderboardReturnScreen = returnScreen;
+        returnScreen.classList.add('hidden');
+        this.ui.leaderboardScreen.classList.remove('hidden');
+        this.renderLeaderboard(mode, highlight);
     }
 
     /**
-     * Complete transition to new level
+     * Close the leaderboard, back to the screen it was opened from
      */
-    completeTransition() {
-        // Increment level
-        gameState.currentLevel++;
+    hideLeaderboard() {
+        audioManager.playClick();
+        this.ui.leaderboardScreen.classList.add('hidden');
+        this.leaderboardReturnScreen.classList.remove('hidden');
+    }
 
-        // Reset portal spawn flag for new level
-        gameState.portalsSpawned = false;
+    /**
+     * Show one mode's runs, from this machine or the online leaderboard
+     */
+    renderLeaderboard(mode, highlight = 0) {
+        this.leaderboardMode = mode;
+        document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+        document.querySelectorAll('.leaderboard-scope').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.scope === this.leaderboardScope);
+        });
 
-        // Increase difficulty
-        gameState.difficultyLevel = Math.max(gameState.difficultyLevel, gameState.currentLevel);
+        // Online rankings only when a server is configured
+        this.ui.leaderboardScopes.classList.toggle('hidden', !this.online.isEnabled());
+        const pending = this.online.getPendingCount();
+        this.ui.leaderboardStatus.textContent = pending > 0 ? `📡 ${pending} score(s) waiting to upload` : '';
 
-        // Clear enemies and bullets
-        this.enemies = [];
-        this.enemyBullets = [];
-        this.powerups = [];
+        // Answers to older requests (switched tabs) are dropped
+        const request = ++this.leaderboardRequest;
+        if (this.leaderboardScope !== 'global' || !this.online.isEnabled()) {
+            this.fillLeaderboard(this.leaderboard.getTable(mode), highlight);
+            return;
+        }
 
-        // Reset portals
-        this.blackHole = null;
-        this.whiteHole = null;
+        this.showLeaderboardMessage('📡 Loading...');
+        this.online.fetchTop(mode)
+            .then(entries => {
+                if (request === this.leaderboardRequest) this.fillLeaderboard(entries);
+            })
+            .catch(() => {
+                if (request === this.leaderboardRequest) this.showLeaderboardMessage('📡 Leaderboard server unreachable');
+            });
+    }
 
-        // Update background for new level
-        this.createSkyGradient();
+    /**
+     * Fill the leaderboard table with runs, best first
+     */
+    fillLeaderboard(entries, highlight = 0) {
+        if (entries.length === 0) {
+            this.showLeaderboardMessage('No runs yet - go set a record!');
+            return;
+        }
 
-        // Show message
-        this.showGameMessage(`🌌 ENTERING AREA ${gameState.currentLevel}`, 2500);
+        const rows = entries.map((entry, index) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('highlight', index + 1 === highlight);
+
+            // Runs migrated from the old high score only know their score
+            const cells = [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.level === null ? '-' : entry.level,
+                entry.enemies === null ? '-' : entry.enemies,
+                entry.time === null ? '-' : this.formatTime(entry.time),
+                entry.date || '-',
+                entry.seed === null ? '-' : entry.seed,
+            ];
+            for (const value of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+            return row;
+        });
 
-        // Start fade in
-        this.transitionDirection = -1;
+        this.ui.leaderboardBody.replaceChildren(...rows);
+    }
 
-        // Reset enemy spawn timer to give player a brief pause
-        this.lastEnemySpawn = Date.now() + 2000;
+    /**
+     * Replace the leaderboard rows with a single line of text
+     */
+    showLeaderboardMessage(text) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 8;
+        cell.className = 'empty';
+        cell.textContent = text;
+        row.appendChild(cell);
+        this.ui.leaderboardBody.replaceChildren(row);
     }
 
     /**
-     * Show a temporary game message on screen
+     * Update high score display
      */
-    showGameMessage(text, duration = 2000) {
-        gameState.gameMessage = text;
-        gameState.gameMessageEndTime = Date.now() + duration;
+    updateHighScoreDisplay() {
+        this.ui.highScore.textContent = gameState.highScore;
     }
 
+    // ============================================
+    // GAME LOOP
+    // ============================================
 
     /**
-     * Create a player bullet
+     * Get the time since the last frame in seconds, clamped to the max frame time
      */
-    shoot() {
-        audioManager.playShoot();
-
-        let damage = CONFIG.bullet.damage;
-        if (this.player.powerups.damage.active) {
-            damage *= CONFIG.powerups.types.damage.multiplier;
-        }
+    consumeFrameTime(timestamp) {
+        const frameTime = Math.max(0, Math.min(timestamp - this.lastFrameTime, CONFIG.timestep.maxFrameTime));
+        this.lastFrameTime = timestamp;
+        return frameTime / 1000;
+    }
 
-        // Shoot upward
-        const bullet = new Bullet(
-            this.player.x,
-            this.player.y - this.player.size,
-            -Math.PI / 2, // Straight up
-            CONFIG.bullet.speed,
-            damage,
-            false
-        );
+    // ============================================
+    // POINTER STEERING
+    // ============================================
 
-        this.bullets.push(bullet);
+    /**
+     * Whether the plane follows the mouse and touch drags
+     */
+    usesPointerSteering() {
+        return this.steeringSettings.scheme === 'pointer';
     }
 
     /**
-     * Enemy shoots at player
+     * Play area position of a point on the screen
      */
-    enemyShoot(enemy) {
-        audioManager.playEnemyShoot();
-
-        const angle = enemy.getAngleToPlayer(this.player.x, this.player.y);
+    toPlayArea(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * this.sim.width / (rect.width || 1),
+            y: (clientY - rect.top) * this.sim.height / (rect.height || 1),
+        };
+    }
 
-        const bullet = new Bullet(
-            enemy.x,
-            enemy.y + enemy.size,
-            angle,
-            CONFIG.enemyBullet.speed,
-            CONFIG.enemyBullet.damage,
-            true
-        );
+    handlePointerMove(e) {
+        if (!this.usesPointerSteering()) return;
 
-        this.enemyBullets.push(bullet);
+        const point = this.toPlayArea(e.clientX, e.clientY);
+        this.pointer.active = true;
+        this.pointer.targetX = point.x;
+        this.pointer.targetY = point.y;
     }
 
     /**
-     * Spawn enemies
+     * A drag steers relative to where it started, so the thumb never covers the plane
      */
-    spawnEnemies(now) {
-        // Calculate spawn rate based on difficulty
-        const spawnRate = Math.max(
-            CONFIG.enemies.minSpawnRate,
-            CONFIG.enemies.spawnRate - (gameState.difficultyLevel - 1) * CONFIG.difficulty.spawnRateReduction
-        );
+    handleDragStart(e) {
+        if (!this.usesPointerSteering() || !this.player || this.pointer.touchId !== null) return;
+        if (e.touches.length === 0) return;
 
-        if (now - this.lastEnemySpawn >= spawnRate) {
-            this.lastEnemySpawn = now;
+        const touch = e.touches[0];
+        audioManager.init();
+        this.pointer.active = true;
+        this.pointer.touchId = touch.identifier;
+        this.pointer.dragX = touch.clientX;
+        this.pointer.dragY = touch.clientY;
+        this.pointer.originX = this.player.x;
+        this.pointer.originY = this.player.y;
+        this.pointer.targetX = this.player.x;
+        this.pointer.targetY = this.player.y;
+    }
 
-            // Choose enemy type based on probability and difficulty
-            const rand = Math.random();
-            let type;
-            if (gameState.difficultyLevel < 3) {
-                // Early game: mostly fighters
-                if (rand < 0.7) type = 'fighter';
-                else if (rand < 0.9) type = 'ace';
-                else type = 'bomber';
-            } else {
-                // Later game: more variety
-                if (rand < 0.5) type = 'fighter';
-                else if (rand < 0.75) type = 'ace';
-                else type = 'bomber';
-            }
+    handleDragMove(e) {
+        const touch = Array.from(e.touches).find(candidate => candidate.identifier === this.pointer.touchId);
+        if (!touch) return;
+
+        const start = this.toPlayArea(this.pointer.dragX, this.pointer.dragY);
+        const point = this.toPlayArea(touch.clientX, touch.clientY);
+        this.pointer.targetX = this.pointer.originX + point.x - start.x;
+        this.pointer.targetY = this.pointer.originY + point.y - start.y;
+    }
 
-            // Spawn at top of screen, random x position
-            const config = CONFIG.enemies.types[type];
-            const x = config.size + Math.random() * (this.canvas.width - config.size * 2);
-            const y = -config.size;
+    handleDragEnd(e) {
+        if (this.pointer.touchId === null) return;
+        if (Array.from(e.touches).some(touch => touch.identifier === this.pointer.touchId)) return;
 
-            this.enemies.push(new Enemy(x, y, type));
-        }
+        this.pointer.active = false;
+        this.pointer.touchId = null;
     }
 
     /**
-     * Check all collisions
+     * Fly the plane toward the pointer for the coming ticks. Player.update
+     * still caps the speed and keeps the plane inside the play area.
      */
-    checkCollisions() {
-        // Player bullets vs Enemies
-        for (const bullet of this.bullets) {
-            if (!bullet.active) continue;
+    steerPlayer(deltaTime) {
+        if (!this.usesPointerSteering() || !this.acceptsInput()) return;
 
-            for (const enemy of this.enemies) {
-                if (!enemy.active) continue;
+        const input = this.player.input;
+        if (this.steeringSettings.autoFire) input.shooting = true;
 
-                if (bullet.collidesWith(enemy)) {
-                    bullet.active = false;
-
-                    if (enemy.takeDamage(bullet.damage)) {
-                        // Enemy destroyed
-                        gameState.score += enemy.score;
-                        gameState.enemiesDefeated++;
+        // Letting go of the pointer leaves the input to the other controls
+        if (!this.pointer.active) {
+            if (this.pointer.moveX !== 0 || this.pointer.moveY !== 0) {
+                input.moveX = 0;
+                input.moveY = 0;
+            }
+            this.pointer.moveX = 0;
+            this.pointer.moveY = 0;
+            return;
+        }
 
-                        audioManager.playExplosion();
-                        this.createExplosion(enemy.x, enemy.y, enemy.color);
+        const dx = this.pointer.targetX - this.player.x;
+        const dy = this.pointer.targetY - this.player.y;
+        const previous = { x: this.pointer.moveX, y: this.pointer.moveY };
+        const move = steerToward(dx, dy, previous, this.steeringSettings, deltaTime);
 
-                        // Chance to drop power-up
-                        if (Math.random() < CONFIG.powerups.dropChance) {
-                            this.spawnPowerup(enemy.x, enemy.y);
-                        }
-                    }
+        // Rounded to what replays record
+        this.pointer.moveX = quantizeAxis(move.x);
+        this.pointer.moveY = quantizeAxis(move.y);
+        input.moveX = this.pointer.moveX;
+        input.moveY = this.pointer.moveY;
+    }
 
-                    break;
-                }
-            }
+    /**
+     * Main game loop
+     * The simulation advances in fixed steps; rendering interpolates between them
+     */
+    gameLoop(timestamp) {
+        if (!gameState.isRunning) {
+            // Continue rendering particles after game over
+            this.renderGameOver(timestamp);
+            return;
         }
 
-        // Remove destroyed enemies
-        this.enemies = this.enemies.filter(e => e.active);
+        // Gamepad state feeds the input of the ticks below
+        this.pollGamepad();
 
-        // Enemy bullets vs Player
-        for (const bullet of this.enemyBullets) {
-            if (!bullet.active) continue;
+        // The clock decides how many fixed steps are due (none while frozen)
+        const frameTime = this.consumeFrameTime(timestamp);
+        const ticks = this.clock.advance(frameTime * 1000);
+        this.steerPlayer(frameTime);
 
-            if (bullet.collidesWith(this.player)) {
-                bullet.active = false;
-                this.player.takeDamage(bullet.damage);
-            }
+        for (let i = 0; i < ticks && gameState.isRunning; i++) {
+            this.tick();
         }
 
-        // Enemies vs Player (collision)
-        for (const enemy of this.enemies) {
-            if (enemy.collidesWith(this.player)) {
-                this.player.takeDamage(enemy.damage);
-                enemy.active = false;
-                this.createExplosion(enemy.x, enemy.y, enemy.color);
-                audioManager.playExplosion();
-            }
-        }
+        // Leaving the run (a replay that ran out) hands the frame loop back to the menus
+        if (!this.player) return;
 
-        // Power-ups vs Player
-        for (const powerup of this.powerups) {
-            if (powerup.collidesWith(this.player)) {
-                this.player.activatePowerup(powerup.type);
-                powerup.active = false;
-            }
-        }
+        this.updateUI();
+        this.updateReplayControls();
+
+        // Effects run on game time too, so they stop while paused and follow replay speed
+        this.renderer.update(this.clock.frozen ? 0 : frameTime * this.clock.scale);
+
+        // Render between the last two ticks
+        this.renderer.render(this.sim, this.clock.alpha);
+
+        // Continue loop
+        this.animationFrame = requestAnimationFrame(this.gameLoop);
     }
 
     /**
-     * Create explosion particles
+     * Render after game over (for particles)
      */
-    createExplosion(x, y, color, isBig = false) {
-        const count = isBig ? CONFIG.particles.explosionCount * 2 : CONFIG.particles.explosionCount;
-        for (let i = 0; i < count; i++) {
-            this.particles.push(new Particle(x, y, color, isBig));
-            // Add some fire-colored particles
-            if (i % 3 === 0) {
-                this.particles.push(new Particle(x, y, '#ff6600', isBig));
-            }
+    renderGameOver(timestamp) {
+        // Update and render remaining particles
+        this.renderer.update(this.consumeFrameTime(timestamp));
+
+        if (this.renderer.particles.length > 0) {
+            this.renderer.render(this.sim);
+            this.animationFrame = requestAnimationFrame((t) => this.renderGameOver(t));
         }
     }
 
     /**
-     * Spawn a random power-up
+     * Feed this tick's input (live or recorded) and step the simulation
      */
-    spawnPowerup(x, y) {
-        const types = Object.keys(CONFIG.powerups.types);
-        const type = types[Math.floor(Math.random() * types.length)];
-        this.powerups.push(new PowerUp(x, y, type));
-    }
+    tick() {
+        const partner = this.sim.players[1];
+        const partnerInput = partner ? partner.input : null;
+
+        if (this.replayPlayer) {
+            // A replay that stops before the player went down (e.g. a cut file) just ends
+            if (this.sim.tick >= this.replayPlayer.totalTicks) {
+                this.exitReplay();
+                return;
+            }
 
-    /**
-     * Update difficulty based on score
-     */
-    updateDifficulty() {
-        const newLevel = Math.floor(gameState.score / CONFIG.difficulty.scoreThreshold) + 1;
-        if (newLevel > gameState.difficultyLevel) {
-            gameState.difficultyLevel = newLevel;
+            // Feed the recorded canvas size and input into this tick
+            const size = this.replayPlayer.getResize(this.sim.tick);
+            if (size) {
+                this.setPlayArea(size.width, size.height);
+            }
+            this.replayPlayer.applyTick(this.sim.tick, this.player.input, partnerInput);
+        } else if (this.netplay) {
+            this.tickNetplay();
+            return;
+        } else if (this.recorder) {
+            this.recorder.recordTick(this.player.input, partnerInput);
         }
+
+        this.sim.step();
+        this.achievements.update(this.sim.clock.now());
     }
 
     /**
      * Update UI elements
      */
     updateUI() {
+        const state = this.sim.state;
+
         // Health bar
         const healthPercent = (this.player.health / CONFIG.player.maxHealth) * 100;
         this.ui.healthFill.style.width = `${healthPercent}%`;
@@ -2112,23 +2378,68 @@ class Game {
         }
 
         // Score
-        this.ui.scoreValue.textContent = gameState.score;
+        this.ui.scoreValue.textContent = state.score;
+
+        // Co-op partner, and each plane's own score when split
+        const partner = this.sim.players.find(player => player !== this.player);
+        const split = Boolean(partner) && this.sim.settings.coopScore === 'split';
+        this.ui.partnerHud.classList.toggle('hidden', !partner);
+        this.ui.partnerHud.classList.toggle('down', Boolean(partner) && !partner.active);
+        this.ui.playerScore.classList.toggle('hidden', !split);
+        this.ui.partnerScore.classList.toggle('hidden', !split);
+        if (partner) {
+            this.ui.partnerHealthFill.style.width = `${(partner.health / CONFIG.player.maxHealth) * 100}%`;
+            this.ui.partnerHealthText.textContent = partner.active ? Math.ceil(partner.health) : '💀';
+            this.ui.partnerBombs.textContent = `💣x${partner.bombs}`;
+            this.ui.playerScore.textContent = this.player.score;
+            this.ui.partnerScore.textContent = partner.score;
+        }
+
+        // Combo chain and the time left to extend it
+        this.ui.comboDisplay.classList.toggle('hidden', state.combo < 2);
+        if (state.combo >= 2) {
+            const timeLeft = Math.max(0, state.comboExpiresAt - this.clock.now());
+            this.ui.comboMultiplier.textContent = `x${state.multiplier}`;
+            this.ui.comboChain.textContent = `${state.combo} CHAIN`;
+            this.ui.comboTimerFill.style.width = `${(timeLeft / CONFIG.combo.window) * 100}%`;
+        }
 
         // Level/Area
         if (this.ui.levelValue) {
-            this.ui.levelValue.textContent = gameState.currentLevel;
+            this.ui.levelValue.textContent = state.currentLevel;
+        }
+
+        // Boss health
+        const boss = this.sim.boss;
+        this.ui.bossBar.classList.toggle('hidden', !boss);
+        if (boss) {
+            this.ui.bossName.textContent = boss.name;
+            this.ui.bossHealthFill.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
         }
 
+        // Weapon and level
+        const weapon = this.player.getWeapon();
+        this.ui.powerupWeapon.title = weapon.name;
+        this.ui.powerupWeapon.querySelector('.powerup-icon').textContent = weapon.icon;
+        this.ui.powerupWeapon.querySelector('.powerup-count').textContent = `LV${this.player.weaponLevel}`;
+
+        // Charge meter (charge shot mode only)
+        const charge = this.player.charge;
+        this.ui.powerupCharge.classList.toggle('hidden', !this.sim.settings.chargeShot);
+        this.ui.powerupCharge.classList.toggle('active', this.player.charging);
+        this.ui.powerupCharge.classList.toggle('full', charge === 1);
+        this.ui.powerupCharge.querySelector('.powerup-timer').textContent = this.player.charging ? `${Math.floor(charge * 100)}%` : '';
+
         // Power-up indicators
         this.updatePowerupIndicator('rapid', this.ui.powerupRapid);
         this.updatePowerupIndicator('shield', this.ui.powerupShield);
         this.updatePowerupIndicator('damage', this.ui.powerupDamage);
 
         // Bomb count
-        const bombActive = gameState.bombs > 0;
+        const bombActive = this.player.bombs > 0;
         this.ui.powerupBomb.classList.toggle('active', bombActive);
         const bombCount = this.ui.powerupBomb.querySelector('.powerup-count');
-        bombCount.textContent = bombActive ? `x${gameState.bombs}` : '';
+        bombCount.textContent = bombActive ? `x${this.player.bombs}` : '';
 
         // Life indicator (always show as reminder)
         this.ui.powerupLife.classList.remove('active');
@@ -2158,116 +2469,13 @@ class Game {
     /**
      * Render background (for start screen)
      */
-    renderBackground() {
-        // Draw sky gradient
-        this.ctx.fillStyle = this.skyGradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Update and draw clouds
-        this.updateClouds();
-        this.clouds.forEach(cloud => cloud.draw(this.ctx));
+    renderBackground(timestamp) {
+        this.renderer.update(this.consumeFrameTime(timestamp));
+        this.renderer.renderBackground();
 
         if (!gameState.isRunning) {
-            requestAnimationFrame(() => this.renderBackground());
-        }
-    }
-
-    /**
-     * Main render function
-     */
-    render() {
-        // Draw sky gradient
-        this.ctx.fillStyle = this.skyGradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Draw clouds
-        this.clouds.forEach(cloud => cloud.draw(this.ctx));
-
-        // Draw portals (behind other entities)
-        if (this.blackHole) {
-            this.blackHole.draw(this.ctx);
-        }
-        if (this.whiteHole) {
-            this.whiteHole.draw(this.ctx);
-        }
-
-        // Draw entities
-        this.powerups.forEach(p => p.draw(this.ctx));
-        this.enemyBullets.forEach(b => b.draw(this.ctx));
-        this.bullets.forEach(b => b.draw(this.ctx));
-        this.enemies.forEach(e => e.draw(this.ctx));
-        this.particles.forEach(p => p.draw(this.ctx));
-
-        if (this.player && this.player.active) {
-            this.player.draw(this.ctx);
-        }
-
-        // Draw game message
-        if (gameState.gameMessage) {
-            this.renderGameMessage();
-        }
-
-        // Draw transition overlay
-        if (this.transitionAlpha > 0) {
-            this.ctx.fillStyle = `rgba(0, 0, 0, ${this.transitionAlpha})`;
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        }
-    }
-
-    /**
-     * Render game message on screen
-     */
-    renderGameMessage() {
-        const ctx = this.ctx;
-        const message = gameState.gameMessage;
-        const timeLeft = gameState.gameMessageEndTime - Date.now();
-        const duration = 2000; // Approximate, used for fade calculation
-
-        // Calculate alpha for fade in/out effect
-        let alpha = 1;
-        if (timeLeft < 500) {
-            alpha = timeLeft / 500; // Fade out
-        } else if (timeLeft > duration - 500) {
-            alpha = (duration - timeLeft + 500) / 500; // Fade in
+            this.animationFrame = requestAnimationFrame((t) => this.renderBackground(t));
         }
-        alpha = Math.max(0, Math.min(1, alpha));
-
-        ctx.save();
-        ctx.globalAlpha = alpha;
-
-        // Message background
-        const fontSize = Math.min(36, this.canvas.width * 0.06);
-        ctx.font = `bold ${fontSize}px Impact, Arial Black, sans-serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        const textWidth = ctx.measureText(message).width;
-        const padding = 20;
-        const bgX = (this.canvas.width - textWidth) / 2 - padding;
-        const bgY = this.canvas.height / 2 - 40;
-        const bgWidth = textWidth + padding * 2;
-        const bgHeight = fontSize + padding * 1.5;
-
-        // Rounded rectangle background
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.beginPath();
-        ctx.roundRect(bgX, bgY, bgWidth, bgHeight, 10);
-        ctx.fill();
-
-        // Border glow
-        ctx.strokeStyle = '#ffd700';
-        ctx.lineWidth = 2;
-        ctx.shadowColor = '#ffd700';
-        ctx.shadowBlur = 15;
-        ctx.stroke();
-
-        // Text
-        ctx.fillStyle = '#ffffff';
-        ctx.shadowColor = '#000000';
-        ctx.shadowBlur = 5;
-        ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2 - 40 + bgHeight / 2);
-
-        ctx.restore();
     }
 }
 
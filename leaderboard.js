@@ -0,0 +1,131 @@
+/**
+ * ============================================
+ * LEADERBOARD - Local Top 10
+ * Best runs of this machine, one table per seed mode,
+ * kept in localStorage and signed with initials
+ * ============================================
+ */
+
+const LEADERBOARD_KEY = 'skyFighterLeaderboard';
+const LEGACY_HIGH_SCORE_KEY = 'skyFighterHighScore'; // Single high score from before the leaderboard
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_MODES = ['random', 'daily', 'custom'];
+
+/**
+ * Clean up typed initials: up to three letters or digits, upper case
+ */
+function normalizeInitials(text) {
+    const initials = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return initials || '???';
+}
+
+/**
+ * Top runs per seed mode
+ * Entries are { name, score, level, enemies, time (ms), date (YYYY-MM-DD),
+ * seed, mode }; runs migrated from the old high score only know their score.
+ */
+class Leaderboard {
+    constructor(storage) {
+        this.storage = storage;
+        this.tables = this.load();
+        this.migrateHighScore();
+    }
+
+    /**
+     * Read the saved tables, dropping anything unreadable
+     */
+    load() {
+        const tables = {};
+        LEADERBOARD_MODES.forEach(mode => { tables[mode] = []; });
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(LEADERBOARD_KEY));
+        } catch (error) {
+            console.warn('Leaderboard data is corrupt, starting fresh');
+        }
+
+        if (saved && saved.tables) {
+            for (const mode of LEADERBOARD_MODES) {
+                const entries = Array.isArray(saved.tables[mode]) ? saved.tables[mode] : [];
+                tables[mode] = entries
+                    .filter(entry => entry && Number.isFinite(entry.score))
+                    .slice(0, LEADERBOARD_SIZE);
+            }
+        }
+        return tables;
+    }
+
+    /**
+     * Move a single-value high score into the random-mode table
+     */
+    migrateHighScore() {
+        const legacy = parseInt(this.storage.getItem(LEGACY_HIGH_SCORE_KEY), 10);
+        if (legacy > 0) {
+            this.add({
+                name: '???', score: legacy, level: null, enemies: null, time: null, date: null, seed: null, mode: 'random',
+            });
+        }
+        this.storage.removeItem(LEGACY_HIGH_SCORE_KEY);
+    }
+
+    save() {
+        this.storage.setItem(LEADERBOARD_KEY, JSON.stringify({ version: 1, tables: this.tables }));
+    }
+
+    /**
+     * Entries of one mode, best first
+     */
+    getTable(mode) {
+        return this.tables[mode] || [];
+    }
+
+    /**
+     * Best score of any mode
+     */
+    getHighScore() {
+        return LEADERBOARD_MODES.reduce((best, mode) => {
+            const top = this.tables[mode][0];
+            return top ? Math.max(best, top.score) : best;
+        }, 0);
+    }
+
+    /**
+     * Whether a score would make the table of its mode
+     */
+    qualifies(mode, score) {
+        const table = this.tables[mode];
+        if (!table || score <= 0) return false;
+        return table.length < LEADERBOARD_SIZE || score > table[table.length - 1].score;
+    }
+
+    /**
+     * Add a run to the table of its mode; returns its rank (1-based),
+     * or 0 when it did not make the table. Ties rank below older runs.
+     */
+    add(entry) {
+        const table = this.tables[entry.mode];
+        if (!table || !this.qualifies(entry.mode, entry.score)) return 0;
+
+        const record = { ...entry, name: normalizeInitials(entry.name) };
+        let index = table.findIndex(other => entry.score > other.score);
+        if (index === -1) index = table.length;
+
+        table.splice(index, 0, record);
+        table.length = Math.min(table.length, LEADERBOARD_SIZE);
+        this.save();
+        return index + 1;
+    }
+}
+
+// Node (tests) loads the leaderboard as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEADERBOARD_KEY,
+        LEGACY_HIGH_SCORE_KEY,
+        LEADERBOARD_SIZE,
+        LEADERBOARD_MODES,
+        normalizeInitials,
+        Leaderboard,
+    };
+}
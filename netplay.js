@@ -0,0 +1,316 @@
+/**
+ * ============================================
+ * NETPLAY - Online Co-op
+ * Two games on different machines play one co-op run.
+ * Runs are deterministic from their seed and inputs, so
+ * only inputs travel: each game sends its plane's input a
+ * few ticks ahead, and both step a tick once they hold the
+ * input of both planes for it (lockstep). State hashes are
+ * swapped now and then to catch games drifting apart.
+ * See server/relay-server.js for the relay the games talk through.
+ *
+ * Latency: an input must reach the partner before they play
+ * its tick, so the input delay has to cover the one-way trip
+ * (half a round trip through the relay). The host measures
+ * the round trip in the lobby and picks the delay for both
+ * games, from inputDelay (4 ticks, about 67 ms) up to
+ * maxInputDelay (15 ticks, 250 ms). With the 2 ticks kept
+ * for jitter, round trips up to about 430 ms play without
+ * stalls; slower links stall the run while inputs are late.
+ * ============================================
+ */
+
+// Input packing and hashing come from replay.js (a module in Node, a script in the browser)
+const replayCodec = typeof module !== 'undefined' && module.exports
+    ? require('./replay.js')
+    : { AXIS_STEPS, encodeInput, applyInputMask, hashText };
+
+const NETPLAY = {
+    endpoint: null, // Base URL of the relay server; null hides online co-op
+    endpointKey: 'skyFighterNetplayEndpoint', // Set through ?netplay=<url>
+    inputDelay: 4, // Fewest ticks between reading an input and playing it
+    maxInputDelay: 15, // Most ticks of input delay, however slow the link
+    jitterTicks: 2, // Ticks of input delay on top of the measured trip
+    pings: 5, // Round trips the host measures before starting the run
+    hashInterval: 60, // Ticks between state hash checks
+    timeout: 10000, // ms to wait for the partner's input before giving up
+};
+
+/**
+ * Input delay (ticks) covering a round trip between the games
+ * measured in ms: the one-way trip plus jitterTicks
+ */
+function chooseInputDelay(roundTrip, stepMs) {
+    const ticks = Math.ceil(roundTrip / 2 / stepMs) + NETPLAY.jitterTicks;
+    return Math.min(NETPLAY.maxInputDelay, Math.max(NETPLAY.inputDelay, ticks));
+}
+
+/**
+ * Input of one tick on the wire: [bit mask, moveX, moveY] with the
+ * axes in the replay's hundredths, so both games round them the same way
+ */
+function packNetInput(input) {
+    const { AXIS_STEPS } = replayCodec;
+    return [replayCodec.encodeInput(input), Math.round(input.moveX * AXIS_STEPS), Math.round(input.moveY * AXIS_STEPS)];
+}
+
+function unpackNetInput([mask, moveX, moveY], input) {
+    replayCodec.applyInputMask(mask, input);
+    input.moveX = moveX / replayCodec.AXIS_STEPS;
+    input.moveY = moveY / replayCodec.AXIS_STEPS;
+}
+
+/**
+ * Fingerprint of the simulation state both games must agree on
+ * (positions rounded, so only real drift shows up)
+ */
+function hashSimulation(sim) {
+    const round = value => Math.round(value * 100);
+    const { state } = sim;
+    const parts = [
+        sim.tick, sim.rng.state, state.score, state.currentLevel, state.enemiesDefeated,
+        sim.bullets.length, sim.enemyBullets.length, sim.powerups.length,
+        sim.boss ? round(sim.boss.health) : -1,
+    ];
+    for (const player of sim.players) {
+        parts.push(round(player.x), round(player.y), round(player.health), player.active ? 1 : 0);
+    }
+    for (const enemy of sim.enemies) {
+        parts.push(round(enemy.x), round(enemy.y), round(enemy.health));
+    }
+    return replayCodec.hashText(parts.join(','));
+}
+
+/**
+ * Lockstep input exchange of one run, independent of the transport
+ * localIndex is this game's plane (0 hosts, 1 joined); send(message)
+ * hands a message to the partner and receive(message) takes theirs.
+ * start is the run both games play: { seed, settings, width, height }.
+ */
+class LockstepSession {
+    constructor({ localIndex, start, send, inputDelay = NETPLAY.inputDelay, hashInterval = NETPLAY.hashInterval, onDesync = () => {} }) {
+        this.localIndex = localIndex;
+        this.remoteIndex = 1 - localIndex;
+        this.start = start;
+        this.send = send;
+        this.inputDelay = inputDelay;
+        this.hashInterval = hashInterval;
+        this.onDesync = onDesync;
+
+        this.inputs = [new Map(), new Map()]; // Packed input of each plane by tick
+        this.hashes = [new Map(), new Map()]; // State hash of each game by tick
+        this.sentTick = inputDelay - 1; // Last tick the local input was sent for
+        this.desyncTick = null;
+        this.partnerOverTick = null; // Tick the partner's run ended on
+    }
+
+    /**
+     * Send the local input read at a tick; it plays inputDelay ticks later.
+     * Returns false when that tick's input already went out.
+     */
+    submit(tick, input) {
+        const target = tick + this.inputDelay;
+        if (target <= this.sentTick) return false;
+
+        const packed = packNetInput(input);
+        this.inputs[this.localIndex].set(target, packed);
+        this.sentTick = target;
+        this.send({ type: 'input', tick: target, input: packed });
+        return true;
+    }
+
+    /**
+     * Take a message from the partner
+     */
+    receive(message) {
+        if (message.type === 'input') {
+            this.inputs[this.remoteIndex].set(message.tick, message.input);
+        } else if (message.type === 'hash') {
+            this.hashes[this.remoteIndex].set(message.tick, message.hash);
+            this.compareHashes(message.tick);
+        } else if (message.type === 'gameOver') {
+            this.partnerOverTick = message.tick;
+        }
+    }
+
+    /**
+     * Whether both planes' input for a tick has arrived
+     * (the first inputDelay ticks have none: nobody has pressed anything yet)
+     */
+    isReady(tick) {
+        return tick < this.inputDelay || this.inputs.every(inputs => inputs.has(tick));
+    }
+
+    /**
+     * Write the confirmed input of a tick into the planes; false while still waiting
+     */
+    applyTick(tick, players) {
+        if (!this.isReady(tick)) return false;
+
+        players.forEach((player, index) => {
+            const packed = this.inputs[index].get(tick) || [0, 0, 0];
+            unpackNetInput(packed, player.input);
+            this.inputs[index].delete(tick);
+        });
+        return true;
+    }
+
+    /**
+     * Swap the state hash with the partner every hashInterval ticks
+     * hash() is only called on those ticks.
+     */
+    checkHash(tick, hash) {
+        if (tick % this.hashInterval !== 0) return;
+
+        const value = hash();
+        this.hashes[this.localIndex].set(tick, value);
+        this.send({ type: 'hash', tick, hash: value });
+        this.compareHashes(tick);
+    }
+
+    compareHashes(tick) {
+        const [first, second] = this.hashes.map(hashes => hashes.get(tick));
+        if (first === undefined || second === undefined) return;
+
+        this.hashes.forEach(hashes => hashes.delete(tick));
+        if (first !== second && this.desyncTick === null) {
+            this.desyncTick = tick;
+            this.onDesync(tick);
+        }
+    }
+}
+
+/**
+ * Connection to the partner through the relay server
+ * Rooms are opened over HTTP; messages then travel both ways over one
+ * WebSocket, in order. fetch and WebSocket can be swapped out.
+ */
+class RelayConnection {
+    constructor({ endpoint, fetch = null, WebSocket = null }) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.fetch = fetch || ((url, options) => globalThis.fetch(url, options));
+        this.WebSocket = WebSocket || globalThis.WebSocket;
+
+        this.room = null;
+        this.player = null;
+        this.socket = null;
+        this.open = false;
+        this.outbox = []; // Messages sent before the socket opened
+        this.closed = false;
+
+        this.messageHandler = () => {};
+        this.closeHandler = () => {};
+    }
+
+    /**
+     * Open a room; resolves with its code once the partner can join
+     */
+    host() {
+        return this.request('POST', '/rooms').then(data => this.enter(data));
+    }
+
+    /**
+     * Join the room a partner opened
+     */
+    join(code) {
+        const room = String(code).trim().toUpperCase();
+        if (!/^[A-Z]+$/.test(room)) return Promise.reject(new Error('Room codes are letters only'));
+        return this.request('POST', `/rooms/${room}/join`).then(data => this.enter(data));
+    }
+
+    /**
+     * Connect the room's socket; resolves with the room code once it is open
+     */
+    enter({ room, player, token }) {
+        this.room = room;
+        this.player = player;
+        const url = `${this.endpoint.replace(/^http/, 'ws')}/rooms/${room}/socket?player=${player}&token=${token}`;
+
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(url);
+            this.socket = socket;
+            socket.onopen = () => {
+                this.open = true;
+                this.outbox.splice(0).forEach(message => socket.send(JSON.stringify(message)));
+                resolve(room);
+            };
+            socket.onmessage = event => {
+                if (!this.closed) this.messageHandler(JSON.parse(event.data));
+            };
+            socket.onclose = event => {
+                if (!this.open) {
+                    this.closed = true;
+                    reject(new Error('Could not connect to the relay server'));
+                } else {
+                    this.disconnect(event.reason || 'Lost the connection');
+                }
+            };
+        });
+    }
+
+    onMessage(handler) {
+        this.messageHandler = handler;
+    }
+
+    /**
+     * Called once with a reason when the room is gone or unreachable
+     */
+    onClose(handler) {
+        this.closeHandler = handler;
+    }
+
+    send(message) {
+        if (this.closed || this.room === null) return;
+        if (this.open) {
+            this.socket.send(JSON.stringify(message));
+        } else {
+            this.outbox.push(message);
+        }
+    }
+
+    /**
+     * Leave the room (closing it for the partner too); messages already
+     * sent still go out first
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.socket) this.socket.close(1000, 'Left');
+    }
+
+    disconnect(reason) {
+        if (this.closed) return;
+        this.close();
+        this.closeHandler(reason);
+    }
+
+    /**
+     * JSON request to the relay; fails with the server's error message
+     */
+    request(method, path, body = null) {
+        const options = { method, headers: { 'Content-Type': 'application/json' } };
+        if (body !== null) options.body = JSON.stringify(body);
+
+        return Promise.resolve()
+            .then(() => this.fetch(`${this.endpoint}${path}`, options))
+            .then(response => response.json().then(data => {
+                if (response.ok) return data;
+                const error = new Error(data.error || `Relay server answered ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }));
+    }
+}
+
+// Node (tests) loads netplay as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NETPLAY,
+        chooseInputDelay,
+        packNetInput,
+        unpackNetInput,
+        hashSimulation,
+        LockstepSession,
+        RelayConnection,
+    };
+}
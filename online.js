@@ -0,0 +1,176 @@
+/**
+ * ============================================
+ * ONLINE LEADERBOARD - HTTP Client
+ * Sends finished runs to a leaderboard server and reads
+ * the global rankings. Submissions wait in a queue kept
+ * in localStorage and are retried with backoff, so runs
+ * finished offline are sent once the server is back.
+ * See server/leaderboard-server.js for the API.
+ * ============================================
+ */
+
+const ONLINE_LEADERBOARD = {
+    endpoint: null, // Base URL of the server; null keeps the game offline
+    endpointKey: 'skyFighterLeaderboardEndpoint', // Set through ?leaderboard=<url>
+    queueKey: 'skyFighterScoreQueue',
+    retryDelay: 2000, // ms before the first retry, doubling after each failure
+    maxRetryDelay: 5 * 60 * 1000,
+    maxQueue: 20, // Oldest submissions are dropped beyond this
+};
+
+/**
+ * Client for one leaderboard server
+ * fetch and schedule (setTimeout) can be swapped out for tests.
+ */
+class OnlineLeaderboard {
+    constructor({ endpoint = ONLINE_LEADERBOARD.endpoint, storage, fetch = null, schedule = null, now = () => Date.now() }) {
+        this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+        this.storage = storage;
+        this.fetch = fetch || ((url, options) => globalThis.fetch(url, options));
+        this.schedule = schedule || ((callback, delay) => setTimeout(callback, delay));
+        this.now = now;
+
+        this.queue = this.loadQueue();
+        this.flushing = null;
+        this.retryScheduled = false;
+    }
+
+    /**
+     * Whether a server is configured
+     */
+    isEnabled() {
+        return this.endpoint !== null;
+    }
+
+    loadQueue() {
+        try {
+            const queue = JSON.parse(this.storage.getItem(ONLINE_LEADERBOARD.queueKey));
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        this.storage.setItem(ONLINE_LEADERBOARD.queueKey, JSON.stringify(this.queue));
+    }
+
+    /**
+     * Queue a finished run and try to send it right away
+     * A submission is { name, score, level, enemies, time, date, seed, mode,
+     * replay, replayHash }.
+     */
+    submit(submission) {
+        if (!this.isEnabled()) return Promise.resolve();
+
+        this.queue.push({ submission, attempts: 0, nextAttemptAt: 0 });
+        if (this.queue.length > ONLINE_LEADERBOARD.maxQueue) {
+            this.queue.splice(0, this.queue.length - ONLINE_LEADERBOARD.maxQueue);
+        }
+        this.saveQueue();
+        return this.flush();
+    }
+
+    /**
+     * Send every queued submission that is due, oldest first
+     * Stops at the first failure (the server is likely down) and schedules a retry.
+     */
+    flush() {
+        if (!this.isEnabled()) return Promise.resolve();
+        if (!this.flushing) {
+            this.flushing = this.sendDue().then(() => {
+                this.flushing = null;
+                this.scheduleRetry();
+            });
+        }
+        return this.flushing;
+    }
+
+    sendDue() {
+        if (this.queue.length === 0 || this.queue[0].nextAttemptAt > this.now()) {
+            return Promise.resolve();
+        }
+
+        const item = this.queue[0];
+        return this.post(item.submission).then(result => {
+            if (result === 'retry') {
+                item.attempts++;
+                item.nextAttemptAt = this.now() + this.getRetryDelay(item.attempts);
+                this.saveQueue();
+                return null;
+            }
+
+            if (result === 'rejected') {
+                console.warn('Leaderboard server rejected a score', item.submission.score);
+            }
+            this.queue.shift();
+            this.saveQueue();
+            return this.sendDue();
+        });
+    }
+
+    /**
+     * POST one submission: 'sent', 'rejected' (never retried) or 'retry'
+     */
+    post(submission) {
+        return Promise.resolve()
+            .then(() => this.fetch(`${this.endpoint}/scores`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(submission),
+            }))
+            .then(response => {
+                if (response.ok) return 'sent';
+                return response.status === 429 || response.status >= 500 ? 'retry' : 'rejected';
+            })
+            .catch(() => 'retry'); // Offline or unreachable
+    }
+
+    /**
+     * Backoff before attempt number `attempts` + 1 (ms)
+     */
+    getRetryDelay(attempts) {
+        return Math.min(ONLINE_LEADERBOARD.maxRetryDelay, ONLINE_LEADERBOARD.retryDelay * Math.pow(2, attempts - 1));
+    }
+
+    /**
+     * Wake up when the next queued submission is due
+     */
+    scheduleRetry() {
+        if (this.retryScheduled || this.queue.length === 0) return;
+
+        this.retryScheduled = true;
+        const delay = Math.max(0, this.queue[0].nextAttemptAt - this.now());
+        this.schedule(() => {
+            this.retryScheduled = false;
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * Submissions still waiting to be sent
+     */
+    getPendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Global top runs of one mode, best first
+     */
+    fetchTop(mode, limit = 10) {
+        return Promise.resolve()
+            .then(() => this.fetch(`${this.endpoint}/scores?mode=${encodeURIComponent(mode)}&limit=${limit}`))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Leaderboard server answered ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => data.scores);
+    }
+}
+
+// Node (tests) loads the client as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ONLINE_LEADERBOARD, OnlineLeaderboard };
+}
@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * PROFILE - Lifetime Statistics
+ * Totals over every live run played on this machine,
+ * kept in localStorage and movable between devices
+ * as a JSON file
+ * ============================================
+ */
+
+const PROFILE_KEY = 'skyFighterProfile';
+const PROFILE_VERSION = 1;
+
+/**
+ * Counters of a single run; enemies and powerups count per type,
+ * sectors per Area map sector entered
+ */
+function createRunStats() {
+    return { enemies: {}, bombs: 0, powerups: {}, blackHoles: 0, whiteHoles: 0, sectors: {} };
+}
+
+/**
+ * An empty profile
+ */
+function createProfile() {
+    return {
+        version: PROFILE_VERSION,
+        runs: 0,
+        playTime: 0, // ms
+        deepestArea: 0,
+        ...createRunStats(),
+        achievements: {}, // Unlock date (YYYY-MM-DD) by achievement id
+    };
+}
+
+/**
+ * Check saved or imported profile data and fill in missing counters
+ * Throws an Error describing the first problem found.
+ */
+function parseProfile(data) {
+    if (!data || typeof data !== 'object') throw new Error('Profile must be a JSON object');
+    if (data.version !== PROFILE_VERSION) throw new Error(`Unsupported profile version ${data.version}`);
+
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const profile = createProfile();
+
+    for (const key of ['runs', 'playTime', 'deepestArea', 'bombs', 'blackHoles', 'whiteHoles']) {
+        if (data[key] === undefined) continue;
+        if (!isCount(data[key])) throw new Error(`Profile field "${key}" must be a whole number`);
+        profile[key] = data[key];
+    }
+
+    for (const key of ['enemies', 'powerups', 'sectors']) {
+        if (data[key] === undefined) continue;
+        if (!data[key] || typeof data[key] !== 'object') throw new Error(`Profile field "${key}" must be an object`);
+        for (const [type, count] of Object.entries(data[key])) {
+            if (!isCount(count)) throw new Error(`Profile count "${key}.${type}" must be a whole number`);
+            profile[key][type] = count;
+        }
+    }
+
+    if (data.achievements !== undefined) {
+        if (!data.achievements || typeof data.achievements !== 'object') {
+            throw new Error('Profile field "achievements" must be an object');
+        }
+        for (const [id, date] of Object.entries(data.achievements)) {
+            if (typeof date !== 'string') throw new Error(`Unlock date of "${id}" must be a string`);
+            profile.achievements[id] = date;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Lifetime totals of this player
+ */
+class PlayerProfile {
+    constructor(storage) {
+        this.storage = storage;
+        this.stats = this.load();
+    }
+
+    /**
+     * Read the saved profile, starting fresh if it is unreadable
+     */
+    load() {
+        const saved = this.storage.getItem(PROFILE_KEY);
+        if (saved === null) return createProfile();
+
+        try {
+            return parseProfile(JSON.parse(saved));
+        } catch (error) {
+            console.warn('Profile data is corrupt, starting fresh:', error.message);
+            return createProfile();
+        }
+    }
+
+    save() {
+        this.storage.setItem(PROFILE_KEY, JSON.stringify(this.stats));
+    }
+
+    /**
+     * Add a finished run: its counters (see createRunStats) plus
+     * time (ms) and the Area it ended in
+     */
+    recordRun(run) {
+        const stats = this.stats;
+        stats.runs++;
+        stats.playTime += Math.round(run.time);
+        stats.deepestArea = Math.max(stats.deepestArea, run.area);
+        stats.bombs += run.bombs;
+        stats.blackHoles += run.blackHoles;
+        stats.whiteHoles += run.whiteHoles;
+
+        for (const key of ['enemies', 'powerups', 'sectors']) {
+            for (const [type, count] of Object.entries(run[key])) {
+                stats[key][type] = (stats[key][type] || 0) + count;
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Mark an achievement as unlocked today
+     */
+    unlockAchievement(id) {
+        this.stats.achievements[id] = new Date().toISOString().slice(0, 10);
+        this.save();
+    }
+
+    /**
+     * Enemies destroyed over all types
+     */
+    getTotalEnemies() {
+        return Object.values(this.stats.enemies).reduce((total, count) => total + count, 0);
+    }
+
+    /**
+     * The profile as a JSON file
+     */
+    exportJSON() {
+        return JSON.stringify(this.stats, null, 2);
+    }
+
+    /**
+     * Replace the profile with an exported one; throws if the file is invalid
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Profile file is not valid JSON');
+        }
+
+        this.stats = parseProfile(data);
+        this.save();
+    }
+}
+
+// Node (tests) loads the profile as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROFILE_KEY,
+        PROFILE_VERSION,
+        createRunStats,
+        createProfile,
+        parseProfile,
+        PlayerProfile,
+    };
+}
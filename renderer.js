@@ -0,0 +1,1154 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Renderer
+ * Draws a Simulation onto the canvas. Owns the purely
+ * cosmetic effects (sky, clouds, explosion particles,
+ * on-screen messages) that never affect gameplay.
+ * ============================================
+ */
+
+/**
+ * Particle class for explosions
+ */
+class Particle {
+    constructor(x, y, color, isBig = false) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.color = color;
+        this.size = isBig ? Math.random() * 8 + 4 : Math.random() * 5 + 2;
+
+        // Velocity in px per second
+        const angle = Math.random() * Math.PI * 2;
+        const speed = isBig ? Math.random() * 480 + 240 : Math.random() * 360 + 120;
+        this.vx = Math.cos(angle) * speed;
+        this.vy = Math.sin(angle) * speed;
+
+        this.life = 1;
+        this.decay = isBig ? 0.9 : 1.2 + Math.random() * 1.2; // life lost per second
+        this.gravity = 360; // px per second squared
+    }
+
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        this.x += this.vx * deltaTime;
+        this.y += this.vy * deltaTime;
+        this.vy += this.gravity * deltaTime;
+        this.vx *= Math.pow(0.98, deltaTime * 60);
+        this.life -= this.decay * deltaTime;
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size * this.life, 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = this.life;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 5;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.shadowBlur = 0;
+    }
+
+    isDead() {
+        return this.life <= 0;
+    }
+}
+
+/**
+ * Cloud class for background
+ */
+class Cloud {
+    constructor(canvasWidth, canvasHeight, startAtTop = false) {
+        this.x = Math.random() * canvasWidth;
+        this.y = startAtTop ? -50 : Math.random() * canvasHeight;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.width = 60 + Math.random() * 100;
+        this.height = 30 + Math.random() * 40;
+        this.speed = CONFIG.clouds.minSpeed + Math.random() * (CONFIG.clouds.maxSpeed - CONFIG.clouds.minSpeed);
+        this.opacity = 0.1 + Math.random() * 0.15;
+    }
+
+    update(deltaTime, canvasHeight) {
+        this.prevY = this.y;
+        this.y += this.speed * deltaTime;
+        if (this.y > canvasHeight + this.height) {
+            return false; // Remove cloud
+        }
+        return true;
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        ctx.fillStyle = '#ffffff';
+
+        // Simple cloud shape
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, this.width * 0.5, this.height * 0.5, 0, 0, Math.PI * 2);
+        ctx.ellipse(this.x - this.width * 0.3, this.y + 5, this.width * 0.35, this.height * 0.4, 0, 0, Math.PI * 2);
+        ctx.ellipse(this.x + this.width * 0.3, this.y + 5, this.width * 0.35, this.height * 0.4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// Plane colors by player index (player 2 flies orange in co-op)
+const PLAYER_PALETTES = [
+    { light: '#4488ff', mid: '#2266dd', dark: '#1144aa', outline: '#66aaff' },
+    { light: '#ff8844', mid: '#dd5522', dark: '#aa3311', outline: '#ffaa66' },
+];
+
+// Skies of the Area map's sectors (see areas.js), as gradient color stops;
+// the main line's also color the first Areas of runs without the map
+const SKY_THEMES = {
+    dusk: [[0, '#1a1a3a'], [0.5, '#2a2a5a'], [1, '#4a2a6a']],
+    sunset: [[0, '#1a0a2a'], [0.3, '#4a1a3a'], [0.6, '#8a3030'], [1, '#cc5522']],
+    'deep-space': [[0, '#000010'], [0.5, '#0a1030'], [1, '#102050']],
+    alien: [[0, '#0a1a0a'], [0.4, '#1a3a2a'], [0.7, '#2a4a3a'], [1, '#1a5a4a']],
+    warzone: [[0, '#230a14'], [0.5, '#3a1428'], [1, '#5a1e32']],
+    aurora: [[0, '#06142a'], [0.5, '#124a5a'], [1, '#3a8a7a']],
+    ember: [[0, '#1a0505'], [0.4, '#4a1208'], [0.75, '#8a2a0a'], [1, '#d2601a']],
+    nebula: [[0, '#0a0520'], [0.4, '#2a0a4a'], [0.7, '#5a1a6a'], [1, '#8a3a8a']],
+    gauntlet: [[0, '#050505'], [0.5, '#1a1a24'], [1, '#3a3a4a']],
+};
+
+// Skies of Areas 1-4 without a sector theme
+const LEVEL_SKIES = ['dusk', 'sunset', 'deep-space', 'alien'];
+
+// ============================================
+// RENDERER
+// ============================================
+class Renderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Cosmetic effects
+        this.particles = [];
+        this.clouds = [];
+
+        // Background gradient for the current level (or its sector's theme)
+        this.level = 1;
+        this.theme = null;
+        this.skyGradient = null;
+
+        // On-screen message (end time in game clock ms)
+        this.message = null;
+        this.messageEndTime = 0;
+
+        // Achievement toasts, shown one after another (game clock ms)
+        this.toasts = [];
+    }
+
+    /**
+     * Resize the canvas
+     */
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.createSkyGradient(this.level, this.theme);
+    }
+
+    /**
+     * Create sky gradient based on current level, or on a sector theme
+     */
+    createSkyGradient(level = 1, theme = null) {
+        this.level = level;
+        this.theme = theme;
+        this.skyGradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
+
+        const sky = SKY_THEMES[theme] || SKY_THEMES[LEVEL_SKIES[level - 1]];
+        if (sky) {
+            sky.forEach(([offset, color]) => this.skyGradient.addColorStop(offset, color));
+            return;
+        }
+
+        // Intense warzone red for high levels, deepening as they go
+        const intensity = Math.min((level - 4) * 0.1, 0.5);
+        this.skyGradient.addColorStop(0, `rgb(${30 + intensity * 50}, 10, 20)`);
+        this.skyGradient.addColorStop(0.5, `rgb(${50 + intensity * 80}, 20, 40)`);
+        this.skyGradient.addColorStop(1, `rgb(${80 + intensity * 100}, 30, 50)`);
+    }
+
+    /**
+     * Generate initial clouds
+     */
+    generateClouds() {
+        this.clouds = [];
+        for (let i = 0; i < CONFIG.clouds.count; i++) {
+            this.clouds.push(new Cloud(this.canvas.width, this.canvas.height, false));
+        }
+    }
+
+    /**
+     * Drop explosions and messages left over from the previous run
+     */
+    clearEffects() {
+        this.particles = [];
+        this.message = null;
+        this.messageEndTime = 0;
+        this.toasts = [];
+    }
+
+    /**
+     * Advance clouds and particles (deltaTime in seconds)
+     */
+    update(deltaTime) {
+        // Update existing clouds
+        this.clouds = this.clouds.filter(cloud => cloud.update(deltaTime, this.canvas.height));
+
+        // Add new clouds
+        if (Math.random() < CONFIG.clouds.spawnChance * deltaTime && this.clouds.length < CONFIG.clouds.count * 1.5) {
+            this.clouds.push(new Cloud(this.canvas.width, this.canvas.height, true));
+        }
+
+        // Update particles
+        this.particles = this.particles.filter(particle => {
+            particle.update(deltaTime);
+            return !particle.isDead();
+        });
+    }
+
+    /**
+     * Create explosion particles
+     */
+    createExplosion(x, y, color, isBig = false) {
+        const count = isBig ? CONFIG.particles.explosionCount * 2 : CONFIG.particles.explosionCount;
+        for (let i = 0; i < count; i++) {
+            this.particles.push(new Particle(x, y, color, isBig));
+            // Add some fire-colored particles
+            if (i % 3 === 0) {
+                this.particles.push(new Particle(x, y, '#ff6600', isBig));
+            }
+        }
+    }
+
+    /**
+     * Show a temporary message until the given game time
+     */
+    showMessage(text, endTime) {
+        this.message = text;
+        this.messageEndTime = endTime;
+    }
+
+    /**
+     * Queue a toast; it shows once the toasts before it are gone
+     */
+    showToast(text, now, duration = 3000) {
+        const last = this.toasts[this.toasts.length - 1];
+        const startTime = last ? Math.max(now, last.endTime) : now;
+        this.toasts.push({ text, startTime, endTime: startTime + duration });
+    }
+
+    /**
+     * Draw an object at its interpolated position between the previous and the
+     * current simulation tick, then restore its real position.
+     */
+    drawInterpolated(object, alpha, draw) {
+        const x = object.x;
+        const y = object.y;
+
+        object.x = object.prevX + (x - object.prevX) * alpha;
+        object.y = object.prevY + (y - object.prevY) * alpha;
+
+        draw(object);
+
+        object.x = x;
+        object.y = y;
+    }
+
+    /**
+     * Render background (for start screen)
+     */
+    renderBackground() {
+        // Draw sky gradient
+        this.ctx.fillStyle = this.skyGradient;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw clouds
+        this.clouds.forEach(cloud => cloud.draw(this.ctx));
+    }
+
+    /**
+     * Main render function
+     * alpha is how far (0-1) the frame lies between the previous and the current tick
+     */
+    render(sim, alpha = 1) {
+        const ctx = this.ctx;
+
+        // Draw sky gradient
+        ctx.fillStyle = this.skyGradient;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw clouds
+        this.clouds.forEach(cloud => this.drawInterpolated(cloud, alpha, c => c.draw(ctx)));
+
+        // Draw portals (behind other entities)
+        if (sim.blackHole) {
+            this.drawBlackHole(sim.blackHole);
+        }
+        if (sim.whiteHole) {
+            this.drawWhiteHole(sim.whiteHole);
+        }
+
+        // Draw entities
+        sim.powerups.forEach(p => this.drawInterpolated(p, alpha, o => this.drawPowerUp(o)));
+        sim.enemyBullets.forEach(b => this.drawInterpolated(b, alpha, o => this.drawBullet(o)));
+        sim.bullets.forEach(b => this.drawInterpolated(b, alpha, o => this.drawBullet(o)));
+        sim.enemies.forEach(e => this.drawInterpolated(e, alpha, o => this.drawEnemy(o)));
+        if (sim.boss) {
+            this.drawInterpolated(sim.boss, alpha, o => this.drawBoss(o, sim.clock.now()));
+        }
+        this.particles.forEach(p => this.drawInterpolated(p, alpha, o => o.draw(ctx)));
+
+        sim.players.forEach(player => {
+            this.drawInterpolated(player, alpha, o => {
+                if (o.active) {
+                    this.drawLaser(o, sim.clock.now());
+                    this.drawPlayer(o);
+                } else if (sim.settings.coop && !sim.state.gameOver) {
+                    this.drawDownedPlayer(o);
+                }
+            });
+        });
+
+        // Draw game message
+        if (this.message && sim.clock.now() < this.messageEndTime) {
+            this.renderMessage(sim.clock.now());
+        }
+        this.renderToast(sim.clock.now());
+
+        // Draw transition overlay
+        if (sim.transitionAlpha > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${sim.transitionAlpha})`;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        // Between Areas of the map, the route so far over the black
+        if (sim.isShowingAreaMap()) {
+            this.renderAreaMap(sim);
+        }
+    }
+
+    /**
+     * Draw the Area map: sectors in columns by Area, the portal links between
+     * them (Black Hole solid, White Hole dashed), and the route flown in gold
+     * up to the sector the portal leads to
+     */
+    renderAreaMap(sim) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const { sectors } = sim.areaMap;
+        const route = [...sim.state.route, sim.state.nextSector];
+
+        // Sector positions: one column per Area, spread over the screen
+        const columns = getSectorColumns(sim.areaMap);
+        const positions = {};
+        columns.forEach((column, c) => {
+            column.forEach((id, r) => {
+                positions[id] = {
+                    x: width * (c + 1) / (columns.length + 1),
+                    y: height * 0.2 + height * 0.65 * (r + 1) / (column.length + 1),
+                };
+            });
+        });
+
+        const radius = Math.max(8, Math.min(20, width * 0.025));
+        const fontSize = Math.max(10, Math.min(14, width * 0.02));
+        const onRoute = (from, to) => route.some((id, index) => id === from && route[index + 1] === to);
+        const visited = new Set(sim.state.route);
+
+        ctx.save();
+
+        ctx.font = `bold ${Math.min(32, width * 0.05)}px Impact, Arial Black, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffd700';
+        ctx.fillText('🗺️ AREA MAP', width / 2, height * 0.1);
+
+        // Portal links
+        for (const [id, sector] of Object.entries(sectors)) {
+            if (!sector.next) continue;
+            for (const portal of ['blackHole', 'whiteHole']) {
+                const target = sector.next[portal];
+                const from = positions[id];
+                const to = positions[target];
+                const taken = onRoute(id, target);
+
+                ctx.strokeStyle = taken ? '#ffd700' : portal === 'blackHole' ? '#8855cc' : 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = taken ? 4 : 2;
+                ctx.setLineDash(portal === 'whiteHole' ? [6, 6] : []);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            }
+        }
+        ctx.setLineDash([]);
+
+        // Sectors: flown ones gold, the next one pulsing
+        const pulse = 0.5 + 0.5 * Math.sin(sim.areaMapTime / 150);
+        for (const [id, sector] of Object.entries(sectors)) {
+            const { x, y } = positions[id];
+            const next = id === sim.state.nextSector;
+
+            ctx.fillStyle = visited.has(id) ? '#ffd700' : next ? '#ffffff' : '#333344';
+            ctx.strokeStyle = next ? `rgba(255, 215, 0, ${pulse})` : '#888899';
+            ctx.lineWidth = next ? 4 : 2;
+            ctx.beginPath();
+            ctx.arc(x, y, next ? radius * (1 + pulse * 0.2) : radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+            ctx.fillStyle = visited.has(id) || next ? '#ffffff' : '#9999aa';
+            ctx.fillText(sector.name, x, y + radius + fontSize);
+            const modifiers = formatSectorModifiers(sector);
+            if (modifiers) {
+                ctx.font = `${fontSize * 0.85}px Arial, sans-serif`;
+                ctx.fillText(modifiers, x, y + radius + fontSize * 2.1);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Render game message on screen
+     */
+    renderMessage(now) {
+        const message = this.message;
+        const timeLeft = this.messageEndTime - now;
+        const duration = 2000; // Approximate, used for fade calculation
+
+        // Calculate alpha for fade in/out effect
+        let alpha = 1;
+        if (timeLeft < 500) {
+            alpha = timeLeft / 500; // Fade out
+        } else if (timeLeft > duration - 500) {
+            alpha = (duration - timeLeft + 500) / 500; // Fade in
+        }
+        alpha = Math.max(0, Math.min(1, alpha));
+
+        const fontSize = Math.min(36, this.canvas.width * 0.06);
+        this.drawMessageBox(message, this.canvas.height / 2 - 40, fontSize, alpha);
+    }
+
+    /**
+     * Render the current achievement toast near the top of the screen
+     */
+    renderToast(now) {
+        this.toasts = this.toasts.filter(toast => now < toast.endTime);
+        const toast = this.toasts[0];
+        if (!toast || now < toast.startTime) return;
+
+        // Fade in and out over 300 ms
+        const alpha = Math.max(0, Math.min(1, (now - toast.startTime) / 300, (toast.endTime - now) / 300));
+        const fontSize = Math.min(22, this.canvas.width * 0.045);
+        this.drawMessageBox(toast.text, 70, fontSize, alpha);
+    }
+
+    /**
+     * Draw text in a glowing rounded box, centered horizontally below `top`
+     */
+    drawMessageBox(message, top, fontSize, alpha) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+
+        // Message background
+        ctx.font = `bold ${fontSize}px Impact, Arial Black, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const textWidth = ctx.measureText(message).width;
+        const padding = 20;
+        const bgX = (this.canvas.width - textWidth) / 2 - padding;
+        const bgY = top;
+        const bgWidth = textWidth + padding * 2;
+        const bgHeight = fontSize + padding * 1.5;
+
+        // Rounded rectangle background
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.beginPath();
+        ctx.roundRect(bgX, bgY, bgWidth, bgHeight, 10);
+        ctx.fill();
+
+        // Border glow
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = '#ffd700';
+        ctx.shadowBlur = 15;
+        ctx.stroke();
+
+        // Text
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = '#000000';
+        ctx.shadowBlur = 5;
+        ctx.fillText(message, this.canvas.width / 2, top + bgHeight / 2);
+
+        ctx.restore();
+    }
+
+    // ============================================
+    // ENTITY DRAWING
+    // ============================================
+
+    /**
+     * Draw player plane
+     */
+    drawPlayer(player) {
+        if (player.flashState) return; // Skip drawing during flash
+
+        const ctx = this.ctx;
+        const size = player.size;
+
+        ctx.save();
+        ctx.translate(player.x, player.y);
+        ctx.rotate(player.bankAngle);
+
+        // Shield effect
+        if (player.powerups.shield.active) {
+            ctx.beginPath();
+            ctx.arc(0, 0, size + 12, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(0, 229, 255, 0.7)';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+
+            // Inner glow
+            const gradient = ctx.createRadialGradient(0, 0, size, 0, 0, size + 18);
+            gradient.addColorStop(0, 'rgba(0, 229, 255, 0.25)');
+            gradient.addColorStop(1, 'rgba(0, 229, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fill();
+        }
+
+        // Charge meter: an arc that closes as the charge builds, flashing when full
+        if (player.charging) {
+            const color = CONFIG.chargeShot.color;
+            ctx.save();
+            ctx.rotate(-player.bankAngle);
+            ctx.beginPath();
+            ctx.arc(0, 0, size + 8, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * player.charge);
+            ctx.strokeStyle = player.charge === 1 && Math.random() < 0.5 ? '#ffffff' : color;
+            ctx.lineWidth = 4;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 12;
+            ctx.stroke();
+
+            // Energy gathering at the nose
+            ctx.beginPath();
+            ctx.arc(0, -size, 3 + player.charge * 8, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.5 + player.charge * 0.5;
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Engine flames (flicker every frame)
+        const flameLength = 12 + Math.random() * 8;
+        ctx.beginPath();
+        ctx.moveTo(-6, size * 0.6);
+        ctx.lineTo(-3, size * 0.6 + flameLength);
+        ctx.lineTo(0, size * 0.6 + flameLength * 0.7);
+        ctx.lineTo(3, size * 0.6 + flameLength);
+        ctx.lineTo(6, size * 0.6);
+        ctx.closePath();
+        const flameGradient = ctx.createLinearGradient(0, size * 0.6, 0, size * 0.6 + flameLength);
+        flameGradient.addColorStop(0, '#ffff00');
+        flameGradient.addColorStop(0.5, '#ff6600');
+        flameGradient.addColorStop(1, '#ff0000');
+        ctx.fillStyle = flameGradient;
+        ctx.fill();
+
+        // Plane body (fighter jet shape)
+        ctx.beginPath();
+        // Nose
+        ctx.moveTo(0, -size);
+        // Right side
+        ctx.lineTo(5, -size * 0.5);
+        ctx.lineTo(8, -size * 0.2);
+        // Right wing
+        ctx.lineTo(size * 1.2, size * 0.3);
+        ctx.lineTo(size * 1.1, size * 0.5);
+        ctx.lineTo(10, size * 0.3);
+        // Tail right
+        ctx.lineTo(8, size * 0.6);
+        ctx.lineTo(12, size * 0.9);
+        ctx.lineTo(6, size * 0.7);
+        // Center tail
+        ctx.lineTo(0, size * 0.5);
+        // Left tail
+        ctx.lineTo(-6, size * 0.7);
+        ctx.lineTo(-12, size * 0.9);
+        ctx.lineTo(-8, size * 0.6);
+        // Left wing
+        ctx.lineTo(-10, size * 0.3);
+        ctx.lineTo(-size * 1.1, size * 0.5);
+        ctx.lineTo(-size * 1.2, size * 0.3);
+        ctx.lineTo(-8, -size * 0.2);
+        ctx.lineTo(-5, -size * 0.5);
+        ctx.closePath();
+
+        // Plane gradient fill
+        const palette = PLAYER_PALETTES[player.index] || PLAYER_PALETTES[0];
+        const bodyGradient = ctx.createLinearGradient(0, -size, 0, size);
+        bodyGradient.addColorStop(0, palette.light);
+        bodyGradient.addColorStop(0.5, palette.mid);
+        bodyGradient.addColorStop(1, palette.dark);
+        ctx.fillStyle = bodyGradient;
+        ctx.shadowColor = palette.light;
+        ctx.shadowBlur = 15;
+        ctx.fill();
+
+        // Outline
+        ctx.strokeStyle = palette.outline;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Cockpit
+        ctx.beginPath();
+        ctx.ellipse(0, -size * 0.3, 4, 8, 0, 0, Math.PI * 2);
+        ctx.fillStyle = '#00ffff';
+        ctx.shadowColor = '#00ffff';
+        ctx.shadowBlur = 8;
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a downed co-op plane: a faded wreck with the revive progress
+     * closing around it while its partner is near
+     */
+    drawDownedPlayer(player) {
+        const ctx = this.ctx;
+        const palette = PLAYER_PALETTES[player.index] || PLAYER_PALETTES[0];
+
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        this.drawPlayer({ ...player, flashState: false, charging: false, bankAngle: 0, powerups: { shield: { active: false } } });
+        ctx.restore();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(player.x, player.y, CONFIG.coop.reviveRadius, 0, Math.PI * 2);
+        ctx.strokeStyle = palette.outline;
+        ctx.globalAlpha = 0.3;
+        ctx.setLineDash([6, 8]);
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        if (player.reviveProgress > 0) {
+            const progress = Math.min(1, player.reviveProgress / CONFIG.coop.reviveTime);
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, player.size + 10, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+            ctx.strokeStyle = '#33ff66';
+            ctx.globalAlpha = 1;
+            ctx.setLineDash([]);
+            ctx.lineWidth = 4;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the player's laser beam while a pulse is showing
+     */
+    drawLaser(player, now) {
+        if (player.weapon !== 'laser' || now >= player.beamUntil) return;
+
+        const ctx = this.ctx;
+        const width = player.beamWidth * (0.85 + Math.random() * 0.3);
+        const top = player.y - player.size;
+
+        ctx.save();
+        ctx.shadowColor = CONFIG.weapons.types.laser.color;
+        ctx.shadowBlur = 20;
+        ctx.fillStyle = CONFIG.weapons.types.laser.color;
+        ctx.globalAlpha = 0.6;
+        ctx.fillRect(player.x - width / 2, 0, width, top);
+
+        // Bright core
+        ctx.fillStyle = '#ffffff';
+        ctx.globalAlpha = 0.9;
+        ctx.fillRect(player.x - width / 6, 0, width / 3, top);
+        ctx.restore();
+    }
+
+    /**
+     * Draw a player or enemy bullet with its trail
+     */
+    drawBullet(bullet) {
+        const ctx = this.ctx;
+        const color = bullet.color || (bullet.isEnemy ? '#ff4444' : '#ffdd00');
+        const glowColor = bullet.color || (bullet.isEnemy ? '#ff0000' : '#ffff00');
+        const size = bullet.size;
+
+        ctx.save();
+
+        // Draw trail
+        ctx.fillStyle = color;
+        for (let i = 0; i < bullet.trail.length; i++) {
+            const pos = bullet.trail[i];
+            ctx.globalAlpha = (i + 1) / bullet.trail.length * 0.4;
+
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, size * (i + 1) / bullet.trail.length, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Bullets waiting to launch blink
+        ctx.globalAlpha = bullet.isWaiting() ? 0.5 + Math.sin(bullet.sim.clock.now() / 40) * 0.3 : 1;
+
+        // Draw bullet, pointing along its flight
+        ctx.translate(bullet.x, bullet.y);
+        ctx.rotate(bullet.angle);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.shadowColor = glowColor;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+
+        switch (bullet.shape) {
+            case 'needle':
+                ctx.ellipse(0, 0, size * 2.2, size * 0.6, 0, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'star':
+                for (let i = 0; i < 10; i++) {
+                    const radius = i % 2 === 0 ? size * 1.4 : size * 0.6;
+                    const angle = i * Math.PI / 5;
+                    ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                }
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'ring':
+                ctx.lineWidth = Math.max(1.5, size * 0.4);
+                ctx.arc(0, 0, size, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case 'missile':
+                ctx.fillRect(-size * 1.5, -size * 0.4, size * 2.5, size * 0.8);
+                ctx.moveTo(size * 1, -size * 0.4);
+                ctx.lineTo(size * 1.8, 0);
+                ctx.lineTo(size * 1, size * 0.4);
+                ctx.fill();
+                // Exhaust flame
+                ctx.fillStyle = '#ffdd00';
+                ctx.beginPath();
+                ctx.moveTo(-size * 1.5, -size * 0.3);
+                ctx.lineTo(-size * (2.3 + Math.random() * 0.6), 0);
+                ctx.lineTo(-size * 1.5, size * 0.3);
+                ctx.fill();
+                break;
+            case 'charge':
+                // Comet: bright core inside a stretched glow
+                ctx.shadowBlur = 25;
+                ctx.globalAlpha *= 0.6;
+                ctx.ellipse(0, 0, size * 1.8, size, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(size * 0.3, 0, size * 0.5, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'wave':
+                // Crescent facing the direction of flight
+                ctx.lineWidth = Math.max(3, size * 0.35);
+                ctx.lineCap = 'round';
+                ctx.arc(-size * 0.6, 0, size, -1.1, 1.1);
+                ctx.stroke();
+                break;
+            default: // orb
+                ctx.arc(0, 0, size, 0, Math.PI * 2);
+                ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw an enemy plane and its health bar
+     */
+    drawEnemy(enemy) {
+        const ctx = this.ctx;
+        const pulse = 1 + Math.sin(enemy.pulsePhase) * 0.05;
+        const displaySize = enemy.size * pulse;
+
+        ctx.save();
+        ctx.translate(enemy.x, enemy.y);
+        // Enemies face their direction of travel (sprites are drawn nose up)
+        ctx.rotate(enemy.heading + Math.PI / 2);
+
+        // Different plane designs based on type
+        if (enemy.type === 'bomber') {
+            this.drawBomber(enemy.color, displaySize);
+        } else if (enemy.type === 'ace') {
+            this.drawAce(enemy.color, displaySize);
+        } else {
+            this.drawFighter(enemy.color, displaySize);
+        }
+
+        ctx.restore();
+
+        // Health bar (not rotated)
+        const healthPercent = enemy.health / enemy.maxHealth;
+        const barWidth = displaySize * 2;
+        const barHeight = 4;
+        const barY = enemy.y - displaySize - 12;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(enemy.x - barWidth / 2, barY, barWidth, barHeight);
+
+        ctx.fillStyle = healthPercent > 0.3 ? '#00ff00' : '#ff0000';
+        ctx.fillRect(enemy.x - barWidth / 2, barY, barWidth * healthPercent, barHeight);
+    }
+
+    drawFighter(color, size) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.8, size * 0.3);
+        ctx.lineTo(size * 0.3, size * 0.5);
+        ctx.lineTo(0, size * 0.8);
+        ctx.lineTo(-size * 0.3, size * 0.5);
+        ctx.lineTo(-size * 0.8, size * 0.3);
+        ctx.closePath();
+
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 12;
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    drawBomber(color, size) {
+        const ctx = this.ctx;
+        // Larger, bulkier shape
+        ctx.beginPath();
+        ctx.moveTo(0, -size * 0.7);
+        ctx.lineTo(size * 0.5, -size * 0.3);
+        ctx.lineTo(size, size * 0.2);
+        ctx.lineTo(size * 0.8, size * 0.6);
+        ctx.lineTo(size * 0.3, size * 0.8);
+        ctx.lineTo(0, size);
+        ctx.lineTo(-size * 0.3, size * 0.8);
+        ctx.lineTo(-size * 0.8, size * 0.6);
+        ctx.lineTo(-size, size * 0.2);
+        ctx.lineTo(-size * 0.5, -size * 0.3);
+        ctx.closePath();
+
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 15;
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    drawAce(color, size) {
+        const ctx = this.ctx;
+        // Sleek, fast design
+        ctx.beginPath();
+        ctx.moveTo(0, -size * 1.1);
+        ctx.lineTo(size * 0.4, -size * 0.2);
+        ctx.lineTo(size * 1.1, size * 0.3);
+        ctx.lineTo(size * 0.3, size * 0.4);
+        ctx.lineTo(size * 0.4, size * 0.8);
+        ctx.lineTo(0, size * 0.5);
+        ctx.lineTo(-size * 0.4, size * 0.8);
+        ctx.lineTo(-size * 0.3, size * 0.4);
+        ctx.lineTo(-size * 1.1, size * 0.3);
+        ctx.lineTo(-size * 0.4, -size * 0.2);
+        ctx.closePath();
+
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 10;
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * Draw an Area boss, flashing white when hit
+     */
+    drawBoss(boss, now) {
+        const ctx = this.ctx;
+        const size = boss.size;
+        const flash = now - boss.lastHitAt < 60;
+        const color = flash ? '#ffffff' : boss.color;
+        const corePulse = 1 + Math.sin(now / 120) * 0.12;
+
+        ctx.save();
+        ctx.translate(boss.x, boss.y);
+
+        // Wings
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.3, -size * 0.5);
+        ctx.lineTo(-size * 1.35, -size * 0.25);
+        ctx.lineTo(-size * 1.2, size * 0.15);
+        ctx.lineTo(-size * 0.4, size * 0.35);
+        ctx.lineTo(size * 0.4, size * 0.35);
+        ctx.lineTo(size * 1.2, size * 0.15);
+        ctx.lineTo(size * 1.35, -size * 0.25);
+        ctx.lineTo(size * 0.3, -size * 0.5);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.shadowColor = boss.color;
+        ctx.shadowBlur = 20;
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Hull (nose points down at the player)
+        ctx.beginPath();
+        ctx.moveTo(0, -size * 0.75);
+        ctx.lineTo(size * 0.45, -size * 0.35);
+        ctx.lineTo(size * 0.35, size * 0.5);
+        ctx.lineTo(0, size * 0.85);
+        ctx.lineTo(-size * 0.35, size * 0.5);
+        ctx.lineTo(-size * 0.45, -size * 0.35);
+        ctx.closePath();
+        const hullGradient = ctx.createLinearGradient(0, -size, 0, size);
+        hullGradient.addColorStop(0, '#222233');
+        hullGradient.addColorStop(1, color);
+        ctx.fillStyle = hullGradient;
+        ctx.fill();
+        ctx.stroke();
+
+        // Wing engines (the wing hit zones)
+        for (const side of [-1, 1]) {
+            ctx.beginPath();
+            ctx.arc(side * size * 0.9, -size * 0.1, size * 0.18, 0, Math.PI * 2);
+            ctx.fillStyle = '#333344';
+            ctx.fill();
+            ctx.strokeStyle = boss.color;
+            ctx.stroke();
+        }
+
+        // Glowing core - the weak point
+        ctx.beginPath();
+        ctx.arc(0, size * 0.15, size * 0.22 * corePulse, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = boss.color;
+        ctx.shadowBlur = 30;
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a floating power-up
+     */
+    drawPowerUp(powerup) {
+        const ctx = this.ctx;
+        const pulse = 1 + Math.sin(powerup.floatPhase * 2) * 0.15;
+        const displaySize = powerup.size * pulse;
+
+        // Fading effect when about to expire
+        const timeLeft = powerup.getTimeLeft();
+        const alpha = timeLeft < 3000 ? 0.3 + (timeLeft / 3000) * 0.7 : 1;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(powerup.x, powerup.y);
+
+        // Outer glow
+        ctx.beginPath();
+        ctx.arc(0, 0, displaySize + 8, 0, Math.PI * 2);
+        const glowGradient = ctx.createRadialGradient(0, 0, displaySize, 0, 0, displaySize + 12);
+        glowGradient.addColorStop(0, powerup.config.color);
+        glowGradient.addColorStop(1, 'transparent');
+        ctx.fillStyle = glowGradient;
+        ctx.fill();
+
+        // Inner circle
+        ctx.beginPath();
+        ctx.arc(0, 0, displaySize, 0, Math.PI * 2);
+        ctx.fillStyle = powerup.config.color;
+        ctx.shadowColor = powerup.config.color;
+        ctx.shadowBlur = 20;
+        ctx.fill();
+
+        // Icon
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${displaySize}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowBlur = 0;
+        ctx.fillText(powerup.icon, 0, 2);
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the Black Hole portal
+     */
+    drawBlackHole(hole) {
+        const ctx = this.ctx;
+        const size = hole.size;
+
+        ctx.save();
+        ctx.translate(hole.x, hole.y);
+
+        const pulse = 1 + Math.sin(hole.pulsePhase) * 0.1;
+
+        // Outer gravitational distortion effect (dark purple halo)
+        const outerGlow = ctx.createRadialGradient(0, 0, size * 0.5, 0, 0, size * 2);
+        outerGlow.addColorStop(0, 'rgba(50, 0, 80, 0.6)');
+        outerGlow.addColorStop(0.5, 'rgba(30, 0, 50, 0.3)');
+        outerGlow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 2 * pulse, 0, Math.PI * 2);
+        ctx.fillStyle = outerGlow;
+        ctx.fill();
+
+        // Accretion disk particles (rotating around the hole)
+        ctx.save();
+        ctx.rotate(hole.rotationAngle);
+        hole.particles.forEach(p => {
+            const px = Math.cos(p.angle) * p.distance;
+            const py = Math.sin(p.angle) * p.distance * 0.4; // Elliptical orbit
+            ctx.beginPath();
+            ctx.arc(px, py, p.size, 0, Math.PI * 2);
+            ctx.fillStyle = p.color;
+            ctx.shadowColor = p.color;
+            ctx.shadowBlur = 8;
+            ctx.fill();
+        });
+        ctx.restore();
+
+        // Event horizon ring (orange-red glow)
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.8 * pulse, 0, Math.PI * 2);
+        ctx.strokeStyle = '#ff4400';
+        ctx.lineWidth = 3;
+        ctx.shadowColor = '#ff6600';
+        ctx.shadowBlur = 20;
+        ctx.stroke();
+
+        // Inner black core with gradient
+        const coreGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, size * 0.7);
+        coreGradient.addColorStop(0, '#000000');
+        coreGradient.addColorStop(0.7, '#0a0015');
+        coreGradient.addColorStop(1, '#1a0030');
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.7, 0, Math.PI * 2);
+        ctx.fillStyle = coreGradient;
+        ctx.shadowColor = '#000000';
+        ctx.shadowBlur = 30;
+        ctx.fill();
+
+        // Rotating spiral lines
+        ctx.save();
+        ctx.rotate(hole.rotationAngle * 2);
+        for (let i = 0; i < 6; i++) {
+            ctx.rotate(Math.PI / 3);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.quadraticCurveTo(
+                size * 0.3, size * 0.2,
+                size * 0.5, 0
+            );
+            ctx.strokeStyle = 'rgba(100, 50, 150, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.shadowBlur = 0;
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the White Hole portal
+     */
+    drawWhiteHole(hole) {
+        const ctx = this.ctx;
+        const size = hole.size;
+
+        ctx.save();
+        ctx.translate(hole.x, hole.y);
+
+        const glowIntensity = 0.7 + Math.sin(hole.glowPhase) * 0.3;
+        const pulse = 1 + Math.sin(hole.glowPhase * 0.5) * 0.1;
+
+        // Outer glow aura
+        const outerGlow = ctx.createRadialGradient(0, 0, size * 0.3, 0, 0, size * 2.5);
+        outerGlow.addColorStop(0, `rgba(255, 255, 255, ${0.4 * glowIntensity})`);
+        outerGlow.addColorStop(0.3, `rgba(200, 230, 255, ${0.25 * glowIntensity})`);
+        outerGlow.addColorStop(0.6, `rgba(150, 200, 255, ${0.1 * glowIntensity})`);
+        outerGlow.addColorStop(1, 'rgba(100, 150, 255, 0)');
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 2.5 * pulse, 0, Math.PI * 2);
+        ctx.fillStyle = outerGlow;
+        ctx.fill();
+
+        // Light rays emanating outward
+        ctx.save();
+        ctx.rotate(hole.rayRotation);
+        for (let i = 0; i < 12; i++) {
+            ctx.rotate(Math.PI / 6);
+            ctx.beginPath();
+            ctx.moveTo(size * 0.5, 0);
+            ctx.lineTo(size * 1.8, 0);
+            ctx.strokeStyle = `rgba(255, 255, 255, ${0.3 * glowIntensity})`;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // Sparkle particles
+        hole.sparkles.forEach(s => {
+            const sparkleAlpha = 0.3 + Math.sin(s.phase) * 0.4;
+            const sx = Math.cos(s.angle) * s.distance;
+            const sy = Math.sin(s.angle) * s.distance;
+
+            ctx.beginPath();
+            ctx.arc(sx, sy, s.size * (0.5 + Math.sin(s.phase) * 0.5), 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(255, 255, 255, ${Math.max(0, sparkleAlpha)})`;
+            ctx.shadowColor = '#ffffff';
+            ctx.shadowBlur = 10;
+            ctx.fill();
+        });
+
+        // Middle ring
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.7 * pulse, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(200, 230, 255, ${0.8 * glowIntensity})`;
+        ctx.lineWidth = 3;
+        ctx.shadowColor = '#88ccff';
+        ctx.shadowBlur = 25;
+        ctx.stroke();
+
+        // Bright white core
+        const coreGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, size * 0.6);
+        coreGradient.addColorStop(0, '#ffffff');
+        coreGradient.addColorStop(0.5, '#eeffff');
+        coreGradient.addColorStop(1, '#aaddff');
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.5 * pulse, 0, Math.PI * 2);
+        ctx.fillStyle = coreGradient;
+        ctx.shadowColor = '#ffffff';
+        ctx.shadowBlur = 40;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
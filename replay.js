@@ -0,0 +1,295 @@
+/**
+ * ============================================
+ * REPLAY - Input Recording and Playback
+ * A run is fully determined by its seed and the player
+ * input of every tick, so that is all a replay stores
+ * ============================================
+ */
+
+const REPLAY_VERSION = 3; // 2 added analog movement, 3 the co-op partner's input
+
+// Version of the game rules a replay was played under. Bump it with any change
+// that makes the same seed and input play out differently.
+const RULES_VERSION = 10;
+
+// Analog axes are recorded in hundredths
+const AXIS_STEPS = 100;
+
+// Bit flags for one tick of Player.input
+const INPUT_BITS = {
+    up: 1,
+    down: 2,
+    left: 4,
+    right: 8,
+    shooting: 16,
+    bomb: 32,
+};
+
+/**
+ * Pack an input state into a bit mask
+ */
+function encodeInput(input) {
+    let mask = 0;
+    for (const [key, bit] of Object.entries(INPUT_BITS)) {
+        if (input[key]) mask |= bit;
+    }
+    return mask;
+}
+
+/**
+ * Round an analog axis to what a replay stores, so a live run and
+ * its replay move by exactly the same amount
+ */
+function quantizeAxis(value) {
+    return Math.round(value * AXIS_STEPS) / AXIS_STEPS;
+}
+
+/**
+ * Write a bit mask back into an input state
+ */
+function applyInputMask(mask, input) {
+    for (const [key, bit] of Object.entries(INPUT_BITS)) {
+        input[key] = (mask & bit) !== 0;
+    }
+}
+
+/**
+ * Add one tick of input to a run-length encoded list
+ * Runs are [mask, tickCount] pairs; while the analog stick is off center
+ * they are [mask, tickCount, moveX, moveY] in AXIS_STEPS.
+ */
+function appendInput(runs, input) {
+    const mask = encodeInput(input);
+    const moveX = Math.round(input.moveX * AXIS_STEPS);
+    const moveY = Math.round(input.moveY * AXIS_STEPS);
+    const last = runs[runs.length - 1];
+
+    if (last && last[0] === mask && (last[2] || 0) === moveX && (last[3] || 0) === moveY) {
+        last[1]++;
+    } else if (moveX === 0 && moveY === 0) {
+        runs.push([mask, 1]);
+    } else {
+        runs.push([mask, 1, moveX, moveY]);
+    }
+}
+
+/**
+ * Expand run-length encoded input into per-tick masks and axes
+ */
+function expandInputs(runs, ticks) {
+    const masks = new Uint8Array(ticks);
+    const axes = new Int8Array(ticks * 2); // moveX, moveY per tick
+    let tick = 0;
+    for (const [mask, count, moveX = 0, moveY = 0] of runs) {
+        masks.fill(mask, tick, tick + count);
+        for (let i = tick; i < tick + count; i++) {
+            axes[i * 2] = moveX;
+            axes[i * 2 + 1] = moveY;
+        }
+        tick += count;
+    }
+    return { masks, axes };
+}
+
+/**
+ * Records the input of every tick of a live run (see appendInput)
+ * Co-op runs (settings.coop) also record the partner's input.
+ */
+class ReplayRecorder {
+    constructor(seed, seedMode, width, height, settings = {}) {
+        this.seed = seed;
+        this.seedMode = seedMode;
+        this.settings = settings;
+        this.width = width;
+        this.height = height;
+        this.ticks = 0;
+        this.inputs = [];
+        this.partnerInputs = settings.coop ? [] : null;
+        this.resizes = [];
+    }
+
+    /**
+     * Record the input used for the next tick
+     */
+    recordTick(input, partnerInput = null) {
+        appendInput(this.inputs, input);
+        if (this.partnerInputs) {
+            appendInput(this.partnerInputs, partnerInput);
+        }
+        this.ticks++;
+    }
+
+    /**
+     * Record a canvas resize that takes effect before the given tick
+     */
+    recordResize(tick, width, height) {
+        const last = this.resizes[this.resizes.length - 1];
+        if (last && last[0] === tick) {
+            this.resizes.pop();
+        }
+        this.resizes.push([tick, width, height]);
+    }
+
+    /**
+     * Build the replay object for the finished run
+     */
+    finish(score) {
+        const replay = {
+            version: REPLAY_VERSION,
+            rules: RULES_VERSION,
+            seed: this.seed,
+            seedMode: this.seedMode,
+            settings: this.settings,
+            width: this.width,
+            height: this.height,
+            ticks: this.ticks,
+            score,
+            inputs: this.inputs,
+            resizes: this.resizes,
+        };
+        if (this.partnerInputs) {
+            replay.partnerInputs = this.partnerInputs;
+        }
+        return replay;
+    }
+}
+
+/**
+ * Feeds a recorded replay back into the game tick by tick
+ */
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+
+        // Expand the run-length encoded inputs for random access (scrubbing)
+        this.player = expandInputs(replay.inputs, replay.ticks);
+        this.partner = replay.partnerInputs ? expandInputs(replay.partnerInputs, replay.ticks) : null;
+
+        this.resizes = new Map(replay.resizes.map(([at, width, height]) => [at, { width, height }]));
+    }
+
+    get totalTicks() {
+        return this.replay.ticks;
+    }
+
+    /**
+     * Write the recorded input for a tick into the player's input state
+     * (and the co-op partner's)
+     */
+    applyTick(tick, input, partnerInput = null) {
+        const tracks = [[this.player, input], [this.partner, partnerInput]];
+        for (const [track, target] of tracks) {
+            if (!track || !target) continue;
+            applyInputMask(track.masks[tick], target);
+            target.moveX = track.axes[tick * 2] / AXIS_STEPS;
+            target.moveY = track.axes[tick * 2 + 1] / AXIS_STEPS;
+        }
+    }
+
+    /**
+     * Canvas size change due before a tick, if any
+     */
+    getResize(tick) {
+        return this.resizes.get(tick) || null;
+    }
+}
+
+/**
+ * Compact JSON for export
+ */
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Short fingerprint of a replay, sent with online scores so the server
+ * can tell the replay it re-simulates is the one the score was claimed for
+ */
+function hashReplay(replay) {
+    return hashText(serializeReplay(replay));
+}
+
+/**
+ * FNV-1a hash of a string as 8 hex digits
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Parse and validate an imported replay file
+ */
+function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Replay file is not valid JSON');
+    }
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+
+    // A run only plays back the same under the rules it was recorded with
+    if (replay.rules !== RULES_VERSION) {
+        throw new Error(`Replay was recorded with game rules version ${replay.rules}, this game plays version ${RULES_VERSION}`);
+    }
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (!isCount(replay.seed) || !isCount(replay.ticks) || !isCount(replay.width) || !isCount(replay.height) ||
+        !Array.isArray(replay.inputs) || !Array.isArray(replay.resizes)) {
+        throw new Error('Replay file is missing required fields');
+    }
+
+    if (typeof replay.settings !== 'object' || replay.settings === null) {
+        throw new Error('Replay settings are invalid');
+    }
+
+    const isAxis = (value) => Number.isInteger(value) && Math.abs(value) <= AXIS_STEPS;
+    const isInputRun = (run) => Array.isArray(run) && isCount(run[0]) &&
+        (run.length === 2 || (run.length === 4 && isAxis(run[2]) && isAxis(run[3])));
+
+    // Co-op replays carry the partner's input too
+    const coop = Boolean(replay.settings.coop);
+    if (coop !== Array.isArray(replay.partnerInputs)) {
+        throw new Error('Replay partner inputs do not match its settings');
+    }
+
+    for (const inputs of coop ? [replay.inputs, replay.partnerInputs] : [replay.inputs]) {
+        if (!inputs.every(isInputRun)) {
+            throw new Error('Replay inputs are invalid');
+        }
+
+        const inputTicks = inputs.reduce((sum, run) => sum + (isCount(run[1]) ? run[1] : NaN), 0);
+        if (inputTicks !== replay.ticks) {
+            throw new Error('Replay inputs do not match its length');
+        }
+    }
+
+    return replay;
+}
+
+// Node (tests, the mock leaderboard server) loads replays as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_VERSION,
+        RULES_VERSION,
+        AXIS_STEPS,
+        INPUT_BITS,
+        encodeInput,
+        quantizeAxis,
+        applyInputMask,
+        ReplayRecorder,
+        ReplayPlayer,
+        serializeReplay,
+        hashReplay,
+        hashText,
+        parseReplay,
+    };
+}
@@ -0,0 +1,158 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Mock Leaderboard Server
+ * Reference implementation of the leaderboard HTTP API,
+ * for developing and testing online scores offline.
+ * Scores live in memory. Every submission carries its
+ * replay: the server checks the replay hash, then plays
+ * the replay back headless and only accepts the score
+ * the recorded inputs really produce.
+ *
+ * Run with: node server/leaderboard-server.js [port]
+ * and open index.html?leaderboard=http://localhost:8787
+ *
+ * API
+ *   GET  /scores?mode=random&limit=10 -> 200 { scores: [{ rank, name, score, ... }] }
+ *   POST /scores (submission JSON)    -> 201 { rank } | 400 | 413 | 422 { error }
+ * ============================================
+ */
+
+const http = require('node:http');
+
+const { Simulation } = require('../simulation.js');
+const { WAVE_SCRIPTS } = require('../waves.js');
+const { AREA_MAP } = require('../areas.js');
+const { ReplayPlayer, hashReplay, parseReplay } = require('../replay.js');
+const { LEADERBOARD_MODES, normalizeInitials } = require('../leaderboard.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY = 2 * 1024 * 1024; // bytes
+const MAX_LIMIT = 100;
+
+/**
+ * Play a replay back headless and return the final simulation state
+ */
+function simulateReplay(replay) {
+    const sim = new Simulation(replay.width, replay.height, WAVE_SCRIPTS, AREA_MAP);
+    sim.reset(replay.seed, replay.settings);
+    const player = new ReplayPlayer(replay);
+
+    while (sim.tick < replay.ticks && !sim.state.gameOver) {
+        const size = player.getResize(sim.tick);
+        if (size) sim.resize(size.width, size.height);
+        const partner = sim.players[1];
+        player.applyTick(sim.tick, sim.player.input, partner ? partner.input : null);
+        sim.step();
+    }
+    return sim.state;
+}
+
+/**
+ * Check a submission against its replay; returns an error message or null
+ */
+function verifySubmission(submission) {
+    if (!submission || typeof submission !== 'object') return 'Submission must be a JSON object';
+    if (!LEADERBOARD_MODES.includes(submission.mode)) return 'Unknown mode';
+    if (!Number.isInteger(submission.score) || submission.score < 0) return 'Score must be a whole number';
+
+    let replay;
+    try {
+        replay = parseReplay(JSON.stringify(submission.replay));
+    } catch (error) {
+        return error.message;
+    }
+
+    if (hashReplay(replay) !== submission.replayHash) return 'Replay hash does not match the replay';
+    if (replay.seed !== submission.seed || replay.seedMode !== submission.mode || replay.score !== submission.score) {
+        return 'Replay is for a different run';
+    }
+
+    const state = simulateReplay(replay);
+    if (state.score !== submission.score || state.currentLevel !== submission.level ||
+        state.enemiesDefeated !== submission.enemies) {
+        return 'Replay does not reproduce the claimed score';
+    }
+    return null;
+}
+
+/**
+ * Create the server (not yet listening); scores are kept per mode, best first
+ */
+function createLeaderboardServer({ verify = true } = {}) {
+    const tables = {};
+    LEADERBOARD_MODES.forEach(mode => { tables[mode] = []; });
+
+    const send = (response, status, body = null) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+        });
+        response.end(body === null ? '' : JSON.stringify(body));
+    };
+
+    const listScores = (response, url) => {
+        const mode = url.searchParams.get('mode') || 'random';
+        if (!tables[mode]) return send(response, 400, { error: 'Unknown mode' });
+
+        const limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(url.searchParams.get('limit'), 10) || 10));
+        const scores = tables[mode].slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }));
+        return send(response, 200, { scores });
+    };
+
+    const addScore = (response, body) => {
+        let submission;
+        try {
+            submission = JSON.parse(body);
+        } catch (error) {
+            return send(response, 400, { error: 'Body is not valid JSON' });
+        }
+
+        const problem = verify ? verifySubmission(submission) : null;
+        if (problem) return send(response, 422, { error: problem });
+
+        // Stored without the replay; ties rank below older runs
+        const { name, score, level, enemies, time, date, seed, mode } = submission;
+        const entry = { name: normalizeInitials(name), score, level, enemies, time, date, seed, mode };
+        const table = tables[mode];
+        let index = table.findIndex(other => score > other.score);
+        if (index === -1) index = table.length;
+        table.splice(index, 0, entry);
+
+        return send(response, 201, { rank: index + 1 });
+    };
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') return send(response, 204);
+        if (url.pathname !== '/scores') return send(response, 404, { error: 'Not found' });
+        if (request.method === 'GET') return listScores(response, url);
+        if (request.method !== 'POST') return send(response, 405, { error: 'Method not allowed' });
+
+        let body = '';
+        let tooLarge = false;
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) tooLarge = true;
+        });
+        request.on('end', () => {
+            if (tooLarge) return send(response, 413, { error: 'Submission too large' });
+            return addScore(response, body);
+        });
+    });
+
+    server.tables = tables;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createLeaderboardServer().listen(port, () => {
+        console.log(`🏆 Mock leaderboard server on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createLeaderboardServer, simulateReplay, verifySubmission };
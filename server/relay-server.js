@@ -0,0 +1,185 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Online Co-op Relay Server
+ * Pairs two players through a room code and relays their
+ * messages (inputs, state hashes, run start) between them.
+ * Rooms are opened over plain HTTP; messages then travel
+ * over one WebSocket per player, forwarded the moment they
+ * arrive, so the trip between the games is one hop each way
+ * through the relay. Runs locally with nothing but Node.
+ * The server never looks inside the messages: both games
+ * simulate the run and check each other (see netplay.js).
+ *
+ * Run with: node server/relay-server.js [port]
+ * and open index.html?netplay=http://localhost:8788
+ *
+ * API
+ *   POST /rooms                        -> 201 { room, player: 0, token }
+ *   POST /rooms/:room/join             -> 200 { room, player: 1, token } | 404 | 409
+ *   GET  /rooms/:room/socket?player=0&token=...
+ *                                      -> 101 WebSocket | 400 | 403 | 404 | 409
+ *        Only the token handed out with a seat connects it, so knowing
+ *        the room code is not enough to take a player's place.
+ *        Every text message goes to the partner's socket; messages sent
+ *        before the partner connects wait for them. A socket closing
+ *        closes the room, and the partner's socket with 4000 'Room closed'.
+ * ============================================
+ */
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { WebSocketPeer, getAcceptKey } = require('./websocket.js');
+
+const DEFAULT_PORT = 8788;
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, easy to read out
+const MAX_ROOMS = 1000;
+const ROOM_TIMEOUT = 10 * 60 * 1000; // ms without any message before a room is dropped
+const MAX_MAILBOX = 2000; // Messages kept for a partner who has not connected yet
+const ROOM_CLOSED = 4000; // Close code of the partner's socket when a room closes
+
+/**
+ * Create the server (not yet listening)
+ */
+function createRelayServer({ roomTimeout = ROOM_TIMEOUT, random = Math.random } = {}) {
+    const rooms = new Map();
+
+    const send = (response, status, body = null) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+        });
+        response.end(body === null ? '' : JSON.stringify(body));
+    };
+
+    const createToken = () => crypto.randomBytes(16).toString('hex');
+
+    /**
+     * A room per pair of players; each seat has the token of the player who
+     * took it, a socket once connected, and a mailbox of the partner's
+     * messages until then
+     */
+    const createRoom = () => {
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH },
+                () => ROOM_CODE_LETTERS[Math.floor(random() * ROOM_CODE_LETTERS.length)]).join('');
+        } while (rooms.has(code));
+
+        const room = {
+            code,
+            tokens: [createToken(), null],
+            sockets: [null, null],
+            mailboxes: [[], []],
+            lastSeen: Date.now(),
+        };
+        rooms.set(code, room);
+        return room;
+    };
+
+    const closeRoom = (room) => {
+        if (rooms.get(room.code) !== room) return;
+        rooms.delete(room.code);
+        room.sockets.forEach(peer => { if (peer) peer.close(ROOM_CLOSED, 'Room closed'); });
+    };
+
+    const dropIdleRooms = () => {
+        const now = Date.now();
+        for (const room of rooms.values()) {
+            if (now - room.lastSeen > roomTimeout) closeRoom(room);
+        }
+    };
+
+    const isPlayer = value => value === 0 || value === 1;
+
+    /**
+     * Forward a message to the other player, or keep it until they connect
+     */
+    const relay = (room, player, text) => {
+        room.lastSeen = Date.now();
+        const other = 1 - player;
+        if (room.sockets[other]) return room.sockets[other].send(text);
+
+        const mailbox = room.mailboxes[other];
+        mailbox.push(text);
+        if (mailbox.length > MAX_MAILBOX) mailbox.splice(0, mailbox.length - MAX_MAILBOX);
+        return null;
+    };
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (request.method === 'OPTIONS') return send(response, 204);
+
+        dropIdleRooms();
+        if (url.pathname === '/rooms' && request.method === 'POST') {
+            if (rooms.size >= MAX_ROOMS) return send(response, 503, { error: 'Too many rooms' });
+            const room = createRoom();
+            return send(response, 201, { room: room.code, player: 0, token: room.tokens[0] });
+        }
+
+        const match = url.pathname.match(/^\/rooms\/([A-Za-z]+)\/join$/);
+        if (!match) return send(response, 404, { error: 'Not found' });
+        if (request.method !== 'POST') return send(response, 405, { error: 'Method not allowed' });
+
+        const room = rooms.get(match[1].toUpperCase());
+        if (!room) return send(response, 404, { error: 'Room not found' });
+        if (room.tokens[1]) return send(response, 409, { error: 'Room is full' });
+
+        room.tokens[1] = createToken();
+        room.lastSeen = Date.now();
+        return send(response, 200, { room: room.code, player: 1, token: room.tokens[1] });
+    });
+
+    /**
+     * A player connecting to their room: the WebSocket opening handshake
+     */
+    server.on('upgrade', (request, socket, head) => {
+        const reject = (status, text) => socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+        const url = new URL(request.url, 'http://localhost');
+        const match = url.pathname.match(/^\/rooms\/([A-Za-z]+)\/socket$/);
+        const key = request.headers['sec-websocket-key'];
+        if (!match) return reject(404, 'Not Found');
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') return reject(400, 'Bad Request');
+
+        dropIdleRooms();
+        const room = rooms.get(match[1].toUpperCase());
+        if (!room) return reject(404, 'Not Found');
+        const player = parseInt(url.searchParams.get('player'), 10);
+        if (!isPlayer(player) || !room.tokens[player]) return reject(400, 'Bad Request');
+        if (url.searchParams.get('token') !== room.tokens[player]) return reject(403, 'Forbidden');
+        if (room.sockets[player]) return reject(409, 'Conflict');
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+            '', '',
+        ].join('\r\n'));
+
+        const peer = new WebSocketPeer(socket);
+        room.sockets[player] = peer;
+        room.lastSeen = Date.now();
+        room.mailboxes[player].splice(0).forEach(text => peer.send(text));
+
+        peer.on('message', text => relay(room, player, text));
+        peer.on('close', () => closeRoom(room));
+        peer.read(head);
+        return null;
+    });
+
+    server.rooms = rooms;
+    server.closeRooms = () => [...rooms.values()].forEach(closeRoom);
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createRelayServer().listen(port, () => {
+        console.log(`🌐 Co-op relay server on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createRelayServer, ROOM_CODE_LETTERS };
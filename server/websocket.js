@@ -0,0 +1,202 @@
+/**
+ * ============================================
+ * SKY FIGHTER - WebSocket Framing
+ * The parts of RFC 6455 the relay needs, on plain node:http
+ * sockets: the opening handshake and text, ping and close
+ * frames. Used by the relay server and, masked, by the
+ * tests' stand-in for the browser's WebSocket.
+ * ============================================
+ */
+
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+const MAX_MESSAGE = 64 * 1024; // bytes
+
+/**
+ * Sec-WebSocket-Accept answer to a Sec-WebSocket-Key
+ */
+function getAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * One unfragmented frame; clients mask what they send
+ */
+function encodeFrame(opcode, payload, masked = false) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : (length < 65536 ? 2 : 8);
+    const header = Buffer.alloc(2 + lengthBytes + (masked ? 4 : 0));
+    header[0] = 0x80 | opcode;
+
+    if (lengthBytes === 0) {
+        header[1] = length;
+    } else if (lengthBytes === 2) {
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    if (!masked) return Buffer.concat([header, payload]);
+
+    header[1] |= 0x80;
+    const mask = crypto.randomBytes(4);
+    mask.copy(header, 2 + lengthBytes);
+    const body = Buffer.from(payload);
+    for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Payload of a close frame: status code and reason
+ */
+function encodeClose(code, reason = '') {
+    const reasonBytes = Buffer.from(reason).subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    return payload;
+}
+
+/**
+ * Message-level end of an upgraded socket
+ * Emits 'message' (text) for every text message and 'close' (code, reason)
+ * once, however the connection ended. masked is true on the client side.
+ */
+class WebSocketPeer extends EventEmitter {
+    constructor(socket, { masked = false, maxMessage = MAX_MESSAGE } = {}) {
+        super();
+        this.socket = socket;
+        this.masked = masked;
+        this.maxMessage = maxMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Parts of a fragmented text message
+        this.closing = false; // Our close frame went out
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.read(chunk));
+        socket.on('close', () => this.finish(1006, 'Connection lost'));
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(text) {
+        this.write(OPCODES.text, Buffer.from(text));
+    }
+
+    ping() {
+        this.write(OPCODES.ping, Buffer.alloc(0));
+    }
+
+    /**
+     * Start the closing handshake; the socket ends once the other side answers
+     */
+    close(code = 1000, reason = '') {
+        if (this.closing || this.closed) return;
+        this.closing = true;
+        this.write(OPCODES.close, encodeClose(code, reason));
+        this.timer = setTimeout(() => this.socket.destroy(), 1000);
+    }
+
+    write(opcode, payload) {
+        if (this.closed || (this.closing && opcode !== OPCODES.close) || this.socket.destroyed) return;
+        this.socket.write(encodeFrame(opcode, payload, this.masked));
+    }
+
+    /**
+     * Take in bytes from the socket and handle every complete frame
+     * (callers hand in the bytes that came with the handshake, once listening)
+     */
+    read(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Each side only takes frames masked the way the other side must send them
+        if (masked === this.masked) return this.fail(1002, 'Wrong masking');
+        if (length > this.maxMessage) return this.fail(1009, 'Message too large');
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) return this.write(OPCODES.pong, payload);
+        if (opcode === OPCODES.pong) return null;
+        if (opcode === OPCODES.close) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            const reason = payload.subarray(2).toString();
+            if (!this.closing) {
+                this.closing = true;
+                this.write(OPCODES.close, payload.length >= 2 ? encodeClose(code) : Buffer.alloc(0));
+            }
+            this.finish(code, reason);
+            return this.socket.end();
+        }
+        if (opcode === OPCODES.binary) return this.fail(1003, 'Text messages only');
+
+        // Text, possibly in fragments
+        if (opcode === OPCODES.text) {
+            this.fragments = [];
+        } else if (opcode !== OPCODES.continuation || !this.fragments) {
+            return this.fail(1002, 'Unexpected frame');
+        }
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((total, part) => total + part.length, 0);
+        if (size > this.maxMessage) return this.fail(1009, 'Message too large');
+        if (!fin) return null;
+
+        const text = Buffer.concat(this.fragments).toString();
+        this.fragments = null;
+        this.emit('message', text);
+        return null;
+    }
+
+    fail(code, reason) {
+        this.close(code, reason);
+        this.socket.end();
+        this.finish(code, reason);
+        return null;
+    }
+
+    finish(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.emit('close', code, reason);
+    }
+}
+
+module.exports = { WebSocketPeer, getAcceptKey, encodeFrame, OPCODES, MAX_MESSAGE };
@@ -0,0 +1,3025 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Simulation Core
+ * All gameplay rules: entities, collisions, scoring,
+ * portals and difficulty. No DOM, canvas or audio here -
+ * the simulation emits events that the browser layer
+ * (rendering, HUD, audio) subscribes to, so it also runs
+ * headless under Node for tests and bots.
+ * ============================================
+ */
+
+// ============================================
+// GAME CONFIGURATION
+// ============================================
+const CONFIG = {
+    // Player settings
+    player: {
+        speed: 360, // px per second
+        size: 25,
+        maxHealth: 100,
+        shootCooldown: 200, // ms between shots
+        invincibilityDuration: 1500, // ms after taking damage
+        startBombs: 1, // Starting bomb count
+    },
+
+    // Bullet settings
+    bullet: {
+        speed: 840, // px per second
+        size: 5,
+        damage: 30,
+        lifetime: 2000, // ms
+    },
+
+    // Player weapons, one entry per weapon level (upgrade pickups raise the
+    // level, taking damage drops it). Damage, speed and cooldown fall back to
+    // the weapon, then to the bullet and player settings above.
+    weapons: {
+        types: {
+            // shots are [x offset px, angle off straight up] per bullet
+            blaster: {
+                name: 'BLASTER', icon: '🔫',
+                levels: [
+                    { shots: [[0, 0]] },
+                    { shots: [[-8, 0], [8, 0]] },
+                    { shots: [[0, 0], [-6, -0.15], [6, 0.15]] },
+                    { shots: [[0, 0], [-5, -0.12], [5, 0.12], [-10, -0.25], [10, 0.25]] },
+                ]
+            },
+            // Beam pulses that hit everything above the player
+            laser: {
+                name: 'LASER', icon: '🔆', color: '#00e5ff', cooldown: 100,
+                levels: [
+                    { width: 10, damage: 12 },
+                    { width: 14, damage: 16 },
+                    { width: 18, damage: 20 },
+                    { width: 24, damage: 25 },
+                ]
+            },
+            // Missiles that home on the nearest enemy
+            missile: {
+                name: 'MISSILES', icon: '🚀', color: '#ff9f40', cooldown: 500, damage: 40,
+                speed: 300, acceleration: 900, maxSpeed: 720, turnRate: 4, // radians per second
+                levels: [
+                    { shots: [[0, 0]] },
+                    { shots: [[-12, -0.6], [12, 0.6]] },
+                    { shots: [[0, 0], [-12, -0.6], [12, 0.6]] },
+                    { shots: [[-8, -0.3], [8, 0.3], [-16, -0.9], [16, 0.9]] },
+                ]
+            },
+            // Slow, wide waves that pass through everything in their way
+            wave: {
+                name: 'WAVE CANNON', icon: '🌊', color: '#7df9ff', cooldown: 550, speed: 420,
+                levels: [
+                    { size: 14, damage: 35 },
+                    { size: 18, damage: 45 },
+                    { size: 22, damage: 55 },
+                    { size: 28, damage: 70 },
+                ]
+            },
+        }
+    },
+
+    // Charge shot (optional mode): holding fire past the threshold stops
+    // autofire and charges; releasing fires a piercing shot scaled by charge
+    chargeShot: {
+        threshold: 250, // ms of held fire before charging starts
+        chargeTime: 1200, // ms from empty to full charge
+        speed: 900, // px per second
+        minDamage: 40,
+        maxDamage: 200,
+        minSize: 8,
+        maxSize: 22,
+        minPierce: 2, // enemies passed through
+        maxPierce: 6,
+        color: '#ff66ff',
+    },
+
+    // Local co-op: a downed plane comes back if its partner stays close for a while
+    coop: {
+        reviveRadius: 80, // px
+        reviveTime: 3000, // ms
+        reviveHealth: 40,
+    },
+
+    // Enemy bullet settings (defaults for bullet patterns)
+    enemyBullet: {
+        speed: 360, // px per second
+        size: 4,
+        damage: 15,
+        lifetime: 4000, // ms, counted from launch
+        shape: 'orb', // orb, needle, star or ring
+    },
+
+    // Enemy settings
+    enemies: {
+        spawnRate: 1800, // ms between spawns
+        minSpawnRate: 600, // minimum spawn rate at high difficulty
+        shootCooldown: 2000, // ms between enemy shots
+        types: {
+            // speed in px per second; behavior is the movement when a wave script does not set one;
+            // pattern is the bullet pattern fired on each shot (see BULLET_PATTERNS)
+            fighter: {
+                speed: 150, health: 60, size: 20, color: '#ff4444', score: 15, shootChance: 0.4,
+                behavior: { type: 'wobble' },
+                pattern: { type: 'aimed' },
+            },
+            bomber: {
+                speed: 90, health: 120, size: 28, color: '#8844ff', score: 25, shootChance: 0.6,
+                behavior: { type: 'hover' },
+                pattern: { type: 'spread', count: 3, arc: 0.5, bullet: { speed: 240, size: 6 } },
+            },
+            ace: {
+                speed: 240, health: 40, size: 16, color: '#ff8800', score: 20, shootChance: 0.3,
+                behavior: { type: 'homing' },
+                pattern: { type: 'aimed', shots: 2, interval: 120, bullet: { speed: 240, acceleration: 400, maxSpeed: 560, shape: 'needle' } },
+            },
+        }
+    },
+
+    // Wave scripts (defaults for anything a script leaves out)
+    waves: {
+        spacing: 50, // px between formation slots
+    },
+
+    // Boss settings (one boss guards the Black Hole of each Area)
+    bosses: {
+        entrySpeed: 90, // px per second while flying in
+        targetY: 150, // where the boss stops flying in
+        swaySpeed: 0.6, // radians per second
+        attackDelay: 1000, // ms after arriving before the first attack
+        bulletSpeed: 270, // px per second unless a pattern sets its own
+        collisionDamage: 35,
+        bombDamage: 150, // Bombs hurt bosses instead of destroying them
+        healthGrowth: 0.25, // Extra health per Area beyond the last boss type
+
+        // Hit zones relative to boss size, checked in order (first hit counts)
+        zones: [
+            { name: 'core', x: 0, y: 0.15, radius: 0.3, multiplier: 2 },
+            { name: 'leftWing', x: -0.9, y: -0.1, radius: 0.4, multiplier: 1 },
+            { name: 'rightWing', x: 0.9, y: -0.1, radius: 0.4, multiplier: 1 },
+            { name: 'hull', x: 0, y: 0, radius: 0.7, multiplier: 0.5 },
+        ],
+
+        // One boss per Area theme; phases start when health drops to `at` (fraction)
+        // and cycle through their bullet patterns (see BULLET_PATTERNS)
+        types: [
+            {
+                name: 'STORM BARON', color: '#9b59ff', size: 55, health: 900, score: 250,
+                phases: [
+                    { at: 1, cooldown: 1500, patterns: [
+                        { type: 'spread', count: 5, arc: 0.9 },
+                        { type: 'aimed', shots: 3, interval: 180 },
+                    ] },
+                    { at: 0.5, cooldown: 1200, patterns: [
+                        { type: 'ring', count: 12, shots: 2, interval: 250, turn: Math.PI / 12 },
+                        { type: 'spread', count: 7, arc: 1.2 },
+                    ] },
+                ]
+            },
+            {
+                name: 'EMBER WING', color: '#ff7a2a', size: 58, health: 1300, score: 350,
+                phases: [
+                    { at: 1, cooldown: 1400, patterns: [
+                        { type: 'aimed', shots: 4, interval: 150, bullet: { shape: 'needle', acceleration: 300, maxSpeed: 480 } },
+                        { type: 'spread', count: 5, arc: 0.8 },
+                    ] },
+                    { at: 0.6, cooldown: 1200, patterns: [
+                        { type: 'ring', count: 14 },
+                        { type: 'aimed', shots: 5, interval: 120 },
+                    ] },
+                    { at: 0.25, cooldown: 900, patterns: [
+                        { type: 'spread', count: 9, arc: 1.6, bullet: { speed: 320 } },
+                        { type: 'spiral', arms: 2, turn: 0.35, shots: 16, interval: 60 },
+                    ] },
+                ]
+            },
+            {
+                name: 'VOID SENTINEL', color: '#5ad1ff', size: 60, health: 1800, score: 400,
+                phases: [
+                    { at: 1, cooldown: 1300, patterns: [
+                        { type: 'ring', count: 10 },
+                        { type: 'aimed', shots: 3, interval: 200, bullet: { speed: 360 } },
+                    ] },
+                    { at: 0.6, cooldown: 1100, patterns: [
+                        // Mines that hang, then race outward
+                        { type: 'ring', count: 16, bullet: { speed: 60, delay: 600, acceleration: 500, maxSpeed: 420, shape: 'ring', size: 6 } },
+                        { type: 'spread', count: 7, arc: 1.0 },
+                    ] },
+                    { at: 0.3, cooldown: 800, patterns: [
+                        { type: 'spiral', arms: 3, turn: 0.25, shots: 20, interval: 70, bullet: { speed: 220 } },
+                        { type: 'aimed', shots: 6, interval: 100 },
+                    ] },
+                ]
+            },
+            {
+                name: 'HIVE MOTHER', color: '#6dff7a', size: 64, health: 2400, score: 500,
+                phases: [
+                    { at: 1, cooldown: 1200, patterns: [
+                        { type: 'spread', count: 7, arc: 1.4 },
+                        { type: 'ring', count: 12, bullet: { shape: 'star', size: 6 } },
+                    ] },
+                    { at: 0.6, cooldown: 1000, patterns: [
+                        { type: 'aimed', shots: 6, interval: 110 },
+                        // Swarm that slows to a crawl after the burst
+                        { type: 'spread', count: 9, arc: 1.6, bullet: { speed: 420, acceleration: -300, minSpeed: 120 } },
+                    ] },
+                    { at: 0.3, cooldown: 750, patterns: [
+                        { type: 'ring', count: 18, shots: 3, interval: 200, turn: 0.12 },
+                        { type: 'spread', count: 11, arc: 2.0, bullet: { speed: 300, shape: 'star', size: 6 } },
+                    ] },
+                ]
+            },
+            {
+                name: 'WARLORD', color: '#ff3344', size: 66, health: 3000, score: 600,
+                phases: [
+                    { at: 1, cooldown: 1100, patterns: [
+                        { type: 'spread', count: 9, arc: 1.4 },
+                        { type: 'aimed', shots: 5, interval: 120, bullet: { shape: 'needle', acceleration: 400, maxSpeed: 600 } },
+                    ] },
+                    { at: 0.66, cooldown: 900, patterns: [
+                        // Curving streams
+                        { type: 'spiral', arms: 4, turn: 0.2, shots: 18, interval: 60, bullet: { speed: 200, angularVelocity: 0.5 } },
+                        { type: 'spread', count: 11, arc: 1.8 },
+                    ] },
+                    { at: 0.33, cooldown: 700, patterns: [
+                        { type: 'ring', count: 22, bullet: { speed: 240, delay: 300 } },
+                        { type: 'aimed', shots: 8, interval: 90, bullet: { speed: 380 } },
+                    ] },
+                ]
+            },
+        ]
+    },
+
+    // Power-up settings
+    powerups: {
+        dropChance: 0.18, // 18% chance to drop
+        types: {
+            rapid: { duration: 6000, color: '#ff6b00', icon: '⚡', multiplier: 3 },
+            shield: { duration: 5000, color: '#00e5ff', icon: '🛡️' },
+            damage: { duration: 8000, color: '#ff3333', icon: '💥', multiplier: 2 },
+            bomb: { duration: 0, color: '#ff00ff', icon: '💣' }, // Instant: adds bomb
+            life: { duration: 0, color: '#00ff88', icon: '💚', heal: 40 }, // Instant: heals
+            upgrade: { duration: 0, color: '#ffd700', icon: '⬆️' }, // Instant: weapon level up
+            weapon: { duration: 0, color: '#4488ff', icon: '🔄' }, // Instant: switches to the weapon shown (a level up if already in use)
+        },
+        size: 16,
+        floatSpeed: 48, // px per second
+    },
+
+    // Visual settings
+    particles: {
+        explosionCount: 18,
+        lifetime: 600,
+    },
+
+    // Combo chains: kills less than `window` ms apart build a chain, and every
+    // `step` kills in the chain raise the score multiplier by one
+    combo: {
+        window: 2000, // ms
+        step: 5,
+        maxMultiplier: 5,
+    },
+
+    // Difficulty scaling
+    difficulty: {
+        scoreThreshold: 150, // Score needed to increase difficulty
+        spawnRateReduction: 120, // ms reduction per difficulty level
+    },
+
+    // Branching Area map (see areas.js)
+    areaMap: {
+        showTime: 2500, // ms the map stays up between Areas
+    },
+
+    // Sky/clouds
+    clouds: {
+        count: 8,
+        minSpeed: 30, // px per second
+        maxSpeed: 120,
+        spawnChance: 1.2, // expected new clouds per second
+    },
+
+    // Fixed-timestep simulation
+    timestep: {
+        tickRate: 60, // simulation ticks per second
+        maxFrameTime: 250, // ms, longer frames (tab switches, hitches) are clamped
+    }
+};
+
+/**
+ * Fixed simulation step, in seconds
+ */
+const FIXED_STEP = 1 / CONFIG.timestep.tickRate;
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Minimal event emitter the simulation reports through
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        const list = this.listeners[event];
+        if (list) {
+            this.listeners[event] = list.filter(l => l !== listener);
+        }
+        return this;
+    }
+
+    emit(event, data) {
+        const list = this.listeners[event];
+        if (list) {
+            list.forEach(listener => listener(data));
+        }
+    }
+}
+
+// ============================================
+// GAME CLOCK
+// ============================================
+
+/**
+ * Game clock - the single source of game time (in ms)
+ * Time only moves when the simulation ticks, so it can be scaled
+ * (slow-mo / fast-forward), frozen (pause) or stepped by hand in tests.
+ */
+class GameClock {
+    constructor(stepMs = FIXED_STEP * 1000) {
+        this.stepMs = stepMs; // Game time per tick
+        this.time = 0;
+        this.scale = 1;
+        this.frozen = false;
+        this.accumulator = 0; // Scaled real time not yet simulated (ms)
+    }
+
+    /**
+     * Current game time in ms
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Restart the clock at zero
+     */
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Set the time scale (0.5 = slow-mo, 2 = fast-forward)
+     */
+    setScale(scale) {
+        this.scale = Math.max(0, scale);
+    }
+
+    freeze() {
+        this.frozen = true;
+    }
+
+    unfreeze() {
+        this.frozen = false;
+    }
+
+    /**
+     * Feed real elapsed time (ms) and return how many ticks are due
+     */
+    advance(realMs) {
+        if (this.frozen) return 0;
+
+        this.accumulator += realMs * this.scale;
+        const ticks = Math.floor(this.accumulator / this.stepMs);
+        this.accumulator -= ticks * this.stepMs;
+        return ticks;
+    }
+
+    /**
+     * Move game time forward by whole ticks
+     */
+    tick(count = 1) {
+        this.time += this.stepMs * count;
+    }
+
+    /**
+     * How far (0-1) the clock is between the last tick and the next one
+     */
+    get alpha() {
+        return this.accumulator / this.stepMs;
+    }
+}
+
+// ============================================
+// SEEDED RANDOM
+// ============================================
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Used for every gameplay decision so a run can be reproduced from its seed.
+ * Cosmetic effects (particles, clouds, glows) keep using Math.random().
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+/**
+ * Fresh random seed for a normal run
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Seed of the day, e.g. 20260314 - the same for every player on that date
+ * The day is the UTC one, so players in every time zone share it.
+ */
+function getDailySeed(date = new Date()) {
+    return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+}
+
+// ============================================
+// ENTITY CLASSES
+// ============================================
+
+/**
+ * Base class for all game entities
+ * Every entity keeps a reference to its simulation for the clock,
+ * the gameplay random stream and event reporting.
+ */
+class Entity {
+    constructor(x, y, size, sim) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.sim = sim;
+        this.active = true;
+
+        // Position at the start of the current tick (for interpolated rendering)
+        this.prevX = x;
+        this.prevY = y;
+    }
+
+    /**
+     * Remember the current position before the next simulation tick moves it
+     */
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Check collision with another entity (circle collision)
+     */
+    collidesWith(other) {
+        const dx = this.x - other.x;
+        const dy = this.y - other.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return distance < this.size + other.size;
+    }
+}
+
+/**
+ * Player Plane class
+ */
+class Player extends Entity {
+    constructor(x, y, sim, index = 0) {
+        super(x, y, CONFIG.player.size, sim);
+        this.index = index; // 0 for player 1, 1 for the co-op partner
+        this.health = CONFIG.player.maxHealth;
+        this.bombs = CONFIG.player.startBombs;
+        this.score = 0; // Points from this plane's own kills
+        this.reviveProgress = 0; // ms a partner has spent reviving this plane while down
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.lastShot = -Infinity;
+        this.weapon = 'blaster';
+        this.weaponLevel = 1;
+        this.beamUntil = 0; // Laser beam visible until (ms)
+        this.beamWidth = 0;
+        this.fireHeldSince = null; // When fire was pressed (charge shot mode)
+        this.charging = false;
+        this.charge = 0; // 0-1
+        this.isInvincible = false;
+        this.invincibleUntil = 0;
+        this.flashState = false;
+
+        // Power-up states
+        this.powerups = {
+            rapid: { active: false, endTime: 0 },
+            shield: { active: false, endTime: 0 },
+            damage: { active: false, endTime: 0 },
+        };
+
+        // Input state
+        this.input = {
+            up: false,
+            down: false,
+            left: false,
+            right: false,
+            shooting: false,
+            bomb: false, // One-shot: consumed by the next tick
+            moveX: 0, // Analog stick, -1 to 1 per axis; overrides the direction flags when off center
+            moveY: 0,
+        };
+
+        // Animation
+        this.bankAngle = 0; // For tilting when moving left/right
+    }
+
+    /**
+     * Update player state (deltaTime in seconds)
+     */
+    update(deltaTime, areaWidth, areaHeight) {
+        // Calculate velocity from input
+        this.velocityX = 0;
+        this.velocityY = 0;
+
+        const { moveX, moveY } = this.input;
+        if (moveX !== 0 || moveY !== 0) {
+            // Analog: the stick sets direction and speed, up to full speed
+            const length = Math.sqrt(moveX * moveX + moveY * moveY);
+            const scale = length > 1 ? 1 / length : 1;
+            this.velocityX = moveX * scale;
+            this.velocityY = moveY * scale;
+        } else {
+            if (this.input.left) this.velocityX -= 1;
+            if (this.input.right) this.velocityX += 1;
+            if (this.input.up) this.velocityY -= 1;
+            if (this.input.down) this.velocityY += 1;
+
+            // Normalize diagonal movement
+            if (this.velocityX !== 0 && this.velocityY !== 0) {
+                this.velocityX /= Math.SQRT2;
+                this.velocityY /= Math.SQRT2;
+            }
+        }
+
+        // Apply speed
+        this.x += this.velocityX * CONFIG.player.speed * deltaTime;
+        this.y += this.velocityY * CONFIG.player.speed * deltaTime;
+
+        // Keep player in bounds
+        this.x = Math.max(this.size, Math.min(areaWidth - this.size, this.x));
+        this.y = Math.max(this.size + 60, Math.min(areaHeight - this.size, this.y)); // Keep below UI
+
+        // Update bank angle for visual effect
+        const targetBank = this.velocityX * 0.3;
+        const bankBlend = 1 - Math.pow(0.85, deltaTime * 60);
+        this.bankAngle += (targetBank - this.bankAngle) * bankBlend;
+
+        // Update invincibility
+        const now = this.sim.clock.now();
+        if (this.isInvincible && now >= this.invincibleUntil) {
+            this.isInvincible = false;
+        }
+
+        // Update flash state for visual feedback
+        if (this.isInvincible && !this.powerups.shield.active) {
+            this.flashState = Math.floor(now / 80) % 2 === 0;
+        } else {
+            this.flashState = false;
+        }
+
+        // Update power-ups
+        this.updatePowerups(now);
+
+        // Shield provides invincibility
+        if (this.powerups.shield.active) {
+            this.isInvincible = true;
+        }
+    }
+
+    /**
+     * Update power-up timers
+     */
+    updatePowerups(now) {
+        for (const [type, state] of Object.entries(this.powerups)) {
+            if (state.active && now >= state.endTime) {
+                state.active = false;
+                this.sim.emit('powerupExpired', { player: this, type });
+            }
+        }
+    }
+
+    /**
+     * Attempt to shoot
+     */
+    canShoot() {
+        const now = this.sim.clock.now();
+        let cooldown = this.getWeapon().cooldown || CONFIG.player.shootCooldown;
+
+        // Rapid fire reduces cooldown
+        if (this.powerups.rapid.active) {
+            cooldown /= CONFIG.powerups.types.rapid.multiplier;
+        }
+
+        if (now - this.lastShot >= cooldown) {
+            this.lastShot = now;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Take damage
+     */
+    takeDamage(amount) {
+        if (this.isInvincible || this.powerups.shield.active) return;
+
+        this.health -= amount;
+        this.sim.resetCombo('damage');
+        this.isInvincible = true;
+        this.invincibleUntil = this.sim.clock.now() + CONFIG.player.invincibilityDuration;
+
+        this.sim.emit('playerDamaged', { player: this, amount });
+
+        if (this.health <= 0) {
+            this.health = 0;
+            this.active = false;
+            this.sim.emit('playerDowned', { player: this });
+            return;
+        }
+
+        // Getting hit costs a weapon level
+        if (this.weaponLevel > 1) {
+            this.setWeapon(this.weapon, this.weaponLevel - 1, 'damage');
+        }
+    }
+
+    /**
+     * Heal player
+     */
+    heal(amount) {
+        this.health = Math.min(CONFIG.player.maxHealth, this.health + amount);
+    }
+
+    /**
+     * Activate a power-up (weapon pickups also name the weapon they carry)
+     */
+    activatePowerup(type, weapon = null) {
+        const powerupConfig = CONFIG.powerups.types[type];
+        if (!powerupConfig) return;
+
+        this.sim.emit('powerupCollected', { player: this, type });
+
+        // Handle instant power-ups
+        if (type === 'bomb') {
+            this.bombs++;
+            return;
+        }
+
+        if (type === 'life') {
+            this.heal(powerupConfig.heal);
+            return;
+        }
+
+        if (type === 'upgrade') {
+            const maxLevel = this.getWeapon().levels.length;
+            this.setWeapon(this.weapon, Math.min(maxLevel, this.weaponLevel + 1), 'upgrade');
+            return;
+        }
+
+        // Weapon pickups keep the current level; without a weapon of their
+        // own they cycle to the next one. A weapon the plane took up after the
+        // pickup appeared (from another pickup) levels it up instead.
+        if (type === 'weapon') {
+            const weapons = Object.keys(CONFIG.weapons.types);
+            if (!CONFIG.weapons.types[weapon]) {
+                weapon = weapons[(weapons.indexOf(this.weapon) + 1) % weapons.length];
+            }
+            if (weapon === this.weapon) {
+                const maxLevel = this.getWeapon().levels.length;
+                this.setWeapon(weapon, Math.min(maxLevel, this.weaponLevel + 1), 'upgrade');
+                return;
+            }
+            this.setWeapon(weapon, this.weaponLevel, 'pickup');
+            return;
+        }
+
+        // Duration-based power-ups
+        this.powerups[type].active = true;
+        this.powerups[type].endTime = this.sim.clock.now() + powerupConfig.duration;
+    }
+
+    /**
+     * Settings of the weapon in use
+     */
+    getWeapon() {
+        return CONFIG.weapons.types[this.weapon];
+    }
+
+    /**
+     * Settings of the current weapon level
+     */
+    getWeaponLevel() {
+        return this.getWeapon().levels[this.weaponLevel - 1];
+    }
+
+    /**
+     * Switch weapon and/or level; reason is upgrade, pickup or damage
+     */
+    setWeapon(weapon, level, reason) {
+        if (weapon === this.weapon && level === this.weaponLevel) return;
+
+        this.weapon = weapon;
+        this.weaponLevel = level;
+        this.sim.emit('weaponChanged', { player: this, weapon, level, reason });
+    }
+
+    /**
+     * Get remaining time for a power-up
+     */
+    getPowerupTimeRemaining(type) {
+        if (!this.powerups[type] || !this.powerups[type].active) return 0;
+        return Math.max(0, this.powerups[type].endTime - this.sim.clock.now());
+    }
+}
+
+/**
+ * Bullet class (for both player and enemy)
+ *
+ * Options (all optional): size, shape, color, lifetime (ms), delay (ms to
+ * hang in place before launching), acceleration (px per second squared,
+ * negative slows down), minSpeed, maxSpeed and angularVelocity (radians
+ * per second, curving the flight). Player weapons also use pierce (passes
+ * through targets, hitting each once), maxHits (targets a piercing bullet
+ * passes through before it is spent) and turnRate (radians per second of
+ * homing on the nearest target).
+ */
+class Bullet extends Entity {
+    constructor(x, y, angle, speed, damage, isEnemy, sim, options = {}) {
+        const defaults = isEnemy ? CONFIG.enemyBullet : CONFIG.bullet;
+        super(x, y, options.size || defaults.size, sim);
+        this.angle = angle;
+        this.speed = speed;
+        this.damage = damage;
+        this.isEnemy = isEnemy;
+        this.createdAt = sim.clock.now();
+        this.lifetime = options.lifetime || defaults.lifetime;
+
+        // Flight shaping
+        this.delay = options.delay || 0;
+        this.acceleration = options.acceleration || 0;
+        this.minSpeed = options.minSpeed || 0;
+        this.maxSpeed = options.maxSpeed || Infinity;
+        this.angularVelocity = options.angularVelocity || 0;
+        this.turnRate = options.turnRate || 0;
+        this.target = null;
+        this.owner = options.owner || null; // Player credited with the kills
+
+        // Piercing bullets remember what they already hit
+        this.pierce = options.pierce || false;
+        this.maxHits = options.maxHits || Infinity;
+        this.hits = this.pierce ? new Set() : null;
+
+        // Looks (cosmetic)
+        this.shape = options.shape || (isEnemy ? defaults.shape : 'orb');
+        this.color = options.color || null;
+
+        // Trail positions
+        this.trail = [];
+    }
+
+    update(deltaTime) {
+        const age = this.sim.clock.now() - this.createdAt;
+
+        // Check lifetime
+        if (age > this.lifetime + this.delay) {
+            this.active = false;
+            return;
+        }
+
+        // Delayed bullets hang in place until launch
+        if (this.isWaiting()) return;
+
+        // Store trail position
+        this.trail.push({ x: this.x, y: this.y });
+        if (this.trail.length > 4) this.trail.shift();
+
+        // Speed up or slow down, and curve
+        if (this.acceleration !== 0) {
+            this.speed = Math.max(this.minSpeed, Math.min(this.maxSpeed, this.speed + this.acceleration * deltaTime));
+        }
+        this.angle += this.angularVelocity * deltaTime;
+        if (this.turnRate > 0) this.steer(deltaTime);
+
+        // Move bullet
+        this.x += Math.cos(this.angle) * this.speed * deltaTime;
+        this.y += Math.sin(this.angle) * this.speed * deltaTime;
+    }
+
+    /**
+     * Turn towards the locked target, locking onto a new one when it is gone
+     */
+    steer(deltaTime) {
+        if (!this.target || !this.target.active) {
+            this.target = this.sim.findTarget(this.x, this.y);
+            if (!this.target) return;
+        }
+
+        const desired = Math.atan2(this.target.y - this.y, this.target.x - this.x);
+        let diff = desired - this.angle;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+
+        const maxTurn = this.turnRate * deltaTime;
+        this.angle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+    }
+
+    /**
+     * Whether the bullet is still hanging before launch
+     */
+    isWaiting() {
+        return this.sim.clock.now() - this.createdAt < this.delay;
+    }
+
+    isOutOfBounds(areaWidth, areaHeight) {
+        return this.x < -this.size || this.x > areaWidth + this.size ||
+            this.y < -this.size || this.y > areaHeight + this.size;
+    }
+}
+
+/**
+ * Enemy and boss bullet patterns, described as { type, ...settings }
+ * A pattern fires `shots` shots `interval` ms apart; angles(pattern, shot, aim)
+ * gives the bullet directions of shot number `shot`, where `aim` points at
+ * the player. `bullet` holds the Bullet options (speed, damage, size, shape,
+ * delay, acceleration, angularVelocity, ...) for every bullet fired.
+ */
+const BULLET_PATTERNS = {
+    // Straight at the player
+    aimed: {
+        defaults: {},
+        angles: (pattern, shot, aim) => [aim],
+    },
+
+    // Fan of `count` bullets `arc` radians wide, centered on the player
+    spread: {
+        defaults: { count: 5, arc: 1 },
+        angles(pattern, shot, aim) {
+            const angles = [];
+            for (let i = 0; i < pattern.count; i++) {
+                angles.push(aim + (pattern.count > 1 ? (i / (pattern.count - 1) - 0.5) * pattern.arc : 0));
+            }
+            return angles;
+        },
+    },
+
+    // `count` bullets evenly all the way round, turned `turn` radians each shot
+    ring: {
+        defaults: { count: 12, turn: 0 },
+        angles(pattern, shot) {
+            const gap = Math.PI * 2 / pattern.count;
+            const start = Math.PI / 2 + pattern.rotation + shot * pattern.turn;
+            const angles = [];
+            for (let i = 0; i < pattern.count; i++) {
+                angles.push(start + i * gap);
+            }
+            return angles;
+        },
+    },
+
+    // `arms` streams of single bullets winding round `turn` radians each shot
+    spiral: {
+        defaults: { arms: 2, turn: 0.3, shots: 24, interval: 80 },
+        angles(pattern, shot) {
+            const start = Math.PI / 2 + pattern.rotation + shot * pattern.turn;
+            const angles = [];
+            for (let i = 0; i < pattern.arms; i++) {
+                angles.push(start + i * Math.PI * 2 / pattern.arms);
+            }
+            return angles;
+        },
+    },
+};
+
+/**
+ * Pattern settings with every default filled in
+ */
+function resolvePattern(pattern) {
+    return { shots: 1, interval: 150, rotation: 0, bullet: {}, ...BULLET_PATTERNS[pattern.type].defaults, ...pattern };
+}
+
+/**
+ * Move an enemy by a velocity (px per second) and face along it
+ */
+function moveEnemy(enemy, vx, vy, deltaTime) {
+    enemy.x += vx * deltaTime;
+    enemy.y += vy * deltaTime;
+    enemy.heading = Math.atan2(vy, vx);
+}
+
+/**
+ * Fly straight on in the direction the enemy is facing
+ */
+function flyStraight(enemy, deltaTime, speed = enemy.speed) {
+    moveEnemy(enemy, Math.cos(enemy.heading) * speed, Math.sin(enemy.heading) * speed, deltaTime);
+}
+
+/**
+ * Drop straight down until reaching a behavior's `y` line
+ * Returns true on the tick the line is reached.
+ */
+function descendTo(enemy, deltaTime) {
+    const behavior = enemy.behavior;
+    moveEnemy(enemy, 0, enemy.speed, deltaTime);
+    return enemy.y >= behavior.y * enemy.sim.height + behavior.offsetY;
+}
+
+/**
+ * Turn to leave off the nearer side of the screen
+ */
+function leaveOffSide(enemy) {
+    enemy.behavior.stage = 'leave';
+    enemy.heading = enemy.x < enemy.sim.width / 2 ? Math.PI : 0;
+}
+
+/**
+ * Path point given as fractions of the play area, in px
+ */
+function toAreaPoint(enemy, [x, y]) {
+    const behavior = enemy.behavior;
+    return [x * enemy.sim.width + behavior.offsetX, y * enemy.sim.height + behavior.offsetY];
+}
+
+/**
+ * Point on a cubic bezier and its direction at t (0-1)
+ */
+function cubicBezier([p0, p1, p2, p3], t) {
+    const u = 1 - t;
+    const point = i => u * u * u * p0[i] + 3 * u * u * t * p1[i] + 3 * u * t * t * p2[i] + t * t * t * p3[i];
+    const tangent = i => 3 * u * u * (p1[i] - p0[i]) + 6 * u * t * (p2[i] - p1[i]) + 3 * t * t * (p3[i] - p2[i]);
+    return { x: point(0), y: point(1), dx: tangent(0), dy: tangent(1) };
+}
+
+/**
+ * Point on a Catmull-Rom segment from p1 to p2 and its direction at t (0-1)
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const point = i => 0.5 * (2 * p1[i] + (p2[i] - p0[i]) * t +
+        (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2 + (3 * p1[i] - p0[i] - 3 * p2[i] + p3[i]) * t3);
+    const tangent = i => 0.5 * ((p2[i] - p0[i]) +
+        2 * (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t + 3 * (3 * p1[i] - p0[i] - 3 * p2[i] + p3[i]) * t2);
+    return { x: point(0), y: point(1), dx: tangent(0), dy: tangent(1) };
+}
+
+/**
+ * Enemy movement behaviors, picked per type in CONFIG.enemies.types or per
+ * wave group, as { type, ...settings }
+ * Each has defaults for its settings, an optional start(enemy) run at spawn
+ * and update(enemy, deltaTime) run every tick. Heights (y) and path points
+ * are fractions of the play area; speeds come from the enemy type. Per-enemy
+ * state lives on enemy.behavior next to the settings.
+ */
+const ENEMY_BEHAVIORS = {
+    // Drift down with a sine wobble, staying on screen
+    wobble: {
+        defaults: {},
+        start(enemy) {
+            const rng = enemy.sim.rng;
+            const behavior = enemy.behavior;
+            behavior.phase = rng.range(0, Math.PI * 2);
+            behavior.wobbleSpeed = rng.range(1.8, 3); // radians per second
+            behavior.amount = rng.range(60, 150); // px per second
+        },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            behavior.phase += behavior.wobbleSpeed * deltaTime;
+            enemy.x += Math.sin(behavior.phase) * behavior.amount * deltaTime;
+            enemy.y += enemy.speed * deltaTime;
+
+            // Keep in horizontal bounds
+            enemy.x = Math.max(enemy.size, Math.min(enemy.sim.width - enemy.size, enemy.x));
+        },
+    },
+
+    // Straight down
+    dive: {
+        defaults: {},
+        update(enemy, deltaTime) {
+            moveEnemy(enemy, 0, enemy.speed, deltaTime);
+        },
+    },
+
+    // Across the screen from one side, sinking slowly, and off the other
+    sweep: {
+        defaults: { from: 'left', y: 0.2, drop: 30 },
+        start(enemy) {
+            enemy.behavior.direction = enemy.behavior.from === 'right' ? -1 : 1;
+        },
+        update(enemy, deltaTime) {
+            moveEnemy(enemy, enemy.speed * enemy.behavior.direction, enemy.behavior.drop, deltaTime);
+        },
+    },
+
+    // Dive, loop around toward the middle of the screen, then carry on down
+    circle: {
+        defaults: { y: 0.3, radius: 80, loops: 1 },
+        start(enemy) {
+            const behavior = enemy.behavior;
+            behavior.turned = 0;
+            behavior.direction = enemy.x > enemy.sim.width / 2 ? 1 : -1;
+        },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage === 'enter') {
+                if (descendTo(enemy, deltaTime)) {
+                    behavior.stage = 'loop';
+                    behavior.centerX = enemy.x - behavior.radius * behavior.direction;
+                    behavior.centerY = enemy.y;
+                    behavior.angle = behavior.direction > 0 ? 0 : Math.PI;
+                }
+            } else if (behavior.stage === 'loop') {
+                const fullTurn = behavior.loops * Math.PI * 2;
+                const turn = Math.min(enemy.speed / behavior.radius * deltaTime, fullTurn - behavior.turned);
+                behavior.turned += turn;
+                behavior.angle += turn * behavior.direction;
+
+                enemy.x = behavior.centerX + Math.cos(behavior.angle) * behavior.radius;
+                enemy.y = behavior.centerY + Math.sin(behavior.angle) * behavior.radius;
+                enemy.heading = behavior.angle + behavior.direction * Math.PI / 2;
+                if (behavior.turned >= fullTurn) behavior.stage = 'leave';
+            } else {
+                flyStraight(enemy, deltaTime);
+            }
+        },
+    },
+
+    // Steer toward the player at a limited turn rate until close, then fly straight on
+    homing: {
+        defaults: { turnRate: 1.5, giveUp: 120 }, // radians per second; px above the player steering stops
+        update(enemy, deltaTime) {
+            const player = enemy.sim.getTarget(enemy.x, enemy.y);
+            if (enemy.y < player.y - enemy.behavior.giveUp) {
+                const target = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+                const difference = Math.atan2(Math.sin(target - enemy.heading), Math.cos(target - enemy.heading));
+                const maxTurn = enemy.behavior.turnRate * deltaTime;
+                enemy.heading += Math.max(-maxTurn, Math.min(maxTurn, difference));
+            }
+            flyStraight(enemy, deltaTime);
+        },
+    },
+
+    // Drop to a firing line, shadow the player from side to side, then leave off the side
+    strafe: {
+        defaults: { y: 0.2, duration: 4000 },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage === 'enter') {
+                if (descendTo(enemy, deltaTime)) behavior.stage = 'hold';
+            } else if (behavior.stage === 'hold') {
+                behavior.elapsed += deltaTime * 1000;
+                const maxStep = enemy.speed * deltaTime;
+                const dx = enemy.sim.getTarget(enemy.x, enemy.y).x + behavior.offsetX - enemy.x;
+                enemy.x += Math.max(-maxStep, Math.min(maxStep, dx));
+                enemy.heading = Math.PI / 2;
+                if (behavior.elapsed >= behavior.duration) leaveOffSide(enemy);
+            } else {
+                flyStraight(enemy, deltaTime);
+            }
+        },
+    },
+
+    // Stop at a hover line and carpet-fire straight down, then leave off the side
+    hover: {
+        defaults: { y: 0.25, duration: 5000, sway: 40, fireInterval: 450 },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage === 'enter') {
+                if (descendTo(enemy, deltaTime)) {
+                    behavior.stage = 'hold';
+                    behavior.anchorX = enemy.x;
+                    behavior.nextShot = 0;
+                }
+            } else if (behavior.stage === 'hold') {
+                behavior.elapsed += deltaTime * 1000;
+                enemy.x = behavior.anchorX + Math.sin(behavior.elapsed / 1000 * 1.5) * behavior.sway;
+                enemy.heading = Math.PI / 2;
+
+                if (behavior.elapsed >= behavior.nextShot) {
+                    behavior.nextShot += behavior.fireInterval;
+                    enemy.sim.fireBullet(enemy, Math.PI / 2);
+                }
+                if (behavior.elapsed >= behavior.duration) leaveOffSide(enemy);
+            } else {
+                flyStraight(enemy, deltaTime);
+            }
+        },
+    },
+
+    // Drop in, take aim for a moment, then dive at where the player was at high speed
+    kamikaze: {
+        defaults: { y: 0.15, aimTime: 600, diveSpeed: 2.5 }, // diveSpeed multiplies the type's speed
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage === 'enter') {
+                if (descendTo(enemy, deltaTime)) behavior.stage = 'aim';
+            } else if (behavior.stage === 'aim') {
+                const player = enemy.sim.getTarget(enemy.x, enemy.y);
+                behavior.elapsed += deltaTime * 1000;
+                enemy.heading = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+                if (behavior.elapsed >= behavior.aimTime) behavior.stage = 'dive';
+            } else {
+                flyStraight(enemy, deltaTime, enemy.speed * behavior.diveSpeed);
+            }
+        },
+    },
+
+    // Cubic bezier from the spawn point through three control points, then straight on
+    bezier: {
+        defaults: { points: [[0.15, 0.35], [0.85, 0.55], [0.5, 1.2]], duration: 3500 },
+        start(enemy) {
+            enemy.behavior.curve = [[enemy.x, enemy.y], ...enemy.behavior.points.map(p => toAreaPoint(enemy, p))];
+        },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage !== 'enter') {
+                flyStraight(enemy, deltaTime);
+                return;
+            }
+
+            behavior.elapsed += deltaTime * 1000;
+            const t = Math.min(1, behavior.elapsed / behavior.duration);
+            const { x, y, dx, dy } = cubicBezier(behavior.curve, t);
+            enemy.x = x;
+            enemy.y = y;
+            if (dx !== 0 || dy !== 0) enemy.heading = Math.atan2(dy, dx);
+            if (t >= 1) behavior.stage = 'leave';
+        },
+    },
+
+    // Smooth spline from the spawn point through each point in turn, then straight on
+    spline: {
+        defaults: { points: [[0.25, 0.3], [0.75, 0.3], [0.5, 0.6], [0.5, 1.2]] },
+        start(enemy) {
+            const behavior = enemy.behavior;
+            behavior.knots = [[enemy.x, enemy.y], ...behavior.points.map(p => toAreaPoint(enemy, p))];
+            behavior.segment = 0;
+            behavior.t = 0;
+        },
+        update(enemy, deltaTime) {
+            const behavior = enemy.behavior;
+            if (behavior.stage !== 'enter') {
+                flyStraight(enemy, deltaTime);
+                return;
+            }
+
+            // Each segment takes about its straight-line length at the enemy's speed
+            const knots = behavior.knots;
+            const i = behavior.segment;
+            const p1 = knots[i];
+            const p2 = knots[i + 1];
+            const dx = p2[0] - p1[0];
+            const dy = p2[1] - p1[1];
+            const length = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+            behavior.t = Math.min(1, behavior.t + enemy.speed * deltaTime / length);
+
+            const point = catmullRom(knots[Math.max(0, i - 1)], p1, p2, knots[Math.min(knots.length - 1, i + 2)], behavior.t);
+            enemy.x = point.x;
+            enemy.y = point.y;
+            if (point.dx !== 0 || point.dy !== 0) enemy.heading = Math.atan2(point.dy, point.dx);
+
+            if (behavior.t >= 1) {
+                behavior.t = 0;
+                behavior.segment++;
+                if (behavior.segment >= knots.length - 1) behavior.stage = 'leave';
+            }
+        },
+    },
+};
+
+/**
+ * Enemy Plane class
+ */
+class Enemy extends Entity {
+    constructor(x, y, type, sim, behavior = null) {
+        const config = CONFIG.enemies.types[type];
+        super(x, y, config.size, sim);
+
+        const rng = sim.rng;
+        this.type = type;
+        this.speed = config.speed;
+        this.maxHealth = Math.round(config.health * sim.getSectorModifier('enemyHealth'));
+        this.health = this.maxHealth;
+        this.color = config.color;
+        this.score = config.score;
+        this.shootChance = config.shootChance;
+        this.damage = 25; // Collision damage
+        this.lastShot = sim.clock.now() - rng.next() * CONFIG.enemies.shootCooldown; // Stagger initial shots
+
+        // Bullet pattern fired on each shot, and patterns still firing
+        this.pattern = config.pattern;
+        this.muzzleY = config.size; // Guns sit at the nose
+        this.emitters = [];
+
+        // Movement: the wave group's behavior, else the type's own
+        const spec = behavior || config.behavior;
+        const definition = ENEMY_BEHAVIORS[spec.type];
+        this.behavior = { offsetX: 0, offsetY: 0, ...definition.defaults, ...spec, stage: 'enter', elapsed: 0 };
+        this.heading = Math.PI / 2; // Direction of travel, straight down
+        this.entered = false; // Has been inside the play area (side exits only count after this)
+        if (definition.start) definition.start(this);
+
+        // Animation (cosmetic)
+        this.pulsePhase = Math.random() * Math.PI * 2;
+    }
+
+    update(deltaTime) {
+        ENEMY_BEHAVIORS[this.behavior.type].update(this, deltaTime);
+        if (this.x >= 0 && this.x <= this.sim.width && this.y >= 0) this.entered = true;
+
+        // Update pulse animation
+        this.pulsePhase += 4.8 * deltaTime;
+    }
+
+    /**
+     * Check if enemy can shoot
+     */
+    canShoot() {
+        const now = this.sim.clock.now();
+        if (now - this.lastShot >= CONFIG.enemies.shootCooldown) {
+            if (this.sim.rng.next() < this.shootChance) {
+                this.lastShot = now;
+                return true;
+            }
+            this.lastShot = now; // Reset even if not shooting
+        }
+        return false;
+    }
+
+    takeDamage(amount) {
+        this.health -= amount;
+        this.sim.emit('enemyHit', { enemy: this, amount });
+
+        if (this.health <= 0) {
+            this.active = false;
+            return true; // Enemy died
+        }
+        return false;
+    }
+
+    isOutOfBounds(areaWidth, areaHeight) {
+        if (this.y > areaHeight + this.size * 2) return true;
+
+        // Sweeps leave off the far side once they have crossed the screen
+        return this.entered && (this.x < -this.size * 2 || this.x > areaWidth + this.size * 2);
+    }
+}
+
+/**
+ * Power-up class
+ */
+class PowerUp extends Entity {
+    constructor(x, y, type, sim) {
+        super(x, y, CONFIG.powerups.size, sim);
+        this.type = type;
+        this.config = CONFIG.powerups.types[type];
+
+        // Weapon pickups carry a weapon no plane is using
+        this.weapon = null;
+        this.icon = this.config.icon;
+        if (type === 'weapon') {
+            const inUse = sim.players.map(player => player.weapon);
+            const weapons = Object.keys(CONFIG.weapons.types).filter(name => !inUse.includes(name));
+            this.weapon = sim.rng.pick(weapons);
+            this.icon = CONFIG.weapons.types[this.weapon].icon;
+        }
+
+        this.floatPhase = sim.rng.range(0, Math.PI * 2);
+        this.createdAt = sim.clock.now();
+        this.lifetime = 12000; // 12 seconds to collect
+        this.baseY = y;
+    }
+
+    update(deltaTime) {
+        // Float down slowly
+        this.y += CONFIG.powerups.floatSpeed * deltaTime;
+
+        // Horizontal float animation
+        this.floatPhase += 3.6 * deltaTime;
+        this.x += Math.sin(this.floatPhase) * 30 * deltaTime;
+
+        // Check lifetime
+        if (this.sim.clock.now() - this.createdAt > this.lifetime) {
+            this.active = false;
+        }
+    }
+
+    /**
+     * Time left before the power-up disappears (ms)
+     */
+    getTimeLeft() {
+        return this.lifetime - (this.sim.clock.now() - this.createdAt);
+    }
+
+    isOutOfBounds(areaHeight) {
+        return this.y > areaHeight + this.size;
+    }
+}
+
+/**
+ * BlackHole class - Portal that transitions to a new level
+ * Dark rotating spiral with gravitational visual effects
+ */
+class BlackHole extends Entity {
+    constructor(x, y, sim) {
+        super(x, y, 40, sim);
+        this.rotationAngle = 0;
+        this.pulsePhase = 0;
+        this.createdAt = sim.clock.now();
+        this.particles = [];
+
+        // Generate initial accretion disk particles (cosmetic)
+        for (let i = 0; i < 20; i++) {
+            this.particles.push({
+                angle: Math.random() * Math.PI * 2,
+                distance: 25 + Math.random() * 25,
+                speed: 1.2 + Math.random() * 1.8, // radians per second
+                size: 2 + Math.random() * 3,
+                color: Math.random() > 0.5 ? '#ff4400' : '#ff8800'
+            });
+        }
+    }
+
+    update(deltaTime) {
+        this.rotationAngle += 1.8 * deltaTime;
+        this.pulsePhase += 4.8 * deltaTime;
+
+        // Update accretion disk particles
+        this.particles.forEach(p => {
+            p.angle += p.speed * deltaTime;
+            // Spiral inward slowly
+            p.distance -= 3 * deltaTime;
+            if (p.distance < 15) {
+                p.distance = 25 + Math.random() * 25;
+            }
+        });
+    }
+}
+
+/**
+ * WhiteHole class - Portal that resets the score
+ * Bright glowing portal with light rays
+ */
+class WhiteHole extends Entity {
+    constructor(x, y, sim) {
+        super(x, y, 40, sim);
+        this.glowPhase = 0;
+        this.rayRotation = 0;
+        this.createdAt = sim.clock.now();
+        this.sparkles = [];
+
+        // Generate sparkle particles (cosmetic)
+        for (let i = 0; i < 15; i++) {
+            this.sparkles.push({
+                angle: Math.random() * Math.PI * 2,
+                distance: 30 + Math.random() * 30,
+                size: 1 + Math.random() * 3,
+                speed: 0.6 + Math.random() * 1.2, // radians per second
+                phase: Math.random() * Math.PI * 2,
+            });
+        }
+    }
+
+    update(deltaTime) {
+        this.glowPhase += 3.6 * deltaTime;
+        this.rayRotation += 0.9 * deltaTime;
+
+        // Update sparkles
+        this.sparkles.forEach(s => {
+            s.phase += 6 * deltaTime;
+            s.angle += s.speed * deltaTime;
+        });
+    }
+}
+
+/**
+ * Boss class - guards the Black Hole at the end of each Area
+ * Takes damage through hit zones, changes phase at health thresholds
+ * and cycles through its phase's bullet patterns.
+ */
+class Boss extends Entity {
+    constructor(x, level, sim) {
+        const types = CONFIG.bosses.types;
+        const config = types[Math.min(level, types.length) - 1];
+        super(x, -config.size, config.size, sim);
+
+        // Areas past the last boss type repeat it with more health
+        const healthScale = 1 + Math.max(0, level - types.length) * CONFIG.bosses.healthGrowth;
+
+        this.level = level;
+        this.name = config.name;
+        this.color = config.color;
+        this.score = config.score;
+        this.maxHealth = Math.round(config.health * healthScale * sim.getSectorModifier('enemyHealth'));
+        this.health = this.maxHealth;
+        this.phases = config.phases;
+        this.phase = 0;
+        this.zones = CONFIG.bosses.zones;
+
+        // Flies in from the top, then sways across the screen
+        this.entering = true;
+        this.swayPhase = 0;
+
+        // Attack script, and patterns still firing
+        this.patternIndex = 0;
+        this.nextAttack = 0;
+        this.muzzleY = this.size * 0.6;
+        this.emitters = [];
+
+        // For the hit flash
+        this.lastHitAt = -Infinity;
+    }
+
+    update(deltaTime, areaWidth) {
+        if (this.entering) {
+            this.y += CONFIG.bosses.entrySpeed * deltaTime;
+            if (this.y >= CONFIG.bosses.targetY) {
+                this.y = CONFIG.bosses.targetY;
+                this.entering = false;
+                this.nextAttack = this.sim.clock.now() + CONFIG.bosses.attackDelay;
+            }
+            return;
+        }
+
+        this.swayPhase += CONFIG.bosses.swaySpeed * deltaTime;
+        const range = Math.max(0, areaWidth / 2 - this.size * 1.5);
+        this.x = areaWidth / 2 + Math.sin(this.swayPhase) * range;
+    }
+
+    /**
+     * First hit zone that overlaps another entity, or null
+     */
+    getZoneHit(other) {
+        for (const zone of this.zones) {
+            const dx = other.x - (this.x + zone.x * this.size);
+            const dy = other.y - (this.y + zone.y * this.size);
+            if (Math.sqrt(dx * dx + dy * dy) < zone.radius * this.size + other.size) {
+                return zone;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Take damage, moving on to later phases as health drops
+     * Bosses cannot be hurt while still flying in.
+     */
+    takeDamage(amount, zone = null) {
+        if (this.entering) return false;
+
+        this.health = Math.max(0, this.health - amount);
+        this.lastHitAt = this.sim.clock.now();
+        this.sim.emit('bossHit', { boss: this, amount, zone });
+
+        while (this.phase + 1 < this.phases.length && this.health / this.maxHealth <= this.phases[this.phase + 1].at) {
+            this.phase++;
+            this.patternIndex = 0;
+            this.emitters = [];
+            this.sim.emit('bossPhase', { boss: this, phase: this.phase });
+        }
+
+        if (this.health <= 0) {
+            this.active = false;
+            return true; // Boss destroyed
+        }
+        return false;
+    }
+
+    /**
+     * Next pattern of the current phase if an attack is due
+     */
+    nextPattern(now) {
+        if (this.entering || now < this.nextAttack) return null;
+
+        const phase = this.phases[this.phase];
+        const pattern = phase.patterns[this.patternIndex % phase.patterns.length];
+        this.patternIndex++;
+        this.nextAttack = now + phase.cooldown;
+        return pattern;
+    }
+}
+
+// ============================================
+// WAVE SCRIPTS
+// ============================================
+
+/**
+ * Wave script format (plain JSON, one script per Area):
+ *
+ *   {
+ *     "name": "Area 1",
+ *     "then": "endless" | "loop",     what happens after the last wave
+ *     "waves": [{
+ *       "delay": 1500,                ms after the previous wave ends
+ *       "next": "cleared" | "timer",  end when every enemy is gone, or after "duration" ms
+ *       "duration": 6000,
+ *       "message": "...",             optional on-screen message
+ *       "groups": [{
+ *         "type": "fighter" | "bomber" | "ace",
+ *         "count": 5,
+ *         "formation": "v" | "line" | "column",
+ *         "spacing": 50,              px between formation slots
+ *         "offset": 0,                ms after the wave starts
+ *         "interval": 0,              ms between members (0 = all at once)
+ *         "x": 0.5,                   entry point as a fraction of the width
+ *         "behavior": { "type": "sweep", "from": "right" }
+ *       }]
+ *     }]
+ *   }
+ *
+ * "behavior" is any of ENEMY_BEHAVIORS with its settings; groups without
+ * one move the way their enemy type does. Sweeps enter from the side,
+ * everything else from the top.
+ */
+const WAVE_FORMATIONS = ['v', 'line', 'column'];
+
+/**
+ * Check a wave script (JSON text or parsed data) and fill in its defaults
+ * Throws an Error naming the first problem found.
+ */
+function loadWaveScript(source) {
+    const script = typeof source === 'string' ? JSON.parse(source) : source;
+    const defaults = CONFIG.waves;
+
+    const fail = (where, problem) => {
+        throw new Error(`Wave script ${where}: ${problem}`);
+    };
+    const number = (value, fallback, where) => {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            fail(where, `expected a non-negative number, got ${JSON.stringify(value)}`);
+        }
+        return value;
+    };
+
+    if (!script || !Array.isArray(script.waves) || script.waves.length === 0) {
+        fail('', 'needs a non-empty "waves" list');
+    }
+    const then = script.then || 'endless';
+    if (then !== 'endless' && then !== 'loop') fail('"then"', `unknown value "${then}"`);
+
+    const waves = script.waves.map((wave, w) => {
+        const where = `wave ${w + 1}`;
+        const next = wave.next || 'cleared';
+        if (next !== 'cleared' && next !== 'timer') fail(where, `unknown "next" value "${next}"`);
+        if (next === 'timer' && wave.duration === undefined) fail(where, 'timer waves need a "duration"');
+        if (!Array.isArray(wave.groups) || wave.groups.length === 0) fail(where, 'needs a non-empty "groups" list');
+
+        const groups = wave.groups.map((group, g) => {
+            const at = `${where}, group ${g + 1}`;
+            if (!CONFIG.enemies.types[group.type]) fail(at, `unknown enemy type "${group.type}"`);
+
+            const formation = group.formation || 'column';
+            if (!WAVE_FORMATIONS.includes(formation)) fail(at, `unknown formation "${formation}"`);
+
+            let behavior = null;
+            if (group.behavior !== undefined) {
+                const spec = group.behavior || {};
+                const definition = ENEMY_BEHAVIORS[spec.type];
+                if (!definition) fail(at, `unknown behavior "${spec.type}"`);
+
+                behavior = { type: spec.type, ...definition.defaults };
+                for (const [key, value] of Object.entries(spec)) {
+                    if (key === 'type') continue;
+                    if (!(key in definition.defaults)) fail(at, `unknown ${spec.type} setting "${key}"`);
+
+                    if (key === 'from') {
+                        if (value !== 'left' && value !== 'right') fail(at, `sweeps come from "left" or "right", not "${value}"`);
+                    } else if (key === 'points') {
+                        const isPoint = p => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && Number.isFinite(n));
+                        if (!Array.isArray(value) || value.length === 0 || !value.every(isPoint)) {
+                            fail(at, '"points" must be a list of [x, y] pairs');
+                        }
+                        if (spec.type === 'bezier' && value.length !== 3) fail(at, 'bezier paths need exactly 3 points');
+                    } else {
+                        number(value, 0, at);
+                    }
+                    behavior[key] = value;
+                }
+            }
+
+            return {
+                type: group.type,
+                count: Math.max(1, Math.floor(number(group.count, 1, at))),
+                formation,
+                spacing: number(group.spacing, defaults.spacing, at),
+                offset: number(group.offset, 0, at),
+                interval: number(group.interval, 0, at),
+                x: number(group.x, 0.5, at),
+                behavior,
+            };
+        });
+
+        return {
+            delay: number(wave.delay, 0, where),
+            next,
+            duration: number(wave.duration, 0, where),
+            message: wave.message || null,
+            groups,
+        };
+    });
+
+    return { name: script.name || '', then, waves };
+}
+
+/**
+ * Slot of formation member `index` as [behind, across] in px
+ * `behind` is measured back along the direction of travel.
+ */
+function getFormationOffset(formation, index, count, spacing) {
+    switch (formation) {
+        case 'v': {
+            // Leader at the point, wingmen alternating either side further back
+            const rank = Math.ceil(index / 2);
+            const side = index % 2 === 1 ? 1 : -1;
+            return [rank * spacing, side * rank * spacing];
+        }
+        case 'line':
+            return [0, (index - (count - 1) / 2) * spacing];
+        default: // column: single file
+            return [index * spacing, 0];
+    }
+}
+
+/**
+ * Plays one Area's wave script
+ * Runs on its own timeline, which only moves while the director is
+ * updated, so scripts hold still during boss fights. With no script,
+ * or once a script runs out, the director is finished and the endless
+ * random spawner takes over.
+ */
+class WaveDirector {
+    constructor(script, sim) {
+        this.script = script;
+        this.sim = sim;
+
+        this.time = 0; // ms of script time
+        this.waveIndex = -1;
+        this.wavesStarted = 0;
+        this.nextWaveAt = null; // Script time the next wave starts (null = waiting for a clear)
+        this.pending = []; // Group members still to spawn, in spawn order
+        this.members = []; // Enemies of the current wave
+        this.finished = !script;
+    }
+
+    /**
+     * Queue the first wave after an initial pause (ms)
+     */
+    start(pause = 0) {
+        if (!this.finished) this.scheduleWave(0, pause);
+    }
+
+    /**
+     * Advance the script (deltaTime in seconds)
+     */
+    update(deltaTime) {
+        if (this.finished) return;
+        this.time += deltaTime * 1000;
+
+        if (this.nextWaveAt !== null && this.time >= this.nextWaveAt) {
+            if (this.waveIndex < this.script.waves.length) {
+                this.startWave();
+            } else if (this.pending.length === 0) {
+                // Script over: the endless spawner takes it from here
+                this.finished = true;
+                this.sim.lastEnemySpawn = this.sim.clock.now();
+                return;
+            }
+        }
+
+        while (this.pending.length > 0 && this.pending[0].at <= this.time) {
+            this.spawnMember(this.pending.shift());
+        }
+
+        // "cleared" waves end once every member has been spawned and is gone
+        if (this.nextWaveAt === null && this.isWaveCleared()) {
+            this.scheduleWave(this.waveIndex + 1, this.time);
+        }
+    }
+
+    /**
+     * Queue wave `index` to start after its delay
+     * Past the last wave, scripts either loop or end.
+     */
+    scheduleWave(index, after) {
+        const waves = this.script.waves;
+        if (index >= waves.length && this.script.then === 'loop') index = 0;
+
+        this.waveIndex = index;
+        this.nextWaveAt = index < waves.length ? after + waves[index].delay : after;
+    }
+
+    /**
+     * Start the queued wave and line up its group members
+     */
+    startWave() {
+        const wave = this.script.waves[this.waveIndex];
+        this.wavesStarted++;
+        this.nextWaveAt = null;
+        this.members = [];
+
+        for (const group of wave.groups) {
+            for (let i = 0; i < group.count; i++) {
+                this.pending.push({
+                    at: this.time + group.offset + i * group.interval,
+                    wave: this.wavesStarted,
+                    group,
+                    index: i,
+                });
+            }
+        }
+        this.pending.sort((a, b) => a.at - b.at);
+
+        this.sim.emit('waveStarted', { level: this.sim.state.currentLevel, wave: this.waveIndex + 1, name: this.script.name });
+        if (wave.message) this.sim.showGameMessage(wave.message, 2000);
+
+        if (wave.next === 'timer') {
+            this.scheduleWave(this.waveIndex + 1, this.time + wave.duration);
+        }
+    }
+
+    /**
+     * Whether every member of the current wave has spawned and been destroyed or left
+     */
+    isWaveCleared() {
+        if (this.pending.some(entry => entry.wave === this.wavesStarted)) return false;
+        return this.members.every(enemy => !this.sim.enemies.includes(enemy));
+    }
+
+    /**
+     * Place one group member at its formation slot, entering for its behavior
+     */
+    spawnMember(entry) {
+        const { group, index } = entry;
+        const sim = this.sim;
+        const config = CONFIG.enemies.types[group.type];
+        const [behind, across] = getFormationOffset(group.formation, index, group.count, group.spacing);
+        const behavior = { ...(group.behavior || config.behavior) };
+
+        let x, y;
+        if (behavior.type === 'sweep') {
+            // Enter from the side, flying across
+            const sweep = { ...ENEMY_BEHAVIORS.sweep.defaults, ...behavior };
+            x = sweep.from === 'right' ? sim.width + config.size + behind : -config.size - behind;
+            y = sweep.y * sim.height + across;
+        } else {
+            // Enter from the top, flying down; behavior lines and points shift
+            // by the formation slot so the formation keeps its shape
+            x = group.x * sim.width + across;
+            y = -config.size - behind;
+            behavior.offsetX = across;
+            behavior.offsetY = -behind;
+        }
+
+        const enemy = new Enemy(x, y, group.type, sim, behavior);
+        sim.enemies.push(enemy);
+        if (entry.wave === this.wavesStarted) this.members.push(enemy);
+    }
+}
+
+// ============================================
+// SIMULATION
+// ============================================
+
+/**
+ * One run of the game, advanced in fixed ticks
+ *
+ * Events (listen with sim.on(name, fn)):
+ *   playerShoot, enemyShoot, enemyHit, enemyDestroyed, playerDamaged,
+ *   powerupCollected, powerupExpired, bomb, explosion, bossSpawned, bossHit,
+ *   bossPhase, bossAttack, bossDefeated, waveStarted, portalsSpawned,
+ *   blackHoleEntered, whiteHoleEntered, levelChanged, message, gameOver,
+ *   playerDowned, playerRevived, sectorEntered
+ *
+ * With settings.coop two planes fly: players[0] (also `player`) and
+ * players[1]. Game over comes when both are down.
+ *
+ * waveScripts holds one wave script per Area (see loadWaveScript); Areas
+ * without one use the endless random spawner.
+ *
+ * With an areaMap (see areas.js) the run flies
+ * through the map's sectors instead: each portal leads to its own next
+ * sector, whose wave script is looked up by name.
+ */
+class Simulation extends EventEmitter {
+    constructor(width, height, waveScripts = [], areaMap = null) {
+        super();
+
+        // Play area size in px
+        this.width = width;
+        this.height = height;
+
+        // Wave scripts by Area, and the director playing the current one
+        this.waveScripts = waveScripts.map(script => loadWaveScript(script));
+        this.waves = new WaveDirector(null, this);
+
+        // Sectors of the branching Area map, or null
+        this.areaMap = areaMap;
+
+        // Game clock shared by all entities
+        this.clock = new GameClock();
+
+        // Gameplay random stream, re-seeded for every run
+        this.rng = new SeededRandom(0);
+
+        // Ticks simulated in this run
+        this.tick = 0;
+
+        // Gameplay options of the current run
+        this.settings = { chargeShot: false, coop: false, coopScore: 'shared' };
+
+        // Entity arrays; player is players[0]
+        this.player = null;
+        this.players = [];
+        this.bullets = [];
+        this.enemyBullets = [];
+        this.enemies = [];
+        this.powerups = [];
+
+        // Boss of the current Area
+        this.boss = null;
+
+        // Portal objects
+        this.blackHole = null;
+        this.whiteHole = null;
+
+        // Level transition fade
+        this.transitionAlpha = 0;
+        this.transitionDirection = 0; // 0 = none, 1 = fade out, -1 = fade in
+        this.areaMapTime = 0; // ms the Area map still shows once faded out
+
+        // Timers
+        this.lastEnemySpawn = 0;
+
+        this.state = this.createState();
+    }
+
+    /**
+     * Fresh per-run state
+     */
+    createState() {
+        return {
+            score: 0,
+            enemiesDefeated: 0,
+            difficultyLevel: 1,
+            // Combo chain
+            combo: 0,
+            comboExpiresAt: 0,
+            multiplier: 1,
+            maxCombo: 0,
+            // Portal and level system
+            currentLevel: 1,
+            bossSpawned: false,
+            bossDefeated: false,
+            portalsSpawned: false,
+            inTransition: false,
+            portalWaiting: false, // A co-op plane is at a portal without its partner
+            // Area map: current sector, the one its portal leads to, and the sectors flown
+            sector: null,
+            nextSector: null,
+            route: [],
+            gameOver: false,
+        };
+    }
+
+    /**
+     * Start a new run from a seed
+     * settings are gameplay options chosen before the run (chargeShot,
+     * coop and coopScore: 'shared' or 'split' for the HUD).
+     */
+    reset(seed, settings = {}) {
+        this.settings = { chargeShot: false, coop: false, coopScore: 'shared', ...settings };
+        this.rng = new SeededRandom(seed);
+        this.clock.reset();
+        this.tick = 0;
+        this.state = this.createState();
+        if (this.areaMap) {
+            this.state.sector = this.areaMap.start;
+            this.state.route = [this.areaMap.start];
+        }
+
+        // Create player at center bottom (co-op planes side by side)
+        if (this.settings.coop) {
+            this.players = [
+                new Player(this.width / 3, this.height - 100, this, 0),
+                new Player(this.width * 2 / 3, this.height - 100, this, 1),
+            ];
+        } else {
+            this.players = [new Player(this.width / 2, this.height - 100, this)];
+        }
+        this.player = this.players[0];
+
+        // Clear entities
+        this.bullets = [];
+        this.enemyBullets = [];
+        this.enemies = [];
+        this.powerups = [];
+        this.boss = null;
+
+        // Clear portals
+        this.blackHole = null;
+        this.whiteHole = null;
+        this.transitionAlpha = 0;
+        this.transitionDirection = 0;
+        this.areaMapTime = 0;
+
+        // Reset timers
+        this.lastEnemySpawn = this.clock.now();
+        this.loadWaves();
+
+        this.emit('levelChanged', { level: this.state.currentLevel, theme: this.getSectorTheme() });
+        if (this.state.sector) this.emit('sectorEntered', { sector: this.state.sector, level: this.state.currentLevel });
+    }
+
+    /**
+     * Change the play area size
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Advance the game clock and the simulation by one fixed step
+     */
+    step() {
+        if (this.state.gameOver) return;
+
+        // The game clock stops while the Area map is up, so timers wait too
+        this.tick++;
+        if (!this.isShowingAreaMap()) this.clock.tick();
+        this.update(FIXED_STEP);
+    }
+
+    /**
+     * Update game state by one fixed step (deltaTime in seconds)
+     */
+    update(deltaTime) {
+        const now = this.clock.now();
+
+        // Remember positions for interpolated rendering
+        this.savePositions();
+
+        // Everything holds still while the Area map is up
+        if (this.isShowingAreaMap()) {
+            this.updateTransition(deltaTime);
+            return;
+        }
+
+        // Bomb presses take effect on a tick so replays see them at the same moment
+        for (const player of this.players) {
+            if (!player.input.bomb) continue;
+            player.input.bomb = false;
+            if (player.active) this.useBomb(player);
+        }
+
+        // Update players (skip if in transition); downed planes stay where they fell
+        if (!this.state.inTransition) {
+            for (const player of this.players) {
+                if (!player.active) continue;
+                player.update(deltaTime, this.width, this.height);
+
+                // Handle shooting
+                this.updateShooting(now, player);
+            }
+        }
+
+        // Spawn enemies
+        this.spawnEnemies(now, deltaTime);
+
+        // Send in the Area boss when score threshold reached
+        this.spawnBoss();
+
+        // Open portals once the boss is down
+        this.spawnPortals();
+
+        // Update portals
+        if (this.blackHole) {
+            this.blackHole.update(deltaTime);
+        }
+        if (this.whiteHole) {
+            this.whiteHole.update(deltaTime);
+        }
+
+        // Update player bullets
+        this.bullets = this.bullets.filter(bullet => {
+            bullet.update(deltaTime);
+            return bullet.active && !bullet.isOutOfBounds(this.width, this.height);
+        });
+
+        // Update enemy bullets
+        this.enemyBullets = this.enemyBullets.filter(bullet => {
+            bullet.update(deltaTime);
+            return bullet.active && !bullet.isOutOfBounds(this.width, this.height);
+        });
+
+        // Update enemies
+        this.enemies.forEach(enemy => {
+            enemy.update(deltaTime);
+
+            // Enemy shooting
+            if (enemy.canShoot() && enemy.y > 50 && enemy.y < this.height * 0.7) {
+                this.enemyShoot(enemy);
+            }
+        });
+
+        // Remove enemies that went off screen
+        this.enemies = this.enemies.filter(e => !e.isOutOfBounds(this.width, this.height));
+
+        // Update the Area boss
+        if (this.boss) {
+            this.boss.update(deltaTime, this.width);
+            this.updateBossAttacks(now);
+        }
+
+        // Bullet patterns still firing
+        this.updateEmitters(now);
+
+        // Update power-ups
+        this.powerups = this.powerups.filter(powerup => {
+            powerup.update(deltaTime);
+            return powerup.active && !powerup.isOutOfBounds(this.height);
+        });
+
+        // Check collisions
+        this.checkCollisions();
+
+        // Check portal collisions (only if not in transition)
+        if (!this.state.inTransition) {
+            this.checkPortalCollisions();
+        }
+
+        // Handle level transition animation
+        this.updateTransition(deltaTime);
+
+        // Chains run out when the next kill takes too long
+        if (this.state.combo > 0 && now >= this.state.comboExpiresAt) {
+            this.resetCombo('timeout');
+        }
+
+        // Update difficulty
+        this.updateDifficulty();
+
+        // Partners bring downed planes back
+        if (this.settings.coop) {
+            this.updateRevives(deltaTime);
+        }
+
+        // Check game over: every plane is down
+        if (this.players.every(player => !player.active)) {
+            this.state.gameOver = true;
+            for (const player of this.players) {
+                this.createExplosion(player.x, player.y, '#4488ff', true);
+            }
+            this.emit('gameOver', { state: this.state });
+        }
+    }
+
+    /**
+     * Count down the revive of downed planes with a partner close by; moving
+     * away starts the revive over
+     */
+    updateRevives(deltaTime) {
+        const { reviveRadius, reviveTime } = CONFIG.coop;
+
+        for (const downed of this.players) {
+            if (downed.active) continue;
+
+            const rescued = this.players.some(partner => partner.active &&
+                Math.hypot(partner.x - downed.x, partner.y - downed.y) <= reviveRadius);
+            downed.reviveProgress = rescued ? downed.reviveProgress + deltaTime * 1000 : 0;
+
+            if (downed.reviveProgress >= reviveTime) {
+                this.revivePlayer(downed);
+            }
+        }
+    }
+
+    /**
+     * Put a downed plane back in the fight, briefly invincible
+     */
+    revivePlayer(player) {
+        player.active = true;
+        player.health = CONFIG.coop.reviveHealth;
+        player.reviveProgress = 0;
+        player.isInvincible = true;
+        player.invincibleUntil = this.clock.now() + CONFIG.player.invincibilityDuration;
+
+        this.emit('playerRevived', { player });
+        this.showGameMessage(`💚 P${player.index + 1} IS BACK`, 1500);
+    }
+
+    /**
+     * The plane an enemy goes after: the nearest one still flying
+     */
+    getTarget(x, y) {
+        let best = this.player;
+        let bestDistance = Infinity;
+
+        for (const player of this.players) {
+            if (!player.active) continue;
+            const distance = Math.hypot(player.x - x, player.y - y);
+            if (distance < bestDistance) {
+                best = player;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Save entity positions at the start of a tick
+     */
+    savePositions() {
+        this.players.forEach(p => p.savePosition());
+        this.bullets.forEach(b => b.savePosition());
+        this.enemyBullets.forEach(b => b.savePosition());
+        this.enemies.forEach(e => e.savePosition());
+        this.powerups.forEach(p => p.savePosition());
+        if (this.boss) this.boss.savePosition();
+    }
+
+    /**
+     * Use one of a player's bombs - destroy all enemies
+     */
+    useBomb(player = this.player) {
+        if (this.state.gameOver || player.bombs <= 0) return;
+
+        player.bombs--;
+        this.emit('bomb', { player, enemies: this.enemies.length });
+
+        // Destroy all enemies and enemy bullets
+        for (const enemy of this.enemies) {
+            this.scoreKill(enemy.score, player);
+            this.createExplosion(enemy.x, enemy.y, enemy.color, true);
+            this.emit('enemyDestroyed', { enemy, cause: 'bomb' });
+        }
+        this.enemies = [];
+        this.enemyBullets = [];
+
+        // Bosses only take a fixed chunk of damage
+        if (this.boss && this.boss.takeDamage(CONFIG.bosses.bombDamage)) {
+            this.defeatBoss(player);
+        }
+    }
+
+    /**
+     * Score at which the current Area's boss arrives
+     */
+    getBossThreshold() {
+        return 50 + (this.state.currentLevel - 1) * 100; // Increases each level
+    }
+
+    /**
+     * Send in the Area boss when score threshold is reached
+     * One boss per level/area
+     */
+    spawnBoss() {
+        if (this.state.score >= this.getBossThreshold() && !this.state.bossSpawned && !this.state.inTransition) {
+            this.state.bossSpawned = true;
+            this.boss = new Boss(this.width / 2, this.state.currentLevel, this);
+
+            this.emit('bossSpawned', { boss: this.boss });
+            this.showGameMessage(`⚠️ ${this.boss.name} APPROACHING`, 2500);
+        }
+    }
+
+    /**
+     * Fire the boss's next scripted pattern when it is due
+     */
+    updateBossAttacks(now) {
+        const boss = this.boss;
+        const pattern = boss.nextPattern(now);
+        if (pattern) {
+            this.emit('bossAttack', { boss, pattern });
+            this.firePattern(boss, pattern);
+        }
+    }
+
+    /**
+     * Boss destroyed - score it (for the player who landed the last hit)
+     * and clear the way to the portals
+     */
+    defeatBoss(player = null) {
+        const boss = this.boss;
+
+        this.scoreKill(boss.score, player);
+        this.state.bossDefeated = true;
+
+        // Chain of explosions across the hull
+        for (const zone of boss.zones) {
+            this.createExplosion(boss.x + zone.x * boss.size, boss.y + zone.y * boss.size, boss.color, true);
+        }
+
+        // Remaining boss fire fizzles out
+        this.enemyBullets = [];
+        this.boss = null;
+
+        this.emit('bossDefeated', { boss });
+        this.showGameMessage(`🏆 ${boss.name} DOWN!`, 2500);
+    }
+
+    /**
+     * Spawn portals once the Area boss is destroyed
+     * Portals spawn only once per level/area
+     */
+    spawnPortals() {
+        if (this.state.bossDefeated && !this.state.portalsSpawned && !this.state.inTransition) {
+            this.state.portalsSpawned = true;
+
+            // Calculate spawn positions (upper portion of screen, away from edges)
+            const margin = 100;
+            const minDistance = 150; // Minimum distance between portals
+
+            // Random position for Black Hole
+            const blackHoleX = margin + this.rng.next() * (this.width - margin * 2);
+            const blackHoleY = 120 + this.rng.next() * (this.height * 0.3);
+
+            this.blackHole = new BlackHole(blackHoleX, blackHoleY, this);
+
+            // On the Area map the White Hole only opens where a side branch follows
+            if (!this.areaMap || this.getNextSectors()) {
+                // Random position for White Hole (ensure distance from Black Hole)
+                let whiteHoleX, whiteHoleY;
+                let attempts = 0;
+                do {
+                    whiteHoleX = margin + this.rng.next() * (this.width - margin * 2);
+                    whiteHoleY = 120 + this.rng.next() * (this.height * 0.3);
+                    attempts++;
+                } while (
+                    Math.sqrt(Math.pow(whiteHoleX - blackHoleX, 2) + Math.pow(whiteHoleY - blackHoleY, 2)) < minDistance
+                    && attempts < 20
+                );
+
+                this.whiteHole = new WhiteHole(whiteHoleX, whiteHoleY, this);
+            }
+
+            this.emit('portalsSpawned', { blackHole: this.blackHole, whiteHole: this.whiteHole });
+        }
+    }
+
+    /**
+     * Check collisions between players and portals
+     * In co-op a portal only opens with every plane still flying inside it
+     * (a downed partner does not hold the other one back).
+     */
+    checkPortalCollisions() {
+        const flying = this.players.filter(player => player.active);
+        if (flying.length === 0) return;
+
+        const portals = [this.blackHole, this.whiteHole].filter(portal => portal);
+        const inside = portal => flying.filter(player => player.collidesWith(portal));
+        const entered = portals.find(portal => inside(portal).length === flying.length);
+
+        // Check Black Hole collision
+        if (entered && entered === this.blackHole) {
+            this.enterBlackHole();
+            return;
+        }
+
+        // Check White Hole collision
+        if (entered && entered === this.whiteHole) {
+            this.enterWhiteHole();
+            return;
+        }
+
+        // Tell a co-op plane waiting at a portal that its partner has to come too
+        const waiting = portals.some(portal => inside(portal).length > 0);
+        if (waiting && !this.state.portalWaiting) {
+            this.showGameMessage('👥 BOTH PLANES MUST ENTER', 1500);
+        }
+        this.state.portalWaiting = waiting;
+    }
+
+    /**
+     * Handle entering Black Hole - transition to new level
+     * (the main line's next sector on the Area map)
+     */
+    enterBlackHole() {
+        if (this.state.inTransition) return;
+
+        const next = this.getNextSectors();
+        this.startTransition(next ? next.blackHole : null);
+
+        this.emit('blackHoleEntered', { level: this.state.currentLevel, sector: this.state.nextSector });
+    }
+
+    /**
+     * Handle entering White Hole - on the Area map it leads into the side
+     * branch; in runs without the map it resets the score
+     */
+    enterWhiteHole() {
+        const next = this.getNextSectors();
+        if (next) {
+            if (this.state.inTransition) return;
+            this.startTransition(next.whiteHole);
+            this.emit('whiteHoleEntered', { level: this.state.currentLevel, sector: this.state.nextSector });
+            return;
+        }
+
+        // Reset score to 0
+        this.state.score = 0;
+        this.players.forEach(player => { player.score = 0; });
+
+        this.emit('whiteHoleEntered', { level: this.state.currentLevel, sector: null });
+
+        // Show message
+        this.showGameMessage('⚪ SCORE RESET', 2000);
+
+        // Remove only the White Hole (Black Hole stays if exists)
+        this.whiteHole = null;
+    }
+
+    /**
+     * Fade out toward the next Area (and its sector, or null off the map)
+     */
+    startTransition(sector) {
+        this.state.inTransition = true;
+        this.state.nextSector = sector;
+        this.transitionDirection = 1; // Start fade out
+        if (sector) this.areaMapTime = CONFIG.areaMap.showTime;
+
+        // Remove both portals
+        this.blackHole = null;
+        this.whiteHole = null;
+    }
+
+    /**
+     * Update level transition animation
+     */
+    updateTransition(deltaTime) {
+        if (this.transitionDirection === 0) return;
+
+        const fadeSpeed = 1.2 * deltaTime;
+
+        if (this.transitionDirection === 1) {
+            // Fade out
+            this.transitionAlpha += fadeSpeed;
+            if (this.transitionAlpha >= 1) {
+                this.transitionAlpha = 1;
+
+                // The Area map shows the route before the next Area starts
+                this.areaMapTime = Math.max(0, this.areaMapTime - deltaTime * 1000);
+                if (this.areaMapTime === 0) this.completeTransition();
+            }
+        } else if (this.transitionDirection === -1) {
+            // Fade in
+            this.transitionAlpha -= fadeSpeed;
+            if (this.transitionAlpha <= 0) {
+                this.transitionAlpha = 0;
+                this.transitionDirection = 0;
+                this.state.inTransition = false;
+            }
+        }
+    }
+
+    /**
+     * Complete transition to new level
+     */
+    completeTransition() {
+        // Increment level
+        this.state.currentLevel++;
+
+        // Fly into the chosen sector (null once past the end of the map)
+        const sector = this.state.nextSector;
+        this.state.sector = sector;
+        this.state.nextSector = null;
+        if (sector) this.state.route.push(sector);
+
+        // New Area, new boss and portals
+        this.state.bossSpawned = false;
+        this.state.bossDefeated = false;
+        this.state.portalsSpawned = false;
+
+        // Increase difficulty
+        this.state.difficultyLevel = Math.max(this.state.difficultyLevel, this.state.currentLevel);
+
+        // Clear enemies and bullets
+        this.enemies = [];
+        this.enemyBullets = [];
+        this.powerups = [];
+        this.boss = null;
+
+        // Reset portals
+        this.blackHole = null;
+        this.whiteHole = null;
+
+        // New background for the new level
+        this.emit('levelChanged', { level: this.state.currentLevel, theme: this.getSectorTheme() });
+        if (sector) this.emit('sectorEntered', { sector, level: this.state.currentLevel });
+
+        // Show message
+        const name = sector ? `: ${this.areaMap.sectors[sector].name.toUpperCase()}` : '';
+        this.showGameMessage(`🌌 ENTERING AREA ${this.state.currentLevel}${name}`, 2500);
+
+        // Start fade in
+        this.transitionDirection = -1;
+
+        // Reset enemy spawn timer to give player a brief pause
+        this.lastEnemySpawn = this.clock.now() + 2000;
+        this.loadWaves(2000);
+    }
+
+    /**
+     * Start the current Area's wave script after a pause (ms)
+     */
+    loadWaves(pause = 0) {
+        const sector = this.getSector();
+        const script = sector
+            ? this.waveScripts.find(candidate => candidate.name === sector.script) || null
+            : this.waveScripts[this.state.currentLevel - 1] || null;
+        this.waves = new WaveDirector(script, this);
+        this.waves.start(pause);
+    }
+
+    /**
+     * Whether the screen has faded out to the Area map between two Areas
+     */
+    isShowingAreaMap() {
+        return this.areaMapTime > 0 && this.transitionAlpha >= 1;
+    }
+
+    /**
+     * The Area map sector being flown, or null (no map, or past its end)
+     */
+    getSector() {
+        return this.state.sector ? this.areaMap.sectors[this.state.sector] : null;
+    }
+
+    /**
+     * Where the current sector's portals lead ({ blackHole, whiteHole }), or null
+     */
+    getNextSectors() {
+        const sector = this.getSector();
+        return sector ? sector.next : null;
+    }
+
+    /**
+     * Risk and reward factor of the current sector (enemyHealth,
+     * scoreMultiplier or powerupChance); 1 off the map
+     */
+    getSectorModifier(name) {
+        const sector = this.getSector();
+        if (!sector || sector.modifiers[name] === undefined) return 1;
+        return sector.modifiers[name];
+    }
+
+    getSectorTheme() {
+        const sector = this.getSector();
+        return sector ? sector.theme : null;
+    }
+
+    /**
+     * Show a temporary game message on screen
+     */
+    showGameMessage(text, duration = 2000) {
+        this.emit('message', { text, duration });
+    }
+
+    /**
+     * Autofire while fire is held; in charge shot mode holding past the
+     * threshold charges instead, and releasing fires the charge shot
+     */
+    updateShooting(now, player = this.player) {
+        const settings = CONFIG.chargeShot;
+
+        if (!this.settings.chargeShot) {
+            if (player.input.shooting && player.canShoot()) this.shoot(player);
+            return;
+        }
+
+        if (!player.input.shooting) {
+            if (player.charging) this.fireChargeShot(player.charge, player);
+            player.charging = false;
+            player.charge = 0;
+            player.fireHeldSince = null;
+            return;
+        }
+
+        if (player.fireHeldSince === null) player.fireHeldSince = now;
+        const held = now - player.fireHeldSince;
+
+        if (held < settings.threshold) {
+            if (player.canShoot()) this.shoot(player);
+            return;
+        }
+
+        if (!player.charging) {
+            player.charging = true;
+            this.emit('chargeStarted', { player });
+        }
+
+        const charge = Math.min(1, (held - settings.threshold) / settings.chargeTime);
+        if (charge === 1 && player.charge < 1) {
+            this.emit('chargeFull', { player });
+        }
+        player.charge = charge;
+    }
+
+    /**
+     * Release a charge shot: a piercing bolt scaled by charge (0-1)
+     */
+    fireChargeShot(charge, player = this.player) {
+        const settings = CONFIG.chargeShot;
+        const scale = (min, max) => min + (max - min) * charge;
+
+        let damage = Math.round(scale(settings.minDamage, settings.maxDamage));
+        if (player.powerups.damage.active) {
+            damage *= CONFIG.powerups.types.damage.multiplier;
+        }
+
+        this.firePlayerBullet(0, 0, settings.speed, damage, {
+            size: scale(settings.minSize, settings.maxSize),
+            shape: 'charge',
+            color: settings.color,
+            pierce: true,
+            maxHits: Math.round(scale(settings.minPierce, settings.maxPierce)),
+            owner: player,
+        });
+        this.emit('chargeShot', { player, charge });
+    }
+
+    /**
+     * Fire a player's weapon at its current level
+     */
+    shoot(player = this.player) {
+        const weapon = player.getWeapon();
+        const level = player.getWeaponLevel();
+        this.emit('playerShoot', { player, weapon: player.weapon, level: player.weaponLevel });
+
+        let damage = level.damage || weapon.damage || CONFIG.bullet.damage;
+        if (player.powerups.damage.active) {
+            damage *= CONFIG.powerups.types.damage.multiplier;
+        }
+        const speed = weapon.speed || CONFIG.bullet.speed;
+
+        switch (player.weapon) {
+            case 'laser':
+                this.fireLaser(level.width, damage, player);
+                break;
+
+            case 'wave':
+                this.firePlayerBullet(0, 0, speed, damage, {
+                    size: level.size, shape: 'wave', color: weapon.color, pierce: true, owner: player,
+                });
+                break;
+
+            case 'missile':
+                for (const [offsetX, angle] of level.shots) {
+                    this.firePlayerBullet(offsetX, angle, speed, damage, {
+                        shape: 'missile', color: weapon.color, size: 6,
+                        acceleration: weapon.acceleration, maxSpeed: weapon.maxSpeed, turnRate: weapon.turnRate,
+                        owner: player,
+                    });
+                }
+                break;
+
+            default:
+                for (const [offsetX, angle] of level.shots) {
+                    this.firePlayerBullet(offsetX, angle, speed, damage, { owner: player });
+                }
+        }
+    }
+
+    /**
+     * Create a player bullet from the nose of options.owner (player 1 by
+     * default), angled off straight up
+     */
+    firePlayerBullet(offsetX, angle, speed, damage, options = {}) {
+        const player = options.owner || this.player;
+        const bullet = new Bullet(
+            player.x + offsetX,
+            player.y - player.size,
+            -Math.PI / 2 + angle,
+            speed,
+            damage,
+            false,
+            this,
+            options
+        );
+
+        this.bullets.push(bullet);
+        return bullet;
+    }
+
+    /**
+     * Laser pulse: hits every enemy in the beam above the player, and the
+     * first boss zone the beam crosses
+     */
+    fireLaser(width, damage, player = this.player) {
+        const top = player.y - player.size;
+        player.beamUntil = this.clock.now() + CONFIG.weapons.types.laser.cooldown * 1.5;
+        player.beamWidth = width;
+
+        for (const enemy of this.enemies) {
+            if (!enemy.active || enemy.y - enemy.size > top) continue;
+            if (Math.abs(enemy.x - player.x) >= width / 2 + enemy.size) continue;
+
+            if (enemy.takeDamage(damage)) {
+                this.destroyEnemy(enemy, 'laser', player);
+            }
+        }
+        this.enemies = this.enemies.filter(e => e.active);
+
+        const boss = this.boss;
+        if (!boss || boss.y - boss.size > top) return;
+
+        const zone = boss.zones.find(zone =>
+            Math.abs(boss.x + zone.x * boss.size - player.x) < width / 2 + zone.radius * boss.size);
+        if (zone && boss.takeDamage(damage * zone.multiplier, zone)) {
+            this.defeatBoss(player);
+        }
+    }
+
+    /**
+     * Nearest enemy (or the boss) for homing missiles, or null
+     */
+    findTarget(x, y) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const enemy of this.enemies) {
+            if (!enemy.active) continue;
+            const distance = Math.hypot(enemy.x - x, enemy.y - y);
+            if (distance < bestDistance) {
+                best = enemy;
+                bestDistance = distance;
+            }
+        }
+
+        if (!best && this.boss && !this.boss.entering) return this.boss;
+        return best;
+    }
+
+    /**
+     * Enemy fires its type's bullet pattern
+     */
+    enemyShoot(enemy) {
+        this.emit('enemyShoot', { enemy });
+        this.firePattern(enemy, enemy.pattern);
+    }
+
+    /**
+     * Start a bullet pattern from an enemy or boss
+     * The first shot goes off at once; the rest follow in updateEmitters.
+     */
+    firePattern(shooter, pattern) {
+        const emitter = { pattern: resolvePattern(pattern), shot: 0, nextShot: this.clock.now() };
+        shooter.emitters.push(emitter);
+        this.fireEmitter(shooter, emitter, this.clock.now());
+    }
+
+    /**
+     * Fire the due shots of every pattern in progress
+     */
+    updateEmitters(now) {
+        const shooters = this.boss ? [...this.enemies, this.boss] : this.enemies;
+        for (const shooter of shooters) {
+            if (shooter.emitters.length === 0) continue;
+            for (const emitter of shooter.emitters) {
+                this.fireEmitter(shooter, emitter, now);
+            }
+            shooter.emitters = shooter.emitters.filter(emitter => emitter.shot < emitter.pattern.shots);
+        }
+    }
+
+    /**
+     * Fire an emitter's shot if it is due
+     */
+    fireEmitter(shooter, emitter, now) {
+        const pattern = emitter.pattern;
+        if (emitter.shot >= pattern.shots || now < emitter.nextShot) return;
+
+        const muzzleY = shooter.y + shooter.muzzleY;
+        const target = this.getTarget(shooter.x, muzzleY);
+        const aim = Math.atan2(target.y - muzzleY, target.x - shooter.x);
+        for (const angle of BULLET_PATTERNS[pattern.type].angles(pattern, emitter.shot, aim)) {
+            this.fireBullet(shooter, angle, pattern.bullet);
+        }
+
+        emitter.shot++;
+        emitter.nextShot = now + pattern.interval;
+    }
+
+    /**
+     * Create one enemy or boss bullet from the shooter's guns
+     */
+    fireBullet(shooter, angle, options = {}) {
+        const defaultSpeed = shooter === this.boss ? CONFIG.bosses.bulletSpeed : CONFIG.enemyBullet.speed;
+
+        this.enemyBullets.push(new Bullet(
+            shooter.x,
+            shooter.y + shooter.muzzleY,
+            angle,
+            options.speed || defaultSpeed,
+            options.damage || CONFIG.enemyBullet.damage,
+            true,
+            this,
+            options
+        ));
+    }
+
+    /**
+     * Spawn enemies from the Area's wave script, or at random once it runs out
+     */
+    spawnEnemies(now, deltaTime = FIXED_STEP) {
+        // Regular enemies hold off while the boss is fighting
+        if (this.boss) return;
+
+        if (!this.waves.finished) {
+            this.waves.update(deltaTime);
+            return;
+        }
+
+        // Calculate spawn rate based on difficulty
+        const spawnRate = Math.max(
+            CONFIG.enemies.minSpawnRate,
+            CONFIG.enemies.spawnRate - (this.state.difficultyLevel - 1) * CONFIG.difficulty.spawnRateReduction
+        );
+
+        if (now - this.lastEnemySpawn >= spawnRate) {
+            this.lastEnemySpawn = now;
+
+            // Choose enemy type based on the sector's mix, or on probability and difficulty
+            const rand = this.rng.next();
+            const sector = this.getSector();
+            let type;
+            if (sector && sector.enemyMix) {
+                const { fighter, ace } = sector.enemyMix;
+                if (rand < fighter) type = 'fighter';
+                else if (rand < fighter + ace) type = 'ace';
+                else type = 'bomber';
+            } else if (this.state.difficultyLevel < 3) {
+                // Early game: mostly fighters
+                if (rand < 0.7) type = 'fighter';
+                else if (rand < 0.9) type = 'ace';
+                else type = 'bomber';
+            } else {
+                // Later game: more variety
+                if (rand < 0.5) type = 'fighter';
+                else if (rand < 0.75) type = 'ace';
+                else type = 'bomber';
+            }
+
+            // Spawn at top of screen, random x position
+            const config = CONFIG.enemies.types[type];
+            const x = config.size + this.rng.next() * (this.width - config.size * 2);
+            const y = -config.size;
+
+            this.enemies.push(new Enemy(x, y, type, this));
+        }
+    }
+
+    /**
+     * Check all collisions
+     */
+    checkCollisions() {
+        // Player bullets vs Enemies
+        for (const bullet of this.bullets) {
+            if (!bullet.active) continue;
+
+            for (const enemy of this.enemies) {
+                if (!enemy.active || (bullet.pierce && bullet.hits.has(enemy))) continue;
+
+                if (bullet.collidesWith(enemy)) {
+                    this.spendBullet(bullet, enemy);
+
+                    if (enemy.takeDamage(bullet.damage)) {
+                        this.destroyEnemy(enemy, 'bullet', bullet.owner);
+                    }
+
+                    if (!bullet.active) break;
+                }
+            }
+        }
+
+        // Remove destroyed enemies
+        this.enemies = this.enemies.filter(e => e.active);
+
+        // Player bullets vs Boss hit zones
+        if (this.boss) {
+            for (const bullet of this.bullets) {
+                if (!bullet.active) continue;
+
+                const zone = this.boss.getZoneHit(bullet);
+                if (!zone) continue;
+
+                if (bullet.pierce && bullet.hits.has(this.boss)) continue;
+                this.spendBullet(bullet, this.boss);
+                if (this.boss.takeDamage(bullet.damage * zone.multiplier, zone)) {
+                    this.defeatBoss(bullet.owner);
+                    break;
+                }
+            }
+        }
+
+        // Downed co-op planes are out of the fight
+        for (const player of this.players) {
+            if (player.active) this.checkPlayerCollisions(player);
+        }
+    }
+
+    /**
+     * Enemy fire, rams and power-ups against one plane
+     */
+    checkPlayerCollisions(player) {
+        // Enemy bullets vs Player
+        for (const bullet of this.enemyBullets) {
+            if (!bullet.active) continue;
+
+            if (bullet.collidesWith(player)) {
+                bullet.active = false;
+                player.takeDamage(bullet.damage);
+            }
+        }
+
+        // Enemies vs Player (collision)
+        for (const enemy of this.enemies) {
+            if (enemy.active && enemy.collidesWith(player)) {
+                player.takeDamage(enemy.damage);
+                enemy.active = false;
+                this.createExplosion(enemy.x, enemy.y, enemy.color);
+                this.emit('enemyDestroyed', { enemy, cause: 'collision' });
+            }
+        }
+
+        // Boss vs Player (collision)
+        if (this.boss && this.boss.getZoneHit(player)) {
+            player.takeDamage(CONFIG.bosses.collisionDamage);
+        }
+
+        // Power-ups vs Player
+        for (const powerup of this.powerups) {
+            if (powerup.active && powerup.collidesWith(player)) {
+                player.activatePowerup(powerup.type, powerup.weapon);
+                powerup.active = false;
+            }
+        }
+    }
+
+    /**
+     * Count a kill: extend the combo chain and score it at the chain's multiplier
+     * The player who made it (if known) also adds it to their own score.
+     */
+    scoreKill(points, player = null) {
+        const state = this.state;
+        state.enemiesDefeated++;
+        state.combo++;
+        state.maxCombo = Math.max(state.maxCombo, state.combo);
+        state.comboExpiresAt = this.clock.now() + CONFIG.combo.window;
+
+        const multiplier = Math.min(CONFIG.combo.maxMultiplier, 1 + Math.floor(state.combo / CONFIG.combo.step));
+        if (multiplier > state.multiplier) {
+            state.multiplier = multiplier;
+            this.emit('multiplierChanged', { multiplier, combo: state.combo });
+        }
+
+        // The sector's score factor applies before the chain's multiplier
+        const value = Math.round(points * this.getSectorModifier('scoreMultiplier'));
+        state.score += value * state.multiplier;
+        if (player) player.score += value * state.multiplier;
+    }
+
+    /**
+     * Break the combo chain; reason is damage or timeout
+     */
+    resetCombo(reason) {
+        const state = this.state;
+        if (state.combo === 0) return;
+
+        this.emit('comboEnded', { combo: state.combo, multiplier: state.multiplier, reason });
+        state.combo = 0;
+        if (state.multiplier > 1) {
+            state.multiplier = 1;
+            this.emit('multiplierChanged', { multiplier: 1, combo: 0 });
+        }
+    }
+
+    /**
+     * Use up a player bullet on a hit; piercing bullets carry on until they
+     * have hit maxHits targets
+     */
+    spendBullet(bullet, target) {
+        if (!bullet.pierce) {
+            bullet.active = false;
+            return;
+        }
+
+        bullet.hits.add(target);
+        if (bullet.hits.size >= bullet.maxHits) {
+            bullet.active = false;
+        }
+    }
+
+    /**
+     * Score a shot-down enemy, with a chance to drop a power-up
+     */
+    destroyEnemy(enemy, cause, player = null) {
+        this.scoreKill(enemy.score, player);
+
+        this.createExplosion(enemy.x, enemy.y, enemy.color);
+        this.emit('enemyDestroyed', { enemy, cause });
+
+        // Chance to drop power-up
+        if (this.rng.next() < CONFIG.powerups.dropChance * this.getSectorModifier('powerupChance')) {
+            this.spawnPowerup(enemy.x, enemy.y);
+        }
+    }
+
+    /**
+     * Report an explosion for the renderer to draw
+     */
+    createExplosion(x, y, color, isBig = false) {
+        this.emit('explosion', { x, y, color, isBig });
+    }
+
+    /**
+     * Spawn a random power-up
+     */
+    spawnPowerup(x, y) {
+        const types = Object.keys(CONFIG.powerups.types);
+        const type = this.rng.pick(types);
+        this.powerups.push(new PowerUp(x, y, type, this));
+    }
+
+    /**
+     * Update difficulty based on score
+     */
+    updateDifficulty() {
+        const newLevel = Math.floor(this.state.score / CONFIG.difficulty.scoreThreshold) + 1;
+        if (newLevel > this.state.difficultyLevel) {
+            this.state.difficultyLevel = newLevel;
+        }
+    }
+}
+
+// Allow the simulation to run headless under Node (tests, bots)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        FIXED_STEP,
+        EventEmitter,
+        GameClock,
+        SeededRandom,
+        createRandomSeed,
+        getDailySeed,
+        Entity,
+        Player,
+        Bullet,
+        Enemy,
+        PowerUp,
+        BULLET_PATTERNS,
+        resolvePattern,
+        BlackHole,
+        WhiteHole,
+        Boss,
+        ENEMY_BEHAVIORS,
+        WAVE_FORMATIONS,
+        loadWaveScript,
+        getFormationOffset,
+        WaveDirector,
+        Simulation,
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * Achievements unlocked from simulation events into the profile
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation, Enemy } = require('../simulation.js');
+const { PlayerProfile } = require('../profile.js');
+const { ACHIEVEMENTS, AchievementTracker } = require('../achievements.js');
+
+/**
+ * In-memory localStorage
+ */
+function createStorage(values = {}) {
+    const data = { ...values };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+    };
+}
+
+/**
+ * Simulation with a tracker listening, a live run started
+ */
+function setup(storage = createStorage()) {
+    const sim = new Simulation(800, 600);
+    sim.reset(42);
+    const profile = new PlayerProfile(storage);
+    const unlocked = [];
+    const tracker = new AchievementTracker(profile, { onUnlock: achievement => unlocked.push(achievement.id) }).listen(sim);
+    tracker.startRun();
+    return { sim, profile, tracker, unlocked };
+}
+
+function kill(sim, type = 'fighter') {
+    sim.destroyEnemy(new Enemy(100, 100, type, sim), 'bullet');
+}
+
+describe('AchievementTracker', () => {
+    test('every achievement has a unique id and a target', () => {
+        const ids = new Set(ACHIEVEMENTS.map(achievement => achievement.id));
+        assert.equal(ids.size, ACHIEVEMENTS.length);
+        ACHIEVEMENTS.forEach(achievement => assert.ok(achievement.target > 0, achievement.id));
+    });
+
+    test('the first kill unlocks First Blood once, saved in the profile', () => {
+        const { sim, profile, unlocked } = setup();
+        kill(sim);
+        kill(sim);
+
+        assert.deepEqual(unlocked, ['first-blood']);
+        assert.match(profile.stats.achievements['first-blood'], /^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    test('nothing unlocks outside a live run', () => {
+        const { sim, tracker, unlocked } = setup();
+        tracker.endRun();
+        kill(sim);
+        assert.deepEqual(unlocked, []);
+    });
+
+    test('counts kills of one enemy type', () => {
+        const { sim, unlocked } = setup();
+        for (let i = 0; i < 9; i++) kill(sim, 'ace');
+        assert.equal(unlocked.includes('ace-hunter'), false);
+        kill(sim, 'ace');
+        assert.equal(unlocked.includes('ace-hunter'), true);
+    });
+
+    test('a big bomb unlocks Carpet Bomber', () => {
+        const { sim, unlocked } = setup();
+        for (let i = 0; i < 8; i++) sim.enemies.push(new Enemy(50 * i, 100, 'fighter', sim));
+        sim.player.bombs = 1;
+        sim.useBomb();
+        assert.equal(unlocked.includes('carpet-bomber'), true);
+    });
+
+    test('Areas cleared without damage', () => {
+        const { sim, unlocked } = setup();
+        sim.enterBlackHole();
+        assert.equal(unlocked.includes('event-horizon'), true);
+        assert.equal(unlocked.includes('untouchable'), true);
+    });
+
+    test('taking damage spoils the current Area only', () => {
+        const { sim, tracker } = setup();
+        sim.player.takeDamage(10);
+        sim.enterBlackHole();
+        assert.equal(tracker.stats.cleanAreas, 0);
+
+        sim.state.inTransition = false;
+        sim.emit('levelChanged', { level: 2 });
+        sim.enterBlackHole();
+        assert.equal(tracker.stats.cleanAreas, 1);
+        assert.equal(tracker.stats.area, 2);
+    });
+
+    test('survival time comes from the game clock', () => {
+        const { tracker, unlocked } = setup();
+        tracker.update(3 * 60 * 1000 - 1);
+        assert.equal(unlocked.includes('survivor'), false);
+        tracker.update(3 * 60 * 1000);
+        assert.deepEqual(unlocked, ['survivor']);
+    });
+
+    test('lifetime achievements add the profile totals', () => {
+        const { sim, profile, tracker, unlocked } = setup();
+        tracker.endRun();
+        profile.stats.enemies.bomber = 999;
+        tracker.startRun();
+        assert.equal(unlocked.includes('exterminator'), false);
+
+        kill(sim);
+        assert.equal(unlocked.includes('exterminator'), true);
+    });
+
+    test('unlocks survive a reload', () => {
+        const storage = createStorage();
+        kill(setup(storage).sim);
+
+        const { sim, unlocked } = setup(storage);
+        kill(sim);
+        assert.deepEqual(unlocked, []);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Branching Area map data
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../simulation.js');
+const { WAVE_SCRIPTS } = require('../waves.js');
+const { AREA_MAP, formatSectorModifiers, getSectorColumns } = require('../areas.js');
+
+describe('AREA_MAP', () => {
+    const sectors = Object.entries(AREA_MAP.sectors);
+
+    test('every portal leads to a sector one Area further on', () => {
+        const columns = getSectorColumns();
+        const areaOf = id => columns.findIndex(column => column.includes(id));
+
+        assert.ok(AREA_MAP.sectors[AREA_MAP.start]);
+        for (const [id, sector] of sectors) {
+            assert.notEqual(areaOf(id), -1, `${id} cannot be reached`);
+            if (!sector.next) continue;
+            assert.notEqual(sector.next.blackHole, sector.next.whiteHole, `${id} portals lead to the same sector`);
+            for (const next of [sector.next.blackHole, sector.next.whiteHole]) {
+                assert.equal(areaOf(next), areaOf(id) + 1, `${id} -> ${next}`);
+            }
+        }
+    });
+
+    test('sectors name existing wave scripts, enemy types and modifiers', () => {
+        const scripts = WAVE_SCRIPTS.map(script => script.name);
+        for (const [id, sector] of sectors) {
+            if (sector.script !== null) assert.ok(scripts.includes(sector.script), `${id} script`);
+            if (sector.enemyMix) {
+                assert.deepEqual(Object.keys(sector.enemyMix).sort(), Object.keys(CONFIG.enemies.types).sort());
+                const total = Object.values(sector.enemyMix).reduce((sum, odds) => sum + odds, 0);
+                assert.ok(Math.abs(total - 1) < 1e-9, `${id} enemy mix adds up to ${total}`);
+            }
+            for (const name of Object.keys(sector.modifiers)) {
+                assert.ok(['enemyHealth', 'scoreMultiplier', 'powerupChance'].includes(name), `${id} modifier ${name}`);
+            }
+        }
+    });
+
+    test('every sector has its own sky, enemy mix and modifiers', () => {
+        const themes = sectors.map(([, sector]) => sector.theme);
+        assert.equal(new Set(themes).size, sectors.length);
+        for (const [id, sector] of sectors) {
+            assert.equal(typeof sector.theme, 'string', `${id} theme`);
+            assert.ok(sector.enemyMix, `${id} enemy mix`);
+            assert.ok(Object.keys(sector.modifiers).length > 0, `${id} modifiers`);
+        }
+    });
+});
+
+describe('Area map helpers', () => {
+    test('getSectorColumns groups the sectors by Area', () => {
+        assert.deepEqual(getSectorColumns(), [
+            ['open-skies'],
+            ['crosswinds', 'cloud-sea'],
+            ['iron-front', 'ember-fields'],
+            ['storm-front', 'nebula-drift'],
+            ['warlords-reach', 'ace-gauntlet'],
+        ]);
+    });
+
+    test('formatSectorModifiers labels the factors a sector changes', () => {
+        assert.equal(formatSectorModifiers(AREA_MAP.sectors['ember-fields']), '🛡️x1.3 ⭐x1.5');
+        assert.equal(formatSectorModifiers(AREA_MAP.sectors['open-skies']), '🛡️x0.9 🎁x1.2');
+        assert.equal(formatSectorModifiers({ modifiers: {} }), '');
+    });
+});
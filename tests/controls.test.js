@@ -0,0 +1,197 @@
+/**
+ * Key and gamepad button bindings
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    BINDINGS_KEY,
+    DEFAULT_BINDINGS,
+    JOYSTICK_SETTINGS_KEY,
+    DEFAULT_JOYSTICK,
+    STEERING_SETTINGS_KEY,
+    DEFAULT_STEERING,
+    STEERING_ARRIVAL,
+    steerToward,
+    loadJoystickSettings,
+    saveJoystickSettings,
+    loadSteeringSettings,
+    formatKey,
+    formatButton,
+    ControlBindings,
+} = require('../controls.js');
+
+/**
+ * In-memory localStorage
+ */
+function createStorage(values = {}) {
+    const data = { ...values };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+    };
+}
+
+describe('ControlBindings', () => {
+    test('starts with the classic keys and the standard gamepad layout', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.equal(controls.getAction('keyboard', 'KeyW'), 'up');
+        assert.equal(controls.getAction('keyboard', 'ArrowRight'), 'right');
+        assert.equal(controls.getAction('keyboard', 'Space'), 'fire');
+        assert.equal(controls.getAction('keyboard', 'KeyP'), 'pause');
+        assert.equal(controls.getAction('keyboard', 'KeyQ'), null);
+        assert.equal(controls.getAction('gamepad', 0), 'fire');
+        assert.equal(controls.getAction('gamepad', 9), 'pause');
+    });
+
+    test('co-op player 2 gets the arrows, Enter and right Shift', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.equal(controls.getAction('keyboard2', 'ArrowUp'), 'up');
+        assert.equal(controls.getAction('keyboard2', 'Enter'), 'fire');
+        assert.equal(controls.getAction('keyboard2', 'ShiftRight'), 'bomb');
+        assert.equal(controls.getAction('keyboard2', 'KeyW'), null);
+    });
+
+    test('keys on both keyboard layouts are reported as shared', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.deepEqual(controls.getSharedKeys(), ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight']);
+        assert.equal(controls.findSharedAction('keyboard', 'ArrowUp'), 'up');
+        assert.equal(controls.findSharedAction('keyboard2', 'ArrowLeft'), 'left');
+        assert.equal(controls.findSharedAction('keyboard', 'KeyW'), null);
+        assert.equal(controls.findSharedAction('gamepad', 12), null);
+
+        // Rebinding player 1 onto player 2's key is caught too
+        controls.bind('keyboard', 'bomb', 1, 'Enter');
+        assert.equal(controls.findSharedAction('keyboard', 'Enter'), 'fire');
+        assert.deepEqual(controls.getSharedKeys(), ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter']);
+    });
+
+    test('rebinding saves and survives a reload', () => {
+        const storage = createStorage();
+        const controls = new ControlBindings(storage);
+        assert.equal(controls.bind('keyboard', 'fire', 1, 'KeyJ'), null);
+
+        const reloaded = new ControlBindings(storage);
+        assert.deepEqual(reloaded.getBindings('keyboard', 'fire'), ['Space', 'KeyJ']);
+        assert.equal(reloaded.getAction('keyboard', 'KeyJ'), 'fire');
+    });
+
+    test('a key taken from another action swaps the two', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.equal(controls.findConflict('keyboard', 'KeyB', 'fire'), 'bomb');
+        assert.equal(controls.bind('keyboard', 'fire', 0, 'KeyB'), 'bomb');
+
+        assert.deepEqual(controls.getBindings('keyboard', 'fire'), ['KeyB', null]);
+        assert.deepEqual(controls.getBindings('keyboard', 'bomb'), ['Space', null]);
+    });
+
+    test('buttons conflict the same way', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.equal(controls.bind('gamepad', 'bomb', 0, 0), 'fire');
+        assert.deepEqual(controls.getBindings('gamepad', 'fire'), [1, 7]);
+        assert.deepEqual(controls.getBindings('gamepad', 'bomb'), [0, null]);
+    });
+
+    test('a key already on the action moves to the new slot', () => {
+        const controls = new ControlBindings(createStorage());
+        assert.equal(controls.bind('keyboard', 'up', 1, 'KeyW'), null);
+        assert.deepEqual(controls.getBindings('keyboard', 'up'), ['ArrowUp', 'KeyW']);
+    });
+
+    test('slots can be cleared and everything reset', () => {
+        const controls = new ControlBindings(createStorage());
+        controls.bind('keyboard', 'pause', 0, null);
+        assert.equal(controls.getAction('keyboard', 'Escape'), null);
+
+        controls.reset();
+        assert.deepEqual(controls.bindings, DEFAULT_BINDINGS);
+    });
+
+    test('unreadable saved bindings fall back to the defaults', () => {
+        const saved = { keyboard: { fire: ['KeyJ', null], bomb: 'KeyX' }, gamepad: { up: [-1, null] } };
+        const controls = new ControlBindings(createStorage({ [BINDINGS_KEY]: JSON.stringify(saved) }));
+        assert.deepEqual(controls.getBindings('keyboard', 'fire'), ['KeyJ', null]);
+        assert.deepEqual(controls.getBindings('keyboard', 'bomb'), ['KeyB', null]);
+        assert.deepEqual(controls.getBindings('gamepad', 'up'), [12, null]);
+
+        const corrupt = new ControlBindings(createStorage({ [BINDINGS_KEY]: '{nope' }));
+        assert.deepEqual(corrupt.bindings, DEFAULT_BINDINGS);
+    });
+});
+
+describe('Binding labels', () => {
+    test('keys', () => {
+        assert.equal(formatKey('KeyW'), 'W');
+        assert.equal(formatKey('Digit7'), '7');
+        assert.equal(formatKey('ArrowLeft'), '←');
+        assert.equal(formatKey('Space'), 'SPACE');
+        assert.equal(formatKey('Numpad4'), 'NUM 4');
+        assert.equal(formatKey(null), '-');
+    });
+
+    test('buttons', () => {
+        assert.equal(formatButton(0), 'A');
+        assert.equal(formatButton(12), 'D-UP');
+        assert.equal(formatButton(20), 'BUTTON 20');
+        assert.equal(formatButton(null), '-');
+    });
+});
+
+describe('Touch joystick settings', () => {
+    test('start from the defaults and survive a reload', () => {
+        const storage = createStorage();
+        assert.deepEqual(loadJoystickSettings(storage), DEFAULT_JOYSTICK);
+
+        const settings = { floating: true, size: 150, deadzone: 0.3, opacity: 0.5 };
+        saveJoystickSettings(storage, settings);
+        assert.deepEqual(loadJoystickSettings(storage), settings);
+    });
+
+    test('out of range or unreadable values are fixed', () => {
+        const saved = { floating: 'yes', size: 500, deadzone: -1, opacity: 'dim' };
+        const settings = loadJoystickSettings(createStorage({ [JOYSTICK_SETTINGS_KEY]: JSON.stringify(saved) }));
+        assert.deepEqual(settings, { floating: false, size: 180, deadzone: 0, opacity: DEFAULT_JOYSTICK.opacity });
+
+        const warn = console.warn;
+        console.warn = () => {};
+        const corrupt = loadJoystickSettings(createStorage({ [JOYSTICK_SETTINGS_KEY]: '{nope' }));
+        console.warn = warn;
+        assert.deepEqual(corrupt, DEFAULT_JOYSTICK);
+    });
+});
+
+describe('Pointer steering', () => {
+    const still = { x: 0, y: 0 };
+    const sharp = { maxSpeed: 1, smoothing: 0 };
+
+    test('flies at full speed toward a far target, capped by maxSpeed', () => {
+        assert.deepEqual(steerToward(300, 0, still, sharp, 1 / 60), { x: 1, y: 0 });
+
+        const move = steerToward(-300, 400, still, { maxSpeed: 0.5, smoothing: 0 }, 1 / 60);
+        assert.ok(Math.abs(move.x - -0.3) < 1e-9);
+        assert.ok(Math.abs(move.y - 0.4) < 1e-9);
+    });
+
+    test('slows down to arrive on the target', () => {
+        assert.equal(steerToward(STEERING_ARRIVAL / 2, 0, still, sharp, 1 / 60).x, 0.5);
+        assert.deepEqual(steerToward(0, 0, { x: 1, y: 0 }, sharp, 1 / 60), { x: 0, y: 0 });
+    });
+
+    test('smoothing eases into new directions', () => {
+        const smooth = { maxSpeed: 1, smoothing: 0.5 };
+        assert.equal(steerToward(300, 0, still, smooth, 1 / 60).x, 0.5);
+        assert.equal(steerToward(300, 0, still, smooth, 2 / 60).x, 0.75);
+        assert.equal(steerToward(300, 0, still, smooth, 0).x, 0);
+    });
+
+    test('settings default to the keyboard scheme and reject unknown schemes', () => {
+        assert.deepEqual(loadSteeringSettings(createStorage()), DEFAULT_STEERING);
+
+        const saved = { scheme: 'telepathy', maxSpeed: 0.1, smoothing: 0.2, autoFire: true };
+        const settings = loadSteeringSettings(createStorage({ [STEERING_SETTINGS_KEY]: JSON.stringify(saved) }));
+        assert.deepEqual(settings, { scheme: 'buttons', maxSpeed: 0.3, smoothing: 0.2, autoFire: true });
+    });
+});
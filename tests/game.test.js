@@ -0,0 +1,998 @@
+/**
+ * Browser front end (Game) running on DOM, canvas and audio stand-ins
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGame, createGamepad } = require('./helpers/browser.js');
+
+/**
+ * Start a run and end it with the given score
+ */
+function playToScore(env, score) {
+    const { game, frames } = env;
+    game.startGame('random');
+    frames(10);
+
+    game.sim.state.score = score;
+    game.player.takeDamage(game.player.health);
+    frames(60);
+}
+
+describe('Game.endGame high score', () => {
+    test('the stored high score is shown on load', () => {
+        const env = loadGame({ storage: { skyFighterHighScore: '320' } });
+        assert.equal(env.evaluate('gameState.highScore'), 320);
+        assert.equal(env.document.getElementById('high-score-value').textContent, 320);
+    });
+
+    test('the old high score moves into the leaderboard', () => {
+        const env = loadGame({ storage: { skyFighterHighScore: '320' } });
+        const saved = JSON.parse(env.localStorage.getItem('skyFighterLeaderboard'));
+
+        assert.equal(env.localStorage.getItem('skyFighterHighScore'), null);
+        assert.deepEqual(saved.tables.random.map(entry => entry.score), [320]);
+    });
+
+    test('a better score becomes the high score', () => {
+        const env = loadGame({ storage: { skyFighterHighScore: '40' } });
+        playToScore(env, 75);
+
+        assert.equal(env.evaluate('gameState.isRunning'), false);
+        assert.equal(env.evaluate('gameState.highScore'), 75);
+        assert.equal(env.document.getElementById('final-score-value').textContent, 75);
+        assert.equal(env.document.getElementById('high-score-value').textContent, 75);
+    });
+
+    test('a lower score keeps the saved high score', () => {
+        const env = loadGame({ storage: { skyFighterHighScore: '500' } });
+        playToScore(env, 75);
+
+        assert.equal(env.evaluate('gameState.highScore'), 500);
+        assert.equal(env.document.getElementById('high-score-value').textContent, 500);
+    });
+
+    test('the game over screen appears after the run ends', () => {
+        const env = loadGame();
+        const screen = env.document.getElementById('gameover-screen');
+        screen.classList.add('hidden');
+
+        playToScore(env, 10);
+        assert.equal(screen.classList.contains('hidden'), false);
+    });
+});
+
+describe('Game HUD', () => {
+    test('score, Area and bombs follow the simulation', () => {
+        const env = loadGame();
+        env.game.startGame('random');
+        env.game.sim.state.score = 42;
+        env.game.sim.state.currentLevel = 3;
+        env.game.sim.player.bombs = 2;
+        env.frames(2);
+
+        const bombCount = env.document.getElementById('powerup-bomb').querySelector('.powerup-count');
+        assert.equal(env.document.getElementById('score-value').textContent, 42);
+        assert.equal(env.document.getElementById('level-value').textContent, 3);
+        assert.equal(bombCount.textContent, 'x2');
+    });
+
+    test('the combo chain shows under the score once it is running', () => {
+        const env = loadGame();
+        env.game.startGame('random');
+        const display = env.document.getElementById('combo-display');
+
+        env.game.sim.scoreKill(10);
+        env.frames(1);
+        assert.equal(display.classList.contains('hidden'), true);
+
+        for (let i = 0; i < env.evaluate('CONFIG.combo.step'); i++) {
+            env.game.sim.scoreKill(10);
+        }
+        env.frames(1);
+        assert.equal(display.classList.contains('hidden'), false);
+        assert.equal(env.document.getElementById('combo-multiplier').textContent, 'x2');
+    });
+
+    test('the game over stats show the best chain', () => {
+        const env = loadGame();
+        env.game.startGame('random');
+        env.game.sim.state.maxCombo = 12;
+        env.game.player.takeDamage(env.game.player.health);
+        env.frames(60);
+
+        assert.equal(env.document.getElementById('max-combo').textContent, 12);
+    });
+
+    test('the weapon indicator shows the weapon and its level', () => {
+        const env = loadGame();
+        env.game.startGame('random');
+        env.game.player.activatePowerup('weapon', 'missile');
+        env.game.player.activatePowerup('upgrade');
+        env.frames(2);
+
+        const indicator = env.document.getElementById('powerup-weapon');
+        assert.equal(indicator.title, 'MISSILES');
+        assert.equal(indicator.querySelector('.powerup-icon').textContent, '🚀');
+        assert.equal(indicator.querySelector('.powerup-count').textContent, 'LV2');
+    });
+});
+
+describe('Game charge shot setting', () => {
+    test('the start screen toggle is remembered and applies to the next run', () => {
+        const env = loadGame();
+        const toggle = env.document.getElementById('charge-toggle');
+        assert.equal(toggle.textContent, '🔋 CHARGE SHOT: OFF');
+
+        toggle.click();
+        assert.equal(toggle.textContent, '🔋 CHARGE SHOT: ON');
+        assert.equal(env.localStorage.getItem('skyFighterChargeShot'), 'on');
+
+        env.game.startGame('random');
+        env.frames(2);
+        assert.equal(env.game.sim.settings.chargeShot, true);
+        assert.equal(env.document.getElementById('powerup-charge').classList.contains('hidden'), false);
+    });
+
+    test('replays run with the settings they were recorded with', () => {
+        const env = loadGame({ storage: { skyFighterChargeShot: 'on' } });
+        playToScore(env, 10);
+        assert.deepEqual({ ...env.game.lastReplay.settings }, { chargeShot: true, coop: false, coopScore: 'shared' });
+
+        env.evaluate('gameState.chargeShot = false');
+        env.game.watchReplay(env.game.lastReplay, env.document.getElementById('gameover-screen'));
+        assert.equal(env.game.sim.settings.chargeShot, true);
+    });
+});
+
+describe('Game leaderboard', () => {
+    /**
+     * Stored leaderboard with ten random-mode runs of the given score
+     */
+    function fullTable(score) {
+        const entries = Array.from({ length: 10 }, () => ({ name: 'ACE', score, mode: 'random' }));
+        return { skyFighterLeaderboard: JSON.stringify({ version: 1, tables: { random: entries } }) };
+    }
+
+    test('a top 10 run is signed with initials and shown highlighted', () => {
+        const env = loadGame();
+        playToScore(env, 75);
+        const form = env.document.getElementById('initials-form');
+        assert.equal(form.classList.contains('hidden'), false);
+
+        env.document.getElementById('initials-input').value = 'zed';
+        form.dispatch('submit');
+
+        const [entry] = env.game.leaderboard.getTable('random');
+        assert.equal(entry.name, 'ZED');
+        assert.equal(entry.score, 75);
+        assert.equal(entry.level, 1);
+        assert.equal(entry.seed, env.evaluate('gameState.seed'));
+        assert.match(entry.date, /^\d{4}-\d{2}-\d{2}$/);
+        assert.equal(form.classList.contains('hidden'), true);
+
+        const screen = env.document.getElementById('leaderboard-screen');
+        const rows = env.document.getElementById('leaderboard-body').childNodes;
+        assert.equal(screen.classList.contains('hidden'), false);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].classList.contains('highlight'), true);
+        assert.deepEqual(rows[0].childNodes.slice(0, 3).map(cell => cell.textContent), [1, 'ZED', 75]);
+    });
+
+    test('runs that miss the top 10 are not asked for initials', () => {
+        const env = loadGame({ storage: fullTable(1000) });
+        playToScore(env, 75);
+        assert.equal(env.document.getElementById('initials-form').classList.contains('hidden'), true);
+    });
+
+    test('opens from the start screen and goes back to it', () => {
+        const env = loadGame({ storage: fullTable(1000) });
+        const start = env.document.getElementById('start-screen');
+        const screen = env.document.getElementById('leaderboard-screen');
+
+        env.document.getElementById('leaderboard-button').click();
+        assert.equal(start.classList.contains('hidden'), true);
+        assert.equal(screen.classList.contains('hidden'), false);
+        assert.equal(env.document.getElementById('leaderboard-body').childNodes.length, 10);
+
+        env.document.getElementById('leaderboard-back').click();
+        assert.equal(start.classList.contains('hidden'), false);
+        assert.equal(screen.classList.contains('hidden'), true);
+    });
+
+    test('global rankings stay hidden without a server', () => {
+        const env = loadGame();
+        env.document.getElementById('leaderboard-button').click();
+        assert.equal(env.document.getElementById('leaderboard-scopes').classList.contains('hidden'), true);
+    });
+
+    test('with a server every run is queued for it with its replay', () => {
+        const env = loadGame({ storage: { ...fullTable(1000), skyFighterInitials: 'ZED' }, search: '?leaderboard=http://scores.test' });
+        playToScore(env, 75);
+
+        // Missed the local top 10, but still asked for the global board
+        const form = env.document.getElementById('initials-form');
+        assert.equal(form.classList.contains('hidden'), false);
+        assert.equal(env.document.getElementById('initials-input').value, 'ZED');
+        form.dispatch('submit');
+        env.frames(1);
+
+        // No network in the tests, so the run waits in the queue
+        const [queued] = JSON.parse(env.localStorage.getItem('skyFighterScoreQueue'));
+        assert.equal(queued.submission.name, 'ZED');
+        assert.equal(queued.submission.score, 75);
+        assert.equal(queued.submission.replayHash, env.context.hashReplay(env.game.lastReplay));
+        assert.equal(env.localStorage.getItem('skyFighterLeaderboardEndpoint'), 'http://scores.test');
+        assert.equal(env.document.getElementById('leaderboard-scopes').classList.contains('hidden'), false);
+        assert.equal(env.game.leaderboard.getTable('random').length, 10);
+    });
+});
+
+describe('Game profile', () => {
+    test('a finished run adds to the lifetime statistics', () => {
+        const env = loadGame();
+        const { game } = env;
+        game.startGame('random');
+        env.frames(10);
+
+        const Enemy = env.evaluate('Enemy');
+        game.sim.destroyEnemy(new Enemy(100, 100, 'fighter', game.sim), 'bullet');
+        game.sim.destroyEnemy(new Enemy(200, 100, 'ace', game.sim), 'bullet');
+        game.sim.player.bombs = 1;
+        game.sim.useBomb();
+        game.player.activatePowerup('rapid');
+        game.player.takeDamage(game.player.health);
+        env.frames(60);
+
+        const saved = JSON.parse(env.localStorage.getItem('skyFighterProfile'));
+        assert.equal(saved.runs, 1);
+        assert.equal(saved.deepestArea, 1);
+        assert.equal(saved.enemies.fighter, 1);
+        assert.equal(saved.enemies.ace, 1);
+        assert.equal(saved.bombs, 1);
+        assert.equal(saved.powerups.rapid, 1);
+        assert.ok(saved.playTime > 0);
+    });
+
+    test('quitting counts the run, watching its replay does not', () => {
+        const env = loadGame();
+        const { game } = env;
+        game.startGame('random');
+        env.frames(10);
+        game.quitToTitle();
+        assert.equal(game.profile.stats.runs, 1);
+
+        playToScore(env, 10);
+        game.watchReplay(game.lastReplay, env.document.getElementById('gameover-screen'));
+        env.frames(30);
+        game.exitReplay();
+        assert.equal(game.profile.stats.runs, 2);
+    });
+
+    test('the stats screen lists the saved totals', () => {
+        const profile = {
+            version: 1, runs: 3, playTime: 3723000, deepestArea: 4, enemies: { bomber: 5 }, blackHoles: 2,
+            sectors: { 'open-skies': 3, 'cloud-sea': 1 },
+        };
+        const env = loadGame({ storage: { skyFighterProfile: JSON.stringify(profile) } });
+        env.document.getElementById('stats-button').click();
+
+        assert.equal(env.document.getElementById('stats-screen').classList.contains('hidden'), false);
+        const rows = env.document.getElementById('stats-body').childNodes.map(row => row.childNodes.map(cell => cell.textContent));
+        assert.deepEqual(rows.find(([label]) => label === '🎮 Runs Played'), ['🎮 Runs Played', 3]);
+        assert.deepEqual(rows.find(([label]) => label === '⏱️ Total Play Time'), ['⏱️ Total Play Time', '1:02:03']);
+        assert.deepEqual(rows.find(([label]) => label === '🌌 Deepest Area'), ['🌌 Deepest Area', 4]);
+        assert.deepEqual(rows.find(([label]) => label === 'Bombers'), ['Bombers', 5]);
+        assert.deepEqual(rows.find(([label]) => label === '⚫ Black Holes Entered'), ['⚫ Black Holes Entered', 2]);
+        assert.deepEqual(rows.find(([label]) => label === '🗺️ Sectors Explored'), ['🗺️ Sectors Explored', '2 / 9']);
+
+        env.document.getElementById('stats-back').click();
+        assert.equal(env.document.getElementById('start-screen').classList.contains('hidden'), false);
+    });
+
+    test('an exported profile can be imported on another device', () => {
+        const exported = { version: 1, runs: 7, whiteHoles: 1 };
+        const env = loadGame();
+        const input = env.document.getElementById('profile-file-input');
+        input.files = [{ text: () => Promise.resolve(JSON.stringify(exported)) }];
+        input.dispatch('change');
+
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            assert.equal(env.game.profile.stats.runs, 7);
+            assert.equal(JSON.parse(env.localStorage.getItem('skyFighterProfile')).whiteHoles, 1);
+        });
+    });
+});
+
+describe('Game Area map', () => {
+    test('a White Hole run shows the map, changes the sky and records the route', () => {
+        const env = loadGame();
+        const { game } = env;
+        game.startGame('random');
+        env.frames(10);
+
+        game.sim.state.bossDefeated = true;
+        game.sim.spawnPortals();
+        game.sim.enterWhiteHole();
+        env.frames(60);
+        assert.equal(game.sim.isShowingAreaMap(), true);
+
+        env.frames(160);
+        assert.equal(game.sim.state.sector, 'cloud-sea');
+        assert.equal(game.renderer.theme, 'aurora');
+
+        game.player.takeDamage(game.player.health);
+        env.frames(60);
+        const route = env.document.getElementById('route-result');
+        assert.equal(route.classList.contains('hidden'), false);
+        assert.equal(route.textContent, '🗺️ Route: Open Skies → Cloud Sea');
+        assert.deepEqual({ ...game.profile.stats.sectors }, { 'open-skies': 1, 'cloud-sea': 1 });
+    });
+});
+
+describe('Game achievements', () => {
+    test('an unlock shows a toast and lands in the gallery', () => {
+        const env = loadGame();
+        const { game } = env;
+        game.startGame('random');
+        env.frames(5);
+
+        const Enemy = env.evaluate('Enemy');
+        game.sim.destroyEnemy(new Enemy(100, 100, 'fighter', game.sim), 'bullet');
+        assert.deepEqual(Array.from(game.renderer.toasts, toast => toast.text), ['🏅 🎯 First Blood']);
+        env.frames(5);
+
+        game.quitToTitle();
+        env.document.getElementById('achievements-button').click();
+        const cards = env.document.getElementById('achievements-list').childNodes;
+        const firstBlood = cards[0];
+        assert.equal(cards.length, env.evaluate('ACHIEVEMENTS.length'));
+        assert.equal(firstBlood.className, 'achievement unlocked');
+        assert.equal(cards[1].className, 'achievement locked');
+        assert.equal(cards[1].childNodes[0].textContent, '🔒');
+        assert.match(env.document.getElementById('achievements-count').textContent, /^1 \//);
+    });
+
+    test('replays do not unlock achievements', () => {
+        const env = loadGame();
+        const { game } = env;
+        playToScore(env, 10);
+        game.profile.stats.achievements = {};
+
+        game.watchReplay(game.lastReplay, env.document.getElementById('gameover-screen'));
+        const Enemy = env.evaluate('Enemy');
+        game.sim.destroyEnemy(new Enemy(100, 100, 'fighter', game.sim), 'bullet');
+        assert.deepEqual(Object.keys(game.profile.stats.achievements), []);
+    });
+});
+
+describe('Game controls', () => {
+    /**
+     * Text of the start screen controls help, as [key, description] pairs
+     */
+    function controlsHelp(env) {
+        return env.document.getElementById('controls-grid').childNodes
+            .map(item => item.childNodes.map(label => label.textContent));
+    }
+
+    /**
+     * Binding buttons of one settings row
+     */
+    function settingsRow(env, index) {
+        return env.document.getElementById('settings-body').childNodes[index].childNodes.slice(1)
+            .map(cell => cell.childNodes[0]);
+    }
+
+    test('the controls help shows the default keys', () => {
+        const env = loadGame();
+        assert.deepEqual(controlsHelp(env), [
+            ['W A S D', 'Move'],
+            ['SPACE', 'Shoot'],
+            ['B', 'Bomb'],
+            ['HOLD SPACE', 'Charge Shot'],
+            ['ESC / P', 'Pause'],
+        ]);
+    });
+
+    test('a rebound key drives the action in game', () => {
+        const env = loadGame();
+        const { game, window, document } = env;
+        document.getElementById('settings-button').click();
+
+        // Fire is the fifth row; its first keyboard slot
+        const [fireKey] = settingsRow(env, 4);
+        fireKey.click();
+        assert.equal(settingsRow(env, 4)[0].textContent, 'PRESS KEY');
+        window.dispatch('keydown', { code: 'KeyJ' });
+        assert.equal(settingsRow(env, 4)[0].textContent, 'J');
+        assert.deepEqual(controlsHelp(env)[1], ['J', 'Shoot']);
+
+        game.startGame('random');
+        window.dispatch('keydown', { code: 'Space' });
+        assert.equal(game.player.input.shooting, false);
+        window.dispatch('keydown', { code: 'KeyJ' });
+        assert.equal(game.player.input.shooting, true);
+        window.dispatch('keyup', { code: 'KeyJ' });
+        assert.equal(game.player.input.shooting, false);
+
+        // Saved for the next visit
+        assert.deepEqual(JSON.parse(env.localStorage.getItem('skyFighterBindings')).keyboard.fire, ['KeyJ', null]);
+    });
+
+    test('taking a bound key reports the conflict', () => {
+        const env = loadGame();
+        const { game, window, document } = env;
+        document.getElementById('settings-button').click();
+
+        settingsRow(env, 5)[0].click(); // Bomb
+        window.dispatch('keydown', { code: 'Space' });
+        assert.match(document.getElementById('settings-status').textContent, /SPACE was bound to Fire/);
+        assert.equal(game.controls.getAction('keyboard', 'KeyB'), 'fire');
+    });
+
+    test('keys bound for both players are marked and reported', () => {
+        const env = loadGame();
+        const { window, document } = env;
+        document.getElementById('settings-button').click();
+        assert.match(document.getElementById('settings-status').textContent, /bound for both players/);
+
+        // Move Up: W and ↑ for player 1, D-UP, then ↑ for player 2
+        const [w, up, , , partnerUp] = settingsRow(env, 0);
+        assert.equal(w.className, 'binding-button');
+        assert.equal(up.className, 'binding-button shared');
+        assert.equal(partnerUp.className, 'binding-button shared');
+
+        settingsRow(env, 5)[1].click(); // Bomb, second key
+        window.dispatch('keydown', { code: 'Enter' });
+        assert.match(document.getElementById('settings-status').textContent, /ENTER is also player 2's Fire - in co-op it flies player 2/);
+
+        settingsRow(env, 5)[5].click(); // Player 2's Bomb, second key
+        window.dispatch('keydown', { code: 'KeyB' });
+        assert.match(document.getElementById('settings-status').textContent, /B is also player 1's Bomb/);
+    });
+
+    test('ESC cancels a capture and DEL clears the slot', () => {
+        const env = loadGame();
+        const { game, window, document } = env;
+        document.getElementById('settings-button').click();
+
+        settingsRow(env, 0)[1].click(); // Move Up, second key
+        window.dispatch('keydown', { code: 'Escape' });
+        assert.equal(game.capture, null);
+        assert.equal(settingsRow(env, 0)[1].textContent, '↑');
+
+        settingsRow(env, 0)[1].click();
+        window.dispatch('keydown', { code: 'Delete' });
+        assert.equal(settingsRow(env, 0)[1].textContent, '-');
+        assert.equal(game.controls.getAction('keyboard', 'ArrowUp'), null);
+
+        document.getElementById('settings-reset').click();
+        assert.equal(game.controls.getAction('keyboard', 'ArrowUp'), 'up');
+    });
+});
+
+describe('Game gamepad', () => {
+    /**
+     * A live run with a gamepad plugged in
+     */
+    function padGame() {
+        const pad = createGamepad();
+        const env = loadGame({ gamepads: [pad] });
+        env.window.dispatch('gamepadconnected', { gamepad: pad });
+        env.game.startGame('random');
+        env.frames(2);
+        return { ...env, pad };
+    }
+
+    test('the stick moves the plane through a radial deadzone', () => {
+        const { game, pad, frames } = padGame();
+
+        pad.axes[0] = 0.1;
+        pad.axes[1] = 0.1;
+        frames(1);
+        assert.equal(game.player.input.moveX, 0);
+
+        pad.axes[0] = 1;
+        pad.axes[1] = 0;
+        const x = game.player.x;
+        frames(10);
+        assert.equal(game.player.input.moveX, 1);
+        assert.ok(game.player.x > x);
+
+        pad.axes[0] = 0;
+        frames(1);
+        assert.equal(game.player.input.moveX, 0);
+    });
+
+    test('stick input is recorded into the replay', () => {
+        const { game, pad, frames } = padGame();
+        pad.axes[0] = -0.6;
+        frames(10);
+        game.player.takeDamage(game.player.health);
+        frames(60);
+
+        assert.ok(game.lastReplay.inputs.some(run => run.length === 4 && run[2] < 0));
+    });
+
+    test('buttons follow their bindings', () => {
+        const { game, pad, frames, evaluate } = padGame();
+
+        pad.buttons[0].pressed = true; // A: fire
+        frames(1);
+        assert.equal(game.player.input.shooting, true);
+        pad.buttons[0].pressed = false;
+        frames(1);
+        assert.equal(game.player.input.shooting, false);
+
+        pad.buttons[9].pressed = true; // Start: pause
+        frames(1);
+        assert.equal(evaluate('gameState.isPaused'), true);
+    });
+
+    test('bombs and hits rumble the pad', () => {
+        const { game, pad } = padGame();
+        game.sim.player.bombs = 1;
+        game.sim.useBomb();
+        game.player.takeDamage(10);
+
+        assert.deepEqual(pad.rumbles.map(effect => effect.type), ['dual-rumble', 'dual-rumble']);
+        assert.equal(pad.rumbles[0].strongMagnitude, 1);
+    });
+
+    test('unplugging the pad mid-run pauses the game', () => {
+        const { game, pad, window, gamepads, frames, evaluate, document } = padGame();
+        pad.axes[0] = 1;
+        frames(1);
+
+        gamepads.length = 0;
+        window.dispatch('gamepaddisconnected', { gamepad: pad });
+        assert.equal(evaluate('gameState.isPaused'), true);
+        assert.equal(game.player.input.moveX, 0);
+        assert.equal(document.getElementById('gamepad-status').textContent, '');
+    });
+
+    test('a gamepad button can be bound in the settings', () => {
+        const pad = createGamepad();
+        const env = loadGame({ gamepads: [pad] });
+        env.document.getElementById('settings-button').click();
+
+        // Bomb row, first gamepad slot
+        env.document.getElementById('settings-body').childNodes[5].childNodes[3].childNodes[0].click();
+        pad.buttons[3].pressed = true; // Y
+        env.frames(2);
+
+        assert.equal(env.game.controls.getAction('gamepad', 3), 'bomb');
+        assert.equal(env.game.capture, null);
+    });
+});
+
+describe('Game co-op', () => {
+    /**
+     * A live co-op run
+     */
+    function coopGame(storage = {}, gamepads = []) {
+        const env = loadGame({ storage: { skyFighterCoop: 'on', ...storage }, gamepads });
+        gamepads.forEach(pad => env.window.dispatch('gamepadconnected', { gamepad: pad }));
+        env.game.startGame('random');
+        env.frames(2);
+        return env;
+    }
+
+    test('the start screen switches co-op and its score mode', () => {
+        const { game, document, localStorage } = loadGame();
+        const coop = document.getElementById('coop-toggle');
+        const score = document.getElementById('coop-score-toggle');
+        assert.equal(score.classList.contains('hidden'), true);
+
+        coop.dispatch('click');
+        score.dispatch('click');
+        assert.match(coop.textContent, /CO-OP: ON/);
+        assert.match(score.textContent, /SPLIT/);
+        assert.equal(localStorage.getItem('skyFighterCoop'), 'on');
+        assert.equal(localStorage.getItem('skyFighterCoopScore'), 'split');
+
+        game.startGame('random');
+        assert.equal(game.sim.players.length, 2);
+        assert.equal(game.sim.settings.coopScore, 'split');
+    });
+
+    test('starting co-op warns about keys bound for both players', () => {
+        const { game } = coopGame();
+        assert.match(game.renderer.toasts[0].text, /↑ ↓ ← → FLY PLAYER 2/);
+    });
+
+    test('each half of the keyboard flies its own plane', () => {
+        const { game, window } = coopGame();
+        const [one, two] = game.sim.players;
+
+        window.dispatch('keydown', { code: 'KeyA' });
+        window.dispatch('keydown', { code: 'ArrowRight' });
+        window.dispatch('keydown', { code: 'Enter' });
+        assert.equal(one.input.left, true);
+        assert.equal(one.input.right, false);
+        assert.equal(two.input.right, true);
+        assert.equal(two.input.shooting, true);
+        assert.equal(one.input.shooting, false);
+
+        window.dispatch('keyup', { code: 'ArrowRight' });
+        assert.equal(two.input.right, false);
+    });
+
+    test('a single gamepad flies player 2', () => {
+        const pad = createGamepad();
+        const { game, frames } = coopGame({}, [pad]);
+        pad.axes[0] = 1;
+        frames(1);
+        assert.equal(game.sim.players[1].input.moveX, 1);
+        assert.equal(game.player.input.moveX, 0);
+    });
+
+    test('the partner HUD follows player 2', () => {
+        const { game, document, frames } = coopGame({ skyFighterCoopScore: 'split' });
+        const partner = game.sim.players[1];
+        partner.health = 50;
+        partner.score = 30;
+        frames(1);
+
+        assert.equal(document.getElementById('partner-hud').classList.contains('hidden'), false);
+        assert.equal(document.getElementById('partner-health-text').textContent, 50);
+        assert.equal(document.getElementById('partner-score').textContent, 30);
+        assert.equal(document.getElementById('player-score').classList.contains('hidden'), false);
+    });
+
+    test('the run ends once both planes are down and replays both', () => {
+        const { game, window, frames } = coopGame();
+        window.dispatch('keydown', { code: 'ArrowLeft' });
+        frames(10);
+
+        game.player.takeDamage(game.player.health);
+        frames(5);
+        assert.equal(game.sim.state.gameOver, false);
+
+        const partner = game.sim.players[1];
+        partner.isInvincible = false;
+        partner.takeDamage(partner.health);
+        frames(60);
+        assert.equal(game.sim.state.gameOver, true);
+        assert.ok(game.lastReplay.partnerInputs.some(run => run[0] !== 0));
+    });
+});
+
+describe('Game online co-op', () => {
+    /**
+     * Stand-in relay connection: sent messages wait until delivered
+     */
+    function createLink() {
+        return {
+            outbox: [],
+            handler: null,
+            closed: false,
+            send(message) { this.outbox.push(JSON.parse(JSON.stringify(message))); },
+            onMessage(handler) { this.handler = handler; },
+            close() { this.closed = true; },
+        };
+    }
+
+    /**
+     * Host and guest games playing one online run; step() runs a frame on
+     * each and passes their messages across
+     */
+    function onlineGames() {
+        const host = loadGame();
+        const guest = loadGame();
+        const links = [createLink(), createLink()];
+        const start = { type: 'start', seed: 99, settings: { coop: true, chargeShot: false, coopScore: 'shared' }, width: 800, height: 600 };
+        host.game.startNetplayRun(start, 0, links[0]);
+        guest.game.startNetplayRun(start, 1, links[1]);
+
+        const step = (count = 1, deliver = true) => {
+            for (let i = 0; i < count; i++) {
+                host.frames(1);
+                guest.frames(1);
+                if (!deliver) continue;
+                links[0].outbox.splice(0).forEach(message => guest.game.receiveNetplay(message));
+                links[1].outbox.splice(0).forEach(message => host.game.receiveNetplay(message));
+            }
+        };
+        return { host, guest, links, step };
+    }
+
+    test('the button only shows with a relay server set', () => {
+        assert.equal(loadGame().document.getElementById('netplay-button').classList.contains('hidden'), true);
+
+        const env = loadGame({ search: '?netplay=http://relay.test' });
+        assert.equal(env.document.getElementById('netplay-button').classList.contains('hidden'), false);
+        assert.equal(env.localStorage.getItem('skyFighterNetplayEndpoint'), 'http://relay.test');
+    });
+
+    test('each game flies its own plane and both run the same ticks', () => {
+        const { host, guest, step } = onlineGames();
+        assert.equal(host.game.player, host.game.sim.players[0]);
+        assert.equal(guest.game.player, guest.game.sim.players[1]);
+
+        guest.window.dispatch('keydown', { code: 'KeyA' });
+        const x = host.game.sim.players[1].x;
+        step(60);
+
+        assert.ok(host.game.sim.tick > 30);
+        assert.equal(host.game.sim.tick, guest.game.sim.tick);
+        assert.ok(host.game.sim.players[1].x < x);
+        assert.equal(host.game.sim.players[1].x, guest.game.sim.players[1].x);
+        assert.equal(guest.game.player.input.left, true);
+    });
+
+    test('the host times the connection and picks the input delay for both games', () => {
+        const host = loadGame();
+        const guest = loadGame();
+        const links = [createLink(), createLink()];
+        host.game.netConnection = links[0];
+        guest.game.netConnection = links[1];
+
+        // Every round trip takes 150ms: 75ms one way is 5 ticks, plus the jitter ticks
+        host.game.receiveNetplay({ type: 'hello' });
+        while (!host.game.netplay) {
+            links[0].outbox.splice(0).forEach(message => guest.game.receiveNetplay(message));
+            host.frames(1, 150);
+            links[1].outbox.splice(0).forEach(message => host.game.receiveNetplay(message));
+        }
+        links[0].outbox.splice(0).forEach(message => guest.game.receiveNetplay(message));
+
+        assert.equal(host.game.netRoundTrips.length, host.evaluate('NETPLAY').pings);
+        assert.equal(host.game.netplay.inputDelay, 5 + host.evaluate('NETPLAY').jitterTicks);
+        assert.equal(guest.game.netplay.inputDelay, host.game.netplay.inputDelay);
+        assert.equal(guest.game.netplay.localIndex, 1);
+    });
+
+    test('a game waits for its partner\'s input', () => {
+        const { host, step } = onlineGames();
+        step(30, false);
+        assert.equal(host.game.sim.tick, host.game.netplay.inputDelay);
+        assert.equal(host.document.getElementById('netplay-waiting').classList.contains('hidden'), false);
+    });
+
+    test('a desync ends the run on both machines', () => {
+        const { host, guest, links, step } = onlineGames();
+        guest.game.sim.players[0].x += 10;
+        step(host.game.netplay.hashInterval + 20);
+
+        for (const env of [host, guest]) {
+            assert.equal(env.game.netplay, null);
+            assert.match(env.document.getElementById('netplay-status').textContent, /out of sync/);
+            assert.equal(env.document.getElementById('netplay-screen').classList.contains('hidden'), false);
+        }
+        assert.equal(links[0].closed, true);
+    });
+
+    test('a game that ends its run first waits for its partner to end theirs', () => {
+        const { host, guest, links } = onlineGames();
+        const deliver = () => {
+            links[0].outbox.splice(0).forEach(message => guest.game.receiveNetplay(message));
+            links[1].outbox.splice(0).forEach(message => host.game.receiveNetplay(message));
+        };
+
+        // Both planes go down on the same tick of both runs
+        const overAt = 40;
+        for (const { game } of [host, guest]) {
+            const { sim } = game;
+            const step = sim.step.bind(sim);
+            sim.step = () => {
+                if (sim.tick === overAt) {
+                    sim.players.forEach(player => {
+                        player.isInvincible = false;
+                        player.takeDamage(player.health);
+                    });
+                }
+                step();
+            };
+        }
+
+        // The guest's machine runs at half speed, a few ticks behind
+        for (let frame = 0; !host.game.sim.state.gameOver; frame++) {
+            host.frames(1);
+            if (frame % 2 === 1) guest.frames(1);
+            deliver();
+        }
+        assert.equal(guest.game.sim.state.gameOver, false);
+        assert.ok(guest.game.sim.tick < host.game.sim.tick);
+        assert.equal(links[0].closed, false);
+
+        while (!guest.game.sim.state.gameOver) {
+            guest.frames(1);
+            deliver();
+        }
+        assert.equal(guest.game.sim.tick, host.game.sim.tick);
+        assert.deepEqual([links[0].closed, links[1].closed], [true, true]);
+
+        for (const env of [host, guest]) {
+            env.frames(60);
+            assert.equal(env.document.getElementById('gameover-screen').classList.contains('hidden'), false);
+            assert.doesNotMatch(env.document.getElementById('netplay-status').textContent, /left|sync/);
+            assert.ok(env.game.lastReplay);
+        }
+    });
+
+    test('a game gives up waiting for its partner\'s run to end', () => {
+        const { host, links, step } = onlineGames();
+        step(10);
+        host.game.sim.players.forEach(player => {
+            player.isInvincible = false;
+            player.takeDamage(player.health);
+        });
+        host.frames(1);
+        assert.equal(host.game.sim.state.gameOver, true);
+        assert.equal(links[0].outbox.some(message => message.type === 'gameOver'), true);
+        assert.equal(links[0].closed, false);
+
+        host.frames(Math.ceil(host.evaluate('NETPLAY.timeout') / (1000 / 60)) + 1);
+        assert.equal(links[0].closed, true);
+    });
+
+    test('getting past the tick the partner\'s run ended on is a desync', () => {
+        const { host, links, step } = onlineGames();
+        host.game.receiveNetplay({ type: 'gameOver', tick: 10 });
+        step(20);
+
+        assert.equal(host.game.netplay, null);
+        assert.match(host.document.getElementById('netplay-status').textContent, /out of sync at tick 10/);
+        assert.equal(links[0].closed, true);
+    });
+
+    test('online runs do not pause', () => {
+        const { host, step } = onlineGames();
+        host.window.dispatch('keydown', { code: 'Escape' });
+        host.window.dispatch('blur');
+        step(1);
+        assert.equal(host.game.clock.frozen, false);
+    });
+});
+
+describe('Game touch joystick', () => {
+    /**
+     * Put a thumb on the joystick zone (the base's center is at 50, 50)
+     */
+    function touch(document, type, clientX, clientY) {
+        const touches = type === 'touchend' ? [] : [{ identifier: 1, clientX, clientY }];
+        document.getElementById('joystick-zone').dispatch(type, { touches });
+    }
+
+    test('the stick sets speed and direction proportionally', () => {
+        const { game, document, frames } = loadGame();
+        game.startGame('random');
+        frames(2);
+
+        // Full travel is 45px for the default 120px base
+        touch(document, 'touchstart', 50, 50);
+        assert.equal(game.player.input.moveX, 0);
+
+        touch(document, 'touchmove', 50 + 45, 50);
+        assert.equal(game.player.input.moveX, 1);
+        assert.equal(game.player.input.moveY, 0);
+
+        touch(document, 'touchmove', 50 + 22.5, 50);
+        const half = game.player.input.moveX;
+        assert.ok(half > 0.3 && half < 0.5);
+
+        touch(document, 'touchmove', 50, 50 - 90);
+        assert.equal(game.player.input.moveY, -1);
+        assert.equal(game.player.input.left, false);
+
+        touch(document, 'touchend');
+        assert.equal(game.player.input.moveX, 0);
+        assert.equal(game.player.input.moveY, 0);
+    });
+
+    test('a floating stick centers on the first touch', () => {
+        const { game, document, frames } = loadGame();
+        game.joystickSettings.floating = true;
+        game.startGame('random');
+        frames(2);
+
+        touch(document, 'touchstart', 200, 300);
+        assert.equal(game.player.input.moveX, 0);
+        assert.equal(document.getElementById('joystick-container').style.transform, 'translate(150px, 250px)');
+
+        touch(document, 'touchmove', 200 - 45, 300);
+        assert.equal(game.player.input.moveX, -1);
+
+        touch(document, 'touchend');
+        assert.equal(document.getElementById('joystick-container').style.transform, '');
+    });
+
+    test('size, deadzone and opacity are set in the settings screen', () => {
+        const { game, document, localStorage } = loadGame();
+        document.getElementById('joystick-size').value = '160';
+        document.getElementById('joystick-deadzone').value = '0.25';
+        document.getElementById('joystick-opacity').value = '0.5';
+        document.getElementById('joystick-floating').checked = true;
+        document.getElementById('joystick-floating').dispatch('change');
+
+        assert.equal(game.joystickSettings.size, 160);
+        assert.equal(document.getElementById('joystick-base').style.width, '160px');
+        assert.equal(document.getElementById('joystick-container').style.opacity, 0.5);
+
+        const saved = localStorage.getItem('skyFighterJoystick');
+        const reloaded = loadGame({ storage: { skyFighterJoystick: saved } });
+        assert.equal(reloaded.game.joystickSettings.floating, true);
+        assert.equal(reloaded.game.joystickSettings.deadzone, 0.25);
+        assert.equal(reloaded.document.getElementById('joystick-size').value, 160);
+    });
+});
+
+describe('Game pointer steering', () => {
+    /**
+     * A live run steered with the pointer
+     */
+    function pointerGame(steering = {}) {
+        const settings = { scheme: 'pointer', maxSpeed: 1, smoothing: 0, autoFire: false, ...steering };
+        const env = loadGame({ storage: { skyFighterSteering: JSON.stringify(settings) } });
+        env.game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+        env.game.startGame('random');
+        env.frames(2);
+        return env;
+    }
+
+    test('the plane follows the mouse at capped speed', () => {
+        const { game, frames, document } = pointerGame({ maxSpeed: 0.5 });
+        assert.equal(document.body.classList.contains('pointer-steering'), true);
+
+        const x = game.player.x;
+        game.canvas.dispatch('mousemove', { clientX: x + 300, clientY: game.player.y });
+        frames(1);
+        assert.equal(game.player.input.moveX, 0.5);
+
+        frames(120);
+        assert.ok(Math.abs(game.player.x - (x + 300)) < 2);
+        assert.ok(Math.abs(game.player.input.moveX) < 0.05);
+    });
+
+    test('bounds and the HUD margin still hold', () => {
+        const { game, frames } = pointerGame();
+        game.canvas.dispatch('mousemove', { clientX: -500, clientY: -500 });
+        frames(120);
+
+        assert.equal(game.player.x, game.player.size);
+        assert.equal(game.player.y, game.player.size + 60);
+    });
+
+    test('a touch drag moves the plane relative to where it started', () => {
+        const { game, frames } = pointerGame();
+        const x = game.player.x;
+        const y = game.player.y;
+
+        const touches = [{ identifier: 3, clientX: 700, clientY: 500 }];
+        game.canvas.dispatch('touchstart', { touches });
+        game.canvas.dispatch('touchmove', { touches: [{ identifier: 3, clientX: 600, clientY: 450 }] });
+        frames(60);
+        assert.ok(Math.abs(game.player.x - (x - 100)) < 2);
+        assert.ok(Math.abs(game.player.y - (y - 50)) < 2);
+
+        game.canvas.dispatch('touchend', { touches: [] });
+        frames(1);
+        assert.equal(game.pointer.active, false);
+        assert.ok(game.player.input.moveX === 0);
+    });
+
+    test('auto-fire keeps shooting while steering', () => {
+        const { game, frames } = pointerGame({ autoFire: true });
+        frames(1);
+        assert.equal(game.player.input.shooting, true);
+    });
+
+    test('the keyboard scheme ignores the mouse position', () => {
+        const { game, frames, document } = loadGame();
+        game.startGame('random');
+        frames(2);
+        game.canvas.dispatch('mousemove', { clientX: 0, clientY: 0 });
+        frames(10);
+        assert.equal(game.player.input.moveX, 0);
+
+        document.getElementById('control-scheme').value = 'pointer';
+        document.getElementById('control-scheme').dispatch('change');
+        assert.equal(game.steeringSettings.scheme, 'pointer');
+        game.canvas.dispatch('mousemove', { clientX: 0, clientY: 0 });
+        frames(1);
+        assert.ok(game.player.input.moveX < 0);
+    });
+});
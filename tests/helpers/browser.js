@@ -0,0 +1,287 @@
+/**
+ * ============================================
+ * TEST HELPERS - Browser Stand-ins
+ * Loads the scripts from index.html into a Node vm context
+ * with just enough DOM, canvas, storage and Web Audio to
+ * run the Game class on a plain Linux box
+ * ============================================
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * classList with the subset of DOMTokenList the game uses
+ */
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    toggle(name, force = !this.names.has(name)) {
+        if (force) {
+            this.names.add(name);
+        } else {
+            this.names.delete(name);
+        }
+        return force;
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+}
+
+/**
+ * Element stand-in; children found by selector are created on demand
+ */
+class FakeElement {
+    constructor(id = '') {
+        this.id = id;
+        this.style = {};
+        this.dataset = {};
+        this.classList = new FakeClassList();
+        this.textContent = '';
+        this.value = '';
+        this.width = 0;
+        this.height = 0;
+        this.listeners = {};
+        this.children = {};
+        this.childNodes = [];
+    }
+
+    appendChild(child) {
+        this.childNodes.push(child);
+        return child;
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes = nodes;
+    }
+
+    focus() {}
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    /**
+     * Call the listeners for an event type with a minimal event object
+     */
+    dispatch(type, event = {}) {
+        const fullEvent = { preventDefault() {}, stopPropagation() {}, touches: [], ...event };
+        (this.listeners[type] || []).forEach(listener => listener(fullEvent));
+    }
+
+    click() {
+        this.dispatch('click');
+    }
+
+    querySelector(selector) {
+        return this.children[selector] || (this.children[selector] = new FakeElement());
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: 100, height: 100 };
+    }
+
+    getContext() {
+        return createCanvasContext();
+    }
+}
+
+/**
+ * 2D context that accepts every drawing call and draws nothing
+ */
+function createCanvasContext() {
+    const gradient = { addColorStop() {} };
+    return new Proxy({}, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key === 'measureText') return () => ({ width: 0 });
+            if (typeof key === 'string' && key.startsWith('create')) return () => gradient;
+            return () => {};
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        },
+    });
+}
+
+/**
+ * Web Audio stand-in: every node connects and schedules without making a sound
+ */
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.state = 'running';
+        this.destination = {};
+    }
+
+    createParam(value = 0) {
+        return { value, setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} };
+    }
+
+    createNode() {
+        return { connect() {}, start() {}, stop() {} };
+    }
+
+    createGain() {
+        return { ...this.createNode(), gain: this.createParam(1) };
+    }
+
+    createOscillator() {
+        return { ...this.createNode(), type: 'sine', frequency: this.createParam(440) };
+    }
+
+    createBiquadFilter() {
+        return { ...this.createNode(), type: 'lowpass', frequency: this.createParam(350) };
+    }
+
+    createBufferSource() {
+        return { ...this.createNode(), buffer: null };
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+
+    resume() {}
+}
+
+/**
+ * localStorage backed by a plain object
+ */
+function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; },
+        clear: () => Object.keys(items).forEach(key => delete items[key]),
+    };
+}
+
+/**
+ * Standard-mapping gamepad stand-in; press buttons and move axes by hand.
+ * Rumble effects played on it are collected in `rumbles`.
+ */
+function createGamepad(index = 0) {
+    const rumbles = [];
+    return {
+        index,
+        id: 'Test Controller (STANDARD GAMEPAD)',
+        connected: true,
+        mapping: 'standard',
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0],
+        rumbles,
+        vibrationActuator: {
+            playEffect(type, params) {
+                rumbles.push({ type, ...params });
+                return Promise.resolve('complete');
+            },
+        },
+    };
+}
+
+/**
+ * Load the game into a fresh context and create a Game
+ * Time only moves through frames(), which runs animation frames and due timers.
+ * `gamepads` is what navigator.getGamepads() returns (can be changed later).
+ */
+function loadGame({ storage = {}, search = '', width = 800, height = 600, gamepads = [] } = {}) {
+    let now = 0;
+    let animationFrames = [];
+    let timers = [];
+
+    const elements = {};
+    const document = {
+        body: new FakeElement('body'),
+        hidden: false,
+        listeners: {},
+        getElementById: id => elements[id] || (elements[id] = new FakeElement(id)),
+        createElement: () => new FakeElement(),
+        querySelectorAll: () => [],
+        addEventListener: FakeElement.prototype.addEventListener,
+        dispatch: FakeElement.prototype.dispatch,
+    };
+
+    const window = {
+        innerWidth: width,
+        innerHeight: height,
+        location: { search },
+        listeners: {},
+        addEventListener: FakeElement.prototype.addEventListener,
+        removeEventListener: FakeElement.prototype.removeEventListener,
+        dispatch: FakeElement.prototype.dispatch,
+        AudioContext: FakeAudioContext,
+    };
+
+    const context = vm.createContext({
+        window,
+        document,
+        localStorage: createStorage(storage),
+        console: { log() {}, warn() {}, error: console.error },
+        performance: { now: () => now },
+        requestAnimationFrame: callback => animationFrames.push(callback),
+        cancelAnimationFrame: () => { animationFrames = []; },
+        setTimeout: (callback, delay = 0) => timers.push({ at: now + delay, callback }),
+        URLSearchParams,
+        navigator: { getGamepads: () => gamepads },
+        alert() {},
+        confirm: () => true,
+    });
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    for (const [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    }
+
+    const evaluate = code => vm.runInContext(code, context);
+    const game = evaluate('new Game()');
+
+    /**
+     * Run animation frames (and any timers due by then)
+     */
+    function frames(count = 1, frameMs = 1000 / 60) {
+        for (let i = 0; i < count; i++) {
+            now += frameMs;
+
+            const due = timers.filter(timer => timer.at <= now);
+            timers = timers.filter(timer => timer.at > now);
+            due.forEach(timer => timer.callback());
+
+            const callbacks = animationFrames;
+            animationFrames = [];
+            callbacks.forEach(callback => callback(now));
+        }
+    }
+
+    return { game, context, window, document, localStorage: context.localStorage, frames, evaluate, gamepads };
+}
+
+module.exports = { loadGame, createGamepad, FakeElement };
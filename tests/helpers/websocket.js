@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * TEST HELPERS - WebSocket Stand-in
+ * The browser's WebSocket API (onopen, onmessage, onclose,
+ * send, close) over node:http, for Node versions without a
+ * global WebSocket
+ * ============================================
+ */
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { WebSocketPeer, getAcceptKey } = require('../../server/websocket.js');
+
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.peer = null;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request(url.replace(/^ws/, 'http'), {
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' },
+        });
+        request.on('upgrade', (response, socket, head) => {
+            if (response.headers['sec-websocket-accept'] !== getAcceptKey(key)) {
+                socket.destroy();
+                return this.finish(1006, '');
+            }
+            this.peer = new WebSocketPeer(socket, { masked: true });
+            this.peer.on('message', data => { if (this.onmessage) this.onmessage({ data }); });
+            this.peer.on('close', (code, reason) => this.finish(code, reason));
+
+            // A close() while connecting takes effect now
+            if (this.readyState === FakeWebSocket.CLOSING) return this.peer.close(1000, '');
+            this.readyState = FakeWebSocket.OPEN;
+            if (this.onopen) this.onopen({});
+            this.peer.read(head);
+            return null;
+        });
+        request.on('response', response => {
+            response.resume();
+            this.finish(1006, '');
+        });
+        request.on('error', () => this.finish(1006, ''));
+        request.end();
+    }
+
+    send(data) {
+        if (this.readyState !== FakeWebSocket.OPEN) throw new Error('WebSocket is not open');
+        this.peer.send(data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= FakeWebSocket.CLOSING) return;
+        this.readyState = FakeWebSocket.CLOSING;
+        if (this.peer) this.peer.close(code, reason);
+    }
+
+    finish(code, reason) {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) this.onclose({ code, reason });
+    }
+}
+
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSING = 2;
+FakeWebSocket.CLOSED = 3;
+
+module.exports = { FakeWebSocket };
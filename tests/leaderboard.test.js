@@ -0,0 +1,110 @@
+/**
+ * Local leaderboard tables and the old high score migration
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    LEADERBOARD_KEY,
+    LEGACY_HIGH_SCORE_KEY,
+    LEADERBOARD_SIZE,
+    normalizeInitials,
+    Leaderboard,
+} = require('../leaderboard.js');
+
+/**
+ * In-memory localStorage
+ */
+function createStorage(values = {}) {
+    const data = { ...values };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+    };
+}
+
+/**
+ * A run of the given mode and score
+ */
+function run(score, mode = 'random', name = 'AAA') {
+    return { name, score, level: 2, enemies: 10, time: 60000, date: '2026-01-01', seed: 7, mode };
+}
+
+describe('Leaderboard', () => {
+    test('keeps the best runs first, per mode', () => {
+        const board = new Leaderboard(createStorage());
+        assert.equal(board.add(run(100)), 1);
+        assert.equal(board.add(run(300)), 1);
+        assert.equal(board.add(run(200)), 2);
+        assert.equal(board.add(run(500, 'daily')), 1);
+
+        assert.deepEqual(board.getTable('random').map(entry => entry.score), [300, 200, 100]);
+        assert.deepEqual(board.getTable('daily').map(entry => entry.score), [500]);
+        assert.equal(board.getHighScore(), 500);
+    });
+
+    test('ties rank below the older run', () => {
+        const board = new Leaderboard(createStorage());
+        board.add(run(100, 'random', 'OLD'));
+        assert.equal(board.add(run(100, 'random', 'NEW')), 2);
+        assert.deepEqual(board.getTable('random').map(entry => entry.name), ['OLD', 'NEW']);
+    });
+
+    test('only the top ten are kept', () => {
+        const board = new Leaderboard(createStorage());
+        for (let i = 1; i <= LEADERBOARD_SIZE; i++) {
+            board.add(run(i * 10));
+        }
+
+        assert.equal(board.qualifies('random', 10), false);
+        assert.equal(board.add(run(5)), 0);
+        assert.equal(board.qualifies('random', 15), true);
+        assert.equal(board.add(run(15)), LEADERBOARD_SIZE);
+        assert.equal(board.getTable('random').length, LEADERBOARD_SIZE);
+        assert.equal(board.getTable('random')[LEADERBOARD_SIZE - 1].score, 15);
+    });
+
+    test('zero scores and unknown modes never qualify', () => {
+        const board = new Leaderboard(createStorage());
+        assert.equal(board.qualifies('random', 0), false);
+        assert.equal(board.qualifies('arcade', 100), false);
+    });
+
+    test('tables survive a reload', () => {
+        const storage = createStorage();
+        new Leaderboard(storage).add(run(250, 'custom'));
+
+        const reloaded = new Leaderboard(storage);
+        assert.deepEqual(reloaded.getTable('custom').map(entry => entry.score), [250]);
+    });
+
+    test('corrupt data starts a fresh board', () => {
+        const board = new Leaderboard(createStorage({ [LEADERBOARD_KEY]: '{nope' }));
+        assert.deepEqual(board.getTable('random'), []);
+    });
+
+    test('the old single high score moves into the random table once', () => {
+        const storage = createStorage({ [LEGACY_HIGH_SCORE_KEY]: '420' });
+        const board = new Leaderboard(storage);
+
+        assert.deepEqual(board.getTable('random').map(entry => [entry.name, entry.score]), [['???', 420]]);
+        assert.equal(storage.getItem(LEGACY_HIGH_SCORE_KEY), null);
+        assert.equal(new Leaderboard(storage).getTable('random').length, 1);
+    });
+});
+
+describe('normalizeInitials', () => {
+    test('keeps up to three letters or digits, upper case', () => {
+        assert.equal(normalizeInitials('ab'), 'AB');
+        assert.equal(normalizeInitials('j.d.k!'), 'JDK');
+        assert.equal(normalizeInitials('r2d2'), 'R2D');
+    });
+
+    test('falls back for empty initials', () => {
+        assert.equal(normalizeInitials('  '), '???');
+        assert.equal(normalizeInitials(null), '???');
+    });
+});
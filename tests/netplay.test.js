@@ -0,0 +1,340 @@
+/**
+ * Online co-op: lockstep input exchange, desync checks and the relay server
+ * Run with: node --test tests/
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation } = require('../simulation.js');
+const { WAVE_SCRIPTS } = require('../waves.js');
+const { quantizeAxis } = require('../replay.js');
+const {
+    NETPLAY,
+    chooseInputDelay,
+    packNetInput,
+    unpackNetInput,
+    hashSimulation,
+    LockstepSession,
+    RelayConnection,
+} = require('../netplay.js');
+const { createRelayServer } = require('../server/relay-server.js');
+const { FakeWebSocket } = require('./helpers/websocket.js');
+
+const START = { seed: 42, settings: { coop: true }, width: 800, height: 600 };
+
+/**
+ * Input state as Player keeps it
+ */
+function createInput(values = {}) {
+    return { up: false, down: false, left: false, right: false, shooting: false, bomb: false, moveX: 0, moveY: 0, ...values };
+}
+
+/**
+ * One machine: its simulation and session; sent messages wait in the outbox
+ */
+function createPeer(localIndex) {
+    const sim = new Simulation(START.width, START.height, WAVE_SCRIPTS);
+    sim.reset(START.seed, START.settings);
+    const outbox = [];
+    const desyncs = [];
+    const session = new LockstepSession({
+        localIndex, start: START, send: message => outbox.push(message), onDesync: tick => desyncs.push(tick),
+    });
+    return { sim, session, outbox, desyncs };
+}
+
+/**
+ * Hand every message sent so far to the other peer (through JSON, like the wire)
+ */
+function deliver(from, to) {
+    from.outbox.splice(0).forEach(message => to.session.receive(JSON.parse(JSON.stringify(message))));
+}
+
+/**
+ * Read a peer's input for its next tick and step it if both inputs are in
+ */
+function stepPeer(peer, input) {
+    const tick = peer.sim.tick;
+    peer.session.submit(tick, input);
+    if (!peer.session.applyTick(tick, peer.sim.players)) return false;
+
+    peer.sim.step();
+    peer.session.checkHash(peer.sim.tick, () => hashSimulation(peer.sim));
+    return true;
+}
+
+describe('Net input', () => {
+    test('packs into a mask and the replay\'s axis steps', () => {
+        const packed = packNetInput(createInput({ left: true, shooting: true, moveX: quantizeAxis(-0.456), moveY: 1 }));
+        assert.deepEqual(packed, [20, -46, 100]);
+
+        const input = createInput({ up: true });
+        unpackNetInput(packed, input);
+        assert.equal(input.up, false);
+        assert.equal(input.left, true);
+        assert.equal(input.moveX, -0.46);
+    });
+});
+
+describe('LockstepSession', () => {
+    test('plays each input inputDelay ticks after it was read', () => {
+        const host = createPeer(0);
+        const input = createInput({ right: true });
+        const { inputDelay } = host.session;
+
+        assert.equal(host.session.submit(0, input), true);
+        assert.equal(host.session.submit(0, input), false);
+        assert.deepEqual(host.outbox, [{ type: 'input', tick: inputDelay, input: packNetInput(input) }]);
+
+        // Nobody pressed anything before the delay; after it the partner's input is needed
+        assert.equal(host.session.isReady(inputDelay - 1), true);
+        assert.equal(host.session.isReady(inputDelay), false);
+        host.session.receive({ type: 'input', tick: inputDelay, input: [0, 0, 0] });
+        assert.equal(host.session.isReady(inputDelay), true);
+    });
+
+    test('stalls while the partner\'s input is missing', () => {
+        const host = createPeer(0);
+        let ticks = 0;
+        while (stepPeer(host, createInput()) && ticks < 100) ticks++;
+        assert.equal(host.sim.tick, host.session.inputDelay);
+    });
+
+    test('both games step through the same run', () => {
+        const host = createPeer(0);
+        const guest = createPeer(1);
+        const guestStart = host.sim.players[1].y;
+
+        for (let i = 0; i < 400; i++) {
+            const sweep = Math.floor(i / 60) % 2 === 0;
+            stepPeer(host, createInput({ shooting: true, left: sweep, right: !sweep }));
+            stepPeer(guest, createInput({ shooting: i % 30 < 20, moveY: quantizeAxis(Math.sin(i / 40) * 0.5) }));
+            deliver(host, guest);
+            deliver(guest, host);
+        }
+
+        assert.ok(host.sim.tick > 390);
+        assert.equal(host.sim.tick, guest.sim.tick);
+        assert.equal(hashSimulation(host.sim), hashSimulation(guest.sim));
+        assert.notEqual(host.sim.players[1].y, guestStart); // The guest's stick moved their plane on the host
+        assert.deepEqual(host.desyncs, []);
+        assert.deepEqual(guest.desyncs, []);
+    });
+
+    test('reports the first tick the games disagree on', () => {
+        const host = createPeer(0);
+        const guest = createPeer(1);
+        guest.sim.players[0].x += 5;
+
+        for (let i = 0; i < 200; i++) {
+            stepPeer(host, createInput());
+            stepPeer(guest, createInput());
+            deliver(host, guest);
+            deliver(guest, host);
+        }
+
+        assert.deepEqual(host.desyncs, [host.session.hashInterval]);
+        assert.deepEqual(guest.desyncs, [host.session.hashInterval]);
+    });
+});
+
+describe('chooseInputDelay', () => {
+    test('covers the one-way trip plus the jitter ticks, within the limits', () => {
+        const stepMs = 1000 / 60;
+        assert.equal(chooseInputDelay(10, stepMs), NETPLAY.inputDelay);
+        assert.equal(chooseInputDelay(90, stepMs), 3 + NETPLAY.jitterTicks);
+        assert.equal(chooseInputDelay(180, stepMs), 6 + NETPLAY.jitterTicks);
+        assert.equal(chooseInputDelay(2000, stepMs), NETPLAY.maxInputDelay);
+    });
+});
+
+describe('Relay server', () => {
+    let server;
+    let endpoint;
+
+    before(() => {
+        server = createRelayServer();
+        return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+            endpoint = `http://127.0.0.1:${server.address().port}`;
+        });
+    });
+
+    after(() => {
+        server.closeRooms();
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    const post = (path, body = {}) => fetch(`${endpoint}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+    /**
+     * A room's socket for a player; resolves once open (or closed, if refused)
+     */
+    const connect = (room, player, token) => new Promise(resolve => {
+        const socket = new FakeWebSocket(`${endpoint.replace(/^http/, 'ws')}/rooms/${room}/socket?player=${player}&token=${token}`);
+        socket.received = [];
+        socket.onmessage = event => socket.received.push(event.data);
+        socket.onopen = () => resolve(socket);
+        socket.onclose = event => {
+            socket.closeEvent = event;
+            resolve(socket);
+        };
+    });
+
+    const waitFor = (check) => new Promise(resolve => {
+        const poll = () => (check() ? resolve() : setTimeout(poll, 5));
+        poll();
+    });
+
+    test('pairs two players through a room code', () => {
+        let room;
+        let hostToken;
+        return post('/rooms')
+            .then(response => {
+                assert.equal(response.status, 201);
+                return response.json();
+            })
+            .then(data => {
+                room = data.room;
+                hostToken = data.token;
+                assert.match(room, /^[A-Z]{4}$/);
+                assert.equal(data.player, 0);
+                assert.match(hostToken, /^[0-9a-f]{32}$/);
+                return post(`/rooms/${room.toLowerCase()}/join`);
+            })
+            .then(response => response.json())
+            .then(data => {
+                assert.equal(data.room, room);
+                assert.equal(data.player, 1);
+                assert.match(data.token, /^[0-9a-f]{32}$/);
+                assert.notEqual(data.token, hostToken);
+                return Promise.all([post(`/rooms/${room}/join`), post('/rooms/ZZZZ/join')]);
+            })
+            .then(([full, missing]) => {
+                assert.equal(full.status, 409);
+                assert.equal(missing.status, 404);
+            });
+    });
+
+    test('sockets relay messages, keeping those sent before the partner connects', () => {
+        let room;
+        let host;
+        let guest;
+        let guestToken;
+        return post('/rooms')
+            .then(response => response.json())
+            .then(data => {
+                room = data.room;
+                return connect(room, 0, data.token);
+            })
+            .then(socket => {
+                host = socket;
+                host.send('a');
+                host.send('b');
+                return post(`/rooms/${room}/join`);
+            })
+            .then(response => response.json())
+            .then(data => {
+                guestToken = data.token;
+                return waitFor(() => server.rooms.get(room).mailboxes[1].length === 2);
+            })
+            .then(() => connect(room, 1, guestToken))
+            .then(socket => {
+                guest = socket;
+                guest.send('c');
+                return waitFor(() => guest.received.length === 2 && host.received.length === 1);
+            })
+            .then(() => {
+                assert.deepEqual(guest.received, ['a', 'b']);
+                assert.deepEqual(host.received, ['c']);
+
+                // One side leaving closes the room for the other
+                guest.close();
+                return waitFor(() => host.closeEvent);
+            })
+            .then(() => {
+                assert.deepEqual({ ...host.closeEvent }, { code: 4000, reason: 'Room closed' });
+                assert.equal(server.rooms.has(room), false);
+            });
+    });
+
+    test('rejects bad requests and sockets', () => {
+        return post('/rooms')
+            .then(response => response.json())
+            .then(({ room, token }) => Promise.all([
+                fetch(`${endpoint}/rooms/${room}/join`),
+                fetch(`${endpoint}/nope`),
+                connect('QQQQ', 0, token),
+                connect(room, 1, token), // Nobody joined as player 1 yet
+                connect(room, 0, token).then(() => connect(room, 0, token)), // Player 0 is already connected
+            ]))
+            .then(([get, missing, noRoom, notJoined, twice]) => {
+                assert.deepEqual([get.status, missing.status], [405, 404]);
+                for (const socket of [noRoom, notJoined, twice]) {
+                    assert.equal(socket.readyState, FakeWebSocket.CLOSED);
+                }
+            });
+    });
+
+    test('only the player who opened the room takes its first seat', () => {
+        let room;
+        let token;
+        return post('/rooms')
+            .then(response => response.json())
+            .then(data => {
+                ({ room, token } = data);
+                return Promise.all([connect(room, 0, ''), connect(room, 0, 'f'.repeat(32))]);
+            })
+            .then(sockets => {
+                for (const socket of sockets) {
+                    assert.equal(socket.readyState, FakeWebSocket.CLOSED);
+                }
+                assert.equal(server.rooms.get(room).sockets[0], null);
+                return connect(room, 0, token);
+            })
+            .then(host => {
+                assert.equal(host.readyState, FakeWebSocket.OPEN);
+                host.close();
+            });
+    });
+
+    test('connections exchange messages in order and see the partner leave', () => {
+        const host = new RelayConnection({ endpoint, WebSocket: FakeWebSocket });
+        const guest = new RelayConnection({ endpoint, WebSocket: FakeWebSocket });
+        const received = [];
+        let closed = null;
+
+        return host.host()
+            .then(room => {
+                host.onMessage(message => received.push(message));
+                return new Promise(resolve => {
+                    host.onClose(reason => {
+                        closed = reason;
+                        resolve();
+                    });
+                    guest.join(room).then(() => {
+                        // Leaving right away still delivers everything sent before
+                        for (let tick = 0; tick < 20; tick++) {
+                            guest.send({ type: 'input', tick });
+                        }
+                        guest.close();
+                    });
+                });
+            })
+            .then(() => {
+                assert.deepEqual(received.map(message => message.tick), Array.from({ length: 20 }, (_, tick) => tick));
+                assert.equal(closed, 'Room closed');
+                assert.equal(server.rooms.has(host.room), false);
+            });
+    });
+
+    test('joining a room that does not exist fails', () => {
+        const guest = new RelayConnection({ endpoint, WebSocket: FakeWebSocket });
+        return assert.rejects(guest.join('QQQQ'), /Room not found/);
+    });
+});
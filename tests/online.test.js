@@ -0,0 +1,295 @@
+/**
+ * Online leaderboard client and the mock leaderboard server
+ * Run with: node --test tests/
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation } = require('../simulation.js');
+const { WAVE_SCRIPTS } = require('../waves.js');
+const { AREA_MAP } = require('../areas.js');
+const { RULES_VERSION, ReplayRecorder, hashReplay } = require('../replay.js');
+const { ONLINE_LEADERBOARD, OnlineLeaderboard } = require('../online.js');
+const { createLeaderboardServer } = require('../server/leaderboard-server.js');
+
+/**
+ * In-memory localStorage
+ */
+function createStorage(values = {}) {
+    const data = { ...values };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+    };
+}
+
+/**
+ * Fake fetch answering each call with the next status (or error) in line
+ */
+function createFetch(answers) {
+    const calls = [];
+    const fetch = (url, options = {}) => {
+        calls.push({ url, options });
+        const answer = answers.length > 1 ? answers.shift() : answers[0];
+        if (answer instanceof Error) return Promise.reject(answer);
+        return Promise.resolve({ ok: answer >= 200 && answer < 300, status: answer, json: () => Promise.resolve({ scores: [] }) });
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+/**
+ * Client with a fake clock and a schedule that only records its timers
+ */
+function createClient(answers, storage = createStorage()) {
+    const clock = { now: 1000 };
+    const timers = [];
+    const fetch = createFetch(answers);
+    const client = new OnlineLeaderboard({
+        endpoint: 'http://scores.test/',
+        storage,
+        fetch,
+        schedule: (callback, delay) => timers.push({ callback, delay }),
+        now: () => clock.now,
+    });
+    return { client, clock, timers, fetch, storage };
+}
+
+/**
+ * A submission as Game.endGame builds it
+ */
+function submission(score = 100) {
+    return {
+        name: 'ACE', score, level: 1, enemies: 3, time: 20000, date: '2026-01-01', seed: 7, mode: 'random',
+        replay: {}, replayHash: '00000000',
+    };
+}
+
+/**
+ * Play a short real run and build its submission with the replay
+ */
+function recordRun(seed = 1234, ticks = 900) {
+    const sim = new Simulation(800, 600, WAVE_SCRIPTS, AREA_MAP);
+    sim.reset(seed);
+    const recorder = new ReplayRecorder(seed, 'random', 800, 600, {});
+
+    while (sim.tick < ticks && !sim.state.gameOver) {
+        // Sweep left and right with the trigger held
+        const sweep = Math.floor(sim.tick / 90) % 2 === 0;
+        Object.assign(sim.player.input, { shooting: true, left: sweep, right: !sweep });
+        recorder.recordTick(sim.player.input);
+        sim.step();
+    }
+
+    const { score, currentLevel, enemiesDefeated } = sim.state;
+    const replay = recorder.finish(score);
+    return {
+        name: 'ACE', score, level: currentLevel, enemies: enemiesDefeated, time: 15000, date: '2026-01-01',
+        seed, mode: 'random', replay, replayHash: hashReplay(replay),
+    };
+}
+
+describe('OnlineLeaderboard client', () => {
+    test('is off without an endpoint', () => {
+        const client = new OnlineLeaderboard({ endpoint: null, storage: createStorage() });
+        assert.equal(client.isEnabled(), false);
+        return client.submit(submission()).then(() => {
+            assert.equal(client.getPendingCount(), 0);
+        });
+    });
+
+    test('posts a submission and empties the queue', () => {
+        const { client, fetch, storage } = createClient([201]);
+        return client.submit(submission()).then(() => {
+            assert.equal(fetch.calls.length, 1);
+            assert.equal(fetch.calls[0].url, 'http://scores.test/scores');
+            assert.equal(fetch.calls[0].options.method, 'POST');
+            assert.equal(JSON.parse(fetch.calls[0].options.body).score, 100);
+            assert.equal(client.getPendingCount(), 0);
+            assert.deepEqual(JSON.parse(storage.getItem(ONLINE_LEADERBOARD.queueKey)), []);
+        });
+    });
+
+    test('keeps the run queued while offline and backs off', () => {
+        const { client, clock, timers, fetch, storage } = createClient([new Error('offline'), 503, 201]);
+        return client.submit(submission())
+            .then(() => {
+                assert.equal(client.getPendingCount(), 1);
+                assert.equal(timers.length, 1);
+                assert.equal(timers[0].delay, ONLINE_LEADERBOARD.retryDelay);
+
+                // Not due yet: nothing is sent
+                return client.flush();
+            })
+            .then(() => {
+                assert.equal(fetch.calls.length, 1);
+
+                clock.now += ONLINE_LEADERBOARD.retryDelay;
+                timers.shift().callback();
+                return client.flush();
+            })
+            .then(() => {
+                assert.equal(fetch.calls.length, 2);
+                assert.equal(timers[0].delay, ONLINE_LEADERBOARD.retryDelay * 2);
+
+                // A new page load picks the queue up again
+                const reloaded = new OnlineLeaderboard({
+                    endpoint: 'http://scores.test', storage, fetch, schedule: () => {}, now: () => clock.now + 60000,
+                });
+                assert.equal(reloaded.getPendingCount(), 1);
+                return reloaded.flush().then(() => {
+                    assert.equal(reloaded.getPendingCount(), 0);
+                });
+            });
+    });
+
+    test('drops submissions the server rejects', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        const { client, fetch, timers } = createClient([422, 201]);
+        return client.submit(submission(100))
+            .then(() => client.submit(submission(200)))
+            .then(() => {
+                console.warn = warn;
+                assert.equal(fetch.calls.length, 2);
+                assert.equal(client.getPendingCount(), 0);
+                assert.equal(timers.length, 0);
+            });
+    });
+
+    test('sends queued runs oldest first and stops at the first failure', () => {
+        const { client, fetch } = createClient([new Error('offline')]);
+        return client.submit(submission(100))
+            .then(() => {
+                client.queue[0].nextAttemptAt = 0;
+                return client.submit(submission(200));
+            })
+            .then(() => {
+                // The older run failed again, so the newer one waits
+                assert.deepEqual(fetch.calls.map(call => JSON.parse(call.options.body).score), [100, 100]);
+                assert.equal(client.getPendingCount(), 2);
+            });
+    });
+
+    test('caps the retry delay and the queue length', () => {
+        const { client } = createClient([new Error('offline')]);
+        assert.equal(client.getRetryDelay(1), ONLINE_LEADERBOARD.retryDelay);
+        assert.equal(client.getRetryDelay(30), ONLINE_LEADERBOARD.maxRetryDelay);
+
+        for (let i = 0; i < ONLINE_LEADERBOARD.maxQueue + 5; i++) {
+            client.submit(submission(i));
+        }
+        assert.equal(client.getPendingCount(), ONLINE_LEADERBOARD.maxQueue);
+        assert.equal(client.queue[0].submission.score, 5);
+    });
+
+    test('asks for the top runs of a mode', () => {
+        const { client, fetch } = createClient([200]);
+        return client.fetchTop('daily', 5).then(scores => {
+            assert.deepEqual(scores, []);
+            assert.equal(fetch.calls[0].url, 'http://scores.test/scores?mode=daily&limit=5');
+        });
+    });
+
+    test('fetchTop fails when the server answers an error', () => {
+        const { client } = createClient([500]);
+        return assert.rejects(client.fetchTop('random'));
+    });
+});
+
+describe('Mock leaderboard server', () => {
+    let server;
+    let endpoint;
+    let run;
+
+    before(() => {
+        run = recordRun();
+        server = createLeaderboardServer();
+        return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+            endpoint = `http://127.0.0.1:${server.address().port}`;
+        });
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const post = body => fetch(`${endpoint}/scores`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+
+    test('the recorded run scores something', () => {
+        assert.ok(run.score > 0);
+    });
+
+    test('accepts a run its replay reproduces', () => {
+        return post(run)
+            .then(response => {
+                assert.equal(response.status, 201);
+                return response.json();
+            })
+            .then(data => {
+                assert.equal(data.rank, 1);
+                assert.equal(server.tables.random[0].score, run.score);
+                assert.equal(server.tables.random[0].replay, undefined);
+            });
+    });
+
+    test('rejects a tampered score', () => {
+        const replay = { ...run.replay, score: run.score + 1000 };
+        const cheat = { ...run, score: run.score + 1000, replay, replayHash: hashReplay(replay) };
+        return post(cheat).then(response => assert.equal(response.status, 422));
+    });
+
+    test('rejects a replay that does not match its hash', () => {
+        const replay = { ...run.replay, inputs: [[0, run.replay.ticks]] };
+        return post({ ...run, replay }).then(response => assert.equal(response.status, 422));
+    });
+
+    test('turns away replays recorded with other game rules rather than failing to reproduce them', () => {
+        const replay = { ...run.replay, rules: RULES_VERSION - 1 };
+        return post({ ...run, replay, replayHash: hashReplay(replay) })
+            .then(response => {
+                assert.equal(response.status, 422);
+                return response.json();
+            })
+            .then(data => assert.match(data.error, new RegExp(`recorded with game rules version ${RULES_VERSION - 1}`)));
+    });
+
+    test('rejects bodies that are not JSON', () => {
+        return post('{nope').then(response => assert.equal(response.status, 400));
+    });
+
+    test('lists the best runs first', () => {
+        server.tables.daily.push(
+            { name: 'BBB', score: 500, mode: 'daily' },
+            { name: 'CCC', score: 100, mode: 'daily' },
+        );
+        return fetch(`${endpoint}/scores?mode=daily&limit=1`)
+            .then(response => response.json())
+            .then(data => {
+                assert.deepEqual(data.scores, [{ rank: 1, name: 'BBB', score: 500, mode: 'daily' }]);
+            });
+    });
+
+    test('unknown modes and paths are errors', () => {
+        return Promise.all([
+            fetch(`${endpoint}/scores?mode=arcade`).then(response => assert.equal(response.status, 400)),
+            fetch(`${endpoint}/nope`).then(response => assert.equal(response.status, 404)),
+        ]);
+    });
+
+    test('the client submits to the server and reads the ranking back', () => {
+        const client = new OnlineLeaderboard({ endpoint, storage: createStorage(), schedule: () => {} });
+        return client.submit({ ...run, name: 'two' })
+            .then(() => {
+                assert.equal(client.getPendingCount(), 0);
+                return client.fetchTop('random');
+            })
+            .then(scores => {
+                assert.deepEqual(scores.map(entry => [entry.rank, entry.name]), [[1, 'ACE'], [2, 'TWO']]);
+            });
+    });
+});
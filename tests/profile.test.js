@@ -0,0 +1,115 @@
+/**
+ * Lifetime statistics profile, its saving and JSON export/import
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PROFILE_KEY,
+    createRunStats,
+    createProfile,
+    parseProfile,
+    PlayerProfile,
+} = require('../profile.js');
+
+/**
+ * In-memory localStorage
+ */
+function createStorage(values = {}) {
+    const data = { ...values };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+    };
+}
+
+/**
+ * A run that ended in the given Area
+ */
+function run(area = 1) {
+    return {
+        ...createRunStats(),
+        enemies: { fighter: 4, ace: 1 },
+        powerups: { shield: 2 },
+        bombs: 1,
+        blackHoles: area - 1,
+        time: 30000.4,
+        area,
+    };
+}
+
+describe('PlayerProfile', () => {
+    test('starts empty', () => {
+        const profile = new PlayerProfile(createStorage());
+        assert.deepEqual(profile.stats, createProfile());
+        assert.equal(profile.getTotalEnemies(), 0);
+    });
+
+    test('adds up runs and keeps the deepest Area', () => {
+        const profile = new PlayerProfile(createStorage());
+        profile.recordRun(run(3));
+        profile.recordRun({ ...run(2), enemies: { bomber: 2 }, whiteHoles: 1, sectors: { 'open-skies': 1, 'cloud-sea': 1 } });
+
+        const { stats } = profile;
+        assert.equal(stats.runs, 2);
+        assert.equal(stats.playTime, 60000);
+        assert.equal(stats.deepestArea, 3);
+        assert.deepEqual(stats.enemies, { fighter: 4, ace: 1, bomber: 2 });
+        assert.deepEqual(stats.powerups, { shield: 4 });
+        assert.equal(stats.bombs, 2);
+        assert.equal(stats.blackHoles, 3);
+        assert.equal(stats.whiteHoles, 1);
+        assert.deepEqual(stats.sectors, { 'open-skies': 1, 'cloud-sea': 1 });
+        assert.equal(profile.getTotalEnemies(), 7);
+    });
+
+    test('survives a reload', () => {
+        const storage = createStorage();
+        new PlayerProfile(storage).recordRun(run());
+        assert.equal(new PlayerProfile(storage).stats.runs, 1);
+    });
+
+    test('corrupt data starts a fresh profile', () => {
+        const profile = new PlayerProfile(createStorage({ [PROFILE_KEY]: '{nope' }));
+        assert.deepEqual(profile.stats, createProfile());
+    });
+
+    test('an export imports into another profile', () => {
+        const source = new PlayerProfile(createStorage());
+        source.recordRun(run(2));
+
+        const storage = createStorage();
+        const target = new PlayerProfile(storage);
+        target.importJSON(source.exportJSON());
+        assert.deepEqual(target.stats, source.stats);
+        assert.deepEqual(JSON.parse(storage.getItem(PROFILE_KEY)), source.stats);
+    });
+
+    test('a bad import leaves the profile alone', () => {
+        const profile = new PlayerProfile(createStorage());
+        profile.recordRun(run());
+
+        assert.throws(() => profile.importJSON('nope'), /not valid JSON/);
+        assert.throws(() => profile.importJSON('{"version":2}'), /Unsupported profile version/);
+        assert.equal(profile.stats.runs, 1);
+    });
+});
+
+describe('parseProfile', () => {
+    test('fills in counters missing from older files', () => {
+        const profile = parseProfile({ version: 1, runs: 5 });
+        assert.equal(profile.runs, 5);
+        assert.deepEqual(profile.enemies, {});
+        assert.equal(profile.whiteHoles, 0);
+    });
+
+    test('rejects counts that are not whole numbers', () => {
+        assert.throws(() => parseProfile({ version: 1, runs: -1 }), /"runs"/);
+        assert.throws(() => parseProfile({ version: 1, enemies: { ace: 'many' } }), /"enemies.ace"/);
+        assert.throws(() => parseProfile({ version: 1, powerups: 3 }), /"powerups"/);
+        assert.throws(() => parseProfile(null), /JSON object/);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Replay recording, playback and file validation
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation } = require('../simulation.js');
+const {
+    REPLAY_VERSION,
+    RULES_VERSION,
+    quantizeAxis,
+    ReplayRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    parseReplay,
+} = require('../replay.js');
+
+/**
+ * Input state as Player keeps it
+ */
+function createInput(values = {}) {
+    return { up: false, down: false, left: false, right: false, shooting: false, bomb: false, moveX: 0, moveY: 0, ...values };
+}
+
+describe('ReplayRecorder', () => {
+    test('run-length encodes digital input', () => {
+        const recorder = new ReplayRecorder(1, 'random', 800, 600);
+        recorder.recordTick(createInput());
+        recorder.recordTick(createInput());
+        recorder.recordTick(createInput({ shooting: true }));
+
+        assert.deepEqual(recorder.finish(0).inputs, [[0, 2], [16, 1]]);
+    });
+
+    test('stores the analog stick while it is off center', () => {
+        const recorder = new ReplayRecorder(1, 'random', 800, 600);
+        recorder.recordTick(createInput({ moveX: 0.25, moveY: -1 }));
+        recorder.recordTick(createInput({ moveX: 0.25, moveY: -1 }));
+        recorder.recordTick(createInput({ moveX: 0.26, moveY: -1 }));
+        recorder.recordTick(createInput());
+
+        const replay = recorder.finish(0);
+        assert.equal(replay.version, REPLAY_VERSION);
+        assert.deepEqual(replay.inputs, [[0, 2, 25, -100], [0, 1, 26, -100], [0, 1]]);
+    });
+});
+
+describe('ReplayPlayer', () => {
+    test('plays back exactly the analog values of the live run', () => {
+        const recorder = new ReplayRecorder(1, 'random', 800, 600);
+        const live = [0.3333, -0.71, 0, 1].map(quantizeAxis);
+        live.forEach(moveX => recorder.recordTick(createInput({ moveX, moveY: -moveX })));
+
+        const player = new ReplayPlayer(parseReplay(serializeReplay(recorder.finish(0))));
+        live.forEach((moveX, tick) => {
+            const input = createInput({ moveX: 0.9 });
+            player.applyTick(tick, input);
+            assert.equal(input.moveX, moveX);
+            assert.equal(input.moveY, -moveX || 0);
+        });
+    });
+
+    test('a stick run replays to the same state', () => {
+        const play = (input) => {
+            const sim = new Simulation(800, 600);
+            sim.reset(5);
+            for (let tick = 0; tick < 300; tick++) {
+                input(sim, tick);
+                sim.step();
+            }
+            return [sim.player.x, sim.player.y, sim.state.score];
+        };
+
+        const recorder = new ReplayRecorder(5, 'random', 800, 600);
+        const live = play((sim, tick) => {
+            sim.player.input.moveX = quantizeAxis(Math.sin(tick / 20) * 0.8);
+            sim.player.input.moveY = quantizeAxis(Math.cos(tick / 30) * 0.4);
+            sim.player.input.shooting = true;
+            recorder.recordTick(sim.player.input);
+        });
+
+        const player = new ReplayPlayer(recorder.finish(0));
+        assert.deepEqual(play((sim, tick) => player.applyTick(tick, sim.player.input)), live);
+    });
+
+    test('a co-op run replays both planes', () => {
+        const settings = { coop: true };
+        const play = (input) => {
+            const sim = new Simulation(800, 600);
+            sim.reset(5, settings);
+            for (let tick = 0; tick < 300; tick++) {
+                input(sim, tick);
+                sim.step();
+            }
+            return sim.players.map(plane => [plane.x, plane.y]).concat([sim.state.score]);
+        };
+
+        const recorder = new ReplayRecorder(5, 'random', 800, 600, settings);
+        const live = play((sim, tick) => {
+            const [one, two] = sim.players;
+            one.input.left = tick < 100;
+            two.input.moveY = quantizeAxis(Math.sin(tick / 25) * 0.6);
+            two.input.shooting = true;
+            recorder.recordTick(one.input, two.input);
+        });
+
+        const replay = parseReplay(serializeReplay(recorder.finish(0)));
+        assert.equal(replay.partnerInputs.length > 0, true);
+        const player = new ReplayPlayer(replay);
+        assert.deepEqual(play((sim, tick) => player.applyTick(tick, sim.players[0].input, sim.players[1].input)), live);
+    });
+});
+
+describe('parseReplay', () => {
+    const base = { version: REPLAY_VERSION, rules: RULES_VERSION, settings: {}, seed: 1, seedMode: 'random', width: 800, height: 600, ticks: 3, score: 0, resizes: [] };
+
+    test('rejects unknown versions', () => {
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, version: 99, inputs: [[0, 3]] })), /Unsupported replay version/);
+    });
+
+    test('rejects replays recorded with other game rules', () => {
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, rules: RULES_VERSION - 1, inputs: [[0, 3]] })), /game rules version/);
+    });
+
+    test('rejects analog values out of range', () => {
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, inputs: [[0, 3, 150, 0]] })), /inputs are invalid/);
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, inputs: [[0, 3, 10]] })), /inputs are invalid/);
+    });
+
+    test('rejects inputs that do not cover the replay', () => {
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, inputs: [[0, 2]] })), /do not match its length/);
+    });
+
+    test('co-op replays need partner inputs, and only they have them', () => {
+        const coop = { ...base, settings: { coop: true }, inputs: [[0, 3]] };
+        assert.throws(() => parseReplay(JSON.stringify(coop)), /partner inputs/);
+        assert.throws(() => parseReplay(JSON.stringify({ ...base, inputs: [[0, 3]], partnerInputs: [[0, 3]] })), /partner inputs/);
+        assert.throws(() => parseReplay(JSON.stringify({ ...coop, partnerInputs: [[0, 1]] })), /do not match its length/);
+        assert.deepEqual(parseReplay(JSON.stringify({ ...coop, partnerInputs: [[0, 3]] })).partnerInputs, [[0, 3]]);
+    });
+});
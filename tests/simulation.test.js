@@ -0,0 +1,1657 @@
+/**
+ * Gameplay rules of the headless simulation core
+ * Run with: node --test tests/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CONFIG,
+    FIXED_STEP,
+    Entity,
+    Bullet,
+    BULLET_PATTERNS,
+    resolvePattern,
+    Enemy,
+    PowerUp,
+    Boss,
+    ENEMY_BEHAVIORS,
+    loadWaveScript,
+    getDailySeed,
+    Simulation,
+} = require('../simulation.js');
+const { WAVE_SCRIPTS } = require('../waves.js');
+const { AREA_MAP } = require('../areas.js');
+
+/**
+ * Fresh 800x600 run on a fixed seed
+ */
+function createSim(seed = 1) {
+    const sim = new Simulation(800, 600);
+    sim.reset(seed);
+    return sim;
+}
+
+/**
+ * Step the simulation forward by game time (ms)
+ */
+function runFor(sim, ms) {
+    const ticks = Math.ceil(ms / sim.clock.stepMs);
+    for (let i = 0; i < ticks; i++) {
+        sim.step();
+    }
+}
+
+/**
+ * Collect the payloads of one event type
+ */
+function record(sim, event) {
+    const events = [];
+    sim.on(event, data => events.push(data));
+    return events;
+}
+
+/**
+ * Step player bullets and their collisions without moving anything else
+ */
+function flyBullets(sim, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        sim.bullets.forEach(b => b.update(FIXED_STEP));
+        sim.checkCollisions();
+    }
+}
+
+/**
+ * Bring in the Area boss and step until it has flown into place
+ */
+function arriveBoss(sim) {
+    sim.state.score = Math.max(sim.state.score, sim.getBossThreshold());
+    sim.spawnBoss();
+    while (sim.boss.entering) {
+        sim.step();
+    }
+    return sim.boss;
+}
+
+/**
+ * Knock out the current boss
+ */
+function defeatBoss(sim) {
+    sim.boss.entering = false;
+    sim.boss.takeDamage(sim.boss.health);
+    sim.defeatBoss();
+}
+
+describe('getDailySeed', () => {
+    test('changes at midnight UTC whatever the local time zone', () => {
+        const timeZone = process.env.TZ;
+        try {
+            for (const zone of ['UTC', 'Pacific/Auckland', 'America/Los_Angeles']) {
+                process.env.TZ = zone;
+                assert.equal(getDailySeed(new Date(Date.UTC(2026, 2, 14, 23, 59, 59))), 20260314, zone);
+                assert.equal(getDailySeed(new Date(Date.UTC(2026, 2, 15, 0, 0, 0))), 20260315, zone);
+            }
+        } finally {
+            if (timeZone === undefined) delete process.env.TZ;
+            else process.env.TZ = timeZone;
+        }
+    });
+});
+
+describe('Entity.collidesWith', () => {
+    const sim = createSim();
+
+    test('overlapping circles collide', () => {
+        const a = new Entity(100, 100, 10, sim);
+        const b = new Entity(115, 100, 10, sim);
+        assert.equal(a.collidesWith(b), true);
+        assert.equal(b.collidesWith(a), true);
+    });
+
+    test('circles that only touch do not collide', () => {
+        const a = new Entity(100, 100, 10, sim);
+        const b = new Entity(120, 100, 10, sim);
+        assert.equal(a.collidesWith(b), false);
+    });
+
+    test('distance is measured diagonally', () => {
+        const a = new Entity(0, 0, 5, sim);
+        assert.equal(a.collidesWith(new Entity(6, 6, 5, sim)), true); // ~8.5 apart
+        assert.equal(a.collidesWith(new Entity(8, 8, 5, sim)), false); // ~11.3 apart
+    });
+});
+
+describe('Player movement', () => {
+    /**
+     * Distance the player covers in one second from the middle of a large area
+     */
+    function moveFor(input) {
+        const sim = createSim();
+        const player = sim.player;
+        player.x = 1000;
+        player.y = 1000;
+        Object.assign(player.input, input);
+        for (let i = 0; i < 1 / FIXED_STEP; i++) {
+            player.update(FIXED_STEP, 2000, 2000);
+        }
+        return { dx: player.x - 1000, dy: player.y - 1000 };
+    }
+
+    test('diagonal keys move at the same speed as straight ones', () => {
+        const { dx, dy } = moveFor({ up: true, right: true });
+        assert.ok(Math.abs(Math.hypot(dx, dy) - CONFIG.player.speed) < 1e-6);
+    });
+
+    test('the analog stick sets speed and direction', () => {
+        const { dx, dy } = moveFor({ moveX: 0.5, moveY: 0 });
+        assert.ok(Math.abs(dx - CONFIG.player.speed / 2) < 1e-6);
+        assert.equal(dy, 0);
+    });
+
+    test('the analog stick overrides the direction flags and tops out at full speed', () => {
+        const { dx, dy } = moveFor({ left: true, moveX: 1, moveY: 1 });
+        assert.ok(dx > 0);
+        assert.ok(Math.abs(Math.hypot(dx, dy) - CONFIG.player.speed) < 1e-6);
+    });
+});
+
+describe('Player.takeDamage', () => {
+    test('damage lowers health and starts an invincibility window', () => {
+        const sim = createSim();
+        const player = sim.player;
+
+        player.takeDamage(20);
+        assert.equal(player.health, CONFIG.player.maxHealth - 20);
+        assert.equal(player.isInvincible, true);
+
+        // Hits inside the window are ignored
+        player.takeDamage(20);
+        assert.equal(player.health, CONFIG.player.maxHealth - 20);
+    });
+
+    test('the window ends after invincibilityDuration', () => {
+        const sim = createSim();
+        const player = sim.player;
+
+        player.takeDamage(20);
+        runFor(sim, CONFIG.player.invincibilityDuration - 100);
+        player.takeDamage(20);
+        assert.equal(player.health, CONFIG.player.maxHealth - 20);
+
+        runFor(sim, 200);
+        assert.equal(player.isInvincible, false);
+        player.takeDamage(20);
+        assert.equal(player.health, CONFIG.player.maxHealth - 40);
+    });
+
+    test('an active shield blocks all damage', () => {
+        const sim = createSim();
+        sim.player.activatePowerup('shield');
+        sim.player.takeDamage(50);
+        assert.equal(sim.player.health, CONFIG.player.maxHealth);
+    });
+
+    test('health stops at zero and the player goes down', () => {
+        const sim = createSim();
+        const damaged = record(sim, 'playerDamaged');
+
+        sim.player.takeDamage(CONFIG.player.maxHealth + 50);
+        assert.equal(sim.player.health, 0);
+        assert.equal(sim.player.active, false);
+        assert.equal(damaged.length, 1);
+    });
+});
+
+describe('Player.activatePowerup', () => {
+    const expectations = {
+        rapid(sim) {
+            const { player } = sim;
+            assert.equal(player.powerups.rapid.active, true);
+            assert.equal(player.getPowerupTimeRemaining('rapid'), CONFIG.powerups.types.rapid.duration);
+
+            // Rapid fire divides the shot cooldown
+            assert.equal(player.canShoot(), true);
+            runFor(sim, CONFIG.player.shootCooldown / CONFIG.powerups.types.rapid.multiplier);
+            assert.equal(player.canShoot(), true);
+        },
+        shield(sim) {
+            assert.equal(sim.player.powerups.shield.active, true);
+            assert.equal(sim.player.getPowerupTimeRemaining('shield'), CONFIG.powerups.types.shield.duration);
+        },
+        damage(sim) {
+            assert.equal(sim.player.powerups.damage.active, true);
+            sim.shoot();
+            assert.equal(sim.bullets[0].damage, CONFIG.bullet.damage * CONFIG.powerups.types.damage.multiplier);
+        },
+        bomb(sim) {
+            assert.equal(sim.player.bombs, CONFIG.player.startBombs + 1);
+        },
+        life(sim) {
+            assert.equal(sim.player.health, 50 + CONFIG.powerups.types.life.heal);
+        },
+        upgrade(sim) {
+            assert.equal(sim.player.weaponLevel, 2);
+            sim.shoot();
+            assert.equal(sim.bullets.length, CONFIG.weapons.types.blaster.levels[1].shots.length);
+        },
+        weapon(sim) {
+            // Without a carried weapon the pickup cycles to the next one
+            assert.equal(sim.player.weapon, Object.keys(CONFIG.weapons.types)[1]);
+            assert.equal(sim.player.weaponLevel, 1);
+        },
+    };
+
+    test('every power-up type has an expectation', () => {
+        assert.deepEqual(Object.keys(expectations).sort(), Object.keys(CONFIG.powerups.types).sort());
+    });
+
+    for (const type of Object.keys(CONFIG.powerups.types)) {
+        test(`${type} takes effect and is reported`, () => {
+            const sim = createSim();
+            const collected = record(sim, 'powerupCollected');
+            sim.player.health = 50;
+
+            sim.player.activatePowerup(type);
+            expectations[type](sim);
+            assert.deepEqual(collected.map(e => e.type), [type]);
+        });
+    }
+
+    test('timed power-ups expire on game time', () => {
+        const sim = createSim();
+        const expired = record(sim, 'powerupExpired');
+
+        sim.player.activatePowerup('shield');
+        runFor(sim, CONFIG.powerups.types.shield.duration + 50);
+        assert.equal(sim.player.powerups.shield.active, false);
+        assert.deepEqual(expired.map(e => e.type), ['shield']);
+    });
+
+    test('healing never goes above max health', () => {
+        const sim = createSim();
+        sim.player.health = CONFIG.player.maxHealth - 5;
+        sim.player.activatePowerup('life');
+        assert.equal(sim.player.health, CONFIG.player.maxHealth);
+    });
+
+    test('unknown types are ignored', () => {
+        const sim = createSim();
+        const collected = record(sim, 'powerupCollected');
+        sim.player.activatePowerup('nope');
+        assert.equal(collected.length, 0);
+    });
+});
+
+describe('Player weapons', () => {
+    test('blaster levels add bullets', () => {
+        const sim = createSim();
+        const counts = CONFIG.weapons.types.blaster.levels.map((level, i) => {
+            sim.player.weaponLevel = i + 1;
+            sim.bullets = [];
+            sim.shoot();
+            return sim.bullets.length;
+        });
+        assert.deepEqual(counts, [1, 2, 3, 5]);
+    });
+
+    test('upgrades stop at the last level and are reported', () => {
+        const sim = createSim();
+        const changed = record(sim, 'weaponChanged');
+        const maxLevel = CONFIG.weapons.types.blaster.levels.length;
+
+        for (let i = 0; i < maxLevel + 2; i++) {
+            sim.player.activatePowerup('upgrade');
+        }
+        assert.equal(sim.player.weaponLevel, maxLevel);
+        assert.deepEqual(changed.map(e => e.level), [2, 3, 4]);
+        assert.ok(changed.every(e => e.reason === 'upgrade'));
+    });
+
+    test('taking damage drops a level, never below the first', () => {
+        const sim = createSim();
+        const changed = record(sim, 'weaponChanged');
+        sim.player.weaponLevel = 2;
+
+        sim.player.takeDamage(10);
+        assert.equal(sim.player.weaponLevel, 1);
+        sim.player.isInvincible = false;
+        sim.player.takeDamage(10);
+        assert.equal(sim.player.weaponLevel, 1);
+        assert.deepEqual(changed.map(e => e.reason), ['damage']);
+    });
+
+    test('the laser hits every enemy in its column and nothing beside it', () => {
+        const sim = createSim();
+        sim.player.weapon = 'laser';
+        const { x, y } = sim.player;
+        sim.enemies = [
+            new Enemy(x, y - 100, 'fighter', sim),
+            new Enemy(x + 5, y - 300, 'fighter', sim),
+            new Enemy(x + 150, y - 200, 'fighter', sim),
+            new Enemy(x, y + 80, 'fighter', sim), // Behind the player
+        ];
+        const health = CONFIG.enemies.types.fighter.health;
+
+        sim.shoot();
+        const damage = CONFIG.weapons.types.laser.levels[0].damage;
+        assert.deepEqual(sim.enemies.map(e => e.health), [health - damage, health - damage, health, health]);
+        assert.equal(sim.bullets.length, 0);
+        assert.ok(sim.player.beamUntil > sim.clock.now());
+    });
+
+    test('the laser scores on the boss', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+        sim.player.weapon = 'laser';
+        sim.player.x = boss.x;
+
+        sim.shoot();
+        assert.equal(boss.health, boss.maxHealth - CONFIG.weapons.types.laser.levels[0].damage * CONFIG.bosses.zones[0].multiplier);
+    });
+
+    test('missiles home on the nearest enemy', () => {
+        const sim = createSim();
+        sim.player.weapon = 'missile';
+        const far = new Enemy(50, 100, 'ace', sim);
+        const near = new Enemy(sim.player.x + 200, sim.player.y - 150, 'ace', sim);
+        sim.enemies = [far, near];
+
+        sim.shoot();
+        flyBullets(sim, 120);
+        assert.equal(near.active, false);
+        assert.equal(far.active, true);
+    });
+
+    test('wave cannon shots pass through, hitting each enemy once', () => {
+        const sim = createSim();
+        sim.player.weapon = 'wave';
+        const { x, y } = sim.player;
+        sim.enemies = [new Enemy(x, y - 100, 'fighter', sim), new Enemy(x, y - 200, 'fighter', sim)];
+
+        sim.shoot();
+        flyBullets(sim, 40);
+        const health = CONFIG.enemies.types.fighter.health - CONFIG.weapons.types.wave.levels[0].damage;
+        assert.deepEqual(sim.enemies.map(e => e.health), [health, health]);
+        assert.equal(sim.bullets[0].active, true);
+    });
+
+    test('weapon pickups carry another weapon and switch to it', () => {
+        const sim = createSim();
+        const changed = record(sim, 'weaponChanged');
+        sim.player.weaponLevel = 3;
+        const powerup = new PowerUp(sim.player.x, sim.player.y, 'weapon', sim);
+        assert.notEqual(powerup.weapon, 'blaster');
+        assert.equal(powerup.icon, CONFIG.weapons.types[powerup.weapon].icon);
+        sim.powerups = [powerup];
+
+        sim.checkCollisions();
+        assert.equal(sim.player.weapon, powerup.weapon);
+        assert.equal(sim.player.weaponLevel, 3);
+        assert.deepEqual(changed.map(e => e.reason), ['pickup']);
+    });
+
+    test('a weapon pickup of the weapon already in use levels it up', () => {
+        const sim = createSim();
+        const changed = record(sim, 'weaponChanged');
+        const powerup = new PowerUp(sim.player.x, sim.player.y, 'weapon', sim);
+        sim.player.setWeapon(powerup.weapon, 1, 'pickup');
+        sim.powerups = [powerup];
+
+        sim.checkCollisions();
+        assert.equal(sim.player.weapon, powerup.weapon);
+        assert.equal(sim.player.weaponLevel, 2);
+        assert.deepEqual(changed.map(e => e.reason), ['pickup', 'upgrade']);
+    });
+});
+
+describe('Charge shot', () => {
+    const { threshold, chargeTime } = CONFIG.chargeShot;
+
+    /**
+     * Run in charge shot mode with the player holding fire
+     */
+    function holdFire(sim, ms) {
+        sim.player.input.shooting = true;
+        runFor(sim, ms);
+    }
+
+    test('is off unless the run asks for it', () => {
+        const sim = createSim();
+        holdFire(sim, threshold + chargeTime);
+        assert.equal(sim.player.charging, false);
+        assert.equal(sim.player.charge, 0);
+    });
+
+    test('holding fire past the threshold stops autofire and charges', () => {
+        const sim = new Simulation(800, 600);
+        sim.reset(1, { chargeShot: true });
+        const started = record(sim, 'chargeStarted');
+        const full = record(sim, 'chargeFull');
+        const shots = record(sim, 'playerShoot');
+
+        holdFire(sim, threshold + chargeTime / 2);
+        assert.equal(sim.player.charging, true);
+        assert.ok(Math.abs(sim.player.charge - 0.5) < 0.05);
+        const autofired = shots.length;
+        assert.ok(autofired >= 1);
+
+        holdFire(sim, chargeTime);
+        assert.equal(sim.player.charge, 1);
+        assert.equal(shots.length, autofired);
+        assert.equal(started.length, 1);
+        assert.equal(full.length, 1);
+    });
+
+    test('releasing fires a shot scaled by the charge', () => {
+        const sim = new Simulation(800, 600);
+        sim.reset(1, { chargeShot: true });
+        const released = record(sim, 'chargeShot');
+
+        holdFire(sim, threshold + chargeTime + 100);
+        sim.bullets = [];
+        sim.player.input.shooting = false;
+        sim.step();
+
+        assert.deepEqual(released.map(e => e.charge), [1]);
+        assert.equal(sim.bullets.length, 1);
+        assert.equal(sim.bullets[0].damage, CONFIG.chargeShot.maxDamage);
+        assert.equal(sim.bullets[0].maxHits, CONFIG.chargeShot.maxPierce);
+        assert.equal(sim.player.charging, false);
+    });
+
+    test('quick taps autofire without charging', () => {
+        const sim = new Simulation(800, 600);
+        sim.reset(1, { chargeShot: true });
+        const released = record(sim, 'chargeShot');
+
+        holdFire(sim, threshold / 2);
+        sim.player.input.shooting = false;
+        sim.step();
+        assert.equal(released.length, 0);
+        assert.ok(sim.bullets.length >= 1);
+    });
+
+    test('the shot passes through enemies until its pierce runs out', () => {
+        const sim = createSim();
+        const { x, y } = sim.player;
+        sim.enemies = [1, 2, 3, 4].map(i => new Enemy(x, y - i * 60, 'bomber', sim));
+        const health = CONFIG.enemies.types.bomber.health;
+
+        sim.fireChargeShot(0);
+        flyBullets(sim, 40);
+        const hit = sim.enemies.filter(e => e.health < health);
+        assert.equal(hit.length, CONFIG.chargeShot.minPierce);
+        assert.equal(sim.bullets[0].active, false);
+    });
+});
+
+describe('Combo chain', () => {
+    const { step, window, maxMultiplier } = CONFIG.combo;
+
+    test('quick kills build a chain that raises the multiplier', () => {
+        const sim = createSim();
+        const changed = record(sim, 'multiplierChanged');
+
+        for (let i = 0; i < step; i++) {
+            sim.scoreKill(10);
+        }
+        assert.equal(sim.state.combo, step);
+        assert.equal(sim.state.multiplier, 2);
+        assert.equal(sim.state.score, (step - 1) * 10 + 10 * 2);
+        assert.deepEqual(changed.map(e => e.multiplier), [2]);
+    });
+
+    test('the multiplier is capped', () => {
+        const sim = createSim();
+        for (let i = 0; i < step * (maxMultiplier + 3); i++) {
+            sim.scoreKill(10);
+        }
+        assert.equal(sim.state.multiplier, maxMultiplier);
+    });
+
+    test('the chain times out without another kill', () => {
+        const sim = createSim();
+        const ended = record(sim, 'comboEnded');
+        for (let i = 0; i < step; i++) {
+            sim.scoreKill(10);
+        }
+
+        runFor(sim, window - 100);
+        assert.equal(sim.state.combo, step);
+        runFor(sim, 200);
+        assert.equal(sim.state.combo, 0);
+        assert.equal(sim.state.multiplier, 1);
+        assert.deepEqual(ended.map(e => [e.combo, e.reason]), [[step, 'timeout']]);
+    });
+
+    test('taking damage breaks the chain, but the best chain is kept', () => {
+        const sim = createSim();
+        const ended = record(sim, 'comboEnded');
+        sim.scoreKill(10);
+        sim.scoreKill(10);
+
+        sim.player.takeDamage(10);
+        assert.equal(sim.state.combo, 0);
+        assert.equal(sim.state.maxCombo, 2);
+        assert.deepEqual(ended.map(e => e.reason), ['damage']);
+    });
+
+    test('shielded hits leave the chain alone', () => {
+        const sim = createSim();
+        sim.scoreKill(10);
+        sim.player.activatePowerup('shield');
+        sim.player.takeDamage(10);
+        assert.equal(sim.state.combo, 1);
+    });
+
+    test('bullet and bomb kills both count', () => {
+        const sim = createSim();
+        const { x, y } = sim.player;
+        sim.enemies = [new Enemy(x, y - 100, 'ace', sim)];
+        sim.enemies[0].health = 1;
+        sim.shoot();
+        flyBullets(sim, 20);
+        assert.equal(sim.state.combo, 1);
+
+        sim.enemies = [1, 2, 3].map(i => new Enemy(i * 100, 100, 'fighter', sim));
+        sim.useBomb();
+        assert.equal(sim.state.combo, 4);
+    });
+});
+
+describe('Simulation.useBomb', () => {
+    test('destroys every enemy and enemy bullet, scoring each enemy', () => {
+        const sim = createSim();
+        sim.enemies = ['fighter', 'bomber', 'ace'].map((type, i) => new Enemy(100 + i * 100, 100, type, sim));
+        sim.enemyShoot(sim.enemies[0]);
+        const destroyed = record(sim, 'enemyDestroyed');
+
+        sim.useBomb();
+
+        const { fighter, bomber, ace } = CONFIG.enemies.types;
+        assert.equal(sim.state.score, fighter.score + bomber.score + ace.score);
+        assert.equal(sim.state.enemiesDefeated, 3);
+        assert.equal(sim.player.bombs, CONFIG.player.startBombs - 1);
+        assert.equal(sim.enemies.length, 0);
+        assert.equal(sim.enemyBullets.length, 0);
+        assert.deepEqual(destroyed.map(e => e.cause), ['bomb', 'bomb', 'bomb']);
+    });
+
+    test('does nothing without bombs', () => {
+        const sim = createSim();
+        sim.player.bombs = 0;
+        sim.enemies = [new Enemy(100, 100, 'fighter', sim)];
+
+        sim.useBomb();
+        assert.equal(sim.enemies.length, 1);
+        assert.equal(sim.state.score, 0);
+    });
+
+    test('a bomb press is used on the next tick', () => {
+        const sim = createSim();
+        const bombs = record(sim, 'bomb');
+
+        sim.player.input.bomb = true;
+        sim.step();
+        assert.equal(bombs.length, 1);
+        assert.equal(sim.player.input.bomb, false);
+    });
+});
+
+describe('Bullet', () => {
+    /**
+     * Enemy bullet heading right from the middle of the field
+     */
+    function createBullet(sim, speed, options) {
+        const bullet = new Bullet(400, 300, 0, speed, 10, true, sim, options);
+        sim.enemyBullets.push(bullet);
+        return bullet;
+    }
+
+    test('delayed bullets hang in place, then launch with a full lifetime', () => {
+        const sim = createSim();
+        const bullet = createBullet(sim, 100, { delay: 500 });
+
+        runFor(sim, 450);
+        assert.equal(bullet.x, 400);
+        assert.equal(bullet.isWaiting(), true);
+
+        runFor(sim, 100);
+        assert.equal(bullet.isWaiting(), false);
+        assert.ok(bullet.x > 400);
+
+        runFor(sim, CONFIG.enemyBullet.lifetime - 200);
+        assert.equal(bullet.active, true);
+        runFor(sim, 300);
+        assert.equal(bullet.active, false);
+    });
+
+    test('acceleration changes speed within its limits', () => {
+        const sim = createSim();
+        const faster = createBullet(sim, 100, { acceleration: 600, maxSpeed: 300 });
+        const slower = createBullet(sim, 300, { acceleration: -600, minSpeed: 60 });
+
+        sim.step();
+        assert.ok(Math.abs(faster.speed - (100 + 600 * FIXED_STEP)) < 1e-9);
+
+        runFor(sim, 1000);
+        assert.equal(faster.speed, 300);
+        assert.equal(slower.speed, 60);
+    });
+
+    test('angular velocity curves the flight', () => {
+        const sim = createSim();
+        const bullet = createBullet(sim, 100, { angularVelocity: Math.PI / 2 });
+
+        runFor(sim, 1000);
+        assert.ok(Math.abs(bullet.angle - Math.PI / 2) < 1e-9);
+        assert.ok(bullet.y > 300);
+    });
+
+    test('looks come from the options or the side defaults', () => {
+        const sim = createSim();
+        const plain = createBullet(sim, 100);
+        const custom = createBullet(sim, 100, { size: 9, shape: 'star', color: '#00ff00' });
+
+        assert.equal(plain.size, CONFIG.enemyBullet.size);
+        assert.equal(plain.shape, CONFIG.enemyBullet.shape);
+        assert.equal(custom.size, 9);
+        assert.equal(custom.shape, 'star');
+        assert.equal(custom.color, '#00ff00');
+    });
+});
+
+describe('Bullet patterns', () => {
+    /**
+     * Enemy straight above the player (who waits at 400, 500)
+     */
+    function createShooter(sim, type = 'fighter') {
+        const enemy = new Enemy(400, 100, type, sim, { type: 'dive' });
+        enemy.speed = 0;
+        enemy.shootChance = 0; // Only the shots fired by the test
+        sim.enemies.push(enemy);
+        sim.enemyBullets = [];
+        return enemy;
+    }
+
+    test('spreads fan out evenly around the player', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'spread', count: 5, arc: 1 });
+        const angles = sim.enemyBullets.map(b => b.angle);
+        assert.equal(angles.length, 5);
+        assert.equal(angles[2], Math.PI / 2);
+        assert.ok(Math.abs(angles[4] - angles[0] - 1) < 1e-9);
+    });
+
+    test('rings go all the way round and turn between shots', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'ring', count: 8, shots: 2, interval: 100, turn: 0.2 });
+        const first = sim.enemyBullets.map(b => b.angle);
+        assert.equal(first.length, 8);
+        assert.ok(Math.abs(first[1] - first[0] - Math.PI / 4) < 1e-9);
+
+        runFor(sim, 100);
+        const second = sim.enemyBullets.slice(8).map(b => b.angle);
+        assert.equal(second.length, 8);
+        assert.ok(Math.abs(second[0] - first[0] - 0.2) < 1e-9);
+    });
+
+    test('spirals wind each arm round by the turn per shot', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'spiral', arms: 2, turn: 0.3, shots: 4, interval: 50 });
+        runFor(sim, 200);
+
+        const angles = sim.enemyBullets.map(b => b.angle);
+        assert.equal(angles.length, 8);
+        assert.ok(Math.abs(angles[1] - angles[0] - Math.PI) < 1e-9);
+        assert.ok(Math.abs(angles[6] - angles[0] - 0.9) < 1e-9);
+    });
+
+    test('multi-shot patterns fire one shot per interval, then finish', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'aimed', shots: 3, interval: 200 });
+        assert.equal(sim.enemyBullets.length, 1);
+
+        runFor(sim, 150);
+        assert.equal(sim.enemyBullets.length, 1);
+        runFor(sim, 300);
+        assert.equal(sim.enemyBullets.length, 3);
+        assert.deepEqual(enemy.emitters, []);
+    });
+
+    test('bullet options reach every bullet of the pattern', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'ring', count: 4, bullet: { speed: 90, delay: 300, shape: 'ring', damage: 5 } });
+        assert.ok(sim.enemyBullets.every(b => b.speed === 90 && b.delay === 300 && b.shape === 'ring' && b.damage === 5));
+    });
+
+    test('each enemy type fires the pattern set in CONFIG', () => {
+        for (const [type, config] of Object.entries(CONFIG.enemies.types)) {
+            const sim = createSim();
+            const enemy = createShooter(sim, type);
+            const pattern = resolvePattern(config.pattern);
+            const perShot = BULLET_PATTERNS[pattern.type].angles(pattern, 0, 0).length;
+
+            sim.enemyShoot(enemy);
+            runFor(sim, pattern.shots * pattern.interval);
+            assert.equal(sim.enemyBullets.length, perShot * pattern.shots, type);
+        }
+    });
+
+    test('patterns stop when the shooter is gone', () => {
+        const sim = createSim();
+        const enemy = createShooter(sim);
+
+        sim.firePattern(enemy, { type: 'aimed', shots: 5, interval: 100 });
+        sim.enemies = [];
+        runFor(sim, 500);
+        assert.equal(sim.enemyBullets.length, 1);
+    });
+});
+
+describe('Enemy behaviors', () => {
+    /**
+     * Put an enemy into the run (the player waits at 400, 500)
+     */
+    function spawnEnemy(sim, type, behavior, x = 400, y = -20) {
+        const enemy = new Enemy(x, y, type, sim, behavior);
+        sim.enemies.push(enemy);
+        return enemy;
+    }
+
+    /**
+     * Step until the enemy's behavior reaches a stage
+     */
+    function runUntilStage(sim, enemy, stage) {
+        for (let i = 0; i < 1000 && enemy.behavior.stage !== stage; i++) {
+            sim.step();
+        }
+        assert.equal(enemy.behavior.stage, stage);
+    }
+
+    test('each type moves the way CONFIG says unless a wave sets a behavior', () => {
+        const sim = createSim();
+        for (const [type, config] of Object.entries(CONFIG.enemies.types)) {
+            assert.equal(new Enemy(100, 0, type, sim).behavior.type, config.behavior.type);
+            assert.ok(ENEMY_BEHAVIORS[config.behavior.type], type);
+        }
+        assert.equal(new Enemy(100, 0, 'bomber', sim, { type: 'dive' }).behavior.type, 'dive');
+    });
+
+    test('homing enemies turn toward the player no faster than their turn rate', () => {
+        const sim = createSim();
+        const ace = spawnEnemy(sim, 'ace', { type: 'homing' }, 100, 0);
+        const turnRate = ENEMY_BEHAVIORS.homing.defaults.turnRate;
+
+        sim.step();
+        assert.ok(ace.heading < Math.PI / 2); // Turning right, toward the player
+        assert.ok(Math.PI / 2 - ace.heading <= turnRate * FIXED_STEP + 1e-9);
+
+        runFor(sim, 1000);
+        assert.ok(ace.x > 160);
+    });
+
+    test('hovering bombers stop at their line, carpet-fire, then leave off the side', () => {
+        const sim = createSim();
+        const bomber = spawnEnemy(sim, 'bomber', { type: 'hover', y: 0.25, duration: 2000 }, 200);
+        const settings = bomber.behavior;
+
+        runUntilStage(sim, bomber, 'hold');
+        assert.ok(Math.abs(bomber.y - 150) < 2);
+
+        sim.enemyBullets = [];
+        runFor(sim, 1000);
+        const straightDown = sim.enemyBullets.filter(b => b.angle === Math.PI / 2);
+        assert.equal(straightDown.length, Math.floor(1000 / settings.fireInterval) + 1);
+        assert.ok(Math.abs(bomber.y - 150) < 2);
+
+        runUntilStage(sim, bomber, 'leave');
+        assert.equal(bomber.heading, Math.PI); // Nearer side is the left
+        runFor(sim, 5000);
+        assert.equal(sim.enemies.includes(bomber), false);
+    });
+
+    test('strafing enemies shadow the player at their own speed', () => {
+        const sim = createSim();
+        const ace = spawnEnemy(sim, 'ace', { type: 'strafe' });
+        runUntilStage(sim, ace, 'hold');
+
+        sim.player.x = 700;
+        runFor(sim, 500);
+        assert.ok(Math.abs(ace.x - (400 + ace.speed * 0.5)) < ace.speed * FIXED_STEP);
+
+        runFor(sim, 1000);
+        assert.equal(ace.x, 700);
+    });
+
+    test('kamikazes lock on after aiming, then dive at high speed', () => {
+        const sim = createSim();
+        const fighter = spawnEnemy(sim, 'fighter', { type: 'kamikaze' }, 100);
+        const settings = ENEMY_BEHAVIORS.kamikaze.defaults;
+
+        runUntilStage(sim, fighter, 'dive');
+        const aim = Math.atan2(sim.player.y - fighter.y, sim.player.x - fighter.x);
+        assert.ok(Math.abs(fighter.heading - aim) < 0.01);
+
+        // The dive line is fixed once the aim is done
+        sim.player.x = 700;
+        const { x, y } = fighter;
+        sim.step();
+        assert.ok(Math.abs(fighter.heading - aim) < 0.01);
+        const moved = Math.sqrt((fighter.x - x) ** 2 + (fighter.y - y) ** 2);
+        assert.ok(Math.abs(moved - fighter.speed * settings.diveSpeed * FIXED_STEP) < 1e-6);
+    });
+
+    test('bezier paths end on their last point and fly on along it', () => {
+        const sim = createSim();
+        const fighter = spawnEnemy(sim, 'fighter', { type: 'bezier', points: [[0.25, 0.25], [0.75, 0.25], [0.5, 0.5]], duration: 1000 });
+
+        runUntilStage(sim, fighter, 'leave');
+        assert.ok(Math.abs(fighter.x - 400) < 0.5);
+        assert.ok(Math.abs(fighter.y - 300) < 0.5);
+        assert.ok(Math.abs(fighter.heading - Math.atan2(150, -200)) < 1e-6);
+
+        sim.step();
+        assert.ok(fighter.x < 400 && fighter.y > 300);
+    });
+
+    test('spline paths pass through every point', () => {
+        const sim = createSim();
+        const points = [[0.25, 0.3], [0.75, 0.3], [0.5, 0.6]];
+        const fighter = spawnEnemy(sim, 'fighter', { type: 'spline', points });
+        const closest = points.map(() => Infinity);
+
+        while (fighter.behavior.stage === 'enter') {
+            sim.step();
+            points.forEach(([x, y], i) => {
+                const distance = Math.sqrt((fighter.x - x * 800) ** 2 + (fighter.y - y * 600) ** 2);
+                closest[i] = Math.min(closest[i], distance);
+            });
+        }
+        assert.ok(closest.every(distance => distance < 1e-6), closest.join());
+    });
+});
+
+describe('loadWaveScript', () => {
+    test('the bundled Area scripts are valid JSON scripts', () => {
+        for (const script of WAVE_SCRIPTS) {
+            const loaded = loadWaveScript(JSON.stringify(script));
+            assert.equal(loaded.waves.length, script.waves.length, script.name);
+        }
+    });
+
+    test('fills in defaults for anything left out', () => {
+        const script = loadWaveScript({ waves: [{ groups: [{ type: 'ace' }] }] });
+        const group = script.waves[0].groups[0];
+
+        assert.equal(script.then, 'endless');
+        assert.equal(script.waves[0].next, 'cleared');
+        assert.equal(group.count, 1);
+        assert.equal(group.formation, 'column');
+        assert.equal(group.behavior, null); // Moves the way its type does
+        assert.equal(group.spacing, CONFIG.waves.spacing);
+    });
+
+    test('rejects scripts it cannot play, naming the problem', () => {
+        const wave = group => JSON.stringify({ waves: [{ groups: [group] }] });
+
+        assert.throws(() => loadWaveScript('{"waves": []}'), /non-empty "waves"/);
+        assert.throws(() => loadWaveScript(wave({ type: 'zeppelin' })), /group 1: unknown enemy type "zeppelin"/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', formation: 'box' })), /unknown formation/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', behavior: { type: 'zigzag' } })), /unknown behavior "zigzag"/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', behavior: { type: 'hover', height: 2 } })), /unknown hover setting "height"/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', behavior: { type: 'bezier', points: [[0, 1]] } })), /exactly 3 points/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', behavior: { type: 'spline', points: [0.5] } })), /\[x, y\] pairs/);
+        assert.throws(() => loadWaveScript(wave({ type: 'ace', count: -2 })), /non-negative number/);
+        assert.throws(() => loadWaveScript({ waves: [{ next: 'timer', groups: [{ type: 'ace' }] }] }), /duration/);
+        assert.throws(() => loadWaveScript('not json'), SyntaxError);
+    });
+});
+
+describe('WaveDirector', () => {
+    /**
+     * Run on the given scripts, one per Area
+     */
+    function createScriptedSim(...scripts) {
+        const sim = new Simulation(800, 600, scripts);
+        sim.reset(1);
+        return sim;
+    }
+
+    test('V formations spawn with the leader out in front', () => {
+        const sim = createScriptedSim({ waves: [{ groups: [{ type: 'fighter', count: 5, formation: 'v', x: 0.5, spacing: 40, behavior: { type: 'dive' } }] }] });
+        sim.step();
+
+        const [leader, ...wingmen] = sim.enemies;
+        assert.equal(sim.enemies.length, 5);
+        assert.equal(leader.x, 400);
+        assert.ok(wingmen.every(e => e.y < leader.y));
+
+        // Wingmen pair up either side of the leader
+        assert.equal(wingmen[0].x - 400, 400 - wingmen[1].x);
+        assert.equal(wingmen[0].y, wingmen[1].y);
+        assert.ok(wingmen[2].y < wingmen[0].y);
+    });
+
+    test('"cleared" waves wait for every enemy to be gone', () => {
+        const sim = createScriptedSim({
+            waves: [
+                { groups: [{ type: 'fighter', count: 2, formation: 'line' }] },
+                { delay: 500, groups: [{ type: 'ace', count: 3 }] },
+            ],
+        });
+        const waves = record(sim, 'waveStarted');
+
+        runFor(sim, 3000);
+        assert.equal(waves.length, 1);
+
+        sim.enemies = [];
+        runFor(sim, 400);
+        assert.equal(waves.length, 1);
+        runFor(sim, 200);
+        assert.deepEqual(waves.map(e => e.wave), [1, 2]);
+    });
+
+    test('"timer" waves hand over after their duration, even with enemies left', () => {
+        const sim = createScriptedSim({
+            waves: [
+                { next: 'timer', duration: 1000, groups: [{ type: 'bomber' }] },
+                { groups: [{ type: 'ace', count: 2, interval: 200 }] },
+            ],
+        });
+
+        runFor(sim, 1100);
+        assert.equal(sim.enemies.length, 2);
+        runFor(sim, 200);
+        assert.equal(sim.enemies.length, 3);
+    });
+
+    test('finished scripts fall back to the endless spawner', () => {
+        const sim = createScriptedSim({ waves: [{ groups: [{ type: 'ace' }] }] });
+        sim.step();
+        sim.enemies = [];
+        runFor(sim, 100);
+        assert.equal(sim.waves.finished, true);
+
+        runFor(sim, CONFIG.enemies.spawnRate + 100);
+        assert.equal(sim.enemies.length, 1);
+    });
+
+    test('looping scripts start over instead', () => {
+        const sim = createScriptedSim({ then: 'loop', waves: [{ groups: [{ type: 'ace' }] }] });
+        const waves = record(sim, 'waveStarted');
+
+        // One tick starts the wave, the next sees it cleared and queues it again
+        for (let i = 0; i < 6; i++) {
+            sim.step();
+            sim.enemies = [];
+        }
+        assert.equal(sim.waves.finished, false);
+        assert.equal(waves.length, 3);
+    });
+
+    test('each Area plays its own script, and later Areas go endless', () => {
+        const sim = createScriptedSim(
+            { name: 'one', waves: [{ groups: [{ type: 'ace' }] }] },
+            { name: 'two', waves: [{ groups: [{ type: 'ace' }] }] }
+        );
+        const waves = record(sim, 'waveStarted');
+        sim.step();
+
+        sim.completeTransition();
+        runFor(sim, 2100);
+        assert.deepEqual(waves.map(e => [e.level, e.name]), [[1, 'one'], [2, 'two']]);
+
+        sim.completeTransition();
+        assert.equal(sim.waves.finished, true);
+    });
+
+    test('scripts hold still while the boss fights', () => {
+        const sim = createScriptedSim({ waves: [{ delay: 1000, groups: [{ type: 'ace' }] }] });
+        sim.boss = new Boss(400, 1, sim);
+        runFor(sim, 2000);
+        assert.equal(sim.waves.time, 0);
+
+        sim.boss = null;
+        runFor(sim, 1100);
+        assert.equal(sim.enemies.length, 1);
+    });
+
+    test('sweeps cross the screen and leave off the far side', () => {
+        const sim = createScriptedSim({ waves: [{ groups: [{ type: 'ace', behavior: { type: 'sweep', from: 'right', y: 0.25 } }] }] });
+        sim.step();
+
+        const [ace] = sim.enemies;
+        assert.ok(ace.x > 800);
+        assert.ok(Math.abs(ace.y - 150) < 1);
+
+        runFor(sim, 1000);
+        assert.ok(ace.x < 800 && ace.y > 150);
+        assert.ok(Math.abs(Math.cos(ace.heading) + 1) < 0.01); // Flying left
+
+        runFor(sim, 3000);
+        assert.equal(sim.enemies.includes(ace), false);
+    });
+
+    test('circling enemies loop back round and carry on down', () => {
+        const sim = createScriptedSim({ waves: [{ groups: [{ type: 'fighter', x: 0.25, behavior: { type: 'circle', y: 0.3, radius: 60 } }] }] });
+        sim.step();
+
+        const [fighter] = sim.enemies;
+        let furthestX = fighter.x;
+        while (fighter.behavior.turned < Math.PI * 2) {
+            sim.step();
+            furthestX = Math.max(furthestX, fighter.x);
+        }
+
+        // Left-hand planes loop toward the middle and end where the loop began
+        assert.ok(fighter.behavior.centerY >= 180);
+        assert.ok(Math.abs(furthestX - 320) < 1);
+        assert.ok(Math.abs(fighter.x - 200) < 1e-6);
+        assert.ok(Math.abs(fighter.y - fighter.behavior.centerY) < 1e-6);
+
+        const y = fighter.y;
+        sim.step();
+        assert.ok(Math.abs(fighter.x - 200) < 1e-6);
+        assert.ok(fighter.y > y);
+    });
+});
+
+describe('Simulation.spawnBoss', () => {
+    for (const level of [1, 2, 3, 4]) {
+        const threshold = 50 + (level - 1) * 100;
+
+        test(`Area ${level} boss arrives at ${threshold} points`, () => {
+            const sim = createSim();
+            sim.state.currentLevel = level;
+
+            sim.state.score = threshold - 1;
+            sim.spawnBoss();
+            assert.equal(sim.boss, null);
+
+            sim.state.score = threshold;
+            sim.spawnBoss();
+            assert.ok(sim.boss);
+            assert.equal(sim.boss.name, CONFIG.bosses.types[level - 1].name);
+            assert.equal(sim.state.bossSpawned, true);
+        });
+    }
+
+    test('Areas past the last boss type get a tougher repeat', () => {
+        const sim = createSim();
+        const last = CONFIG.bosses.types[CONFIG.bosses.types.length - 1];
+        sim.state.currentLevel = CONFIG.bosses.types.length + 2;
+        sim.state.score = 10000;
+
+        sim.spawnBoss();
+        assert.equal(sim.boss.name, last.name);
+        assert.equal(sim.boss.maxHealth, Math.round(last.health * (1 + 2 * CONFIG.bosses.healthGrowth)));
+    });
+
+    test('one boss per Area, and regular enemies hold off while it fights', () => {
+        const sim = createSim();
+        const spawned = record(sim, 'bossSpawned');
+        sim.state.score = 50;
+
+        sim.spawnBoss();
+        sim.boss = null;
+        sim.spawnBoss();
+        assert.equal(spawned.length, 1);
+
+        sim.boss = new Boss(400, 1, sim);
+        sim.spawnEnemies(sim.clock.now() + 60000);
+        assert.equal(sim.enemies.length, 0);
+    });
+});
+
+describe('Boss', () => {
+    // Points on each zone in boss sizes; the hull point sits clear of the core
+    const ZONE_POINTS = {
+        core: [0, 0.15],
+        leftWing: [-0.9, -0.1],
+        hull: [0, -0.5],
+    };
+
+    /**
+     * Player bullet placed on a boss hit zone
+     */
+    function bulletOnZone(sim, boss, name) {
+        const [x, y] = ZONE_POINTS[name];
+        sim.shoot();
+        const bullet = sim.bullets.pop();
+        bullet.x = boss.x + x * boss.size;
+        bullet.y = boss.y + y * boss.size;
+        return bullet;
+    }
+
+    test('cannot be hurt while flying in', () => {
+        const sim = createSim();
+        sim.state.score = 50;
+        sim.spawnBoss();
+
+        assert.equal(sim.boss.takeDamage(100), false);
+        assert.equal(sim.boss.health, sim.boss.maxHealth);
+    });
+
+    test('hit zones scale bullet damage', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+        const damage = CONFIG.bullet.damage;
+
+        for (const name of ['core', 'leftWing', 'hull']) {
+            const zone = boss.zones.find(z => z.name === name);
+            const before = boss.health;
+            sim.bullets = [bulletOnZone(sim, boss, name)];
+            sim.checkCollisions();
+            assert.equal(before - boss.health, damage * zone.multiplier, name);
+            assert.equal(sim.bullets[0].active, false);
+        }
+    });
+
+    test('phases change at their health thresholds', () => {
+        const sim = createSim(3);
+        sim.state.currentLevel = 2;
+        const boss = arriveBoss(sim);
+        const phases = record(sim, 'bossPhase');
+
+        boss.takeDamage(boss.maxHealth * (1 - boss.phases[1].at) - 1);
+        assert.equal(boss.phase, 0);
+
+        boss.takeDamage(1);
+        assert.equal(boss.phase, 1);
+
+        // A big hit can skip straight through several phases
+        boss.takeDamage(boss.health - 1);
+        assert.equal(boss.phase, boss.phases.length - 1);
+        assert.deepEqual(phases.map(e => e.phase), [1, 2]);
+    });
+
+    test('patterns fire from the boss guns at boss bullet speed', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+
+        sim.enemyBullets = [];
+        sim.firePattern(boss, { type: 'spread', count: 5, arc: 1 });
+        assert.equal(sim.enemyBullets.length, 5);
+
+        // The middle bullet of an odd spread heads straight for the player
+        const middle = sim.enemyBullets[2];
+        assert.equal(middle.y, boss.y + boss.size * 0.6);
+        assert.equal(middle.speed, CONFIG.bosses.bulletSpeed);
+        assert.ok(Math.abs(middle.angle - Math.atan2(sim.player.y - middle.y, sim.player.x - boss.x)) < 1e-9);
+    });
+
+    test('a new phase cancels patterns still firing', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+
+        sim.firePattern(boss, { type: 'spiral', shots: 30 });
+        boss.takeDamage(boss.maxHealth * (1 - boss.phases[1].at));
+        assert.equal(boss.phase, 1);
+        assert.deepEqual(boss.emitters, []);
+    });
+
+    test('the attack script cycles through the phase patterns', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+        const attacks = record(sim, 'bossAttack');
+        const phase = boss.phases[0];
+
+        runFor(sim, CONFIG.bosses.attackDelay + phase.cooldown * 2.5);
+        assert.deepEqual(attacks.map(e => e.pattern), [phase.patterns[0], phase.patterns[1], phase.patterns[0]]);
+    });
+
+    test('bombs take a fixed chunk of boss health', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+
+        sim.useBomb();
+        assert.equal(boss.health, boss.maxHealth - CONFIG.bosses.bombDamage);
+        assert.equal(sim.boss, boss);
+    });
+
+    test('destroying the boss scores it and opens the portals', () => {
+        const sim = createSim();
+        const boss = arriveBoss(sim);
+        const defeated = record(sim, 'bossDefeated');
+        const score = sim.state.score;
+
+        boss.health = 1;
+        sim.bullets = [bulletOnZone(sim, boss, 'core')];
+        sim.checkCollisions();
+
+        assert.equal(sim.boss, null);
+        assert.equal(sim.state.bossDefeated, true);
+        assert.equal(sim.state.score, score + boss.score);
+        assert.equal(defeated.length, 1);
+
+        sim.step();
+        assert.ok(sim.blackHole);
+    });
+});
+
+describe('Simulation.spawnPortals', () => {
+    test('portals stay closed until the Area boss is destroyed', () => {
+        const sim = createSim();
+        sim.state.score = 500;
+        sim.spawnBoss();
+
+        sim.spawnPortals();
+        assert.equal(sim.blackHole, null);
+        assert.equal(sim.whiteHole, null);
+
+        defeatBoss(sim);
+        sim.spawnPortals();
+        assert.ok(sim.blackHole);
+        assert.ok(sim.whiteHole);
+        assert.equal(sim.state.portalsSpawned, true);
+    });
+
+    test('portals open only once per Area', () => {
+        const sim = createSim();
+        const spawned = record(sim, 'portalsSpawned');
+        sim.state.bossDefeated = true;
+
+        sim.spawnPortals();
+        sim.whiteHole = null;
+        sim.spawnPortals();
+        assert.equal(spawned.length, 1);
+        assert.equal(sim.whiteHole, null);
+    });
+
+    test('portals stay inside the play area', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const sim = createSim(seed);
+            sim.state.bossDefeated = true;
+            sim.spawnPortals();
+
+            for (const portal of [sim.blackHole, sim.whiteHole]) {
+                assert.ok(portal.x >= 100 && portal.x <= sim.width - 100);
+                assert.ok(portal.y >= 120 && portal.y <= 120 + sim.height * 0.3);
+            }
+        }
+    });
+});
+
+describe('Black Hole transition', () => {
+    test('completeTransition moves to the next Area with a clean field', () => {
+        const sim = createSim();
+        const levels = record(sim, 'levelChanged');
+        const messages = record(sim, 'message');
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        sim.enemies = [new Enemy(100, 100, 'fighter', sim)];
+
+        sim.enterBlackHole();
+        assert.equal(sim.state.inTransition, true);
+        assert.equal(sim.blackHole, null);
+        assert.equal(sim.whiteHole, null);
+
+        sim.completeTransition();
+        assert.equal(sim.state.currentLevel, 2);
+        assert.equal(sim.state.portalsSpawned, false);
+        assert.equal(sim.state.bossSpawned, false);
+        assert.equal(sim.state.bossDefeated, false);
+        assert.equal(sim.state.difficultyLevel, 2);
+        assert.equal(sim.enemies.length, 0);
+        assert.deepEqual(levels.map(e => e.level), [2]);
+        assert.match(messages[0].text, /AREA 2/);
+
+        // Enemies hold off for two seconds in the new Area
+        assert.equal(sim.lastEnemySpawn, sim.clock.now() + 2000);
+    });
+
+    test('flying into the Black Hole fades out, changes Area and fades back in', () => {
+        const sim = createSim();
+        sim.state.bossSpawned = true;
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        sim.whiteHole = null;
+        sim.blackHole.x = sim.player.x;
+        sim.blackHole.y = sim.player.y;
+
+        sim.step();
+        assert.equal(sim.state.inTransition, true);
+
+        // About 0.83s to fade out and the same to fade back in
+        runFor(sim, 900);
+        assert.equal(sim.state.currentLevel, 2);
+        assert.equal(sim.state.inTransition, true);
+
+        runFor(sim, 900);
+        assert.equal(sim.state.inTransition, false);
+        assert.equal(sim.transitionAlpha, 0);
+    });
+});
+
+describe('White Hole', () => {
+    test('resets the score and leaves the Black Hole open', () => {
+        const sim = createSim();
+        const messages = record(sim, 'message');
+        sim.state.score = 120;
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        const blackHole = sim.blackHole;
+
+        sim.enterWhiteHole();
+        assert.equal(sim.state.score, 0);
+        assert.equal(sim.whiteHole, null);
+        assert.equal(sim.blackHole, blackHole);
+        assert.match(messages[0].text, /SCORE RESET/);
+    });
+});
+
+describe('Area map', () => {
+    /**
+     * Fresh run on the Area map
+     */
+    function createMapSim(seed = 1) {
+        const sim = new Simulation(800, 600, WAVE_SCRIPTS, AREA_MAP);
+        sim.reset(seed);
+        return sim;
+    }
+
+    /**
+     * Defeat the boss and fly into one of the portals
+     */
+    function enterPortal(sim, portal) {
+        sim.state.bossSpawned = true;
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        const other = portal === 'blackHole' ? 'whiteHole' : 'blackHole';
+        if (sim[other]) sim[other].x = -1000;
+        sim[portal].x = sim.player.x;
+        sim[portal].y = sim.player.y;
+        sim.step();
+    }
+
+    test('runs start in the first sector with its wave script', () => {
+        const sim = createMapSim();
+        assert.equal(sim.state.sector, 'open-skies');
+        assert.deepEqual(sim.state.route, ['open-skies']);
+        assert.equal(sim.waves.script.name, 'Open Skies');
+    });
+
+    test('the White Hole leads into the side branch after the map screen', () => {
+        const sim = createMapSim();
+        const sectors = record(sim, 'sectorEntered');
+        const levels = record(sim, 'levelChanged');
+        const messages = record(sim, 'message');
+        sim.state.score = 120;
+
+        enterPortal(sim, 'whiteHole');
+        assert.equal(sim.state.nextSector, 'cloud-sea');
+        assert.equal(sim.state.score, 120);
+
+        // Faded out: the map is up and the game clock waits
+        runFor(sim, 900);
+        assert.equal(sim.isShowingAreaMap(), true);
+        assert.equal(sim.state.currentLevel, 1);
+        const now = sim.clock.now();
+        runFor(sim, 500);
+        assert.equal(sim.clock.now(), now);
+
+        runFor(sim, CONFIG.areaMap.showTime);
+        assert.equal(sim.isShowingAreaMap(), false);
+        assert.equal(sim.state.currentLevel, 2);
+        assert.equal(sim.state.sector, 'cloud-sea');
+        assert.deepEqual(sim.state.route, ['open-skies', 'cloud-sea']);
+        assert.deepEqual(sectors, [{ sector: 'cloud-sea', level: 2 }]);
+        assert.deepEqual(levels, [{ level: 2, theme: 'aurora' }]);
+        assert.match(messages[messages.length - 1].text, /AREA 2: CLOUD SEA/);
+
+        // Side branches play on the random spawner
+        assert.equal(sim.waves.finished, true);
+    });
+
+    test('the Black Hole follows the main line', () => {
+        const sim = createMapSim();
+        enterPortal(sim, 'blackHole');
+        runFor(sim, 900 + CONFIG.areaMap.showTime);
+
+        assert.equal(sim.state.sector, 'crosswinds');
+        assert.equal(sim.waves.script.name, 'Crosswinds');
+    });
+
+    test('sector modifiers scale enemy health and score', () => {
+        const sim = createMapSim();
+        sim.state.sector = 'ace-gauntlet';
+
+        assert.equal(new Enemy(100, 100, 'fighter', sim).health, Math.round(CONFIG.enemies.types.fighter.health * 1.2));
+        sim.scoreKill(15);
+        assert.equal(sim.state.score, 30);
+    });
+
+    test('the random spawner follows the sector\'s enemy mix', () => {
+        const sim = createMapSim();
+        sim.state.sector = 'ace-gauntlet';
+        sim.loadWaves();
+
+        for (let i = 0; i < 200; i++) {
+            sim.lastEnemySpawn = -Infinity;
+            sim.spawnEnemies(sim.clock.now());
+        }
+        const aces = sim.enemies.filter(enemy => enemy.type === 'ace').length;
+        assert.ok(aces > 140, `${aces} of 200 were aces`);
+    });
+
+    test('the end of the map only opens a Black Hole, into Areas without sectors', () => {
+        const sim = createMapSim();
+        sim.state.sector = 'warlords-reach';
+        const route = [...sim.state.route];
+
+        enterPortal(sim, 'blackHole');
+        assert.equal(sim.whiteHole, null);
+        runFor(sim, 900);
+        assert.equal(sim.state.currentLevel, 2);
+        assert.equal(sim.state.sector, null);
+        assert.deepEqual(sim.state.route, route);
+
+        // Past the end neither
+        runFor(sim, 900);
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        assert.ok(sim.blackHole);
+        assert.equal(sim.whiteHole, null);
+    });
+});
+
+describe('Co-op', () => {
+    /**
+     * Fresh co-op run; player 1 cannot be hurt so only the test decides who goes down
+     */
+    function createCoopSim(coopScore = 'shared') {
+        const sim = new Simulation(800, 600);
+        sim.reset(1, { coop: true, coopScore });
+        sim.player.isInvincible = true;
+        sim.player.invincibleUntil = Infinity;
+        return sim;
+    }
+
+    test('two planes start side by side, each with their own bombs', () => {
+        const sim = createCoopSim();
+        const [one, two] = sim.players;
+        assert.equal(sim.player, one);
+        assert.deepEqual([one.index, two.index], [0, 1]);
+        assert.ok(one.x < two.x);
+        assert.equal(two.bombs, CONFIG.player.startBombs);
+
+        two.input.bomb = true;
+        sim.step();
+        assert.equal(two.bombs, CONFIG.player.startBombs - 1);
+        assert.equal(one.bombs, CONFIG.player.startBombs);
+    });
+
+    test('the run goes on while one plane is down', () => {
+        const sim = createCoopSim();
+        const downed = record(sim, 'playerDowned');
+        const gameOver = record(sim, 'gameOver');
+
+        sim.players[1].takeDamage(CONFIG.player.maxHealth);
+        sim.step();
+        assert.equal(downed.length, 1);
+        assert.equal(gameOver.length, 0);
+
+        sim.player.isInvincible = false;
+        sim.player.takeDamage(CONFIG.player.maxHealth);
+        sim.step();
+        assert.equal(gameOver.length, 1);
+    });
+
+    test('a partner staying close revives a downed plane', () => {
+        const sim = createCoopSim();
+        const revived = record(sim, 'playerRevived');
+        const partner = sim.players[1];
+        partner.takeDamage(CONFIG.player.maxHealth);
+
+        // Far away nothing happens
+        runFor(sim, CONFIG.coop.reviveTime + 500);
+        assert.equal(partner.active, false);
+        assert.equal(partner.reviveProgress, 0);
+
+        sim.player.x = partner.x - CONFIG.coop.reviveRadius / 2;
+        sim.player.y = partner.y;
+        runFor(sim, CONFIG.coop.reviveTime + 100);
+        assert.equal(partner.active, true);
+        assert.equal(partner.health, CONFIG.coop.reviveHealth);
+        assert.equal(partner.isInvincible, true);
+        assert.deepEqual(revived.map(e => e.player), [partner]);
+    });
+
+    test('weapon pickups carry a weapon neither plane is using', () => {
+        const sim = createCoopSim();
+        const partner = sim.players[1];
+        partner.setWeapon('laser', partner.weaponLevel, 'pickup');
+
+        for (let i = 0; i < 20; i++) {
+            const powerup = new PowerUp(partner.x, partner.y, 'weapon', sim);
+            assert.ok(!['blaster', 'laser'].includes(powerup.weapon), powerup.weapon);
+            assert.equal(powerup.icon, CONFIG.weapons.types[powerup.weapon].icon);
+        }
+    });
+
+    test('portals only take both planes together', () => {
+        const sim = createCoopSim();
+        const messages = record(sim, 'message');
+        sim.state.bossSpawned = true;
+        sim.state.bossDefeated = true;
+        sim.spawnPortals();
+        sim.whiteHole = null;
+        sim.blackHole.x = sim.player.x;
+        sim.blackHole.y = sim.player.y;
+
+        sim.step();
+        assert.equal(sim.state.inTransition, false);
+        assert.ok(messages.some(e => /BOTH PLANES/.test(e.text)));
+
+        const partner = sim.players[1];
+        partner.x = sim.player.x;
+        partner.y = sim.player.y;
+        sim.step();
+        assert.equal(sim.state.inTransition, true);
+    });
+
+    test('a plane flies through a portal alone while its partner is down', () => {
+        for (const downed of [0, 1]) {
+            const sim = createCoopSim();
+            const flying = sim.players[1 - downed];
+            sim.players[downed].isInvincible = false;
+            sim.players[downed].takeDamage(CONFIG.player.maxHealth);
+            assert.equal(sim.players[downed].active, false);
+            sim.state.bossSpawned = true;
+            sim.state.bossDefeated = true;
+            sim.spawnPortals();
+            sim.whiteHole = null;
+            sim.blackHole.x = flying.x;
+            sim.blackHole.y = flying.y;
+
+            sim.step();
+            assert.equal(sim.state.inTransition, true, `player ${downed + 1} down`);
+        }
+    });
+
+    test('kills score for the plane that fired', () => {
+        const sim = createCoopSim('split');
+        const partner = sim.players[1];
+        const enemy = new Enemy(partner.x, partner.y - 100, 'fighter', sim);
+        enemy.health = 1;
+        sim.enemies = [enemy];
+
+        sim.shoot(partner);
+        flyBullets(sim, 40);
+        assert.equal(enemy.active, false);
+        assert.equal(partner.score, sim.state.score);
+        assert.equal(sim.player.score, 0);
+    });
+});
+
+describe('Simulation.updateDifficulty', () => {
+    test('rises one level per scoreThreshold points', () => {
+        const sim = createSim();
+        const cases = [[0, 1], [149, 1], [150, 2], [449, 3], [450, 4]];
+
+        for (const [score, level] of cases) {
+            sim.state.score = score;
+            sim.updateDifficulty();
+            assert.equal(sim.state.difficultyLevel, level, `score ${score}`);
+        }
+    });
+
+    test('never drops when the score goes down', () => {
+        const sim = createSim();
+        sim.state.score = 300;
+        sim.updateDifficulty();
+        sim.state.score = 0;
+        sim.updateDifficulty();
+        assert.equal(sim.state.difficultyLevel, 3);
+    });
+});
+
+describe('Simulation', () => {
+    /**
+     * Play a seed with a simple bot until the player goes down
+     */
+    function playBot(seed) {
+        const sim = createSim(seed);
+        while (!sim.state.gameOver && sim.tick < 60 * 60 * 10) {
+            const target = sim.enemies[0];
+            sim.player.input.shooting = true;
+            sim.player.input.left = target ? target.x < sim.player.x - 5 : false;
+            sim.player.input.right = target ? target.x > sim.player.x + 5 : false;
+            sim.step();
+        }
+        return sim;
+    }
+
+    test('the same seed and input give the same run', () => {
+        const a = playBot(7);
+        const b = playBot(7);
+        assert.equal(a.tick, b.tick);
+        assert.deepEqual(a.state, b.state);
+    });
+
+    test('game over is reported once and stops the run', () => {
+        const sim = createSim();
+        const gameOver = record(sim, 'gameOver');
+
+        sim.player.takeDamage(CONFIG.player.maxHealth);
+        sim.step();
+        const tick = sim.tick;
+        sim.step();
+
+        assert.equal(sim.state.gameOver, true);
+        assert.equal(gameOver.length, 1);
+        assert.equal(sim.tick, tick);
+    });
+});
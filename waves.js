@@ -0,0 +1,173 @@
+/**
+ * ============================================
+ * SKY FIGHTER - Wave Scripts
+ * One script per Area, in Area order. Scripts are plain
+ * JSON data (see loadWaveScript in simulation.js for the
+ * format); Areas past the end of this list use the
+ * endless random spawner.
+ * ============================================
+ */
+
+const WAVE_SCRIPTS = [
+    // Area 1: gentle introduction to formations
+    {
+        name: 'Open Skies',
+        then: 'endless',
+        waves: [
+            {
+                delay: 1500,
+                groups: [{ type: 'fighter', count: 3, formation: 'v', x: 0.5, behavior: { type: 'dive' } }],
+            },
+            {
+                delay: 1000,
+                groups: [
+                    { type: 'fighter', count: 3, interval: 400, x: 0.2, behavior: { type: 'bezier', points: [[0.2, 0.45], [0.8, 0.45], [0.8, 1.2]] } },
+                    { type: 'fighter', count: 3, interval: 400, x: 0.8, offset: 600, behavior: { type: 'bezier', points: [[0.8, 0.45], [0.2, 0.45], [0.2, 1.2]] } },
+                ],
+            },
+            {
+                delay: 1000,
+                message: '✈️ FLANKING RUN',
+                groups: [{ type: 'ace', count: 4, interval: 350, behavior: { type: 'sweep', from: 'left', y: 0.15 } }],
+            },
+            {
+                delay: 1200,
+                groups: [{ type: 'fighter', count: 5, formation: 'v', x: 0.5, behavior: { type: 'circle' } }],
+            },
+        ],
+    },
+
+    // Area 2: crossing sweeps and bombers
+    {
+        name: 'Crosswinds',
+        then: 'endless',
+        waves: [
+            {
+                delay: 1000,
+                next: 'timer',
+                duration: 2500,
+                groups: [{ type: 'ace', count: 4, interval: 300, behavior: { type: 'sweep', from: 'right', y: 0.12 } }],
+            },
+            {
+                groups: [{ type: 'ace', count: 4, interval: 300, behavior: { type: 'sweep', from: 'left', y: 0.25 } }],
+            },
+            {
+                delay: 1000,
+                groups: [
+                    { type: 'bomber', count: 1, x: 0.5 },
+                    { type: 'fighter', count: 4, formation: 'line', x: 0.5, spacing: 70, offset: 800, behavior: { type: 'dive' } },
+                ],
+            },
+            {
+                delay: 1000,
+                message: '⚠️ PINCER',
+                groups: [
+                    { type: 'fighter', count: 3, formation: 'v', x: 0.2, behavior: { type: 'circle', radius: 70 } },
+                    { type: 'fighter', count: 3, formation: 'v', x: 0.8, behavior: { type: 'circle', radius: 70 } },
+                ],
+            },
+        ],
+    },
+
+    // Area 3: heavier formations
+    {
+        name: 'Iron Front',
+        then: 'endless',
+        waves: [
+            {
+                delay: 1000,
+                groups: [{ type: 'bomber', count: 3, formation: 'line', x: 0.5, spacing: 120 }],
+            },
+            {
+                delay: 800,
+                next: 'timer',
+                duration: 3000,
+                groups: [{ type: 'fighter', count: 7, formation: 'v', x: 0.5, spacing: 45, behavior: { type: 'dive' } }],
+            },
+            {
+                groups: [
+                    { type: 'ace', count: 3, interval: 250, behavior: { type: 'sweep', from: 'left', y: 0.1, drop: 60 } },
+                    { type: 'ace', count: 3, interval: 250, offset: 400, behavior: { type: 'sweep', from: 'right', y: 0.2, drop: 60 } },
+                ],
+            },
+            {
+                delay: 1000,
+                groups: [
+                    { type: 'bomber', count: 2, formation: 'line', x: 0.5, spacing: 200 },
+                    { type: 'fighter', count: 5, formation: 'v', x: 0.5, offset: 1000, behavior: { type: 'circle', y: 0.35 } },
+                    { type: 'fighter', count: 3, formation: 'line', x: 0.5, spacing: 250, offset: 2500, behavior: { type: 'kamikaze' } },
+                ],
+            },
+        ],
+    },
+
+    // Area 4: relentless timed waves
+    {
+        name: 'Storm Front',
+        then: 'endless',
+        waves: [
+            {
+                delay: 800,
+                next: 'timer',
+                duration: 2000,
+                groups: [{ type: 'ace', count: 5, formation: 'v', x: 0.3 }],
+            },
+            {
+                next: 'timer',
+                duration: 2000,
+                groups: [{ type: 'ace', count: 5, formation: 'v', x: 0.7, behavior: { type: 'strafe', duration: 3000 } }],
+            },
+            {
+                message: '🌀 DOGFIGHT',
+                groups: [
+                    { type: 'fighter', count: 6, interval: 300, x: 0.3, behavior: { type: 'circle', loops: 2, radius: 90 } },
+                    { type: 'bomber', count: 2, formation: 'line', x: 0.5, spacing: 300, offset: 1500 },
+                ],
+            },
+            {
+                delay: 1000,
+                groups: [
+                    { type: 'ace', count: 5, interval: 200, behavior: { type: 'sweep', from: 'right', y: 0.15 } },
+                    { type: 'ace', count: 5, interval: 200, offset: 500, behavior: { type: 'sweep', from: 'left', y: 0.3 } },
+                ],
+            },
+        ],
+    },
+
+    // Area 5: everything at once, then looping
+    {
+        name: 'Warlord\'s Reach',
+        then: 'loop',
+        waves: [
+            {
+                delay: 1000,
+                groups: [
+                    { type: 'bomber', count: 3, formation: 'v', x: 0.5, spacing: 80 },
+                    { type: 'fighter', count: 4, interval: 350, x: 0.5, offset: 1200, behavior: { type: 'spline', points: [[0.5, 0.25], [0.15, 0.4], [0.85, 0.55], [0.5, 1.2]] } },
+                ],
+            },
+            {
+                delay: 800,
+                next: 'timer',
+                duration: 3000,
+                groups: [
+                    { type: 'ace', count: 6, interval: 200, behavior: { type: 'sweep', from: 'left', y: 0.12, drop: 45 } },
+                    { type: 'fighter', count: 5, formation: 'v', x: 0.5, behavior: { type: 'circle', y: 0.25 } },
+                ],
+            },
+            {
+                message: '☠️ FINAL ASSAULT',
+                groups: [
+                    { type: 'bomber', count: 2, formation: 'line', x: 0.5, spacing: 260 },
+                    { type: 'ace', count: 7, formation: 'v', x: 0.5, spacing: 40, offset: 800, behavior: { type: 'kamikaze' } },
+                    { type: 'fighter', count: 4, interval: 250, offset: 1600, behavior: { type: 'sweep', from: 'right', y: 0.2 } },
+                ],
+            },
+        ],
+    },
+];
+
+// Node (tests, headless runs) loads the scripts as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WAVE_SCRIPTS };
+}